@@ -1,12 +1,34 @@
 /**
  * ESTIMATION TASK — Application Logic
  *
- * Two conditions:
- *   ?CONDITION=detailed  →  Phase-by-phase estimation with interactive process map,
- *                           step drill-down, hidden actions, minutes+seconds per block
- *   ?CONDITION=simple    →  Static SVG process map + text summary + ONE overall estimate
+ * Conditions are declared server-side in src/design.js; the session response
+ * carries the assigned condition's config (state.design):
+ *   estimation: 'blocks'   →  Side-by-side process map + one estimate per estimation block
+ *   estimation: 'overall'  →  Process map + ONE overall estimate
+ *   elicitation            →  'point' (one time per estimate) or 'three-point'
+ *                             (best case, most likely and worst case; the most
+ *                             likely time is the estimate) or 'distribution' (the
+ *                             time plus chances spread over time bins, design.distribution)
+ *   flow                   →  Page sequence (consent → … → complete)
+ *   renderer               →  SVG map or text description, sub-actions, action type badges
  *
- * Both share: consent, intro (adjusted), demographics, completion pages.
+ * Default arms: ?CONDITION=detailed (blocks) and ?CONDITION=simple (overall).
+ * All arms share: consent, intro (adjusted), demographics, completion pages.
+ *
+ * Submissions are queued in localStorage and retried until the server
+ * acknowledges them; only then is the Prolific completion link shown.
+ *
+ * Progress (page, estimates, error rate, toggle log) is autosaved to the
+ * server on every page change and edit; a returning participant resumes on the
+ * page they left with their answers restored.
+ *
+ * One server can host several procedures (src/studies.js): ?PROCEDURE=<id>
+ * in the Prolific link selects one, and the session response says which
+ * procedure version to load and where the completion link points.
+ *
+ * Screener-stratified designs create the session without a condition: the
+ * participant answers the screener after consent, the server allocates within
+ * the answer's stratum, and the condition's flow continues after consent.
  *
  * Key design decisions:
  * - NO anchoring (no suggested ranges)
@@ -26,15 +48,23 @@
 
   const state = {
     sessionId: null,
-    condition: 'detailed',    // 'detailed' or 'simple'
+    procedureId: null,        // study this session belongs to (server-selected)
+    completionUrl: null,      // Prolific completion link of that study
+    condition: 'detailed',    // condition id from src/design.js
+    design: null,             // { id, estimation, flow, renderer } for the assigned condition
+    screener: null,           // { variable, question, options } while awaiting allocation
     currentPage: 'consent',
+    flowPage: 'consent',      // current position in state.design.flow
     currentPhaseIndex: 0,
     estimates: {},             // { blockId: { minutes: N, seconds: N, confidence: 1-5 } }
     interactions: {
       phasesExpanded: [],
       stepsExpanded: [],       // unique step IDs that were expanded at least once
       stepToggleLog: [],       // full log: [{stepId, action: 'expand'|'collapse', timestamp}]
+      navigationLog: [],       // zoom / pan on large maps: [{action, via, zoom, x, y, phaseId?, timestamp}]
+      legendLog: [],           // action-type legend: [{action: 'select'|'deselect'|'clear', type, timestamp}]
       timeOnTaskMs: 0,
+      stackedLayout: false,    // narrow screen: the map was shown as stacked blocks (see stackedQuery)
     },
     errorRateEstimate: {},    // { percentage: 0-100, confidence: 1-5 }
     demographics: {},
@@ -52,6 +82,19 @@
     if (action === 'expand' && !state.interactions.stepsExpanded.includes(stepId)) {
       state.interactions.stepsExpanded.push(stepId);
     }
+    scheduleSave();
+  }
+
+  // Zoom and pan tracking callback (maps with navigation, see process-map-svg.js)
+  function onNavigate(event) {
+    state.interactions.navigationLog.push({ ...event, timestamp: Date.now() });
+    scheduleSave();
+  }
+
+  // Action-type legend tracking callback (conditions with renderer.legend)
+  function onLegendToggle({ action, type }) {
+    state.interactions.legendLog.push({ action, type, timestamp: Date.now() });
+    scheduleSave();
   }
 
   // ============================================================
@@ -62,14 +105,13 @@
   const prolificPid = params.get('PROLIFIC_PID') || null;
   const studyId = params.get('STUDY_ID') || null;
   const sessionIdParam = params.get('SESSION_ID') || null;
+  // Which procedure (study) to run — the server falls back to STUDY_ID, then its default
+  const procedureParam = params.get('PROCEDURE') || null;
 
-  // Condition from URL (if forced for preview) — otherwise server randomizes
+  // Condition from URL (if forced for preview) — otherwise server randomizes.
+  // The server ignores ids that aren't declared in the design config.
   const conditionParam = (params.get('CONDITION') || '').toLowerCase();
-  if (conditionParam === 'simple' || conditionParam === 'detailed') {
-    state.condition = conditionParam;
-  } else {
-    state.condition = null; // will be assigned by server
-  }
+  state.condition = conditionParam || null;
 
   // ============================================================
   // SESSION MANAGEMENT
@@ -84,7 +126,9 @@
           prolific_pid: prolificPid,
           study_id: studyId,
           session_id: sessionIdParam,
+          procedure: procedureParam,
           condition: state.condition,
+          url_params: Object.fromEntries(params),
           device: {
             screenWidth: screen.width,
             screenHeight: screen.height,
@@ -95,15 +139,21 @@
         }),
       });
       const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || 'HTTP ' + resp.status);
+      state.procedureId = data.procedure_id;
+      state.completionUrl = data.completion_url;
       if (data.already_complete) {
         showAlreadyComplete();
         return false;
       }
       state.sessionId = data.session_id;
+      // The map this session was started with (older version if resumed after an edit)
+      await loadProcedure(data.procedure_version);
       // Use server-assigned condition (handles randomization)
-      if (data.condition) {
-        state.condition = data.condition;
-      }
+      state.condition = data.condition;
+      state.design = data.design;
+      state.screener = data.screener || null;
+      if (data.resumed && data.progress) restoreProgress(data.progress);
       return true;
     } catch (e) {
       console.error('Session creation failed:', e);
@@ -111,6 +161,76 @@
     }
   }
 
+  // ============================================================
+  // AUTOSAVE & RESUME
+  // ============================================================
+
+  const SAVE_DELAY_MS = 800; // debounce for typing / clicking
+  let saveTimer = null;
+  let resumePage = null;
+
+  function progressPayload() {
+    return {
+      session_id: state.sessionId,
+      page: state.flowPage,
+      estimates: state.estimates,
+      errorRateEstimate: state.errorRateEstimate,
+      interactions: state.interactions,
+      demographics: state.demographics,
+      elapsed_ms: Date.now() - state.startTime,
+    };
+  }
+
+  function saveProgress() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!state.sessionId || state.flowPage === 'complete') return;
+    fetch('/api/session/progress', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(progressPayload()),
+    }).catch(e => console.error('Autosave failed:', e));
+  }
+
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveProgress, SAVE_DELAY_MS);
+  }
+
+  // Flush a pending save when the tab is closed or hidden
+  window.addEventListener('pagehide', () => {
+    if (!saveTimer || !navigator.sendBeacon) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const blob = new Blob([JSON.stringify(progressPayload())], { type: 'application/json' });
+    navigator.sendBeacon('/api/session/progress', blob);
+  });
+
+  function restoreProgress(progress) {
+    // Snapshots saved before the server checked their shape may hold anything
+    const objectOr = (v, fallback) => (v && typeof v === 'object' && !Array.isArray(v) ? v : fallback);
+    state.estimates = objectOr(progress.estimates, {});
+    state.errorRateEstimate = objectOr(progress.errorRateEstimate, {});
+    state.demographics = objectOr(progress.demographics, {});
+    if (objectOr(progress.interactions, null)) {
+      state.interactions = { ...state.interactions, ...progress.interactions };
+    }
+    // Time on task counts time spent in the task, not time away from it
+    if (progress.elapsed_ms) state.startTime = Date.now() - progress.elapsed_ms;
+    resumePage = progress.page;
+  }
+
+  // Demographics answers survive a resume on the demographics/feedback pages
+  function restoreDemographics() {
+    const form = document.getElementById('demographics-form');
+    Object.entries(state.demographics).forEach(([name, value]) => {
+      const radio = form.querySelector(`input[type="radio"][name="${name}"][value="${value}"]`);
+      if (radio) radio.checked = true;
+      const text = form.querySelector(`input[type="text"][name="${name}"], textarea[name="${name}"]`);
+      if (text) text.value = value;
+    });
+  }
+
   function showAlreadyComplete() {
     document.getElementById('task-pages').innerHTML = `
       <div class="page-card fade-in" style="text-align:center; padding:60px 32px;">
@@ -124,7 +244,7 @@
   }
 
   function getProlificUrl() {
-    return 'https://app.prolific.com/submissions/complete?cc=XXXXXXX';
+    return state.completionUrl || 'https://app.prolific.com/submissions/complete?cc=XXXXXXX';
   }
 
   // ============================================================
@@ -142,13 +262,78 @@
 
     // Adjust container width for side-by-side estimation layout
     const taskContainer = document.querySelector('.task-container');
-    if (pageId === 'estimation' && state.condition === 'detailed') {
+    if (pageId === 'estimation' && state.design.renderer.map) {
       taskContainer.style.maxWidth = '1400px';
     } else {
       taskContainer.style.maxWidth = '';
     }
   }
 
+  // ============================================================
+  // PAGE FLOW (declared per condition in src/design.js)
+  // ============================================================
+
+  // Before allocation (screener-stratified designs) only these pages exist
+  const PRE_ALLOCATION_FLOW = ['consent', 'screener'];
+
+  function currentFlow() {
+    return state.design ? state.design.flow : PRE_ALLOCATION_FLOW;
+  }
+
+  // Pages that need rendering on entry; others are just shown
+  const PAGE_ENTER = {
+    'screener': () => {
+      showPage('screener');
+      renderScreener();
+    },
+    'intro': () => {
+      showPage('intro');
+      // The clickable example step only makes sense when sub-actions can be revealed
+      const subactionsNote = document.getElementById('intro-subactions-note');
+      if (subactionsNote) subactionsNote.style.display = hasSubActions() ? '' : 'none';
+    },
+    'estimation': () => {
+      if (state.design.estimation !== 'overall') {
+        showPage('estimation');
+        requestAnimationFrame(() => renderDetailedEstimation());
+      } else {
+        showPage('simple-estimation');
+        renderSimpleEstimation();
+      }
+    },
+    'error-estimation': () => {
+      showPage('error-estimation');
+      initErrorRateEstimation();
+    },
+    'summary': () => {
+      showPage('summary');
+      renderSummary();
+    },
+    'complete': () => {
+      // The completion link only exists once the server has the data
+      document.getElementById('prolific-redirect').href = getProlificUrl();
+      showPage('complete');
+    },
+  };
+
+  function goTo(flowPage) {
+    state.flowPage = flowPage;
+    if (PAGE_ENTER[flowPage]) PAGE_ENTER[flowPage]();
+    else showPage(flowPage);
+    saveProgress();
+  }
+
+  // `from` is explicit so a double-fired handler can't skip a page.
+  // Whatever page precedes 'complete' in the flow, data is submitted first.
+  async function nextPage(from) {
+    const flow = currentFlow();
+    const i = flow.indexOf(from);
+    if (i < 0 || i === flow.length - 1) return;
+    const next = flow[i + 1];
+    if (next === 'complete' && !(await submitEstimates())) return;
+    goTo(next);
+  }
+
   // ============================================================
   // PAGE 1: CONSENT
   // ============================================================
@@ -159,16 +344,77 @@
     cb.addEventListener('change', () => { btn.disabled = !cb.checked; });
     btn.addEventListener('click', () => {
       if (cb.checked) {
-        showPage('intro');
+        nextPage('consent');
+      }
+    });
+  }
+
+  // ============================================================
+  // PAGE 1B: SCREENER (stratified designs — answer decides the stratum)
+  // ============================================================
+
+  function renderScreener() {
+    const sc = state.screener;
+    document.getElementById('screener-question').textContent = sc.question;
+    const optionsEl = document.getElementById('screener-options');
+    optionsEl.innerHTML = Object.entries(sc.options).map(([value, label]) =>
+      `<label><input type="radio" name="screener" value="${value}"> ${label}</label>`
+    ).join('');
+    const btn = document.getElementById('screener-continue');
+    btn.disabled = true;
+    optionsEl.querySelectorAll('input').forEach(r => r.addEventListener('change', () => { btn.disabled = false; }));
+  }
+
+  function initScreener() {
+    const btn = document.getElementById('screener-continue');
+    const errorEl = document.getElementById('screener-error');
+    btn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      const picked = document.querySelector('#screener-options input:checked');
+      if (!picked || btn.disabled) return;
+      btn.disabled = true;
+      errorEl.textContent = '';
+      try {
+        const resp = await fetch('/api/session/screener', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ session_id: state.sessionId, value: picked.value }),
+        });
+        const data = await resp.json();
+        if (!resp.ok || !data.design) throw new Error(data.error || 'Allocation failed');
+        state.condition = data.condition;
+        state.design = data.design;
+        applyCondition();
+        prefillDemographic(state.screener.variable, picked.value);
+        state.screener = null;
+        // Continue with the condition's own flow after consent
+        const flow = state.design.flow;
+        goTo(flow[flow.indexOf('consent') + 1]);
+      } catch (err) {
+        console.error('Screener submission failed:', err);
+        errorEl.textContent = 'Something went wrong. Please try again.';
+        btn.disabled = false;
       }
     });
   }
 
+  // The screener variable is usually also a demographics question — don't ask twice
+  function prefillDemographic(name, value) {
+    const radio = document.querySelector(`#demographics-form input[name="${name}"][value="${value}"]`);
+    if (radio) radio.checked = true;
+  }
+
   // ============================================================
   // PAGE 2: INTRODUCTION
   // ============================================================
 
   function initIntro() {
+    // What participants did and what is timed (procedure-specific copy)
+    const introEl = document.getElementById('procedure-introduction');
+    if (introEl) introEl.innerHTML = PROCESS_MAP.introduction.map(p => `<p>${p}</p>`).join('');
+    const scopeEl = document.getElementById('procedure-scope');
+    if (scopeEl) scopeEl.textContent = PROCESS_MAP.taskScope;
+
     // Fill in process stats
     const statsEl = document.getElementById('process-stats');
     if (statsEl) {
@@ -194,21 +440,132 @@
     // Render overview process map (text summary)
     renderOverviewMap();
 
-    // Wire the "Begin estimation" button for both conditions
+    // Wire the "Begin estimation" button for all conditions
     const introBtn = document.getElementById('intro-continue');
     if (introBtn) {
-      introBtn.addEventListener('click', () => {
-        if (state.condition === 'simple') {
-          showPage('simple-estimation');
-          renderSimpleEstimation();
-        } else {
-          showPage('estimation');
-          requestAnimationFrame(() => renderDetailedEstimation());
-        }
-      });
+      introBtn.addEventListener('click', () => nextPage('intro'));
     }
   }
 
+  function hasSubActions() {
+    return state.design.renderer.map && state.design.renderer.showHiddenActions;
+  }
+
+  function rendererOptions() {
+    return {
+      showHiddenActions: state.design.renderer.showHiddenActions,
+      showActionTypes: state.design.renderer.showActionTypes,
+      swimLanes: state.design.renderer.swimLanes,
+      orientation: state.design.renderer.orientation,
+      zonePosition: state.design.renderer.zonePosition,
+      navigation: state.design.renderer.navigation,
+      legend: state.design.renderer.legend,
+      onNavigate: onNavigate,
+      onLegendToggle: onLegendToggle,
+    };
+  }
+
+  // Up to the tablet device class (design.stackedMaxWidth, from the design's
+  // deviceClasses) the map and its cards cannot sit side by side: each zone
+  // (or phase) becomes a block map of its own, followed by its card, and steps
+  // open in a bottom sheet. Body class `layout-narrow` carries the same cutoff
+  // to the CSS.
+  function stackedQuery() {
+    return typeof window.matchMedia === 'function' ? window.matchMedia('(max-width: ' + state.design.stackedMaxWidth + 'px)') : null;
+  }
+
+  function stackedLayout() {
+    const query = stackedQuery();
+    return !!(state.design.renderer.map && query && query.matches);
+  }
+
+  // Rotating a tablet or resizing the window across the cutoff re-renders the
+  // estimation page in the other layout (answers live in state, so they stay)
+  let stackedWatched = false;
+  let estimationRendered = false;
+
+  function watchStackedLayout() {
+    const query = stackedQuery();
+    if (stackedWatched || !query) return;
+    stackedWatched = true;
+    document.body.classList.toggle('layout-narrow', query.matches);
+    const onChange = () => {
+      document.body.classList.toggle('layout-narrow', query.matches);
+      if (estimationRendered && state.flowPage === 'estimation' && stackedLayout() !== state.interactions.stackedLayout) {
+        PAGE_ENTER.estimation();
+      }
+    };
+    if (query.addEventListener) query.addEventListener('change', onChange);
+    else if (query.addListener) query.addListener(onChange); // older Safari
+  }
+
+  // One block map per zone or phase, for the stacked layout
+  function renderStackedMaps(blocks) {
+    blocks.forEach(({ containerId, stepIds, phase }) => {
+      ProcessMapSVG.renderBlock(containerId, stepIds, phase, { ...rendererOptions(), expandAs: 'sheet', onStepToggle: onStepToggle });
+    });
+  }
+
+  const SUBACTIONS_TIP = `
+    <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 12px; padding: 8px 12px; background: #f0f4f8; border-radius: 6px; border-left: 3px solid var(--primary);">
+      💡 <strong style="color:var(--text)">Tip:</strong> Each step may involve hidden <strong style="color:var(--text)">sub-actions</strong> — smaller, less visible actions that participants also had to perform (e.g., reading instructions, mentally calculating, scrolling).
+      <strong style="color:var(--text)">Click on any step</strong> in the process map to reveal its sub-actions. Click again to hide them. (With a keyboard: Tab to a step, then press Enter.)
+    </p>`;
+
+  function threePoint() {
+    return state.design.elicitation === 'three-point';
+  }
+
+  // How times are answered: 'numeric' (minutes + seconds), 'slider' or 'bins'
+  function timeFormat() {
+    return state.design.response.time;
+  }
+
+  function accuracyReminder() {
+    const how = {
+      numeric: 'Please provide the most precise estimate you can. Use both <strong>minutes and seconds</strong> for accuracy.',
+      slider: 'Please provide the most precise estimate you can: <strong>drag the slider</strong> to your time. The scale is finer for short times.',
+      bins: 'Please <strong>choose the time range</strong> you think is most likely.',
+    }[timeFormat()];
+    return `
+      <div class="accuracy-reminder">
+        <span class="accuracy-reminder__icon">🎯</span>
+        <span>${threePoint()
+          ? `For each estimate, give a <strong>best case</strong>, the <strong>most likely</strong> time and a <strong>worst case</strong>${timeFormat() === 'numeric' ? ', in <strong>minutes and seconds</strong>' : ''}. Your most likely time is your estimate.`
+          : how}</span>
+      </div>`;
+  }
+
+  // Routes of a branching gateway, for the text-only description
+  function branchText(step) {
+    if (!step.isDecisionPoint || !Array.isArray(step.branches)) return '';
+    const parallel = step.gateway === 'parallel';
+    return `<ul class="text-procedure__branches">${step.branches.map(b => {
+      const chance = typeof b.probability === 'number' ? ` (${Math.round(b.probability * 100)}%)` : '';
+      const parts = [];
+      if (b.stepIds && b.stepIds.length) parts.push(`step${b.stepIds.length > 1 ? 's' : ''} ${b.stepIds.join(', ')}`);
+      if (b.end) parts.push(b.endLabel || 'the procedure ends');
+      return `<li>${parallel ? 'In parallel' : 'If'} “${b.label}”${chance}: ${parts.join(', then ') || 'continue'}</li>`;
+    }).join('')}</ul>`;
+  }
+
+  // Text-only description of the procedure (conditions with renderer.map === false)
+  function renderProcedureText(phases, afterPhase) {
+    return phases.map(phase => `
+      <div class="text-procedure__phase" style="border-left-color: ${phase.color};">
+        <div class="text-procedure__title" style="color: ${phase.color};">Phase ${phase.icon}: ${phase.name}</div>
+        <p class="text-procedure__desc">${phase.richDescription}</p>
+        <ol class="text-procedure__steps">
+          ${phase.steps.map(step => `
+            <li><span class="text-procedure__id">${step.id}</span> ${step.name}${state.design.renderer.showActionTypes
+              ? ` <span class="text-procedure__types">(${step.actionTypes.map(t => t.split(': ')[1] || t).join(', ')})</span>` : ''}${branchText(step)}</li>
+          `).join('')}
+        </ol>
+      </div>
+      ${afterPhase ? afterPhase(phase) : ''}
+    `).join('');
+  }
+
   function renderOverviewMap() {
     const container = document.getElementById('overview-map');
     if (!container) return;
@@ -278,13 +635,29 @@
       });
     });
 
-    // Build estimation cards HTML (will be absolutely positioned after render)
-    let cardsHtml = '';
+    // Build estimation cards HTML (absolutely positioned beside the map after render,
+    // or placed under each phase in the text-only layout). Step-level conditions
+    // have a card per step instead, and no zones
+    const perStep = state.design.estimation === 'steps';
+    const cardsByPhase = {};
+    const cards = [];
+    const zonePhases = [];
+    const stepIds = [];
     blockIdx = 0;
     PROCESS_MAP.phases.forEach(phase => {
+      cardsByPhase[phase.id] = '';
+      if (perStep) {
+        phase.steps.forEach(step => {
+          cards[stepIds.length] = stepCard(step, phase, stepIds.length);
+          cardsByPhase[phase.id] += cards[stepIds.length];
+          stepIds.push(step.id);
+        });
+        return;
+      }
       phase.estimationBlocks.forEach(block => {
         const letter = blockLetters[blockIdx] || String(blockIdx + 1);
-        cardsHtml += `
+        zonePhases.push(phase);
+        cards[blockIdx] = `
           <div class="est-card" id="est-card-${blockIdx}" style="border-left: 4px solid ${phase.color};">
             <div class="est-card__header">
               <span class="est-card__letter" style="background: ${phase.color};">${letter}</span>
@@ -296,38 +669,65 @@
             ${renderEstimationBlock(block, phase)}
           </div>
         `;
+        cardsByPhase[phase.id] += cards[blockIdx];
         blockIdx++;
       });
     });
+    const useMap = state.design.renderer.map;
+    watchStackedLayout();
+    const stacked = stackedLayout();
+    state.interactions.stackedLayout = stacked;
+    estimationRendered = true;
+    // A left-to-right map spans the page: its cards sit in a row below it (or above)
+    const across = useMap && !stacked && ProcessMapSVG.orientationFor(rendererOptions()) === 'horizontal';
+    const cardsTop = across && state.design.renderer.zonePosition === 'top';
+    // Stacked: one block map per zone (per phase for step cards), then its card(s)
+    const sections = perStep
+      ? PROCESS_MAP.phases.map(phase => ({ label: 'Phase ' + phase.icon, stepIds: phase.steps.map(s => s.id), phase, cards: cardsByPhase[phase.id] }))
+      : zones.map((zone, i) => ({ label: 'Zone ' + zone.letter, stepIds: zone.stepIds, phase: zonePhases[i], cards: cards[i] }));
 
     // Build estimation page HTML with contextual reminder
     let html = `
       <div class="page-card fade-in" style="max-width: 960px; margin-bottom: 20px;">
         <p style="margin: 0 0 8px; font-size: 14px; color: var(--text-muted);">
           <strong>Reminder:</strong> You are estimating how long it took participants to complete each section of the
-          <em>Municipal Green Zone Vehicle Access Permit</em> application — from the first form page to clicking "Submit application".
+          <em>${PROCESS_MAP.taskName}</em> application — ${PROCESS_MAP.taskScope}.
         </p>
+        ${useMap && perStep ? `
+        <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 6px;">
+          The process map below shows all <strong style="color:var(--text)">steps</strong> (the main actions participants performed) grouped into phases.
+          Each step has its own estimation card ${stacked ? 'after its phase' : 'on the right, level with the step'}.
+        </p>` : useMap ? `
         <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 6px;">
           The process map below shows all <strong style="color:var(--text)">steps</strong> (the main actions participants performed) grouped into phases. Each lettered zone
           (<strong style="color:var(--text)">A</strong>, <strong style="color:var(--text)">B</strong>, <strong style="color:var(--text)">C</strong>…)
-          has an estimation card on the right.
-        </p>
-        <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 12px; padding: 8px 12px; background: #f0f4f8; border-radius: 6px; border-left: 3px solid var(--primary);">
-          💡 <strong style="color:var(--text)">Tip:</strong> Each step may involve hidden <strong style="color:var(--text)">sub-actions</strong> — smaller, less visible actions that participants also had to perform (e.g., reading instructions, mentally calculating, scrolling).
-          <strong style="color:var(--text)">Click on any step</strong> in the process map to reveal its sub-actions. Click again to hide them.
-        </p>
-        <div class="accuracy-reminder">
-          <span class="accuracy-reminder__icon">🎯</span>
-          <span>Please provide the most precise estimate you can. Use both <strong>minutes and seconds</strong> for accuracy.</span>
-        </div>
+          has an estimation card ${stacked ? 'right after it' : across ? (cardsTop ? 'above the map' : 'below the map') : 'on the right'}.
+        </p>` : `
+        <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 12px;">
+          The description below lists all <strong style="color:var(--text)">steps</strong> (the main actions participants performed) grouped into phases.
+          Each phase is followed by its estimation card(s).
+        </p>`}
+        ${hasSubActions() ? SUBACTIONS_TIP : ''}
+        ${accuracyReminder()}
       </div>
 
-      <div class="estimation-sidebyside">
+      ${stacked ? `
+      <div class="estimation-zones">
+        ${sections.map((section, i) => `
+        <section class="est-zone" aria-label="${section.label}">
+          <div id="est-zone-map-${i}" class="svg-map-container est-zone__map"></div>
+          ${section.cards}
+        </section>`).join('')}
+      </div>` : useMap ? `
+      <div class="estimation-sidebyside${across ? ' estimation-sidebyside--across' : ''}${cardsTop ? ' estimation-sidebyside--cards-top' : ''}">
         <div class="estimation-sidebyside__map">
           <div id="estimation-svg-map" class="svg-map-container"></div>
         </div>
-        ${cardsHtml}
-      </div>
+        ${Object.values(cardsByPhase).join('')}
+      </div>` : `
+      <div class="estimation-stacked page-card">
+        ${renderProcedureText(PROCESS_MAP.phases, phase => cardsByPhase[phase.id])}
+      </div>`}
 
       <div class="btn-group" style="justify-content: flex-end; padding: 16px 0;">
         <button class="btn btn-primary" id="detailed-submit">Continue &#8594;</button>
@@ -336,6 +736,43 @@
 
     content.innerHTML = html;
 
+    // Wire estimation inputs + confidence
+    wireEstimationInputs(content);
+    wireDistributions(content);
+    wireConfidenceButtons(content);
+
+    // Submit button → validate then go to the next page in the flow
+    document.getElementById('detailed-submit').addEventListener('click', () => {
+      if (validateAllEstimates()) {
+        nextPage('estimation');
+      }
+    });
+
+    if (stacked) {
+      renderStackedMaps(sections.map((section, i) => ({ containerId: 'est-zone-map-' + i, stepIds: section.stepIds, phase: section.phase })));
+    } else if (useMap && perStep) {
+      setupMapWithStepCards(stepIds);
+    } else if (useMap) {
+      setupMapWithCards(zones);
+    }
+  }
+
+  function stepCard(step, phase, idx) {
+    return `
+      <div class="est-card est-card--step" id="est-card-${idx}" style="border-left: 4px solid ${phase.color};">
+        <div class="est-card__header">
+          <span class="est-card__letter est-card__letter--step" style="background: ${phase.color};">${step.id}</span>
+          <div class="est-card__info">
+            <div class="est-card__phase">${step.name}</div>
+            <div class="est-card__steps">${phase.name}</div>
+          </div>
+        </div>
+        ${renderEstimationBlock({ id: step.id, label: 'Step ' + step.id, prompt: 'How long did participants spend on this step?' }, phase)}
+      </div>
+    `;
+  }
+
+  function setupMapWithCards(zones) {
     // ── Card positioning: align each card to its SVG zone ──────
     let hasAdjustedZones = false;
     function positionCards() {
@@ -343,6 +780,8 @@
       if (!svgEl) return;
 
       const parent = document.querySelector('.estimation-sidebyside');
+      // Cards in a row across the page flow with it
+      if (parent.classList.contains('estimation-sidebyside--across')) return;
       const parentRect = parent.getBoundingClientRect();
       const svgRect = svgEl.getBoundingClientRect();
       if (svgRect.height === 0) return; // page not visible yet
@@ -350,7 +789,9 @@
       const vb = svgEl.getAttribute('viewBox').split(' ').map(Number);
       const scale = svgRect.height / vb[3];
       const svgTopOffset = svgRect.top - parentRect.top;
-      const cardLeft = svgRect.right - parentRect.left + 16;
+      // With navigation the map scrolls inside its own frame: cards go beside the frame
+      const nav = svgEl.closest('.pm-nav');
+      const cardLeft = (nav ? nav.getBoundingClientRect().right : svgRect.right) - parentRect.left + 16;
 
       // Expand SVG zone spacing if any card is taller than its zone
       if (!hasAdjustedZones) {
@@ -378,9 +819,11 @@
         if (needsAdjustment) {
           hasAdjustedZones = true;
           ProcessMapSVG.render('estimation-svg-map', {
+            ...rendererOptions(),
             estimationZones: zones,
             zoneMinHeights: zoneMinHeights,
             onRerender: positionCards,
+            onStepToggle: onStepToggle,
           });
           return; // positionCards will be called again after re-render
         }
@@ -413,20 +856,104 @@
     // Render full SVG with estimation zone markers + reposition callback
     if (typeof ProcessMapSVG !== 'undefined') {
       ProcessMapSVG.render('estimation-svg-map', {
+        ...rendererOptions(),
         estimationZones: zones,
         onRerender: positionCards,
         onStepToggle: onStepToggle,
       });
     }
 
-    // Initial card positioning (after browser paints SVG)
+    keepCardsPositioned(positionCards);
+  }
+
+  // Step-level cards: each card's top is level with its step (positions from the
+  // renderer's layout). On the first pass every step is given at least its card's
+  // height, so the map stretches instead of the cards drifting below their steps.
+  function setupMapWithStepCards(stepIds) {
+    let hasAdjustedSteps = false;
+    function positionCards() {
+      const svgEl = document.querySelector('#estimation-svg-map svg');
+      const layout = ProcessMapSVG.getLastLayout();
+      if (!svgEl || !layout) return;
+
+      const parent = document.querySelector('.estimation-sidebyside');
+      const parentRect = parent.getBoundingClientRect();
+      const svgRect = svgEl.getBoundingClientRect();
+      if (svgRect.height === 0) return; // page not visible yet
+
+      const vb = svgEl.getAttribute('viewBox').split(' ').map(Number);
+      const scale = svgRect.height / vb[3];
+      const svgTopOffset = svgRect.top - parentRect.top;
+      const nav = svgEl.closest('.pm-nav');
+      const cardLeft = (nav ? nav.getBoundingClientRect().right : svgRect.right) - parentRect.left + 16;
+
+      if (!hasAdjustedSteps) {
+        hasAdjustedSteps = true;
+        const PAD_SVG = 12; // SVG-unit gap below each card
+        const stepMinHeights = {};
+        stepIds.forEach((id, idx) => {
+          const card = document.getElementById('est-card-' + idx);
+          if (card) stepMinHeights[id] = card.offsetHeight / scale + PAD_SVG;
+        });
+        ProcessMapSVG.render('estimation-svg-map', {
+          ...rendererOptions(),
+          stepMinHeights: stepMinHeights,
+          onRerender: positionCards,
+          onStepToggle: onStepToggle,
+        });
+        return; // positionCards will be called again after re-render
+      }
+
+      // Top of each step in SVG units (a decision's y is its centre)
+      const stepTop = {};
+      layout.elems.forEach(e => {
+        if (e.type === 'task') stepTop[e.step.id] = e.y;
+        else if (e.type === 'decision') stepTop[e.step.id] = e.y - e.size / 2;
+      });
+
+      // In map order, so that side-by-side branch steps stack their cards
+      const order = stepIds.map((id, idx) => idx).filter(idx => stepTop[stepIds[idx]] !== undefined);
+      order.sort((a, b) => stepTop[stepIds[a]] - stepTop[stepIds[b]]);
+
+      let lastBottom = 0;
+      order.forEach(idx => {
+        const card = document.getElementById('est-card-' + idx);
+        if (!card) return;
+        let top = svgTopOffset + stepTop[stepIds[idx]] * scale;
+
+        // Prevent overlap with previous card
+        if (top < lastBottom + 12) top = lastBottom + 12;
+
+        card.style.top = top + 'px';
+        card.style.left = cardLeft + 'px';
+        lastBottom = top + card.offsetHeight;
+      });
+
+      if (lastBottom > parent.offsetHeight) {
+        parent.style.minHeight = (lastBottom + 24) + 'px';
+      }
+    }
+    window._positionEstCards = positionCards;
+
+    if (typeof ProcessMapSVG !== 'undefined') {
+      ProcessMapSVG.render('estimation-svg-map', {
+        ...rendererOptions(),
+        onRerender: positionCards,
+        onStepToggle: onStepToggle,
+      });
+    }
+
+    keepCardsPositioned(positionCards);
+  }
+
+  // Position the cards once the SVG is painted, and again on every window resize
+  function keepCardsPositioned(positionCards) {
     requestAnimationFrame(() => {
       positionCards();
       // Second frame to ensure dimensions are stable
       requestAnimationFrame(positionCards);
     });
 
-    // Reposition on window resize
     let resizeTimer;
     const onResize = () => {
       clearTimeout(resizeTimer);
@@ -435,18 +962,6 @@
     window.removeEventListener('resize', window._estResizeHandler);
     window._estResizeHandler = onResize;
     window.addEventListener('resize', onResize);
-
-    // Wire estimation inputs + confidence
-    wireEstimationInputs(content);
-    wireConfidenceButtons(content);
-
-    // Submit button → validate then go to error rate estimation
-    document.getElementById('detailed-submit').addEventListener('click', () => {
-      if (validateAllEstimates()) {
-        showPage('error-estimation');
-        initErrorRateEstimation('detailed');
-      }
-    });
   }
 
   function renderEstimationBlock(block, phase) {
@@ -458,34 +973,190 @@
           <span class="estimation-block__label">Your estimate: ${block.label}</span>
         </div>
         <div class="estimation-block__prompt">${block.prompt}</div>
+        ${renderTimeInputs(block.id, saved)}
+        ${renderDistribution(block.id)}
+        <div class="estimation-block__confidence" data-block-id="${block.id}">
+          <span class="estimation-block__confidence-label">Your confidence in this estimate:</span>
+          <div class="likert-scale">
+            <span class="likert-anchor likert-anchor--low">Not at all<br>confident</span>
+            ${[1,2,3,4,5].map(n => `<button class="likert-btn ${saved.confidence === n ? 'selected' : ''}" data-block-id="${block.id}" data-level="${n}">${n}</button>`).join('')}
+            <span class="likert-anchor likert-anchor--high">Extremely<br>confident</span>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Three-point rows: best case and worst case are stored beside the most likely
+  // time (the estimate itself, in minutes/seconds) as { minutes, seconds }
+  const THREE_POINTS = [
+    { point: 'optimistic', label: 'Best case', hint: 'if everything went smoothly' },
+    { point: null, label: 'Most likely', hint: 'your estimate' },
+    { point: 'pessimistic', label: 'Worst case', hint: 'if things went slowly' },
+  ];
+
+  function renderTimeInputs(blockId, saved) {
+    const row = (time, point, label) => {
+      const value = unit => (time[unit] !== undefined && time[unit] !== null ? time[unit] : '');
+      const pointAttr = point ? ` data-point="${point}"` : '';
+      const name = unit => (label ? `${label} ${unit}` : unit[0].toUpperCase() + unit.slice(1));
+      if (timeFormat() === 'slider') {
+        const set = hasTime(time);
+        const text = set ? formatSeconds(secondsOf(time)) : 'Not set';
+        return `
+        <div class="time-slider${set ? '' : ' time-slider--unset'}">
+          <input type="range" class="time-slider__input" data-block-id="${blockId}"${pointAttr}
+            min="0" max="${SLIDER_STEPS}" step="1" value="${set ? sliderPosition(secondsOf(time)) : SLIDER_STEPS / 2}"
+            aria-label="${label ? `${label} time` : 'Time'}" aria-valuetext="${text}">
+          <div class="time-slider__scale" aria-hidden="true">
+            ${sliderTicks().map(sec => `<span style="left: ${sliderPosition(sec) / SLIDER_STEPS * 100}%;">${formatSeconds(sec)}</span>`).join('')}
+          </div>
+          <output class="time-slider__value">${set ? text : 'Click or drag on the line'}</output>
+        </div>`;
+      }
+      if (timeFormat() === 'bins') {
+        return `
+        <div class="estimation-block__input-row">
+          <select class="time-bins" data-block-id="${blockId}"${pointAttr} aria-label="${label ? `${label} time` : 'Time'}">
+            <option value="">Choose a time range…</option>
+            ${state.design.timeBins.map((bin, i) => `<option value="${i}"${time.bin === i ? ' selected' : ''}>${bin.label}</option>`).join('')}
+          </select>
+        </div>`;
+      }
+      return `
         <div class="estimation-block__input-row">
           <div class="estimation-block__input-group">
             <input type="number" class="estimation-block__input estimation-block__input--min"
-              data-block-id="${block.id}" data-unit="minutes"
+              data-block-id="${blockId}" data-unit="minutes"${pointAttr}
               min="0" max="999" step="1" placeholder="—"
-              value="${saved.minutes !== undefined && saved.minutes !== null ? saved.minutes : ''}"
-              aria-label="Minutes">
+              value="${value('minutes')}"
+              aria-label="${name('minutes')}">
             <span class="estimation-block__unit">min</span>
           </div>
           <div class="estimation-block__input-group">
             <input type="number" class="estimation-block__input estimation-block__input--sec"
-              data-block-id="${block.id}" data-unit="seconds"
+              data-block-id="${blockId}" data-unit="seconds"${pointAttr}
               min="0" max="59" step="1" placeholder="—"
-              value="${saved.seconds !== undefined && saved.seconds !== null ? saved.seconds : ''}"
-              aria-label="Seconds">
+              value="${value('seconds')}"
+              aria-label="${name('seconds')}">
             <span class="estimation-block__unit">sec</span>
           </div>
-        </div>
-        <div class="estimation-block__confidence" data-block-id="${block.id}">
-          <span class="estimation-block__confidence-label">Your confidence in this estimate:</span>
-          <div class="likert-scale">
-            <span class="likert-anchor likert-anchor--low">Not at all<br>confident</span>
-            ${[1,2,3,4,5].map(n => `<button class="likert-btn ${saved.confidence === n ? 'selected' : ''}" data-block-id="${block.id}" data-level="${n}">${n}</button>`).join('')}
-            <span class="likert-anchor likert-anchor--high">Extremely<br>confident</span>
-          </div>
-        </div>
+        </div>`;
+    };
+    // Typed minutes/seconds can fall outside the ranges the server accepts
+    const timeError = timeFormat() === 'slider' || timeFormat() === 'bins' ? '' : `
+      <div class="estimation-block__range-error estimation-block__time-error" data-block-id="${blockId}" role="alert" hidden>
+        Enter whole numbers: minutes from 0 to 999 and seconds from 0 to 59.
+      </div>`;
+    if (!threePoint()) return row(saved, null, '') + timeError;
+    return `
+      <div class="estimation-block__three-point">
+        ${THREE_POINTS.map(({ point, label, hint }) => `
+        <div class="estimation-block__point${point ? '' : ' estimation-block__point--likely'}">
+          <span class="estimation-block__point-label">${label} <small>${hint}</small></span>
+          ${row(point ? (saved[point] || {}) : saved, point, label)}
+        </div>`).join('')}
+      </div>${timeError}
+      <div class="estimation-block__range-error estimation-block__order-error" data-block-id="${blockId}" role="alert" hidden>
+        The best case cannot be longer than the most likely time, and the worst case cannot be shorter.
+      </div>`;
+  }
+
+  // ── Slider and dropdown times: both store the usual { minutes, seconds };
+  // a dropdown answer also keeps its range (`bin`) and stands for the range's
+  // representative time (design.timeBins[bin].seconds)
+
+  // Log scale: positions 0–SLIDER_STEPS run from slider.minSec to slider.maxSec
+  const SLIDER_STEPS = 1000;
+
+  function sliderSeconds(pos) {
+    const { minSec, maxSec } = state.design.slider;
+    const sec = minSec * Math.pow(maxSec / minSec, pos / SLIDER_STEPS);
+    const step = sec < 120 ? 1 : sec < 600 ? 5 : 30;
+    return Math.round(sec / step) * step;
+  }
+
+  function sliderPosition(sec) {
+    const { minSec, maxSec } = state.design.slider;
+    const clamped = Math.min(Math.max(sec, minSec), maxSec);
+    return Math.round(Math.log(clamped / minSec) / Math.log(maxSec / minSec) * SLIDER_STEPS);
+  }
+
+  function sliderTicks() {
+    const { minSec, maxSec } = state.design.slider;
+    return [minSec, ...[60, 300, 1800].filter(sec => sec > minSec * 2 && sec < maxSec / 2), maxSec];
+  }
+
+  function setTime(time, sec) {
+    time.minutes = Math.floor(sec / 60);
+    time.seconds = sec % 60;
+  }
+
+  // ── Distribution ("balls in bins"): the participant spreads design.distribution.balls
+  // chances over the time bins; stored as { bins, counts } beside the time
+
+  function distributionCounts(blockId) {
+    const saved = state.estimates[blockId] && state.estimates[blockId].distribution;
+    return saved ? saved.counts : state.design.distribution.labels.map(() => 0);
+  }
+
+  function renderDistribution(blockId) {
+    if (state.design.elicitation !== 'distribution') return '';
+    return `
+      <div class="distribution" data-block-id="${blockId}" role="group" aria-label="How likely is each time range?">
+        ${distributionHtml(blockId)}
+      </div>`;
+  }
+
+  function distributionHtml(blockId) {
+    const { balls, labels } = state.design.distribution;
+    const counts = distributionCounts(blockId);
+    const left = balls - counts.reduce((a, b) => a + b, 0);
+    return `
+      <div class="distribution__label">
+        How likely is each time range? Spread <strong>${balls} chances</strong> over the ranges (each chance is ${Math.round(100 / balls)}%):
+        more chances where you think the time most likely fell.
       </div>
-    `;
+      ${labels.map((label, i) => `
+      <div class="distribution__row">
+        <span class="distribution__bin">${label}</span>
+        <button type="button" class="distribution__btn" data-bin="${i}" data-step="-1" aria-label="Remove a chance: ${label}"${counts[i] ? '' : ' disabled'}>−</button>
+        <span class="distribution__track" aria-hidden="true">${'<span class="distribution__ball"></span>'.repeat(counts[i])}</span>
+        <span class="distribution__pct">${Math.round(counts[i] / balls * 100)}%</span>
+        <button type="button" class="distribution__btn" data-bin="${i}" data-step="1" aria-label="Add a chance: ${label}"${left ? '' : ' disabled'}>+</button>
+      </div>`).join('')}
+      <div class="distribution__left" aria-live="polite">${left ? `${left} of ${balls} chances left to place` : 'All chances placed'}</div>`;
+  }
+
+  function wireDistributions(container) {
+    container.querySelectorAll('.distribution').forEach(widget => {
+      const blockId = widget.dataset.blockId;
+      widget.addEventListener('click', e => {
+        const btn = e.target.closest('.distribution__btn');
+        if (!btn || btn.disabled) return;
+        const counts = distributionCounts(blockId).slice();
+        const bin = parseInt(btn.dataset.bin);
+        counts[bin] += parseInt(btn.dataset.step);
+        if (!state.estimates[blockId]) state.estimates[blockId] = {};
+        state.estimates[blockId].distribution = { bins: state.design.distribution.bins, counts };
+        widget.classList.remove('distribution--missing');
+        widget.innerHTML = distributionHtml(blockId);
+        // Keep focus on the pressed button (or its partner once it is disabled)
+        const again = widget.querySelector(`.distribution__btn[data-bin="${bin}"][data-step="${btn.dataset.step}"]`);
+        (again.disabled ? widget.querySelector(`.distribution__btn[data-bin="${bin}"]:not([disabled])`) || again : again).focus();
+        scheduleSave();
+      });
+    });
+  }
+
+  // Marks a distribution with chances still to place; returns the widget, or null when complete
+  function checkDistribution(blockId) {
+    if (state.design.elicitation !== 'distribution') return null;
+    const placed = distributionCounts(blockId).reduce((a, b) => a + b, 0);
+    if (placed === state.design.distribution.balls) return null;
+    const widget = document.querySelector(`.distribution[data-block-id="${blockId}"]`);
+    if (widget) widget.classList.add('distribution--missing');
+    return widget;
   }
 
   function wireConfidenceButtons(container) {
@@ -500,6 +1171,7 @@
         btn.closest('.estimation-block__confidence').classList.remove('confidence-missing');
         if (!state.estimates[blockId]) state.estimates[blockId] = {};
         state.estimates[blockId].confidence = level;
+        scheduleSave();
       });
     });
   }
@@ -508,51 +1180,157 @@
     container.querySelectorAll('.estimation-block__input').forEach(input => {
       const blockId = input.dataset.blockId;
       const unit = input.dataset.unit; // 'minutes' or 'seconds'
+      const point = input.dataset.point; // 'optimistic' / 'pessimistic' on three-point rows
+      const time = () => {
+        if (!state.estimates[blockId]) state.estimates[blockId] = {};
+        if (!point) return state.estimates[blockId];
+        if (!state.estimates[blockId][point]) state.estimates[blockId][point] = {};
+        return state.estimates[blockId][point];
+      };
 
       // Restore saved value
-      if (state.estimates[blockId] && state.estimates[blockId][unit] !== undefined) {
-        input.value = state.estimates[blockId][unit];
+      const saved = state.estimates[blockId] && (point ? state.estimates[blockId][point] : state.estimates[blockId]);
+      if (saved && saved[unit] !== undefined) {
+        input.value = saved[unit];
       }
 
       input.addEventListener('input', () => {
-        const val = parseInt(input.value);
-        if (!state.estimates[blockId]) state.estimates[blockId] = {};
-        state.estimates[blockId][unit] = isNaN(val) ? null : val;
+        // Kept as typed (decimals, negatives) so checkTimes can flag it
+        time()[unit] = input.value === '' ? null : Number(input.value);
 
         // Clear error styling on input
         input.style.borderColor = '';
+        document.querySelectorAll(`.estimation-block__range-error[data-block-id="${blockId}"]`)
+          .forEach(error => { error.hidden = true; });
+        scheduleSave();
       });
     });
+
+    container.querySelectorAll('.time-slider__input, .time-bins').forEach(control => {
+      const blockId = control.dataset.blockId;
+      const point = control.dataset.point;
+      const time = () => {
+        if (!state.estimates[blockId]) state.estimates[blockId] = {};
+        if (!point) return state.estimates[blockId];
+        if (!state.estimates[blockId][point]) state.estimates[blockId][point] = {};
+        return state.estimates[blockId][point];
+      };
+      const update = () => {
+        const t = time();
+        if (control.tagName === 'SELECT') {
+          const bin = control.value === '' ? null : parseInt(control.value);
+          if (bin === null) Object.assign(t, { minutes: null, seconds: null, bin: null });
+          else {
+            setTime(t, state.design.timeBins[bin].seconds);
+            t.bin = bin;
+          }
+          control.style.borderColor = '';
+        } else {
+          const sec = sliderSeconds(parseInt(control.value));
+          setTime(t, sec);
+          const slider = control.closest('.time-slider');
+          slider.classList.remove('time-slider--unset', 'time-slider--missing');
+          slider.querySelector('.time-slider__value').textContent = formatSeconds(sec);
+          control.setAttribute('aria-valuetext', formatSeconds(sec));
+        }
+        const rangeError = document.querySelector(`.estimation-block__order-error[data-block-id="${blockId}"]`);
+        if (rangeError) rangeError.hidden = true;
+        scheduleSave();
+      };
+      if (control.tagName === 'SELECT') {
+        control.addEventListener('change', update);
+      } else {
+        control.addEventListener('input', update);
+        // A click on the hidden starting position sets it too (no input event)
+        control.addEventListener('click', () => {
+          if (control.closest('.time-slider').classList.contains('time-slider--unset')) update();
+        });
+      }
+    });
   }
 
   // ── Validation ───────────────────────────────────────────────
 
+  const hasTime = t => !!t && ((t.minutes !== null && t.minutes !== undefined) || (t.seconds !== null && t.seconds !== undefined));
+  const secondsOf = t => (t.minutes || 0) * 60 + (t.seconds || 0);
+
+  // Same limits as validateTime on the server
+  const TIME_LIMITS = { minutes: 999, seconds: 59 };
+  const inLimit = (t, unit) => t[unit] === null || t[unit] === undefined ||
+    (Number.isInteger(t[unit]) && t[unit] >= 0 && t[unit] <= TIME_LIMITS[unit]);
+
+  // Marks a block's missing or out-of-range times (and, for three-point, an
+  // out-of-order range); returns the first offending element, or null when the
+  // times are complete
+  function checkTimes(blockId) {
+    const est = state.estimates[blockId];
+    let firstError = null;
+    let outOfRange = false;
+    const points = threePoint() ? THREE_POINTS.map(p => p.point) : [null];
+    points.forEach(point => {
+      const time = point ? est && est[point] : est;
+      const selector = `[data-block-id="${blockId}"]` + (point ? `[data-point="${point}"]` : ':not([data-point])');
+      const mark = inputs => inputs.forEach(input => {
+        input.style.borderColor = 'var(--red)';
+        const slider = input.closest('.time-slider');
+        if (slider) slider.classList.add('time-slider--missing');
+        if (!firstError) firstError = input;
+      });
+      if (!hasTime(time)) {
+        mark(document.querySelectorAll(['.estimation-block__input', '.time-slider__input', '.time-bins'].map(c => c + selector).join(', ')));
+        return;
+      }
+      Object.keys(TIME_LIMITS).filter(unit => !inLimit(time, unit)).forEach(unit => {
+        outOfRange = true;
+        mark(document.querySelectorAll(`.estimation-block__input[data-unit="${unit}"]${selector}`));
+      });
+    });
+    if (outOfRange) {
+      const timeError = document.querySelector(`.estimation-block__time-error[data-block-id="${blockId}"]`);
+      if (timeError) timeError.hidden = false;
+      if (!firstError) firstError = timeError;
+    }
+    if (!firstError && threePoint() &&
+        !(secondsOf(est.optimistic) <= secondsOf(est) && secondsOf(est) <= secondsOf(est.pessimistic))) {
+      firstError = document.querySelector(`.estimation-block__order-error[data-block-id="${blockId}"]`);
+      firstError.hidden = false;
+    }
+    return firstError;
+  }
+
+  // Ids of the estimates on the detailed page: its blocks, or its steps
+  function estimateIds() {
+    return PROCESS_MAP.phases.flatMap(phase => state.design.estimation === 'steps'
+      ? phase.steps.map(step => step.id)
+      : phase.estimationBlocks.map(block => block.id));
+  }
+
   function validateAllEstimates() {
     let valid = true;
     let firstError = null;
 
-    PROCESS_MAP.phases.forEach(phase => {
-      phase.estimationBlocks.forEach(block => {
-        const est = state.estimates[block.id];
-
-        // Check time estimate
-        const hasMin = est && est.minutes !== null && est.minutes !== undefined;
-        const hasSec = est && est.seconds !== null && est.seconds !== undefined;
-        if (!hasMin && !hasSec) {
-          valid = false;
-          const inputs = document.querySelectorAll(`.estimation-block__input[data-block-id="${block.id}"]`);
-          inputs.forEach(input => { input.style.borderColor = 'var(--red)'; });
-          if (!firstError && inputs.length > 0) firstError = inputs[0];
-        }
+    estimateIds().forEach(id => {
+      const est = state.estimates[id];
 
-        // Check confidence (compulsory — must be 1-5)
-        if (!est || !est.confidence) {
-          valid = false;
-          const confRow = document.querySelector(`.estimation-block__confidence[data-block-id="${block.id}"]`);
-          if (confRow) confRow.classList.add('confidence-missing');
-          if (!firstError && confRow) firstError = confRow;
-        }
-      });
+      // Check time estimate
+      const timeError = checkTimes(id);
+      if (timeError) {
+        valid = false;
+        if (!firstError) firstError = timeError;
+      }
+      const distributionError = checkDistribution(id);
+      if (distributionError) {
+        valid = false;
+        if (!firstError) firstError = distributionError;
+      }
+
+      // Check confidence (compulsory — must be 1-5)
+      if (!est || !est.confidence) {
+        valid = false;
+        const confRow = document.querySelector(`.estimation-block__confidence[data-block-id="${id}"]`);
+        if (confRow) confRow.classList.add('confidence-missing');
+        if (!firstError && confRow) firstError = confRow;
+      }
     });
 
     if (!valid && firstError) {
@@ -572,31 +1350,43 @@
     if (!container) return;
 
     const saved = state.estimates['overall'] || {};
+    watchStackedLayout();
+    const stacked = stackedLayout();
+    state.interactions.stackedLayout = stacked;
+    estimationRendered = true;
 
     let html = `
       <div class="page-card fade-in" style="max-width: 960px;">
         <p style="margin: 0 0 12px; font-size: 14px; color: var(--text-muted);">
           <strong>Reminder:</strong> You are estimating how long it took participants to complete the
-          <em>Municipal Green Zone Vehicle Access Permit</em> application — from the first form page to clicking "Submit application".
+          <em>${PROCESS_MAP.taskName}</em> application — ${PROCESS_MAP.taskScope}.
         </p>
 
+        ${state.design.renderer.map ? `
         <h2 style="margin-top: 0;">Process map</h2>
         <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 6px;">
           This map shows all the <strong style="color:var(--text)">steps</strong> (main actions) participants went through during the application.
         </p>
-        <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 16px; padding: 8px 12px; background: #f0f4f8; border-radius: 6px; border-left: 3px solid var(--primary);">
-          💡 <strong style="color:var(--text)">Tip:</strong> Each step may involve hidden <strong style="color:var(--text)">sub-actions</strong> — smaller, less visible actions that participants also had to perform (e.g., reading instructions, mentally calculating, scrolling).
-          <strong style="color:var(--text)">Click on any step</strong> in the process map to reveal its sub-actions. Click again to hide them.
+        ${hasSubActions() ? SUBACTIONS_TIP : ''}
+        <div id="simple-svg-map" class="svg-map-container" style="margin-bottom: 32px;">
+          ${stacked ? PROCESS_MAP.phases.map((phase, i) => `
+          <section class="est-zone" aria-label="${phase.name}">
+            <h3 class="est-zone__phase" style="border-left-color: ${phase.color};">Phase ${phase.icon}: ${phase.name}</h3>
+            <div id="simple-phase-map-${i}" class="est-zone__map"></div>
+          </section>`).join('') : ''}
+        </div>
+        ` : `
+        <h2 style="margin-top: 0;">The procedure</h2>
+        <p style="font-size: 14px; color: var(--text-muted); margin-bottom: 12px;">
+          This description lists all the <strong style="color:var(--text)">steps</strong> (main actions) participants went through during the application.
         </p>
-        <div id="simple-svg-map" class="svg-map-container" style="margin-bottom: 32px;"></div>
+        ${renderProcedureText(PROCESS_MAP.phases)}
+        `}
 
         <hr style="margin: 32px 0; border: none; border-top: 2px solid var(--border);">
 
         <h2>Your estimate</h2>
-        <div class="accuracy-reminder">
-          <span class="accuracy-reminder__icon">🎯</span>
-          <span>Please provide the most precise estimate you can. Use both <strong>minutes and seconds</strong> for accuracy.</span>
-        </div>
+        ${accuracyReminder()}
 
         <div class="estimation-block estimation-block--overall">
           <div class="estimation-block__header">
@@ -607,22 +1397,8 @@
             How long do you think it took participants, on average, to complete the <strong>entire procedure</strong> — from the first form page to clicking "Submit application"?
             <br><small>This includes entering personal details, assessing eligibility, entering vehicle information across 4 form pages, and submitting the application. It does NOT include time spent reading the consent form or task instructions beforehand.</small>
           </div>
-          <div class="estimation-block__input-row">
-            <div class="estimation-block__input-group">
-              <input type="number" class="estimation-block__input estimation-block__input--min"
-                data-block-id="overall" data-unit="minutes"
-                min="0" max="999" step="1" placeholder="—" aria-label="Minutes"
-                value="${saved.minutes !== undefined && saved.minutes !== null ? saved.minutes : ''}">
-              <span class="estimation-block__unit">min</span>
-            </div>
-            <div class="estimation-block__input-group">
-              <input type="number" class="estimation-block__input estimation-block__input--sec"
-                data-block-id="overall" data-unit="seconds"
-                min="0" max="59" step="1" placeholder="—" aria-label="Seconds"
-                value="${saved.seconds !== undefined && saved.seconds !== null ? saved.seconds : ''}">
-              <span class="estimation-block__unit">sec</span>
-            </div>
-          </div>
+          ${renderTimeInputs('overall', saved)}
+          ${renderDistribution('overall')}
           <div class="estimation-block__confidence" data-block-id="overall">
             <span class="estimation-block__confidence-label">Your confidence in this estimate:</span>
             <div class="likert-scale">
@@ -641,13 +1417,16 @@
 
     container.innerHTML = html;
 
-    // Render SVG process map (no estimation zones — simple condition)
-    if (typeof ProcessMapSVG !== 'undefined') {
-      ProcessMapSVG.render('simple-svg-map', { idPrefix: 'simple-', onStepToggle: onStepToggle });
+    // Render SVG process map (no estimation zones — overall estimate)
+    if (stacked) {
+      renderStackedMaps(PROCESS_MAP.phases.map((phase, i) => ({ containerId: 'simple-phase-map-' + i, stepIds: phase.steps.map(st => st.id), phase })));
+    } else if (state.design.renderer.map && typeof ProcessMapSVG !== 'undefined') {
+      ProcessMapSVG.render('simple-svg-map', { ...rendererOptions(), idPrefix: 'simple-', onStepToggle: onStepToggle });
     }
 
     // Wire up inputs + confidence
     wireEstimationInputs(container);
+    wireDistributions(container);
     wireConfidenceButtons(container);
 
     // Submit button
@@ -656,13 +1435,8 @@
       const est = state.estimates['overall'];
 
       // Check time estimate
-      if (!est || (est.minutes === null && est.seconds === null) ||
-          (est.minutes === undefined && est.seconds === undefined)) {
-        document.querySelectorAll('.estimation-block__input[data-block-id="overall"]').forEach(inp => {
-          inp.style.borderColor = 'var(--red)';
-        });
-        valid = false;
-      }
+      if (checkTimes('overall')) valid = false;
+      if (checkDistribution('overall')) valid = false;
 
       // Check confidence (compulsory — must be 1-5)
       if (!est || !est.confidence) {
@@ -672,111 +1446,278 @@
       }
 
       if (!valid) return;
-      showPage('error-estimation');
-      initErrorRateEstimation('simple');
+      nextPage('estimation');
     });
   }
 
   // ============================================================
-  // ERROR RATE ESTIMATION (both conditions)
+  // ERROR RATE ESTIMATION (all conditions)
   // ============================================================
 
-  function initErrorRateEstimation(fromCondition) {
-    const input = document.getElementById('error-rate-input');
-    const submitBtn = document.getElementById('error-rate-submit');
+  let errorRateWired = false;
+
+  // Per-block or per-error-loop questions asked after the overall one
+  // (the condition's errorEstimation), in map order
+  function errorRateItems() {
+    const mode = state.design.errorEstimation;
+    if (mode === 'blocks') {
+      const blockLetters = 'ABCDEFGHIJ';
+      return PROCESS_MAP.phases.flatMap(phase => phase.estimationBlocks.map(block => ({ block, phase })))
+        .map(({ block, phase }, i) => ({
+          id: block.id,
+          color: phase.color,
+          label: (blockLetters[i] || String(i + 1)) + ' — ' + block.label,
+          prompt: 'What percentage of applications do you think contained at least one such error <strong>in this part</strong> of the procedure?',
+        }));
+    }
+    if (mode === 'loops') {
+      return PROCESS_MAP.phases.flatMap(phase => phase.steps.filter(step => step.errorLoop).map(step => ({
+        id: step.id,
+        color: phase.color,
+        label: 'Step ' + step.id + ' — ' + step.name,
+        prompt: 'The form rejects this step when: <em>' + step.errorLoop.condition + '</em>.<br>' +
+          'What percentage of participants do you think made this mistake at least once?',
+      })));
+    }
+    return [];
+  }
+
+  function renderErrorRateItem(item) {
+    return `
+      <div class="estimation-block" data-error-item="${item.id}" style="border-color: ${item.color}; background: ${item.color}08;">
+        <div class="estimation-block__header">
+          <span class="estimation-block__icon">⚠️</span>
+          <span class="estimation-block__label">${item.label}</span>
+        </div>
+        <div class="estimation-block__prompt">${item.prompt}</div>
+        <div class="error-rate-row" style="display: flex; align-items: center; gap: 12px; margin: 16px 0 8px;">
+          <input type="number" class="estimation-block__input" min="0" max="100" step="1" placeholder="—"
+            aria-label="Error percentage: ${item.label}" style="width: 80px; text-align: center;">
+          <span class="estimation-block__unit" style="font-size: 16px;">%</span>
+        </div>
+        <div class="estimation-block__confidence" data-block-id="error_${item.id}">
+          <span class="estimation-block__confidence-label">Your confidence in this estimate:</span>
+          <div class="likert-scale">
+            <span class="likert-anchor likert-anchor--low">Not at all<br>confident</span>
+            ${[1,2,3,4,5].map(n => `<button class="likert-btn" data-block-id="error_${item.id}" data-level="${n}">${n}</button>`).join('')}
+            <span class="likert-anchor likert-anchor--high">Extremely<br>confident</span>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Wire one percentage answer and its confidence: `row` holds the number field
+  // (or the visual-analogue scale that replaces it), `confContainer` the Likert
+  // buttons, and the answer is kept in `record()`. `who` names what the scale's
+  // ends count. Returns a check that marks what is missing and says whether
+  // the answer is complete.
+  function wireRateAnswer(row, confContainer, record, { ariaLabel, vasId, who = 'application' }) {
+    // Visual-analogue scale: an unmarked line from 0 % to 100 % replaces the field
+    const vas = state.design.response.errorRate === 'vas';
+    if (vas) {
+      row.style.display = 'block';
+      row.innerHTML = `
+        <div class="vas vas--unset">
+          <span class="vas__anchor">0%<br><small>no ${who}</small></span>
+          <input type="range" class="vas__input"${vasId ? ` id="${vasId}"` : ''} min="0" max="100" step="1" value="50"
+            aria-label="${ariaLabel}" aria-valuetext="Not set">
+          <span class="vas__anchor">100%<br><small>every ${who}</small></span>
+        </div>
+        <div class="vas__hint">Click or drag on the line to mark your estimate.</div>`;
+    }
+    const input = row.querySelector(vas ? '.vas__input' : 'input');
+    const scale = vas ? input.closest('.vas') : null;
 
     // Restore saved values if any
-    if (state.errorRateEstimate) {
-      if (state.errorRateEstimate.percentage !== null && state.errorRateEstimate.percentage !== undefined) {
-        input.value = state.errorRateEstimate.percentage;
+    const saved = record();
+    if (saved.percentage !== null && saved.percentage !== undefined) {
+      input.value = saved.percentage;
+      if (vas) {
+        scale.classList.remove('vas--unset');
+        input.setAttribute('aria-valuetext', saved.percentage + '%');
       }
     }
 
-    // Wire confidence buttons for error_rate block
-    const confContainer = document.querySelector('.estimation-block__confidence[data-block-id="error_rate"]');
-    if (confContainer) {
-      confContainer.querySelectorAll('.likert-btn').forEach(btn => {
-        // Restore selected state
-        if (state.errorRateEstimate && state.errorRateEstimate.confidence === parseInt(btn.dataset.level)) {
-          btn.classList.add('selected');
-        }
-        btn.addEventListener('click', () => {
-          confContainer.querySelectorAll('.likert-btn').forEach(b => b.classList.remove('selected'));
-          btn.classList.add('selected');
-          confContainer.classList.remove('confidence-missing');
-          if (!state.errorRateEstimate) state.errorRateEstimate = {};
-          state.errorRateEstimate.confidence = parseInt(btn.dataset.level);
-        });
+    confContainer.querySelectorAll('.likert-btn').forEach(btn => {
+      // Restore selected state
+      if (saved.confidence === parseInt(btn.dataset.level)) btn.classList.add('selected');
+      btn.addEventListener('click', () => {
+        confContainer.querySelectorAll('.likert-btn').forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        confContainer.classList.remove('confidence-missing');
+        record().confidence = parseInt(btn.dataset.level);
+        scheduleSave();
       });
-    }
+    });
 
     // Save input on change
-    input.addEventListener('input', () => {
-      if (!state.errorRateEstimate) state.errorRateEstimate = {};
+    const onInput = () => {
       const val = input.value.trim();
-      state.errorRateEstimate.percentage = val !== '' ? parseInt(val) : null;
+      record().percentage = val !== '' ? parseInt(val) : null;
       input.style.borderColor = '';
-    });
+      if (vas) {
+        scale.classList.remove('vas--unset', 'vas--missing');
+        input.setAttribute('aria-valuetext', val + '%');
+      }
+      scheduleSave();
+    };
+    input.addEventListener('input', onInput);
+    // A click on the scale's hidden starting point marks it too (no input event)
+    if (vas) input.addEventListener('click', () => { if (scale.classList.contains('vas--unset')) onInput(); });
 
-    // Submit: validate and proceed
-    submitBtn.addEventListener('click', () => {
+    return () => {
       let valid = true;
-
-      // Validate percentage
-      const val = input.value.trim();
-      const num = parseInt(val);
-      if (val === '' || isNaN(num) || num < 0 || num > 100) {
+      // Validate percentage (an untouched scale has none)
+      const num = record().percentage;
+      if (!Number.isInteger(num) || num < 0 || num > 100) {
         input.style.borderColor = 'var(--red)';
+        if (vas) scale.classList.add('vas--missing');
         valid = false;
       }
-
       // Validate confidence
-      if (!state.errorRateEstimate || !state.errorRateEstimate.confidence) {
-        if (confContainer) confContainer.classList.add('confidence-missing');
+      if (!record().confidence) {
+        confContainer.classList.add('confidence-missing');
         valid = false;
       }
+      return valid;
+    };
+  }
 
-      if (!valid) return;
+  function initErrorRateEstimation() {
+    // The page is static HTML — wire it once, even if it is re-entered via "Adjust estimates"
+    if (errorRateWired) return;
+    errorRateWired = true;
+
+    if (!state.errorRateEstimate) state.errorRateEstimate = {};
+    const checks = [wireRateAnswer(
+      document.getElementById('error-rate-row'),
+      document.querySelector('.estimation-block__confidence[data-block-id="error_rate"]'),
+      () => state.errorRateEstimate,
+      { ariaLabel: 'Rejection rate percentage', vasId: 'error-rate-vas' }
+    )];
+
+    // Per-block or per-loop conditions: the same question for each part, after the overall one
+    const items = errorRateItems();
+    const itemsContainer = document.getElementById('error-rate-items');
+    if (items.length) {
+      const answers = state.errorRateEstimate.items || {};
+      state.errorRateEstimate.items = Object.fromEntries(items.map(item => [item.id, answers[item.id] || {}]));
+      itemsContainer.innerHTML = `
+        <p style="font-size: 15px; color: var(--text-muted); margin: 24px 0 16px;">
+          ${state.design.errorEstimation === 'loops'
+            ? 'The form also checks some of the information as it is entered, and asks for a correction when it does not match the expected format. For each of these checks:'
+            : 'Now think about where in the procedure such errors were made. For each part of the procedure:'}
+        </p>
+        ${items.map(renderErrorRateItem).join('')}`;
+      items.forEach(item => {
+        const box = itemsContainer.querySelector(`[data-error-item="${item.id}"]`);
+        checks.push(wireRateAnswer(
+          box.querySelector('.error-rate-row'),
+          box.querySelector('.estimation-block__confidence'),
+          () => state.errorRateEstimate.items[item.id],
+          { ariaLabel: 'Error percentage: ' + item.label, who: state.design.errorEstimation === 'loops' ? 'participant' : 'application' }
+        ));
+      });
+    }
 
-      if (fromCondition === 'detailed') {
-        showPage('summary');
-        renderSummary();
-      } else {
-        showPage('demographics');
-      }
+    // Submit: validate and proceed
+    document.getElementById('error-rate-submit').addEventListener('click', () => {
+      const valid = checks.map(check => check()).every(Boolean);
+      if (!valid) return;
+      nextPage('error-estimation');
     });
   }
 
   // ============================================================
-  // SUMMARY PAGE (detailed condition only)
+  // SUMMARY PAGE (conditions whose flow includes 'summary')
   // ============================================================
 
   function renderSummary() {
     const container = document.getElementById('summary-content');
     let totalSeconds = 0;
     let tableRows = '';
+    const confLabels = { 1: '1 — Not at all', 2: '2', 3: '3', 4: '4', 5: '5 — Extremely' };
+    // Three-point: PERT mean (o + 4m + p) / 6 and variance ((p − o) / 6)² per row;
+    // the totals add up, treating the blocks as independent
+    const pertTotal = { mean: 0, variance: 0 };
+    // A dropdown answer is shown as the range chosen
+    const timeText = t => (timeFormat() === 'bins' && Number.isInteger(t.bin)
+      ? state.design.timeBins[t.bin].label : formatTime(t.minutes || 0, t.seconds || 0));
+    const timeCell = t => `<td class="summary-time">${timeText(t)}</td>`;
+
+    function summaryRow(est, sectionHtml, label) {
+      const mins = est.minutes || 0;
+      const secs = est.seconds || 0;
+      totalSeconds += mins * 60 + secs;
+      const conf = est.confidence ? (confLabels[est.confidence] || est.confidence) : '—';
+      let pertCells = '';
+      if (threePoint()) {
+        const o = secondsOf(est.optimistic || {}), m = mins * 60 + secs, p = secondsOf(est.pessimistic || {});
+        const mean = (o + 4 * m + p) / 6, variance = ((p - o) / 6) ** 2;
+        pertTotal.mean += mean;
+        pertTotal.variance += variance;
+        pertCells = `${timeCell(est.pessimistic || {})}
+          <td class="summary-time">${formatSeconds(mean)}</td>
+          <td class="summary-time">${formatVariance(variance)}</td>`;
+      }
+      tableRows += `
+        <tr>
+          <td>${sectionHtml}</td>
+          <td>${label}</td>
+          <td>${conf}</td>
+          ${threePoint() ? timeCell(est.optimistic || {}) : ''}
+          ${state.design.elicitation === 'distribution' ? `<td>${distributionSummary(est)}</td>` : ''}
+          <td class="summary-time">${timeFormat() === 'bins' ? timeText(est) : formatTime(mins, secs)}</td>
+          ${pertCells}
+        </tr>
+      `;
+    }
 
-    PROCESS_MAP.phases.forEach(phase => {
-      phase.estimationBlocks.forEach(block => {
-        const est = state.estimates[block.id] || {};
-        const mins = est.minutes || 0;
-        const secs = est.seconds || 0;
-        const blockTotalSec = mins * 60 + secs;
-        totalSeconds += blockTotalSec;
-        const confVal = est.confidence;
-        const confLabels = { 1: '1 — Not at all', 2: '2', 3: '3', 4: '4', 5: '5 — Extremely' };
-        const conf = confVal ? (confLabels[confVal] || confVal) : '—';
-
-        tableRows += `
-          <tr>
-            <td><span class="summary-phase-dot" style="background: ${phase.color};"></span> Phase ${phase.icon}</td>
-            <td>${block.label}</td>
-            <td>${conf}</td>
-            <td class="summary-time">${formatTime(mins, secs)}</td>
-          </tr>
-        `;
+    // Step-level conditions: a block's subtotal is the sum of its steps (PERT means
+    // and variances add up the same way)
+    function subtotalRow(block) {
+      const ests = block.stepsIncluded.map(id => state.estimates[id] || {});
+      const sum = f => ests.reduce((total, e) => total + f(e), 0);
+      const o = e => secondsOf(e.optimistic || {}), p = e => secondsOf(e.pessimistic || {});
+      tableRows += `
+        <tr class="summary-table__subtotal">
+          <td></td>
+          <td>${block.label}: subtotal</td>
+          <td></td>
+          ${threePoint() ? `<td class="summary-time">${formatSeconds(sum(o))}</td>` : ''}
+          ${state.design.elicitation === 'distribution' ? '<td></td>' : ''}
+          <td class="summary-time">${formatSeconds(sum(secondsOf))}</td>
+          ${threePoint() ? `<td class="summary-time">${formatSeconds(sum(p))}</td>
+          <td class="summary-time">${formatSeconds(sum(e => (o(e) + 4 * secondsOf(e) + p(e)) / 6))}</td>
+          <td class="summary-time">${formatVariance(sum(e => ((p(e) - o(e)) / 6) ** 2))}</td>` : ''}
+        </tr>
+      `;
+    }
+
+    if (state.design.estimation === 'blocks') {
+      PROCESS_MAP.phases.forEach(phase => {
+        phase.estimationBlocks.forEach(block => {
+          summaryRow(state.estimates[block.id] || {},
+            `<span class="summary-phase-dot" style="background: ${phase.color};"></span> Phase ${phase.icon}`,
+            block.label);
+        });
       });
-    });
+    } else if (state.design.estimation === 'steps') {
+      PROCESS_MAP.phases.forEach(phase => {
+        phase.estimationBlocks.forEach(block => {
+          block.stepsIncluded.forEach(id => {
+            const step = phase.steps.find(s => s.id === id) || { name: '' };
+            summaryRow(state.estimates[id] || {},
+              `<span class="summary-phase-dot" style="background: ${phase.color};"></span> Phase ${phase.icon}`,
+              `<span class="summary-step-id">${id}</span> ${step.name}`);
+          });
+          subtotalRow(block);
+        });
+      });
+    } else {
+      summaryRow(state.estimates['overall'] || {}, 'All phases', 'Overall time estimate');
+    }
 
     const totalMin = Math.floor(totalSeconds / 60);
     const totalSec = totalSeconds % 60;
@@ -786,16 +1727,29 @@
     const errConfLabels = { 1: '1 — Not at all', 2: '2', 3: '3', 4: '4', 5: '5 — Extremely' };
     const errConf = errEst.confidence ? (errConfLabels[errEst.confidence] || errEst.confidence) : '—';
     const errPct = errEst.percentage !== null && errEst.percentage !== undefined ? `${errEst.percentage}%` : '—';
+    // Per-block or per-loop answers, one line each under the overall rate
+    const errItems = errorRateItems().map(item => {
+      const answer = (errEst.items || {})[item.id] || {};
+      const itemPct = Number.isInteger(answer.percentage) ? `${answer.percentage}%` : '—';
+      return `<div style="display: flex; justify-content: space-between; font-size: 14px; margin-top: 6px;">
+          <span>${item.label} <span style="color: var(--text-muted); font-size: 13px;">&nbsp;&middot;&nbsp; Confidence: ${answer.confidence ? (errConfLabels[answer.confidence] || answer.confidence) : '—'}</span></span>
+          <strong style="color: #e67700;">${itemPct}</strong>
+        </div>`;
+    }).join('');
 
     container.innerHTML = `
       <div class="summary-total">
         <span>Your total estimated time for the entire procedure</span>
         <div class="summary-total__time">${formatTime(totalMin, totalSec)}</div>
+        ${timeFormat() === 'bins' ? '<div class="summary-total__note">Each time range counts as its middle (the open top range as 1.5 × its lower edge)</div>' : ''}
+        ${threePoint() ? `<div class="summary-total__pert">Expected time (PERT): ${formatSeconds(pertTotal.mean)} ± ${formatSeconds(Math.sqrt(pertTotal.variance))}</div>` : ''}
       </div>
 
-      <table class="summary-table">
+      <table class="summary-table${threePoint() ? ' summary-table--three-point' : ''}">
         <thead>
-          <tr><th>Section</th><th>Estimation block</th><th>Confidence</th><th>Estimate</th></tr>
+          <tr><th>Section</th><th>${state.design.estimation === 'steps' ? 'Step' : 'Estimation block'}</th><th>Confidence</th>${threePoint()
+            ? '<th>Best case</th><th>Most likely</th><th>Worst case</th><th>PERT mean</th><th>Variance</th>'
+            : state.design.elicitation === 'distribution' ? '<th>Your distribution</th><th>Estimate</th>' : '<th>Estimate</th>'}</tr>
         </thead>
         <tbody>${tableRows}</tbody>
       </table>
@@ -810,6 +1764,7 @@
           </div>
           <div style="font-size: 24px; font-weight: 700; color: #e67700;">${errPct}</div>
         </div>
+        ${errItems ? `<div style="margin-top: 12px; padding-top: 8px; border-top: 1px solid #f5d9a8;">${errItems}</div>` : ''}
       </div>
 
       <p style="margin: 16px 0; color: var(--text-muted); font-size: 14px;">
@@ -823,15 +1778,24 @@
     `;
 
     document.getElementById('summary-back').addEventListener('click', () => {
-      // Return to estimation page and re-position cards
-      showPage('estimation');
-      requestAnimationFrame(() => {
-        if (window._positionEstCards) window._positionEstCards();
-      });
+      // Return to estimation page and re-position cards; it is rendered afresh
+      // when a resume skipped it or the window crossed the stacked-layout cutoff
+      state.flowPage = 'estimation';
+      if (!estimationRendered || stackedLayout() !== state.interactions.stackedLayout) {
+        PAGE_ENTER.estimation();
+      } else if (state.design.estimation !== 'overall') {
+        showPage('estimation');
+        requestAnimationFrame(() => {
+          if (window._positionEstCards) window._positionEstCards();
+        });
+      } else {
+        showPage('simple-estimation');
+      }
+      saveProgress();
     });
 
     document.getElementById('summary-continue').addEventListener('click', () => {
-      showPage('demographics');
+      nextPage('summary');
     });
   }
 
@@ -844,6 +1808,27 @@
     return `${m} min ${s} sec`;
   }
 
+  // Mini histogram of a distribution estimate, named by its fullest range
+  function distributionSummary(est) {
+    const { balls, labels } = state.design.distribution;
+    const counts = est.distribution ? est.distribution.counts : labels.map(() => 0);
+    const top = counts.indexOf(Math.max(...counts));
+    return `
+      <span class="summary-dist" role="img" aria-label="Most chances: ${labels[top]} (${Math.round(counts[top] / balls * 100)}%)" title="Most chances: ${labels[top]}">
+        ${counts.map(n => `<span class="summary-dist__bar" style="height: ${Math.round(n / balls * 100)}%;"></span>`).join('')}
+      </span>`;
+  }
+
+  function formatSeconds(total) {
+    const rounded = Math.round(total);
+    return formatTime(Math.floor(rounded / 60), rounded % 60);
+  }
+
+  // PERT variance in min² (the spread participants entered in minutes)
+  function formatVariance(varianceSec2) {
+    return `${(varianceSec2 / 3600).toFixed(2)} min²`;
+  }
+
   // ============================================================
   // DEMOGRAPHICS & SUBMISSION
   // ============================================================
@@ -869,7 +1854,7 @@
       radios.forEach(r => { state.demographics[r.name] = r.value; });
       textInputs.forEach(t => { if (t.value.trim()) state.demographics[t.name] = t.value.trim(); });
 
-      showPage('feedback');
+      nextPage('demographics');
     });
   }
 
@@ -878,43 +1863,191 @@
   // ============================================================
 
   function initFeedback() {
-    document.getElementById('feedback-submit').addEventListener('click', async () => {
+    document.getElementById('feedback-submit').addEventListener('click', () => {
       // Collect optional pilot feedback
       const feedbackText = document.querySelector('#feedback-form textarea[name="pilot_feedback"]');
       if (feedbackText && feedbackText.value.trim()) {
         state.demographics.pilot_feedback = feedbackText.value.trim();
       }
 
-      // Calculate total in seconds
-      let totalSeconds = 0;
-      Object.values(state.estimates).forEach(e => {
-        totalSeconds += (e.minutes || 0) * 60 + (e.seconds || 0);
-      });
+      nextPage('feedback');
+    });
+  }
 
-      // Compute time on task
-      state.interactions.timeOnTaskMs = Date.now() - state.startTime;
+  // ============================================================
+  // SUBMISSION (completion code only after the server acknowledges)
+  // ============================================================
+  // The payload is kept in localStorage under a client-generated submission id
+  // until the server acknowledges it, and retried with backoff. The server
+  // treats a repeated submission id as the same submission, so retries and
+  // reloads never create duplicates. If every attempt fails, the participant
+  // gets a recovery screen with the data block to send us. A payload the server
+  // refuses as invalid is moved out of the queue (to REJECTED_KEY), so a reload
+  // resumes the task instead of resending data that will never be accepted.
+
+  const PENDING_KEY = 'estimationTask.pendingSubmission';
+  const REJECTED_KEY = 'estimationTask.rejectedSubmission';
+  const RETRY_DELAYS_MS = [1000, 2000, 4000, 8000, 16000];
+
+  function newSubmissionId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+  }
+
+  function buildSubmission() {
+    // Calculate total in seconds
+    let totalSeconds = 0;
+    Object.values(state.estimates).forEach(e => {
+      totalSeconds += (e.minutes || 0) * 60 + (e.seconds || 0);
+    });
+
+    // Compute time on task
+    state.interactions.timeOnTaskMs = Date.now() - state.startTime;
+
+    return {
+      submission_id: newSubmissionId(),
+      session_id: state.sessionId,
+      condition: state.condition,
+      procedure_version: PROCEDURE_VERSION,
+      estimates: state.estimates,
+      totalEstimateSeconds: totalSeconds,
+      totalEstimateMinutes: Math.round(totalSeconds / 60 * 100) / 100,
+      errorRateEstimate: state.errorRateEstimate || null,
+      interactions: state.interactions,
+      demographics: state.demographics,
+    };
+  }
+
+  function loadPending() {
+    try {
+      const pending = JSON.parse(localStorage.getItem(PENDING_KEY));
+      return pending && pending.session_id === state.sessionId ? pending : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function storePending(payload) {
+    try {
+      localStorage.setItem(PENDING_KEY, JSON.stringify(payload));
+    } catch (e) {
+      // Storage disabled or full — retries still use the in-memory copy
+    }
+  }
 
-      // Submit
+  function clearPending() {
+    try { localStorage.removeItem(PENDING_KEY); } catch (e) { /* storage disabled */ }
+  }
+
+  // Kept (for the recovery screen's download) but no longer queued
+  function setRejected(payload) {
+    try { localStorage.setItem(REJECTED_KEY, JSON.stringify(payload)); } catch (e) { /* storage disabled */ }
+    clearPending();
+  }
+
+  // 'ok' once the server holds this session's data (this submission or an
+  // earlier one), 'rejected' if it refused the data as invalid, else 'retry'
+  async function postSubmission(payload) {
+    const resp = await fetch('/api/estimation/submit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (resp.ok) return data.success ? 'ok' : 'retry';
+    if (resp.status === 409 && data.already_completed) return 'ok';
+    if (resp.status === 400) {
+      console.error('Submission rejected:', data.details || data.error);
+      return 'rejected';
+    }
+    return 'retry';
+  }
+
+  // 'ok', 'rejected' (retrying the same data won't help) or 'failed' (no answer)
+  async function deliver(payload, statusEl) {
+    for (let attempt = 0; attempt <= RETRY_DELAYS_MS.length; attempt++) {
       try {
-        await fetch('/api/estimation/submit', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            session_id: state.sessionId,
-            condition: state.condition,
-            estimates: state.estimates,
-            totalEstimateSeconds: totalSeconds,
-            totalEstimateMinutes: Math.round(totalSeconds / 60 * 100) / 100,
-            errorRateEstimate: state.errorRateEstimate || null,
-            interactions: state.interactions,
-            demographics: state.demographics,
-          }),
-        });
+        const result = await postSubmission(payload);
+        if (result !== 'retry') return result;
       } catch (e) {
         console.error('Submission failed:', e);
       }
+      if (attempt < RETRY_DELAYS_MS.length) {
+        statusEl.textContent = `Connection problem — retrying (attempt ${attempt + 2} of ${RETRY_DELAYS_MS.length + 1})…`;
+        await new Promise(r => setTimeout(r, RETRY_DELAYS_MS[attempt]));
+      }
+    }
+    return 'failed';
+  }
 
-      showPage('complete');
+  /** Submit (or resume submitting) the session's data. Resolves true once acknowledged. */
+  async function submitEstimates() {
+    const payload = loadPending() || buildSubmission();
+    storePending(payload);
+    showPage('submitting');
+    const statusEl = document.getElementById('submit-status');
+    statusEl.textContent = '';
+    const result = await deliver(payload, statusEl);
+    if (result === 'ok') {
+      clearPending();
+      return true;
+    }
+    if (result === 'rejected') setRejected(payload);
+    showRecovery(payload, result === 'rejected');
+    return false;
+  }
+
+  function showRecovery(payload, rejected) {
+    document.getElementById('recovery-data').value = JSON.stringify(payload);
+    document.getElementById('recovery-status').textContent = '';
+    document.getElementById('recovery-unreachable').hidden = rejected;
+    document.getElementById('recovery-rejected').hidden = !rejected;
+    document.getElementById('recovery-retry').style.display = rejected ? 'none' : '';
+    showPage('recovery');
+  }
+
+  function initRecovery() {
+    const dataEl = document.getElementById('recovery-data');
+    const statusEl = document.getElementById('recovery-status');
+    const retryBtn = document.getElementById('recovery-retry');
+
+    document.getElementById('recovery-copy').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(dataEl.value);
+      } catch (e) {
+        dataEl.select();
+        document.execCommand('copy');
+      }
+      statusEl.textContent = 'Copied. Please paste it into a Prolific message to the researchers.';
+    });
+
+    document.getElementById('recovery-download').addEventListener('click', () => {
+      const blob = new Blob([dataEl.value], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'estimation-responses-' + (state.sessionId || 'session') + '.json';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      statusEl.textContent = 'Downloaded. Please attach the file to a Prolific message to the researchers.';
+    });
+
+    retryBtn.addEventListener('click', async () => {
+      const payload = loadPending() || JSON.parse(dataEl.value);
+      retryBtn.disabled = true;
+      statusEl.textContent = 'Trying again…';
+      const result = await deliver(payload, statusEl);
+      retryBtn.disabled = false;
+      if (result === 'ok') {
+        clearPending();
+        goTo('complete');
+      } else if (result === 'rejected') {
+        setRejected(payload);
+        showRecovery(payload, true);
+      } else {
+        statusEl.textContent = 'Still not saved. Please try again later or send us the data block above.';
+      }
     });
   }
 
@@ -926,19 +2059,30 @@
     const ok = await createSession();
     if (!ok) return;
 
-    // Apply condition-specific visibility
-    document.body.dataset.condition = state.condition;
+    applyCondition();
 
     initConsent();
+    initScreener();
     initIntro();
     initDemographics();
     initFeedback();
+    initRecovery();
 
-    // Set Prolific redirect link
-    const redirectLink = document.getElementById('prolific-redirect');
-    if (redirectLink) redirectLink.href = getProlificUrl();
+    // A submission interrupted by a reload is finished before anything else
+    if (loadPending()) {
+      if (await submitEstimates()) goTo('complete');
+      return;
+    }
+
+    // Returning participants continue on the page they left
+    restoreDemographics();
+    const flow = currentFlow();
+    goTo(resumePage && flow.includes(resumePage) ? resumePage : flow[0]);
+  }
 
-    showPage('consent');
+  // Apply condition-specific visibility (no-op until the condition is allocated)
+  function applyCondition() {
+    if (state.condition) document.body.dataset.condition = state.condition;
   }
 
   // Start when DOM is ready
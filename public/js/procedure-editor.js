@@ -0,0 +1,648 @@
+/**
+ * PROCEDURE EDITOR — build process maps without editing JSON
+ *
+ * Served at /editor?key=…&procedure=<id> (see src/server.js). Edits a draft
+ * copy of procedures/<id>.json:
+ *   stakeholders      id, label, colour, icon; the default stakeholder
+ *   phases            id, name, short name, colour, icon, stakeholder, description
+ *   steps             id, name, stakeholder (or the phase's), action types,
+ *                     hidden actions, error loop (retry, or back to an earlier
+ *                     step or phase, with frequency and rework cost), decision
+ *                     point (options + outcome, and optionally a branching
+ *                     gateway: a route per option)
+ *   estimation blocks id, label, prompt, ground-truth pages, included steps
+ *
+ * The BPMN panel downloads the saved version as BPMN 2.0 XML and imports a
+ * .bpmn file (Camunda Modeler, …) as a new draft (src/bpmn.js).
+ *
+ * Every edit re-renders the live preview (ProcessMapSVG.render, with the
+ * estimation zones participants see and the action-type legend) and re-validates the draft on the
+ * server, which applies the same integrity rules as at startup
+ * (src/procedure.js → procedureErrors). "Save as new version" is only enabled
+ * for a valid, changed draft.
+ *
+ * Form fields are bound to the draft by path (data-bind="phases.0.steps.2.name");
+ * structural edits (add / remove / move) rebuild the form.
+ */
+
+(function () {
+  'use strict';
+
+  const { key, procedure: procedureId } = EDITOR_CONFIG;
+  const API = '/api/procedures/' + encodeURIComponent(procedureId);
+  const ACTION_TYPES = Object.keys(ACTION_TYPE_COLORS);
+
+  let draft = null;        // definition being edited
+  let baseVersion = null;  // version the draft started from
+  let savedJson = null;    // JSON of the last loaded/saved definition
+  let lastCheck = null;    // { errors, version } for the current draft
+  let timer = null;
+
+  const form = document.getElementById('editor-form');
+  const statusEl = document.getElementById('editor-status');
+  const errorsEl = document.getElementById('editor-errors');
+  const saveBtn = document.getElementById('editor-save');
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  const esc = v => String(v === null || v === undefined ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  function resolve(path) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((obj, k) => obj[k], draft);
+    return { parent, last };
+  }
+  const getAt = path => { const { parent, last } = resolve(path); return parent[last]; };
+  const setAt = (path, value) => { const { parent, last } = resolve(path); parent[last] = value; };
+
+  const allStepIds = () => draft.phases.flatMap(p => p.steps.map(s => s.id));
+
+  function api(url, options = {}) {
+    const sep = url.includes('?') ? '&' : '?';
+    return fetch(url + sep + 'key=' + encodeURIComponent(key), {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+    }).then(r => r.json().then(body => ({ status: r.status, body })));
+  }
+
+  // ============================================================
+  // FORM RENDERING
+  // ============================================================
+
+  function field(path, label, { type = 'text', wide = false, rows = 0 } = {}) {
+    const value = getAt(path);
+    const input = rows
+      ? `<textarea data-bind="${path}" rows="${rows}">${esc(value)}</textarea>`
+      : `<input type="${type}" data-bind="${path}" value="${esc(value)}">`;
+    return `<label class="ed-field${wide ? ' ed-field--wide' : ''}">${label}${input}</label>`;
+  }
+
+  // Stakeholder picker; `inherit` labels the empty choice (performed by the phase's)
+  function stakeholderSelect(path, label, inherit) {
+    const value = getAt(path) || '';
+    const ids = Object.keys(draft.stakeholders);
+    const known = !value || ids.includes(value);
+    return `<label class="ed-field">${label}
+      <select data-bind="${path}">
+        ${inherit ? `<option value="">${esc(inherit)}</option>` : ''}
+        ${known ? '' : `<option value="${esc(value)}" selected>${esc(value)} (missing)</option>`}
+        ${ids.map(id => `<option value="${esc(id)}"${id === value ? ' selected' : ''}>${esc(draft.stakeholders[id].label || id)}</option>`).join('')}
+      </select>
+    </label>`;
+  }
+
+  function stakeholdersHtml() {
+    const rows = Object.keys(draft.stakeholders).map(id => {
+      const path = `stakeholders.${id}`;
+      return `<div class="ed-row" style="margin-bottom:4px">
+        <input type="text" value="${esc(id)}" style="flex:0 0 110px" title="Stakeholder id" disabled>
+        <input type="text" data-bind="${path}.label" value="${esc(draft.stakeholders[id].label)}" placeholder="Label">
+        <input type="text" data-bind="${path}.icon" value="${esc(draft.stakeholders[id].icon)}" style="flex:0 0 40px" title="Icon">
+        <input type="color" data-bind="${path}.color" value="${esc(draft.stakeholders[id].color || '#868E96')}" title="Colour">
+        <button class="ed-btn ed-btn--danger" data-action="remove-stakeholder" data-id="${esc(id)}" title="Remove">✕</button>
+      </div>`;
+    }).join('');
+    return `<h4>Stakeholders (one swim lane each when more than one performs steps)</h4>
+      ${rows}
+      <div class="ed-row">
+        <input type="text" id="ed-new-stakeholder" placeholder="New stakeholder id (e.g. clerk)">
+        <button class="ed-btn" data-action="add-stakeholder">+ Stakeholder</button>
+      </div>
+      <div class="ed-grid" style="margin-top:8px">${stakeholderSelect('defaultStakeholder', 'Default stakeholder', '—')}</div>`;
+  }
+
+  function tools(action, attrs) {
+    return `<span class="ed-tools">
+      <button class="ed-btn" data-action="move-${action}" data-dir="-1" ${attrs} title="Move up">↑</button>
+      <button class="ed-btn" data-action="move-${action}" data-dir="1" ${attrs} title="Move down">↓</button>
+      <button class="ed-btn ed-btn--danger" data-action="remove-${action}" ${attrs} title="Remove">✕</button>
+    </span>`;
+  }
+
+  function stepHtml(step, pi, si) {
+    const path = `phases.${pi}.steps.${si}`;
+    const phase = draft.phases[pi];
+    const phaseWho = (draft.stakeholders[phase.stakeholder] || {}).label || phase.stakeholder || 'default';
+    const attrs = `data-phase="${pi}" data-step="${si}"`;
+    const types = ACTION_TYPES.map(t => `<label><input type="checkbox" data-bind-list="${path}.actionTypes" value="${esc(t)}"${step.actionTypes.includes(t) ? ' checked' : ''}> ${esc(t)}</label>`).join('');
+    const hidden = step.hiddenActions.map((a, hi) => `
+      <div class="ed-row" style="margin-bottom:4px">
+        <input type="text" data-bind="${path}.hiddenActions.${hi}.description" value="${esc(a.description)}" placeholder="Hidden action">
+        <button class="ed-btn ed-btn--danger" data-action="remove-hidden" ${attrs} data-index="${hi}" title="Remove">✕</button>
+      </div>`).join('');
+
+    let loop = '';
+    if (step.errorLoop) {
+      // A loop goes back: this step, an earlier step, or the start of this or an earlier phase
+      const ids = allStepIds();
+      const earlier = ids.slice(0, ids.indexOf(step.id));
+      const phases = draft.phases.slice(0, pi + 1);
+      const target = step.errorLoop.target;
+      const known = target === 'self' || earlier.includes(target) || phases.some(p => p.id === target);
+      const option = (value, label) => `<option value="${esc(value)}"${value === target ? ' selected' : ''}>${esc(label)}</option>`;
+      const frequency = typeof step.errorLoop.frequency === 'number' ? Math.round(step.errorLoop.frequency * 100) : '';
+      const minutes = typeof step.errorLoop.reworkMinutes === 'number' ? step.errorLoop.reworkMinutes : '';
+      loop = `<div class="ed-grid">
+        ${field(`${path}.errorLoop.condition`, 'Loop condition (what goes wrong)')}
+        <label class="ed-field">Loops back to
+          <select data-bind="${path}.errorLoop.target">
+            ${known ? '' : `<option value="${esc(target)}" selected>${esc(target)} (missing or later)</option>`}
+            ${option('self', 'this step (retry)')}
+            ${earlier.length ? `<optgroup label="Earlier step">${earlier.map(id => option(id, 'step ' + id)).join('')}</optgroup>` : ''}
+            <optgroup label="Start of phase">${phases.map(p => option(p.id, 'phase ' + (p.name || p.id))).join('')}</optgroup>
+          </select>
+        </label>
+        <label class="ed-field">Frequency (% of applications)
+          <input type="number" min="0" max="100" data-bind-percent="${path}.errorLoop.frequency" value="${frequency}">
+        </label>
+        <label class="ed-field">Rework cost (minutes per loop)
+          <input type="number" min="0" data-bind-number="${path}.errorLoop.reworkMinutes" value="${minutes}">
+        </label>
+        ${field(`${path}.errorLoop.groundTruthPage`, 'Ground-truth page (procedure-task page id; default: the block\'s pages)')}
+      </div>`;
+    }
+
+    let decision = '';
+    if (step.isDecisionPoint) {
+      const options = step.decisionOptions || [];
+      const parallel = step.gateway === 'parallel';
+      decision = `<div class="ed-grid">
+        <label class="ed-field">Options (one per line)<textarea data-bind-lines="${path}.decisionOptions" rows="2">${esc(options.join('\n'))}</textarea></label>
+        ${parallel ? '' : `<label class="ed-field">Outcome taken by participants
+          <select data-bind="${path}.decisionOutcome">
+            <option value="">—</option>
+            ${options.map(o => `<option value="${esc(o)}"${o === step.decisionOutcome ? ' selected' : ''}>${esc(o)}</option>`).join('')}
+          </select>
+        </label>`}
+      </div>
+      <div class="ed-checks">
+        <label><input type="checkbox" data-action="toggle-branches" ${attrs}${step.branches ? ' checked' : ''}> Options lead to different routes</label>
+      </div>
+      ${step.branches ? routesHtml(step, path, attrs, pi) : ''}`;
+    }
+
+    return `<div class="ed-step">
+      <div class="ed-row">
+        <input type="text" data-rename-step="${path}" value="${esc(step.id)}" style="flex:0 0 60px" title="Step id">
+        <input type="text" data-bind="${path}.name" value="${esc(step.name)}" placeholder="Step name">
+        ${tools('step', attrs)}
+      </div>
+      <div class="ed-grid" style="margin-top:6px">${stakeholderSelect(`${path}.stakeholder`, 'Performed by', `as phase (${phaseWho})`)}</div>
+      <div class="ed-checks">${types}</div>
+      <h4>Hidden actions</h4>
+      ${hidden}
+      <button class="ed-btn" data-action="add-hidden" ${attrs}>+ Hidden action</button>
+      <div class="ed-checks" style="margin-top:8px">
+        <label><input type="checkbox" data-action="toggle-loop" ${attrs}${step.errorLoop ? ' checked' : ''}> Error loop</label>
+        <label><input type="checkbox" data-action="toggle-decision" ${attrs}${step.isDecisionPoint ? ' checked' : ''}> Decision point</label>
+      </div>
+      ${loop}${decision}
+    </div>`;
+  }
+
+  // Routes of a branching gateway: the following steps each branch runs through
+  function routesHtml(step, path, attrs, pi) {
+    const phase = draft.phases[pi];
+    const candidates = phase.steps.slice(phase.steps.indexOf(step) + 1).filter(s => !s.branches);
+    const parallel = step.gateway === 'parallel';
+    const branches = step.branches.map((b, bi) => {
+      const bpath = `${path}.branches.${bi}`;
+      const steps = candidates.map(s => `<label><input type="checkbox" data-bind-list="${bpath}.stepIds" value="${esc(s.id)}"${b.stepIds.includes(s.id) ? ' checked' : ''}> ${esc(s.id)}</label>`).join('');
+      const probability = typeof b.probability === 'number' ? Math.round(b.probability * 100) : '';
+      return `<div class="ed-block">
+        <div class="ed-row"><strong>${esc(b.label)}</strong>${parallel ? '' : `
+          <label class="ed-muted" style="margin-left:auto">Probability (%)
+            <input type="number" min="0" max="100" data-bind-percent="${bpath}.probability" value="${probability}" style="width:64px">
+          </label>`}
+        </div>
+        <div class="ed-checks"><span class="ed-muted">Route:</span> ${steps || '<span class="ed-muted">no later steps in this phase</span>'}</div>
+        ${parallel ? '' : `<div class="ed-checks">
+          <label><input type="checkbox" data-action="toggle-branch-end" ${attrs} data-index="${bi}"${b.end ? ' checked' : ''}> Ends the procedure</label>
+        </div>
+        ${b.end ? `<div class="ed-grid">${field(`${bpath}.endLabel`, 'End label')}</div>` : ''}`}
+      </div>`;
+    }).join('');
+    return `<div class="ed-grid">
+        <label class="ed-field">Gateway
+          <select data-action="set-gateway" ${attrs}>
+            <option value="exclusive"${parallel ? '' : ' selected'}>Exclusive — one route is taken</option>
+            <option value="parallel"${parallel ? ' selected' : ''}>Parallel — every route is taken</option>
+          </select>
+        </label>
+      </div>
+      ${branches}`;
+  }
+
+  function blockHtml(block, phase, pi, bi) {
+    const path = `phases.${pi}.estimationBlocks.${bi}`;
+    const attrs = `data-phase="${pi}" data-block="${bi}"`;
+    const steps = phase.steps.map(s => `<label><input type="checkbox" data-bind-list="${path}.stepsIncluded" value="${esc(s.id)}"${block.stepsIncluded.includes(s.id) ? ' checked' : ''}> ${esc(s.id)}</label>`).join('');
+    return `<div class="ed-block">
+      <div class="ed-row"><strong>Block</strong>${tools('block', attrs)}</div>
+      <div class="ed-grid">
+        ${field(`${path}.id`, 'Id')}
+        ${field(`${path}.label`, 'Label')}
+        ${field(`${path}.prompt`, 'Prompt shown to participants', { wide: true, rows: 2 })}
+        <label class="ed-field ed-field--wide">Ground-truth pages (procedure-task page ids, comma-separated)
+          <input type="text" data-bind-csv="${path}.groundTruthPages" value="${esc((block.groundTruthPages || []).join(', '))}">
+        </label>
+      </div>
+      <div class="ed-checks"><span class="ed-muted">Steps:</span> ${steps}</div>
+    </div>`;
+  }
+
+  function phaseHtml(phase, pi) {
+    const path = `phases.${pi}`;
+    const attrs = `data-phase="${pi}"`;
+    return `<details class="ed-phase" data-key="${esc(phase.id)}" style="border-left-color:${esc(phase.color)}">
+      <summary><span class="ed-swatch" style="background:${esc(phase.color)}"></span> Phase ${esc(phase.icon)}: ${esc(phase.name)} ${tools('phase', attrs)}</summary>
+      <div class="ed-grid">
+        ${field(`${path}.id`, 'Id')}
+        ${field(`${path}.name`, 'Name')}
+        ${field(`${path}.shortName`, 'Short name')}
+        ${field(`${path}.icon`, 'Icon / number')}
+        ${field(`${path}.color`, 'Colour', { type: 'color' })}
+        ${stakeholderSelect(`${path}.stakeholder`, 'Performed by', 'default stakeholder')}
+        ${field(`${path}.description`, 'Description', { wide: true, rows: 2 })}
+        ${field(`${path}.richDescription`, 'Text description (text-only conditions)', { wide: true, rows: 3 })}
+      </div>
+      <h4>Steps</h4>
+      ${phase.steps.map((s, si) => stepHtml(s, pi, si)).join('')}
+      <button class="ed-btn" data-action="add-step" ${attrs}>+ Step</button>
+      <h4>Estimation blocks</h4>
+      ${phase.estimationBlocks.map((b, bi) => blockHtml(b, phase, pi, bi)).join('')}
+      <button class="ed-btn" data-action="add-block" ${attrs}>+ Estimation block</button>
+    </details>`;
+  }
+
+  function renderForm() {
+    // Keep open phases open across rebuilds
+    const open = new Set([...form.querySelectorAll('details[open]')].map(d => d.dataset.key));
+    const first = !form.children.length;
+    form.innerHTML = `
+      <div class="ed-panel">
+        <h2>Procedure</h2>
+        <div class="ed-grid">
+          ${field('title', 'Title')}
+          ${field('taskName', 'Name shown to participants')}
+          ${field('taskScope', 'Timed from … to …', { wide: true })}
+        </div>
+        ${stakeholdersHtml()}
+      </div>
+      ${draft.phases.map(phaseHtml).join('')}
+      <button class="ed-btn" data-action="add-phase">+ Phase</button>`;
+    form.querySelectorAll('details').forEach(d => {
+      if (first || open.has(d.dataset.key)) d.open = true;
+    });
+  }
+
+  // ============================================================
+  // EDITS
+  // ============================================================
+
+  function uniqueId(prefix, taken) {
+    let n = 1;
+    while (taken.includes(prefix + n)) n++;
+    return prefix + n;
+  }
+
+  function move(list, index, dir) {
+    const j = index + dir;
+    if (j < 0 || j >= list.length) return;
+    [list[index], list[j]] = [list[j], list[index]];
+  }
+
+  // A step id is referenced by estimation blocks, error loops and branch routes
+  function renameStep(oldId, newId) {
+    const rename = id => (id === oldId ? newId : id);
+    draft.phases.forEach(p => {
+      p.estimationBlocks.forEach(b => { b.stepsIncluded = b.stepsIncluded.map(rename); });
+      p.steps.forEach(s => {
+        if (s.errorLoop && s.errorLoop.target === oldId) s.errorLoop.target = newId;
+        (s.branches || []).forEach(b => { b.stepIds = b.stepIds.map(rename); });
+      });
+    });
+  }
+
+  // Branch labels follow the decision options (by position)
+  function syncBranches(step) {
+    if (!step.branches) return;
+    step.branches = (step.decisionOptions || []).map((label, i) => ({ ...(step.branches[i] || { stepIds: [] }), label }));
+  }
+
+  // A step runs in one route only, and routes follow their gateway in branch order
+  function arrangeRoutes(phase, gateway, branchIndex, stepId) {
+    gateway.branches.forEach((b, i) => {
+      if (i !== branchIndex) b.stepIds = b.stepIds.filter(id => id !== stepId);
+    });
+    const routeIds = gateway.branches.flatMap(b => b.stepIds);
+    const at = phase.steps.indexOf(gateway);
+    phase.steps = [
+      ...phase.steps.slice(0, at + 1),
+      ...routeIds.map(id => phase.steps.find(s => s.id === id)),
+      ...phase.steps.slice(at + 1).filter(s => !routeIds.includes(s.id)),
+    ];
+  }
+
+  const ACTIONS = {
+    'add-stakeholder': () => {
+      const input = document.getElementById('ed-new-stakeholder');
+      const id = input.value.trim();
+      if (!id) return;
+      if (!/^[a-z0-9_-]+$/i.test(id)) return alert('Use letters, digits, dashes and underscores for the id');
+      if (draft.stakeholders[id]) return alert(`Stakeholder "${id}" already exists`);
+      draft.stakeholders[id] = { id, label: id, description: '', color: '#868E96', icon: '' };
+    },
+    'remove-stakeholder': ({ id }) => {
+      // Steps and phases that used it fall back to their phase / the default
+      delete draft.stakeholders[id];
+      if (draft.defaultStakeholder === id) draft.defaultStakeholder = null;
+      draft.phases.forEach(p => {
+        if (p.stakeholder === id) p.stakeholder = null;
+        p.steps.forEach(st => { if (st.stakeholder === id) delete st.stakeholder; });
+      });
+    },
+    'add-phase': () => {
+      const n = draft.phases.length + 1;
+      draft.phases.push({
+        id: uniqueId('phase_', draft.phases.map(p => p.id)),
+        name: 'New phase', shortName: '', color: '#1864AB', icon: String(n),
+        stakeholder: draft.defaultStakeholder || null,
+        description: '', richDescription: '',
+        estimationBlocks: [], steps: [],
+      });
+    },
+    'remove-phase': ({ phase }) => {
+      if (confirm('Remove this phase with all its steps and blocks?')) draft.phases.splice(phase, 1);
+    },
+    'move-phase': ({ phase, dir }) => move(draft.phases, phase, dir),
+    'add-step': ({ phase }) => {
+      const p = draft.phases[phase];
+      const id = uniqueId((p.icon || phase + 1) + '.', allStepIds());
+      p.steps.push({ id, name: '', actionTypes: [], visibility: 'documented', errorLoop: null, externalDeps: [], hiddenActions: [] });
+      // New steps join the phase's last block so coverage stays complete
+      const last = p.estimationBlocks[p.estimationBlocks.length - 1];
+      if (last) last.stepsIncluded.push(id);
+    },
+    'remove-step': ({ phase, step }) => {
+      const [removed] = draft.phases[phase].steps.splice(step, 1);
+      draft.phases.forEach(p => {
+        p.estimationBlocks.forEach(b => { b.stepsIncluded = b.stepsIncluded.filter(id => id !== removed.id); });
+        p.steps.forEach(s => (s.branches || []).forEach(b => { b.stepIds = b.stepIds.filter(id => id !== removed.id); }));
+      });
+    },
+    'move-step': ({ phase, step, dir }) => move(draft.phases[phase].steps, step, dir),
+    'add-hidden': ({ phase, step }) => draft.phases[phase].steps[step].hiddenActions.push({ description: '' }),
+    'remove-hidden': ({ phase, step, index }) => draft.phases[phase].steps[step].hiddenActions.splice(index, 1),
+    'toggle-loop': ({ phase, step }) => {
+      const s = draft.phases[phase].steps[step];
+      s.errorLoop = s.errorLoop ? null : { condition: '', target: 'self' };
+    },
+    'toggle-decision': ({ phase, step }) => {
+      const s = draft.phases[phase].steps[step];
+      if (s.isDecisionPoint) {
+        delete s.isDecisionPoint;
+        delete s.decisionOptions;
+        delete s.decisionOutcome;
+        delete s.gateway;
+        delete s.branches;
+      } else {
+        Object.assign(s, { isDecisionPoint: true, decisionOptions: ['Yes', 'No'], decisionOutcome: 'Yes' });
+      }
+    },
+    'toggle-branches': ({ phase, step }) => {
+      const s = draft.phases[phase].steps[step];
+      if (s.branches) {
+        delete s.gateway;
+        delete s.branches;
+      } else {
+        s.gateway = 'exclusive';
+        s.branches = [];
+        syncBranches(s);
+      }
+    },
+    'set-gateway': ({ phase, step, value }) => {
+      const s = draft.phases[phase].steps[step];
+      s.gateway = value;
+      // Every route of a parallel gateway is taken: no outcome, odds or early end
+      if (value === 'parallel') {
+        delete s.decisionOutcome;
+        s.branches.forEach(b => { delete b.probability; delete b.end; delete b.endLabel; });
+      }
+    },
+    'toggle-branch-end': ({ phase, step, index }) => {
+      const b = draft.phases[phase].steps[step].branches[index];
+      if (b.end) {
+        delete b.end;
+        delete b.endLabel;
+      } else {
+        b.end = true;
+      }
+    },
+    'add-block': ({ phase }) => {
+      const p = draft.phases[phase];
+      const taken = draft.phases.flatMap(ph => ph.estimationBlocks.map(b => b.id));
+      p.estimationBlocks.push({
+        id: uniqueId(p.id + '_block_', taken), label: '', prompt: '', stepsIncluded: [], groundTruthPages: [],
+      });
+    },
+    'remove-block': ({ phase, block }) => draft.phases[phase].estimationBlocks.splice(block, 1),
+    'move-block': ({ phase, block, dir }) => move(draft.phases[phase].estimationBlocks, block, dir),
+  };
+
+  function onAction(el) {
+    const num = name => (el.dataset[name] !== undefined ? Number(el.dataset[name]) : undefined);
+    ACTIONS[el.dataset.action]({
+      phase: num('phase'), step: num('step'), block: num('block'), index: num('index'), dir: num('dir'),
+      id: el.dataset.id, value: el.value,
+    });
+    renderForm();
+    changed();
+  }
+
+  form.addEventListener('click', e => {
+    const el = e.target.closest('[data-action]');
+    if (!el || el.type === 'checkbox' || el.tagName === 'SELECT') return;
+    e.preventDefault(); // buttons inside <summary> must not toggle the phase
+    onAction(el);
+  });
+
+  form.addEventListener('change', e => {
+    const el = e.target;
+    if (el.dataset.action) return onAction(el);
+    if (el.dataset.renameStep) {
+      const path = el.dataset.renameStep + '.id';
+      const oldId = getAt(path);
+      const newId = el.value.trim();
+      if (newId && newId !== oldId) {
+        setAt(path, newId);
+        renameStep(oldId, newId);
+      }
+      renderForm();
+      changed();
+      return;
+    }
+    if (el.dataset.bindList) {
+      const list = getAt(el.dataset.bindList);
+      const next = el.checked ? [...list, el.value] : list.filter(v => v !== el.value);
+      // Keep a stable order: map order for steps, legend order for action types
+      const order = el.dataset.bindList.endsWith('actionTypes') ? ACTION_TYPES : allStepIds();
+      setAt(el.dataset.bindList, next.sort((a, b) => order.indexOf(a) - order.indexOf(b)));
+      const route = el.dataset.bindList.match(/^phases\.(\d+)\.steps\.(\d+)\.branches\.(\d+)\.stepIds$/);
+      if (route) {
+        const phase = draft.phases[route[1]];
+        arrangeRoutes(phase, phase.steps[route[2]], Number(route[3]), el.value);
+        renderForm();
+      }
+      changed();
+      return;
+    }
+    // Selects and option lists change other controls (e.g. outcome choices)
+    if (el.dataset.bindLines || el.tagName === 'SELECT') renderForm();
+  });
+
+  form.addEventListener('input', e => {
+    const el = e.target;
+    if (el.dataset.bind) setAt(el.dataset.bind, el.value);
+    else if (el.dataset.bindLines) {
+      setAt(el.dataset.bindLines, el.value.split('\n').map(v => v.trim()).filter(Boolean));
+      if (el.dataset.bindLines.endsWith('.decisionOptions')) syncBranches(getAt(el.dataset.bindLines.replace(/\.decisionOptions$/, '')));
+    }
+    else if (el.dataset.bindPercent) setAt(el.dataset.bindPercent, el.value === '' ? null : Number(el.value) / 100);
+    else if (el.dataset.bindNumber) setAt(el.dataset.bindNumber, el.value === '' ? null : Number(el.value));
+    else if (el.dataset.bindCsv) setAt(el.dataset.bindCsv, el.value.split(',').map(v => v.trim()).filter(Boolean));
+    else return;
+    changed();
+  });
+
+  // ============================================================
+  // PREVIEW & VALIDATION
+  // ============================================================
+
+  function renderPreview() {
+    const preview = document.getElementById('editor-preview');
+    const letters = 'ABCDEFGHIJ';
+    const zones = [];
+    draft.phases.forEach(phase => phase.estimationBlocks.forEach(block => {
+      zones.push({ stepIds: block.stepsIncluded, color: phase.color, letter: letters[zones.length], blockId: block.id });
+    }));
+    try {
+      PROCESS_MAP = JSON.parse(JSON.stringify(draft));
+      ProcessMapSVG.render('editor-preview', { estimationZones: zones, navigation: true, legend: true });
+    } catch (err) {
+      preview.innerHTML = `<p class="ed-muted">Preview unavailable: ${esc(err.message)}</p>`;
+    }
+  }
+
+  function showStatus() {
+    const dirty = JSON.stringify(draft) !== savedJson;
+    const errors = lastCheck ? lastCheck.errors : [];
+    errorsEl.innerHTML = errors.map(e => `<li>${esc(e)}</li>`).join('');
+    if (!lastCheck) statusEl.innerHTML = 'Checking…';
+    else if (errors.length) statusEl.innerHTML = `<strong>${errors.length} problem${errors.length === 1 ? '' : 's'}</strong> to fix before saving:`;
+    else if (!dirty || lastCheck.version === baseVersion) statusEl.innerHTML = '<span class="ed-ok">✓ Valid</span> — no changes to save.';
+    else statusEl.innerHTML = `<span class="ed-ok">✓ Valid</span> — will be saved as version <code>${esc(lastCheck.version)}</code>.`;
+    saveBtn.disabled = !lastCheck || errors.length > 0 || !dirty || lastCheck.version === baseVersion;
+  }
+
+  function validate() {
+    const sent = JSON.stringify(draft);
+    api(API + '/validate', { method: 'POST', body: JSON.stringify({ definition: draft }) }).then(({ body }) => {
+      if (JSON.stringify(draft) !== sent) return; // a newer edit is on its way
+      lastCheck = body;
+      showStatus();
+    }).catch(err => { statusEl.textContent = 'Validation failed: ' + err.message; });
+  }
+
+  function changed() {
+    lastCheck = null;
+    saveBtn.disabled = true;
+    showStatus();
+    clearTimeout(timer);
+    timer = setTimeout(() => { renderPreview(); validate(); }, 300);
+  }
+
+  // ============================================================
+  // LOAD & SAVE
+  // ============================================================
+
+  function load() {
+    return api(API).then(({ status, body }) => {
+      if (status !== 200) throw new Error(body.error || 'HTTP ' + status);
+      draft = body.definition;
+      draft.stakeholders = draft.stakeholders || {};
+      baseVersion = body.version;
+      savedJson = JSON.stringify(draft);
+      document.getElementById('current-version').textContent = baseVersion;
+      form.innerHTML = '';
+      renderForm();
+      renderPreview();
+      validate();
+    }).catch(err => { statusEl.textContent = 'Could not load the procedure: ' + err.message; });
+  }
+
+  saveBtn.addEventListener('click', () => {
+    saveBtn.disabled = true;
+    statusEl.textContent = 'Saving…';
+    api(API, { method: 'PUT', body: JSON.stringify({ definition: draft, base_version: baseVersion }) }).then(({ status, body }) => {
+      if (status !== 200) {
+        statusEl.innerHTML = `<strong>Not saved:</strong> ${esc(body.error)}`;
+        errorsEl.innerHTML = (body.details || []).map(e => `<li>${esc(e)}</li>`).join('');
+        return;
+      }
+      baseVersion = body.version;
+      savedJson = JSON.stringify(draft);
+      document.getElementById('current-version').textContent = baseVersion;
+      lastCheck = { errors: [], version: baseVersion };
+      showStatus();
+      statusEl.innerHTML = body.unchanged
+        ? 'No changes to save.'
+        : `<span class="ed-ok">✓ Saved</span> as version <code>${esc(body.version)}</code> (was <code>${esc(body.previous_version)}</code>).`;
+    }).catch(err => { statusEl.textContent = 'Save failed: ' + err.message; });
+  });
+
+  document.getElementById('editor-revert').addEventListener('click', () => {
+    if (JSON.stringify(draft) === savedJson || confirm('Discard all unsaved changes?')) load();
+  });
+
+  // BPMN import: the server converts the file (src/bpmn.js) and the result
+  // replaces the draft, unsaved; what could not be carried over is listed
+  const bpmnWarnings = document.getElementById('editor-bpmn-warnings');
+  document.getElementById('editor-bpmn-file').addEventListener('change', function () {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+    if (JSON.stringify(draft) !== savedJson && !confirm('Importing replaces your unsaved changes. Continue?')) return;
+    file.text()
+      .then(xml => api(API + '/bpmn', { method: 'POST', body: JSON.stringify({ xml }) }))
+      .then(({ status, body }) => {
+        if (status !== 200) {
+          bpmnWarnings.innerHTML = `<li>Not imported: ${esc(body.error)}</li>`;
+          return;
+        }
+        draft = body.definition;
+        draft.stakeholders = draft.stakeholders || {};
+        bpmnWarnings.innerHTML = body.warnings.map(w => `<li>${esc(w)}</li>`).join('');
+        form.innerHTML = '';
+        renderForm();
+        changed();
+      })
+      .catch(err => { bpmnWarnings.innerHTML = `<li>Import failed: ${esc(err.message)}</li>`; });
+  });
+
+  document.getElementById('procedure-select').addEventListener('change', function () {
+    const url = new URL(window.location);
+    url.searchParams.set('procedure', this.value);
+    window.location = url;
+  });
+
+  window.addEventListener('beforeunload', e => {
+    if (draft && JSON.stringify(draft) !== savedJson) e.preventDefault();
+  });
+
+  load();
+})();
@@ -9,11 +9,60 @@
  * - Full text wrapping with dynamic box heights (no truncation)
  * - Proper decision label spacing
  * - Horizontal error loop labels
- * - Stakeholder-ready framework
+ * - Rework loops: an error loop back to an earlier step or phase runs in its
+ *   own channel round the content, labelled with its frequency and rework cost
+ * - Branching gateways: exclusive (one route, with branch probabilities on
+ *   the edges) or parallel (all routes), routes side by side and rejoining at
+ *   a merge gateway; a route can end the procedure
+ * - Swim lanes: one lane per stakeholder when the map has more than one, with
+ *   hand-off arrows where the flow crosses lanes and "Performed by" on
+ *   expanded steps
+ * - Left-to-right layout: phases as columns, lanes (if any) as rows; an
+ *   expanded step opens sideways, and estimation zones sit above or below
+ * - Navigation for large maps: zoom (buttons, ctrl + wheel, keyboard), pan
+ *   (drag, scroll, arrow keys), a minimap with the current viewport, and a
+ *   jump that fits one phase in view
+ * - Accessibility: expandable steps are buttons (Tab, then Enter or Space)
+ *   with aria-expanded; phases are region landmarks listing their steps;
+ *   revealed sub-actions are read as a list; decoration is aria-hidden
+ * - Narrow screens: a step's details can open in a bottom sheet instead of
+ *   inline, and block maps are drawn with narrower steps
+ * - Action-type legend: chips with step counts per type (and per phase) that
+ *   highlight the steps of the chosen types and dim the rest
  *
  * Usage:
  *   ProcessMapSVG.render('container-id')
  *   ProcessMapSVG.render('container-id', { onPhaseClick: fn })
+ *   ProcessMapSVG.exportSVG(options, 'all')  →  standalone SVG (see src/map-export.js)
+ *   ProcessMapSVG.renderBlock('container-id', stepIds, phase, options)  →  the steps of one block
+ *   ProcessMapSVG.orientationFor(options)    →  'vertical' | 'horizontal'
+ *
+ * Renderer options (set per condition in src/design.js):
+ *   showHiddenActions: false  →  steps are not expandable (no sub-actions, no +N badge)
+ *   showActionTypes:   false  →  no action type badges on steps
+ *   orientation: 'vertical' (default) → phases stacked, flow top to bottom
+ *                'horizontal'         → phases side by side, flow left to right
+ *   swimLanes: 'vertical' (default) → one lane per stakeholder (columns, or rows
+ *                                     when the flow runs left to right)
+ *              'horizontal'         → one row per stakeholder, flow left to right
+ *                                     (orientation 'horizontal' when there are lanes)
+ *              'off'                → no lanes, stakeholder only in "Performed by"
+ *   zonePosition: 'bottom' (default) | 'top' → estimation zones of a
+ *                 left-to-right map run below or above it
+ *   expandAs: 'inline' (default) → sub-actions open inside the map
+ *             'sheet'            → in a bottom sheet over the page; block maps
+ *                                  use CFG.touchStepW (phones)
+ *   navigation: 'auto' (default) → zoom / pan / minimap from CFG.navAutoSteps steps
+ *               true | false     → always / never
+ *   legend: false (default) | true → action-type legend above the map
+ *   stepMinHeights: { stepId: h }  →  room (SVG units) each step needs beside it,
+ *                   e.g. for step-level estimate cards; later content moves down
+ *                   (top-to-bottom maps only). Positions: getLastLayout().elems
+ *
+ * Callbacks: onStepToggle(stepId, 'expand'|'collapse'), onPhaseClick(phaseId),
+ * onRerender() (also after every zoom and pan), onNavigate({ action, via,
+ * zoom, x, y, phaseId }) once per zoom or pan gesture — see navigation below,
+ * onLegendToggle({ action: 'select'|'deselect'|'clear', type, active }).
  */
 
 const ProcessMapSVG = (() => {
@@ -27,6 +76,7 @@ const ProcessMapSVG = (() => {
     phasePadY:       14,
     phaseLabelH:     34,
     stepW:           480,
+    touchStepW:      260,  // block maps with expandAs 'sheet': steps stay touch-sized on a phone
     stepMinH:        56,
     stepPadTop:      12,
     stepPadBottom:   10,
@@ -56,18 +106,48 @@ const ProcessMapSVG = (() => {
     expActionFontSz: 11,
     expErrorH:       18,
     expBulletR:      2.5,
+    // Swim lanes
+    laneStepW:       300,
+    laneGap:         72,   // room for error loops between lane columns
+    laneHeaderH:     40,
+    handoffGap:      22,   // extra room above a step reached by a hand-off
+    hStepW:          230,  // horizontal lanes: step width
+    hSlotGap:        64,
+    hLaneLabelW:     130,
+    hLanePadY:       26,
+    hFlowOffset:     28,   // flow line, below the top of a lane's steps
+    hZoneH:          64,
+    hExpW:           250,  // left to right: sub-actions panel beside an expanded step
+    // Branching gateways
+    branchStepW:     240,  // step width in a route column
+    branchGap:       76,   // between route columns (room for error loops)
+    emptyRouteW:     90,   // column of a route without steps
+    mergeSize:       34,
+    // Navigation
+    navAutoSteps:    30,   // navigation: 'auto' turns on from this many steps
+    zoomStep:        1.25,
+    zoomMin:         0.2,
+    zoomMax:         3,
+    maxPhaseZoom:    1.5,  // "jump to phase" never zooms in further
+    panStep:         60,   // arrow keys, in screen px
+    minimapW:        96,
+    minimapMaxH:     480,
+    // Rework loops (back to an earlier step or phase)
+    loopChannelPad:  14,   // from the bands (vertical) or lanes (horizontal)
+    loopChannelGap:  16,
     // Colors
     lineCol:  '#bdbdbd',
     lineW:    1.4,
     arrowCol: '#757575',
     errCol:   '#C92A2A',
+    handoffCol: '#5F3DC4',
+    focusCol: '#1864AB',   // keyboard focus ring on step buttons
+    takenCol: '#2B8A3E',
     expBg:    '#fffbf0',
     expBorder:'#f0e6cc',
   };
 
-  const PHASE_INNER_W = CFG.stepW + CFG.phasePadX * 2;
   const BAND_EXTRA    = CFG.loopOffX + 30;
-  const FULL_W        = PHASE_INNER_W + CFG.canvasPad * 2 + BAND_EXTRA;
   const ZONE_W        = 54;   // extra width for estimation zone brackets
 
   // ── State ─────────────────────────────────────────────────────
@@ -77,6 +157,9 @@ const ProcessMapSVG = (() => {
   let idPrefix = 'pm';        // unique prefix per SVG to avoid ID clashes
   let blockCounter = 0;       // counter for renderBlock SVGs
   let lastLayout = null;      // stored after render for external position queries
+  const navViews = new Map(); // container id → { zoom, left, top }, kept across re-renders
+  const activeTypes = new Set(); // action types chosen in the legend
+  let exporting = false;      // exportSVG(): a static picture, no step buttons
 
   // ── SVG helpers ───────────────────────────────────────────────
   const E = {
@@ -116,25 +199,36 @@ const ProcessMapSVG = (() => {
 
   // ── Step dimension helpers ────────────────────────────────────
 
-  function stepDims(step) {
+  function isExpandable(step) {
+    if (currentOptions.showHiddenActions === false) return false;
+    return step.hiddenActions.length > 0 || !!step.errorLoop;
+  }
+
+  function showsActionTypes() {
+    return currentOptions.showActionTypes !== false;
+  }
+
+  function stepDims(step, w = CFG.stepW) {
     const idW = approxW(step.id, 10) + 14;
-    const hasExp = step.hiddenActions.length > 0 || step.errorLoop;
-    const indicatorW = hasExp ? 40 : 0;
-    const nameW = CFG.stepW - idW - indicatorW - 32;
+    const indicatorW = isExpandable(step) ? 40 : 0;
+    const nameW = w - idW - indicatorW - 32;
     const lines = wrap(step.name, nameW, CFG.stepFontSz);
     const nameH = lines.length * CFG.stepNameLineH;
-    const h = CFG.stepPadTop + nameH + CFG.stepNameBadgeGap
-            + CFG.stepBadgeRowH + CFG.stepPadBottom;
+    const badgeH = showsActionTypes() ? CFG.stepNameBadgeGap + CFG.stepBadgeRowH : 0;
+    const h = CFG.stepPadTop + nameH + badgeH + CFG.stepPadBottom;
     return { lines, nameH, idW, h: Math.max(h, CFG.stepMinH) };
   }
 
-  function expansionH(step) {
+  function expansionH(step, w = CFG.stepW) {
     if (step.hiddenActions.length === 0 && !step.errorLoop) return 0;
     let h = CFG.expPadTop;
+    if (showsPerformer()) {
+      h += CFG.expLabelH + CFG.expLabelGap;
+    }
     if (step.hiddenActions.length > 0) {
       h += CFG.expLabelH + CFG.expLabelGap;
       for (const a of step.hiddenActions) {
-        const lines = wrap(a.description, CFG.stepW - 50, CFG.expActionFontSz);
+        const lines = wrap(a.description, w - 50, CFG.expActionFontSz);
         h += lines.length * CFG.expActionLineH + CFG.expActionGap;
       }
     }
@@ -145,65 +239,512 @@ const ProcessMapSVG = (() => {
     return h;
   }
 
+  // ── Stakeholders ──────────────────────────────────────────────
+  // A step is performed by its own stakeholder, else its phase's, else the
+  // procedure's defaultStakeholder.
+
+  function stakeholderOf(step, phase) {
+    return step.stakeholder || phase.stakeholder || PROCESS_MAP.defaultStakeholder || null;
+  }
+
+  function stakeholderInfo(id) {
+    const s = (PROCESS_MAP.stakeholders || {})[id] || {};
+    return { id, label: s.label || id || 'Unassigned', color: s.color || '#868E96', icon: s.icon || '' };
+  }
+
+  // Stakeholders performing at least one step, in declaration order
+  function usedStakeholders() {
+    const used = new Set();
+    PROCESS_MAP.phases.forEach(p => p.steps.forEach(st => used.add(stakeholderOf(st, p))));
+    const declared = Object.keys(PROCESS_MAP.stakeholders || {}).filter(id => used.has(id));
+    return [...declared, ...[...used].filter(id => !declared.includes(id))];
+  }
+
+  function showsPerformer() {
+    return usedStakeholders().length > 1;
+  }
+
+  // One lane per stakeholder, when more than one performs steps
+  function hasLanes(options = currentOptions) {
+    return options.swimLanes !== 'off' && usedStakeholders().length > 1;
+  }
+
+  // Flow direction; swimLanes 'horizontal' asks for left to right when there are lanes
+  function orientationOf(options = currentOptions) {
+    if (options.orientation === 'horizontal') return 'horizontal';
+    return options.swimLanes === 'horizontal' && hasLanes(options) ? 'horizontal' : 'vertical';
+  }
+
+  function zonesOnTop() {
+    return !!currentOptions.estimationZones && currentOptions.zonePosition === 'top';
+  }
+
+  // ── Flow structure ────────────────────────────────────────────
+  // Steps follow map order, except at branching gateways: decision points with
+  // `branches`, 'exclusive' (one route is taken) or 'parallel' (all are). Each
+  // branch lists the steps of its route (`stepIds`, placed right after the
+  // gateway in its phase). Open routes rejoin at a merge gateway, or simply
+  // continue when only one does; a branch with `end: true` finishes there.
+
+  function branchesOf(step) {
+    return step.isDecisionPoint && Array.isArray(step.branches) ? step.branches : [];
+  }
+
+  function gatewayKind(step) {
+    return step.gateway === 'parallel' ? 'parallel' : 'exclusive';
+  }
+
+  function branchLabel(branch) {
+    const p = branch.probability;
+    return typeof p === 'number' ? `${branch.label} · ${Math.round(p * 100)}%` : branch.label;
+  }
+
+  // A phase as items: { step } or, for a gateway, { step, routes, merge }
+  function phaseItems(phase) {
+    const byId = new Map(phase.steps.map(s => [s.id, s]));
+    const inRoute = new Set();
+    const items = [];
+    for (const step of phase.steps) {
+      if (inRoute.has(step.id)) continue;
+      const branches = branchesOf(step);
+      if (!branches.length) {
+        items.push({ step });
+        continue;
+      }
+      const routes = branches.map(branch => {
+        const steps = (branch.stepIds || []).map(id => byId.get(id)).filter(Boolean);
+        steps.forEach(s => inRoute.add(s.id));
+        return { branch, steps, open: !branch.end };
+      });
+      items.push({ step, routes, merge: routes.filter(r => r.open).length > 1 });
+    }
+    return items;
+  }
+
+  // Edge from a gateway into one of its routes
+  function branchEdge(gateway, route) {
+    const outcome = gatewayKind(gateway.step) === 'exclusive' && gateway.step.decisionOutcome;
+    return {
+      label: branchLabel(route.branch),
+      taken: outcome ? route.branch.label === outcome : null,
+      branch: route.branch,
+    };
+  }
+
+  // Column centres of a gateway's routes in the single-column map, relative to
+  // the main column: open routes side by side, centred; routes that end to
+  // their right.
+  function routeColumns(item) {
+    const width = r => (r.steps.length ? CFG.branchStepW : CFG.emptyRouteW);
+    const order = [...item.routes.filter(r => r.open), ...item.routes.filter(r => !r.open)];
+    const cols = new Map();
+    let x = 0;
+    order.forEach(r => {
+      cols.set(r, { cx: x + width(r) / 2, w: width(r) });
+      x += width(r) + CFG.branchGap;
+    });
+    const lastOpen = cols.get(order.filter(r => r.open).pop());
+    const shift = -(lastOpen.cx + lastOpen.w / 2) / 2;
+    cols.forEach(c => { c.cx += shift; });
+    return { cols, left: shift, right: x - CFG.branchGap + shift };
+  }
+
+  // ── Error loops ───────────────────────────────────────────────
+  // An error loop retries its own step (target 'self'), or sends the
+  // applicant back to an earlier step or to the start of a phase (rework).
+
+  function isRetry(step) {
+    return step.errorLoop.target === 'self' || step.errorLoop.target === step.id;
+  }
+
+  // "15% · +20 min" from the optional frequency and rework cost
+  function loopStats(loop) {
+    const parts = [];
+    if (typeof loop.frequency === 'number') parts.push(Math.round(loop.frequency * 100) + '%');
+    if (typeof loop.reworkMinutes === 'number') parts.push('+' + loop.reworkMinutes + ' min');
+    return parts.join(' \u00B7 ');
+  }
+
+  // Rework loops of a layout; longer loops get outer channels so none cross
+  function reworkLoops(layout) {
+    const steps = layout.elems.filter(e => e.type === 'task' || e.type === 'decision');
+    const loops = [];
+    steps.forEach((from, i) => {
+      if (!from.step.errorLoop || isRetry(from.step)) return;
+      const target = from.step.errorLoop.target;
+      const to = steps.find(e => e.step.id === target) || steps.find(e => e.phase.id === target);
+      if (to) loops.push({ from, to, loop: from.step.errorLoop, span: i - steps.indexOf(to) });
+    });
+    loops.sort((a, b) => a.span - b.span).forEach((l, i) => { l.channel = i; });
+    return loops;
+  }
+
   // ── Layout computation ────────────────────────────────────────
+  // Every layout returns positioned elements (bands, start/end, tasks,
+  // decisions, merges) plus the edges between them; drawEdge() routes them.
 
   function computeLayout() {
-    const elems = [];
-    let y = CFG.canvasPad;
-    const cx = CFG.canvasPad + CFG.phasePadX + CFG.stepW / 2;
+    const layout = orientationOf() === 'horizontal' ? computeHorizontalLayout(hasLanes()) : computeVerticalLayout(hasLanes());
+    // Sequential layouts: an edge that skips over other elements goes round them
+    if (layout.sequential) {
+      const flow = layout.elems.filter(isFlowElem);
+      let channel = 0;
+      layout.edges.forEach(e => {
+        if (flow.indexOf(e.to) !== flow.indexOf(e.from) + 1) e.bypass = true;
+        if (e.bypass || (layout.orientation === 'horizontal' && e.label)) e.channel = channel++ % 3;
+      });
+    }
+    // Rework channels: right of the bands, or below the lanes
+    layout.loops = reworkLoops(layout);
+    if (layout.loops.length) {
+      const room = CFG.loopChannelPad + layout.loops.length * CFG.loopChannelGap;
+      if (layout.orientation === 'horizontal') {
+        layout.loopBase = layout.lanesBottom + 8 + CFG.loopChannelPad;
+        layout.h += room;
+      } else {
+        layout.loopBase = layout.w - CFG.canvasPad + CFG.loopChannelPad;
+        layout.w += room;
+      }
+    }
+    return layout;
+  }
+
+  function isFlowElem(e) {
+    return ['start', 'end', 'task', 'decision', 'merge'].includes(e.type);
+  }
 
-    elems.push({ type: 'start', x: cx, y: y + CFG.circleR, r: CFG.circleR });
+  // Element for one step, placed with its top at `y`; `advance` is the height it takes
+  function stepElem(step, phase, lane, cx, w, y) {
+    if (step.isDecisionPoint) {
+      const lblLines = wrap(step.name, w * 0.65, 10);
+      const lblH = step.decisionOutcome ? (2 * 13 + 4) : (lblLines.length * 13 + 4);
+      return {
+        type: 'decision', step, phase, lane,
+        x: cx, y: y + CFG.decisionSize / 2,
+        size: CFG.decisionSize, lblLines,
+        advance: CFG.decisionSize + lblH + 10,
+      };
+    }
+    const dims = stepDims(step, w);
+    const isExpanded = expandedSteps.has(step.id);
+    const expH = isExpanded ? expansionH(step, w) : 0;
+    return {
+      type: 'task', step, phase, lane, dims,
+      x: cx - w / 2, y,
+      w, h: dims.h,
+      isExpanded, expH,
+      advance: dims.h + expH + CFG.stepGap,
+    };
+  }
+
+  // Top-to-bottom flow. Without lanes, a gateway's routes run side by side in
+  // columns under it. With lanes, every stakeholder gets a column, the phase
+  // bands run across all columns, and routes follow one another (sequential).
+  function computeVerticalLayout(withLanes) {
+    const laneIds = withLanes ? usedStakeholders() : [null];
+    const stepW = withLanes ? CFG.laneStepW : CFG.stepW;
+    const laneOf = (step, phase) => (withLanes ? stakeholderOf(step, phase) : null);
+
+    // Routes side by side may need more room than one step
+    let contentW = stepW;
+    if (!withLanes) {
+      PROCESS_MAP.phases.forEach(p => phaseItems(p).filter(it => it.routes).forEach(it => {
+        const { left, right } = routeColumns(it);
+        contentW = Math.max(contentW, 2 * Math.max(-left, right));
+      }));
+    }
+    const laneCx = id => CFG.canvasPad + CFG.phasePadX + laneIds.indexOf(id) * (stepW + CFG.laneGap) + contentW / 2;
+    const innerW = laneIds.length * contentW + (laneIds.length - 1) * CFG.laneGap + CFG.phasePadX * 2;
+
+    const elems = [];
+    const edges = [];
+    let tails = [];   // open ends of the flow: { from, label, taken, via }
+    let y = CFG.canvasPad + (withLanes ? CFG.laneHeaderH + 10 : 0);
+
+    const connect = el => {
+      tails.forEach(({ from, ...rest }) => edges.push({ from, to: el, ...rest }));
+      tails = [{ from: el }];
+    };
+
+    // Sequential placement: lane changes and labelled edges get extra room
+    let lane;
+    const place = (step, phase) => {
+      const stepLane = laneOf(step, phase);
+      if (stepLane !== lane || tails.some(t => t.label)) y += CFG.handoffGap;
+      lane = stepLane;
+      const el = stepElem(step, phase, lane, laneCx(lane), stepW, y);
+      elems.push(el);
+      connect(el);
+      y += el.advance;
+      return el;
+    };
+    const placeEnd = (route, x) => {
+      if (tails.some(t => t.label)) y += CFG.handoffGap;
+      const el = { type: 'end', lane, x, y: y + CFG.circleR, r: CFG.circleR, label: route.branch.endLabel || 'End' };
+      elems.push(el);
+      connect(el);
+      y += CFG.circleR * 2 + 18 + CFG.stepGap;
+      tails = [];
+    };
+    const placeMerge = (gateway, x) => {
+      if (withLanes) y += CFG.handoffGap;
+      const el = {
+        type: 'merge', step: gateway.step, phase: gateway.phase, lane: gateway.lane,
+        kind: gatewayKind(gateway.step), x, y: y + CFG.mergeSize / 2, size: CFG.mergeSize,
+      };
+      elems.push(el);
+      connect(el);
+      y += CFG.mergeSize + CFG.stepGap;
+    };
+
+    // Main column of the single-column map
+    const placeMain = (step, phase) => {
+      const el = stepElem(step, phase, null, laneCx(null), stepW, y);
+      elems.push(el);
+      connect(el);
+      y += el.advance;
+      return el;
+    };
+
+    // Routes one after another (lanes)
+    const placeRoutesInSequence = (item, gateway, phase) => {
+      const open = [];
+      item.routes.forEach(route => {
+        tails = [{ from: gateway, ...branchEdge(gateway, route) }];
+        route.steps.forEach(s => place(s, phase));
+        if (route.open) open.push(...tails);
+        else placeEnd(route, laneCx(lane));
+      });
+      tails = open;
+      lane = gateway.lane;
+      if (item.merge) placeMerge(gateway, laneCx(lane));
+    };
+
+    // Routes side by side in columns (single-column map)
+    const placeRoutesInColumns = (item, gateway, phase) => {
+      const { cols } = routeColumns(item);
+      const y0 = y + 12;   // room for the label of a route straight below
+      let bottom = y0;
+      const open = [];
+      item.routes.forEach(route => {
+        const col = cols.get(route);
+        const x = gateway.x + col.cx;
+        let ry = y0;
+        tails = [{ from: gateway, ...branchEdge(gateway, route), via: x }];
+        route.steps.forEach(s => {
+          const el = stepElem(s, phase, null, x, CFG.branchStepW, ry);
+          el.inRoute = true;
+          elems.push(el);
+          connect(el);
+          tails[0].via = x;
+          ry += el.advance;
+        });
+        if (route.open) {
+          open.push(...tails);
+        } else {
+          const el = { type: 'end', lane: null, x, y: ry + CFG.circleR, r: CFG.circleR, label: route.branch.endLabel || 'End' };
+          elems.push(el);
+          connect(el);
+          ry += CFG.circleR * 2 + 18 + CFG.stepGap;
+        }
+        bottom = Math.max(bottom, ry);
+      });
+      y = bottom;
+      tails = open;
+      if (item.merge) placeMerge(gateway, gateway.x);
+    };
+
+    const first = PROCESS_MAP.phases[0];
+    lane = laneOf(first.steps[0], first);
+    const start = { type: 'start', lane, x: laneCx(lane), y: y + CFG.circleR, r: CFG.circleR };
+    elems.push(start);
+    tails = [{ from: start }];
     y += CFG.circleR * 2 + 18;
 
     for (const phase of PROCESS_MAP.phases) {
       const py0 = y;
       y += CFG.phaseLabelH + CFG.phasePadY;
 
-      for (const step of phase.steps) {
-        if (step.isDecisionPoint) {
-          const lblLines = wrap(step.name, CFG.stepW * 0.65, 10);
-          const lblH = step.decisionOutcome ? (2 * 13 + 4) : (lblLines.length * 13 + 4);
-          elems.push({
-            type: 'decision', step, phase,
-            x: cx, y: y + CFG.decisionSize / 2,
-            size: CFG.decisionSize, lblLines,
-          });
-          y += CFG.decisionSize + lblH + 10;
-        } else {
-          const dims = stepDims(step);
-          const isExpanded = expandedSteps.has(step.id);
-          const expH = isExpanded ? expansionH(step) : 0;
-
-          elems.push({
-            type: 'task', step, phase, dims,
-            x: cx - CFG.stepW / 2, y,
-            w: CFG.stepW, h: dims.h,
-            isExpanded, expH,
-          });
-          y += dims.h + expH + CFG.stepGap;
-        }
+      for (const item of phaseItems(phase)) {
+        const gateway = withLanes ? place(item.step, phase) : placeMain(item.step, phase);
+        if (!item.routes) continue;
+        if (withLanes) placeRoutesInSequence(item, gateway, phase);
+        else placeRoutesInColumns(item, gateway, phase);
       }
 
       y += CFG.phasePadY;
       elems.push({
         type: 'band', phase,
         x: CFG.canvasPad, y: py0,
-        w: PHASE_INNER_W + BAND_EXTRA,
+        w: innerW + BAND_EXTRA,
         h: y - py0,
       });
       y += CFG.phaseGap;
     }
 
-    elems.push({ type: 'end', x: cx, y: y + CFG.circleR, r: CFG.circleR });
+    if (withLanes && tails.some(t => t.label)) y += CFG.handoffGap;
+    const end = { type: 'end', lane, x: laneCx(lane), y: y + CFG.circleR, r: CFG.circleR };
+    elems.push(end);
+    connect(end);
     y += CFG.circleR * 2 + CFG.canvasPad;
 
-    return { elems, w: FULL_W, h: y, cx };
+    const w = innerW + BAND_EXTRA + CFG.canvasPad * 2;
+    const lanes = withLanes ? laneIds.map((id, i) => {
+      const x = CFG.canvasPad + i * (stepW + CFG.laneGap);
+      const last = i === laneIds.length - 1;
+      return { ...stakeholderInfo(id), x, w: last ? w - CFG.canvasPad - x : stepW + CFG.laneGap };
+    }) : null;
+
+    return {
+      orientation: 'vertical', sequential: withLanes,
+      elems, edges, w, h: y, cx: laneCx(laneIds[0]), lanes,
+    };
+  }
+
+  // Left-to-right flow, with one row per stakeholder (or a single row). Every
+  // element has its own column slot (so routes follow one another); phase
+  // bands are column spans across all rows. An expanded step opens its
+  // sub-actions beside it, widening its slot and pushing what follows right.
+  function computeHorizontalLayout(withLanes) {
+    const laneIds = withLanes ? usedStakeholders() : [null];
+    const laneOf = (step, phase) => (withLanes ? stakeholderOf(step, phase) : null);
+    const stepW = CFG.hStepW;
+
+    // Flow elements in order, with slot widths; edges as in the vertical layout
+    const seq = [];
+    const edges = [];
+    let tails = [];
+    const add = (node, lane, slotW) => {
+      const it = { node, lane, slotW };
+      seq.push(it);
+      tails.forEach(({ from, ...rest }) => edges.push({ from, to: node, ...rest }));
+      tails = [{ from: node }];
+      return it;
+    };
+    const stepNode = (step, phase) => {
+      const node = { type: step.isDecisionPoint ? 'decision' : 'task', step, phase, lane: laneOf(step, phase) };
+      const expanded = node.type === 'task' && expandedSteps.has(step.id) && isExpandable(step);
+      add(node, node.lane, expanded ? stepW + CFG.hExpW : stepW);
+      return node;
+    };
+
+    const start = { type: 'start' };
+    const firstPhase = PROCESS_MAP.phases[0];
+    start.lane = laneOf(firstPhase.steps[0], firstPhase);
+    add(start, start.lane, CFG.circleR * 2);
+    const phaseSlots = PROCESS_MAP.phases.map(phase => {
+      const from = seq.length;
+      phaseItems(phase).forEach(item => {
+        const gateway = stepNode(item.step, phase);
+        if (!item.routes) return;
+        const open = [];
+        item.routes.forEach(route => {
+          tails = [{ from: gateway, ...branchEdge(gateway, route) }];
+          let last = gateway;
+          route.steps.forEach(s => { last = stepNode(s, phase); });
+          if (route.open) {
+            open.push(...tails);
+          } else {
+            const end = { type: 'end', lane: last.lane, label: route.branch.endLabel || 'End' };
+            add(end, end.lane, CFG.circleR * 2 + 24);
+            tails = [];
+          }
+        });
+        tails = open;
+        if (item.merge) {
+          const merge = { type: 'merge', step: item.step, phase, lane: gateway.lane, kind: gatewayKind(item.step) };
+          add(merge, merge.lane, CFG.mergeSize + 16);
+        }
+      });
+      return { phase, from, to: seq.length };
+    });
+    const end = { type: 'end', lane: tails.length ? tails[tails.length - 1].from.lane : start.lane };
+    add(end, end.lane, CFG.circleR * 2);
+
+    // Column slots
+    let x = CFG.canvasPad + (withLanes ? CFG.hLaneLabelW : 0) + 18;
+    const slotLeft = [];
+    seq.forEach((it, i) => {
+      const phaseStart = phaseSlots.find(p => p.from === i);
+      if (phaseStart) x += CFG.phasePadX;
+      slotLeft.push(x);
+      x += it.slotW + CFG.hSlotGap;
+      const phaseEnd = phaseSlots.find(p => p.to === i + 1);
+      if (phaseEnd) x += CFG.phasePadX - CFG.hSlotGap + CFG.phaseGap;
+      if (i === 0) x += 18;
+    });
+    const spans = phaseSlots.map(p => ({
+      phase: p.phase,
+      x0: slotLeft[p.from] - CFG.phasePadX,
+      x1: slotLeft[p.to - 1] + seq[p.to - 1].slotW + CFG.phasePadX,
+    }));
+    const w = slotLeft[seq.length - 1] + seq[seq.length - 1].slotW + 18 + CFG.canvasPad;
+
+    // Sizes, then row heights
+    seq.forEach(it => {
+      const n = it.node;
+      if (n.type === 'decision') {
+        n.lblLines = wrap(n.step.name, stepW * 0.9, 10);
+        const lblH = n.step.decisionOutcome ? (2 * 13 + 4) : (n.lblLines.length * 13 + 4);
+        it.fullH = CFG.hFlowOffset + CFG.decisionSize / 2 + lblH;
+      } else if (n.type === 'task') {
+        n.dims = stepDims(n.step, stepW);
+        n.isExpanded = it.slotW > stepW;
+        n.expH = n.isExpanded ? Math.max(expansionH(n.step, CFG.hExpW), n.dims.h) : 0;
+        it.fullH = Math.max(n.dims.h, n.expH);
+      } else {
+        it.fullH = CFG.hFlowOffset + CFG.circleR + 18;
+      }
+    });
+    // Estimation zones on top get their room above the bands
+    const top = CFG.canvasPad + (zonesOnTop() ? CFG.hZoneH : 0);
+    let y = top + CFG.phaseLabelH + 8;
+    const lanesTop = y;
+    const rows = laneIds.map(id => {
+      const rowH = Math.max(CFG.stepMinH, ...seq.filter(it => it.lane === id).map(it => it.fullH));
+      const lane = {
+        ...(withLanes ? stakeholderInfo(id) : { id }),
+        x: CFG.canvasPad, y, w: w - CFG.canvasPad * 2, h: rowH + CFG.hLanePadY * 2,
+        flowY: y + CFG.hLanePadY + CFG.hFlowOffset,
+      };
+      y += lane.h;
+      return lane;
+    });
+    const row = id => rows.find(l => l.id === id);
+
+    const elems = spans.map(sp => ({
+      type: 'band', phase: sp.phase,
+      x: sp.x0, y: top, w: sp.x1 - sp.x0, h: y - top + 8,
+    }));
+    seq.forEach((it, i) => {
+      const n = it.node;
+      const flowY = row(it.lane).flowY;
+      const mid = slotLeft[i] + it.slotW / 2;
+      n.slotLeft = slotLeft[i];
+      n.slotRight = slotLeft[i] + it.slotW;
+      if (n.type === 'task') {
+        Object.assign(n, { x: slotLeft[i], y: flowY - CFG.hFlowOffset, w: stepW, h: n.dims.h, loopAbove: true });
+        if (n.isExpanded) Object.assign(n, { expSide: true, expW: CFG.hExpW });
+      } else if (n.type === 'decision') {
+        Object.assign(n, { x: mid, y: flowY, size: CFG.decisionSize });
+      } else if (n.type === 'merge') {
+        Object.assign(n, { x: mid, y: flowY, size: CFG.mergeSize });
+      } else {
+        Object.assign(n, { x: mid, y: flowY, r: CFG.circleR });
+      }
+      elems.push(n);
+    });
+
+    return {
+      orientation: 'horizontal', sequential: true,
+      elems, edges, w, h: y + 8 + CFG.canvasPad, lanes: withLanes ? rows : null, rows, lanesTop, lanesBottom: y,
+    };
   }
 
   // ── Zone height adjustment for estimation cards ─────────────
 
   function adjustLayoutForZoneMinHeights(layout, zones, minHeights) {
-    if (!zones || !minHeights) return;
+    if (!zones || !minHeights || layout.orientation === 'horizontal') return;
 
     for (let idx = 0; idx < zones.length; idx++) {
       const zone = zones[idx];
@@ -273,14 +814,14 @@ const ProcessMapSVG = (() => {
   function topY(e) {
     if (e.type === 'start' || e.type === 'end') return e.y - e.r;
     if (e.type === 'task') return e.y;
-    if (e.type === 'decision') return e.y - e.size / 2;
+    if (e.type === 'decision' || e.type === 'merge') return e.y - e.size / 2;
     return e.y;
   }
 
   function bottomY(e) {
     if (e.type === 'start' || e.type === 'end') return e.y + e.r;
-    if (e.type === 'task') return e.y + e.h + (e.expH || 0);
-    if (e.type === 'decision') return e.y + e.size / 2;
+    if (e.type === 'task') return e.expSide ? e.y + e.expH : e.y + e.h + (e.expH || 0);
+    if (e.type === 'decision' || e.type === 'merge') return e.y + e.size / 2;
     return e.y;
   }
 
@@ -296,53 +837,292 @@ const ProcessMapSVG = (() => {
         markerWidth="${CFG.arrowSz}" markerHeight="${CFG.arrowSz}" orient="auto-start-reverse">
         <path d="M0 0L10 5L0 10z" fill="${CFG.errCol}"/>
       </marker>
+      <marker id="${idPrefix}-arr-hand" viewBox="0 0 10 10" refX="10" refY="5"
+        markerWidth="${CFG.arrowSz}" markerHeight="${CFG.arrowSz}" orient="auto-start-reverse">
+        <path d="M0 0L10 5L0 10z" fill="${CFG.handoffCol}"/>
+      </marker>
       <filter id="${idPrefix}-shd" x="-4%" y="-4%" width="108%" height="112%">
         <feDropShadow dx="0" dy="1" stdDeviation="2" flood-opacity="0.1"/>
       </filter>
     </defs>`;
 
     const bands = layout.elems.filter(e => e.type === 'band');
-    const flow  = layout.elems.filter(e =>
-      ['start', 'end', 'task', 'decision'].includes(e.type));
+    const flow  = layout.elems.filter(isFlowElem);
 
+    // Decoration: screen readers get the phases and steps instead
+    svg += '<g aria-hidden="true">';
+    svg += drawLanes(layout);
     for (const b of bands) svg += drawBand(b);
+    svg += drawLaneLabels(layout);
 
-    for (let i = 0; i < flow.length - 1; i++) {
-      svg += tag('line', {
-        x1: layout.cx, y1: bottomY(flow[i]),
-        x2: layout.cx, y2: topY(flow[i + 1]),
-        stroke: CFG.lineCol, 'stroke-width': CFG.lineW,
-        'marker-end': `url(#${idPrefix}-arr)`,
+    for (const edge of layout.edges) svg += drawEdge(edge, layout);
+    for (const loop of layout.loops) svg += drawReworkLoop(loop, layout);
+    svg += '</g>';
+
+    // Start, one landmark per phase listing its steps, end
+    const outside = flow.filter(e => !e.phase);
+    for (const e of outside.filter(e => e.type === 'start')) svg += drawFlowElem(e);
+    for (const phase of PROCESS_MAP.phases) {
+      svg += phaseRegionOpen(phase);
+      for (const e of flow.filter(e => e.phase === phase)) svg += drawFlowElem(e);
+      svg += '</g></g>';
+    }
+    for (const e of outside.filter(e => e.type !== 'start')) svg += drawFlowElem(e);
+
+    return svg;
+  }
+
+  function drawFlowElem(e) {
+    if (e.type === 'start')    return drawCircle(e, '#2B8A3E', 'Start', false);
+    if (e.type === 'end')      return drawCircle(e, '#C92A2A', e.label || 'End', true);
+    if (e.type === 'task')     return drawTask(e);
+    if (e.type === 'decision') return drawDecision(e);
+    if (e.type === 'merge')    return drawMerge(e);
+    return '';
+  }
+
+  // ── Edges ─────────────────────────────────────────────────────
+
+  function centerX(e) {
+    return e.type === 'task' ? e.x + e.w / 2 : e.x;
+  }
+
+  function halfW(e) {
+    if (e.type === 'task') return e.w / 2;
+    return e.size ? e.size / 2 : e.r;
+  }
+
+  function leftX(e) {
+    return centerX(e) - halfW(e);
+  }
+
+  // An expanded step's sub-actions panel beside it (left to right) counts as part of it
+  function rightX(e) {
+    return e.expSide ? e.x + e.w + e.expW : centerX(e) + halfW(e);
+  }
+
+  // Height of the flow line through an element (horizontal lanes)
+  function flowY(e) {
+    return e.type === 'task' ? e.y + CFG.hFlowOffset : e.y;
+  }
+
+  function isGateway(e) {
+    return e.type === 'decision' || e.type === 'merge';
+  }
+
+  /**
+   * Orthogonal route of an edge: { points: [[x, y], …], label: { x, y, anchor } }.
+   *   vertical, same column    straight down
+   *   vertical, `via` column   out of the gateway's side, down the route's
+   *                            column, into the merge's side (routes in columns)
+   *   vertical, other lane     elbow just above the target (hand-off)
+   *   bypass                   round the elements in between, along a channel
+   *                            at the lane's left edge (vertical) or bottom (horizontal)
+   */
+  function routeEdge(edge, layout) {
+    const { from: a, to: b } = edge;
+
+    if (layout.orientation === 'horizontal') {
+      const x1 = rightX(a), y1 = flowY(a);
+      const x2 = leftX(b), y2 = flowY(b);
+      const mx1 = a.slotRight + CFG.hSlotGap / 2;
+      if (edge.bypass || edge.label) {
+        const lane = layout.rows.find(l => l.id === a.lane);
+        const cy = lane.y + lane.h - 8 - 6 * (edge.channel || 0);
+        const mx2 = b.slotLeft - CFG.hSlotGap / 2;
+        return {
+          points: [[x1, y1], [mx1, y1], [mx1, cy], [mx2, cy], [mx2, y2], [x2, y2]],
+          label: { x: mx1 + 4, y: cy - 3, anchor: 'start' },
+        };
+      }
+      if (y1 === y2) return { points: [[x1, y1], [x2, y2]], label: { x: x1 + 4, y: y1 - 4, anchor: 'start' } };
+      return {
+        points: [[x1, y1], [mx1, y1], [mx1, y2], [x2, y2]],
+        // Left of the elbow, over the previous slot (empty in the receiving lane)
+        label: { x: mx1 - 6, y: y2 - 6, anchor: 'end' },
+      };
+    }
+
+    const x1 = centerX(a), x2 = centerX(b);
+    const y2 = topY(b);
+
+    if (edge.bypass) {
+      const lane = layout.lanes.find(l => l.id === a.lane);
+      const cx = lane.x + 6 + 5 * (edge.channel || 0);
+      const out = isGateway(a) ? [[leftX(a), a.y], [cx, a.y]] : [[x1, bottomY(a)], [x1, bottomY(a) + 7], [cx, bottomY(a) + 7]];
+      return {
+        points: [...out, [cx, y2 - 7], [x2, y2 - 7], [x2, y2]],
+        label: { x: x2 + 6, y: y2 - 10, anchor: 'start' },
+      };
+    }
+
+    if (edge.via !== undefined) {
+      const via = edge.via;
+      const sideOut = isGateway(a) && via !== x1;
+      const points = sideOut
+        ? [[via < x1 ? leftX(a) : rightX(a), a.y], [via, a.y]]
+        : [[x1, bottomY(a)]];
+      if (b.type === 'merge' && via !== x2) {
+        points.push([via, b.y], [via < x2 ? leftX(b) : rightX(b), b.y]);
+      } else if (via !== x2) {
+        points.push([via, y2 - 8], [x2, y2 - 8], [x2, y2]);
+      } else {
+        points.push([x2, y2]);
+      }
+      const label = sideOut
+        ? { x: via, y: a.y - 5, anchor: 'middle' }
+        : { x: via + 6, y: y2 - 4, anchor: 'start' };
+      return { points, label };
+    }
+
+    const y1 = bottomY(a);
+    if (x1 === x2) return { points: [[x1, y1], [x2, y2]], label: { x: x1 + 6, y: y2 - 4, anchor: 'start' } };
+    const my = y2 - Math.min(16, (y2 - y1) / 2);
+    return {
+      points: [[x1, y1], [x1, my], [x2, my], [x2, y2]],
+      label: { x: (x1 + x2) / 2, y: my - 4, anchor: 'middle' },
+    };
+  }
+
+  // Plain arrow; green for the route participants took, dashed for the others;
+  // dashed purple "hand-off" where the flow passes to another stakeholder
+  function drawEdge(edge, layout) {
+    const { from: a, to: b } = edge;
+    const { points, label } = routeEdge(edge, layout);
+    const handoff = a.lane !== b.lane;
+
+    const style = { stroke: CFG.lineCol, 'stroke-width': CFG.lineW, marker: 'arr' };
+    if (handoff) Object.assign(style, { stroke: CFG.handoffCol, 'stroke-width': 1.6, dash: '6,3', marker: 'arr-hand' });
+    if (edge.taken === true) Object.assign(style, { stroke: CFG.takenCol, 'stroke-width': 2 });
+    if (edge.taken === false) style.dash = '4,3';
+
+    if (points.length === 2 && !edge.label && !handoff && !style.dash) {
+      return tag('line', {
+        x1: points[0][0], y1: points[0][1],
+        x2: points[1][0], y2: points[1][1],
+        stroke: style.stroke, 'stroke-width': style['stroke-width'],
+        'marker-end': `url(#${idPrefix}-${style.marker})`,
       });
     }
 
-    for (const e of flow) {
-      if (e.type === 'start')         svg += drawCircle(e, '#2B8A3E', 'Start', false);
-      else if (e.type === 'end')      svg += drawCircle(e, '#C92A2A', 'End', true);
-      else if (e.type === 'task')     svg += drawTask(e);
-      else if (e.type === 'decision') svg += drawDecision(e);
+    const attrs = {
+      d: points.map(([x, y], i) => `${i ? 'L' : 'M'}${x} ${y}`).join(' '),
+      fill: 'none', stroke: style.stroke, 'stroke-width': style['stroke-width'],
+      'marker-end': `url(#${idPrefix}-${style.marker})`,
+    };
+    if (style.dash) attrs['stroke-dasharray'] = style.dash;
+
+    let s = handoff ? `<g class="pm-handoff" data-from="${E.a(a.lane)}" data-to="${E.a(b.lane)}">` : '<g class="pm-edge">';
+    s += tag('path', attrs);
+    const text = edge.label || (handoff ? `hand-off to ${stakeholderInfo(b.lane).label}` : '');
+    if (text) {
+      s += tag('text', {
+        x: label.x, y: label.y,
+        fill: edge.label ? (edge.taken ? CFG.takenCol : '#495057') : CFG.handoffCol,
+        'font-size': 9, 'font-weight': 600,
+        'text-anchor': label.anchor,
+        'font-family': 'system-ui,sans-serif',
+        'paint-order': 'stroke', stroke: '#fff', 'stroke-width': 3,
+      }, E.t(text));
     }
+    s += '</g>';
+    return s;
+  }
 
-    return svg;
+  // ── Swim lanes ────────────────────────────────────────────────
+
+  // Lane backgrounds, drawn under the phase bands
+  function drawLanes(layout) {
+    if (!layout.lanes) return '';
+    let s = '';
+    layout.lanes.forEach((lane, i) => {
+      const fill = i % 2 ? '#f1f3f5' : '#fff';
+      if (layout.orientation === 'horizontal') {
+        s += tag('rect', {
+          x: lane.x, y: lane.y, width: lane.w, height: lane.h,
+          fill, stroke: '#dee2e6', 'stroke-width': 1,
+        });
+      } else {
+        const y = CFG.canvasPad;
+        s += tag('rect', {
+          x: lane.x, y, width: lane.w, height: layout.h - CFG.canvasPad - y,
+          fill, stroke: '#dee2e6', 'stroke-width': 1,
+        });
+      }
+    });
+    return s;
   }
 
-  function wrapSvg(content, w, h) {
+  // Lane headers (vertical) or row labels (horizontal), drawn over the bands
+  function drawLaneLabels(layout) {
+    if (!layout.lanes) return '';
+    let s = '';
+    layout.lanes.forEach(lane => {
+      const label = lane.icon ? `${lane.icon} ${lane.label}` : lane.label;
+      s += `<g class="pm-lane" data-stakeholder="${E.a(lane.id)}">`;
+      if (layout.orientation === 'horizontal') {
+        s += tag('rect', {
+          x: lane.x, y: lane.y, width: CFG.hLaneLabelW, height: lane.h,
+          fill: lane.color + '14', stroke: '#dee2e6', 'stroke-width': 1,
+        });
+        s += tag('rect', { x: lane.x, y: lane.y, width: 4, height: lane.h, fill: lane.color });
+        const lines = wrap(label, CFG.hLaneLabelW - 24, 11);
+        let textEl = `<text fill="${E.a(lane.color)}" font-size="11" font-weight="700" font-family="system-ui,sans-serif">`;
+        lines.forEach((line, i) => {
+          textEl += `<tspan x="${lane.x + 14}" y="${lane.y + lane.h / 2 - (lines.length - 1) * 7 + i * 14 + 4}">${E.t(line)}</tspan>`;
+        });
+        s += textEl + '</text>';
+      } else {
+        s += tag('rect', {
+          x: lane.x + 4, y: CFG.canvasPad, width: lane.w - 8, height: CFG.laneHeaderH,
+          rx: 6, fill: lane.color,
+        });
+        s += tag('text', {
+          x: lane.x + lane.w / 2, y: CFG.canvasPad + CFG.laneHeaderH / 2 + 1,
+          fill: '#fff', 'font-size': 12, 'font-weight': 700,
+          'text-anchor': 'middle', 'dominant-baseline': 'middle',
+          'font-family': 'system-ui,sans-serif',
+        }, E.t(label));
+      }
+      s += '</g>';
+    });
+    return s;
+  }
+
+  // `zoom` gives the SVG a fixed size (navigation viewport) instead of fitting its container
+  function wrapSvg(content, w, h, zoom = null) {
+    const size = zoom === null
+      ? `width="100%" style="max-width:${w}px;display:block;margin:0 auto"`
+      : `width="${w * zoom}" height="${h * zoom}" style="display:block"`;
     return `<svg xmlns="http://www.w3.org/2000/svg"
       viewBox="0 0 ${w} ${h}"
-      width="100%" style="max-width:${w}px;display:block;margin:0 auto">
+      ${size} role="group" aria-label="${E.a(mapLabel())}">
+      <desc>${E.t(MAP_HELP)}</desc>
       <style>
         .pm-task{cursor:pointer}
-        .pm-task:hover>rect:first-child{filter:brightness(.96)}
+        .pm-task:hover>g>rect:first-child{filter:brightness(.96)}
         .pm-badge text{font-family:system-ui,-apple-system,sans-serif}
+        ${FOCUS_STYLE}
       </style>
       ${content}
     </svg>`;
   }
 
+  const MAP_HELP = 'Phases are landmarks listing their steps. Steps with hidden sub-actions are buttons: '
+    + 'press Enter or Space to show or hide them.';
+  const FOCUS_STYLE = '.pm-step-btn{outline:none}'
+    + `.pm-step-btn:focus-visible>rect:first-child{stroke:${CFG.focusCol};stroke-width:3}`;
+
+  function mapLabel() {
+    const name = PROCESS_MAP.taskName || PROCESS_MAP.title;
+    return name ? `Process map: ${name}` : 'Process map';
+  }
+
   function drawZones(layout, zones) {
+    if (layout.orientation === 'horizontal') return drawZonesAlong(layout, zones);
     let s = '';
     const letters = 'ABCDEFGHIJ';
-    const zx = FULL_W + 4;
+    const zx = layout.w + 4;
 
     zones.forEach((zone, idx) => {
       const stepElems = layout.elems.filter(e =>
@@ -357,6 +1137,30 @@ const ProcessMapSVG = (() => {
       const letter = letters[idx] || String(idx + 1);
       const color = zone.color;
 
+      // Store positions for external use
+      zone._yMin = yMin;
+      zone._yMax = yMax;
+      zone._yCenter = yCenter;
+
+      // A zone within routes side by side: outline its steps instead of a
+      // bracket, which would overlap the other routes' zones
+      if (stepElems.every(e => e.inRoute)) {
+        const x0 = Math.min(...stepElems.map(e => leftX(e))) - 6;
+        const x1 = Math.max(...stepElems.map(e => rightX(e))) + 6;
+        s += tag('rect', {
+          x: x0, y: yMin - 6, width: x1 - x0, height: yMax - yMin + 12, rx: 10,
+          fill: 'none', stroke: color, 'stroke-width': 2, 'stroke-dasharray': '6,4', opacity: 0.7,
+        });
+        s += tag('circle', { cx: x1, cy: yMin - 6, r: 11, fill: color });
+        s += tag('text', {
+          x: x1, y: yMin - 5,
+          fill: '#fff', 'font-size': 11, 'font-weight': 700,
+          'text-anchor': 'middle', 'dominant-baseline': 'middle',
+          'font-family': 'system-ui,sans-serif',
+        }, letter);
+        return;
+      }
+
       // Vertical bracket line
       s += tag('line', {
         x1: zx + 4, y1: yMin + 2, x2: zx + 4, y2: yMax - 2,
@@ -380,20 +1184,331 @@ const ProcessMapSVG = (() => {
         'text-anchor': 'middle', 'dominant-baseline': 'middle',
         'font-family': 'system-ui,sans-serif',
       }, letter);
+    });
 
-      // Store positions for external use
-      zone._yMin = yMin;
-      zone._yMax = yMax;
-      zone._yCenter = yCenter;
+    return s;
+  }
+
+  // Left to right: zone brackets run along the bottom of the map, or along
+  // the top (brackets open downwards, badges above them)
+  function drawZonesAlong(layout, zones) {
+    let s = '';
+    const letters = 'ABCDEFGHIJ';
+    const above = zonesOnTop();
+    const dir = above ? -1 : 1;
+    const zy = above ? CFG.canvasPad + CFG.hZoneH - 8 : layout.h - CFG.canvasPad + 8;
+
+    zones.forEach((zone, idx) => {
+      const stepElems = layout.elems.filter(e =>
+        (e.type === 'task' || e.type === 'decision') &&
+        zone.stepIds.includes(e.step.id)
+      );
+      if (stepElems.length === 0) return;
+
+      const xMin = Math.min(...stepElems.map(e => leftX(e)));
+      const xMax = Math.max(...stepElems.map(e => rightX(e)));
+      const xCenter = (xMin + xMax) / 2;
+      const letter = letters[idx] || String(idx + 1);
+      const color = zone.color;
+
+      s += tag('path', {
+        d: `M${xMin + 2} ${zy} L${xMin + 2} ${zy + 4 * dir} L${xMax - 2} ${zy + 4 * dir} L${xMax - 2} ${zy}`,
+        fill: 'none', stroke: color, 'stroke-width': 2.5,
+        'stroke-linecap': 'round', 'stroke-linejoin': 'round', opacity: 0.7,
+      });
+      s += tag('circle', { cx: xCenter, cy: zy + 28 * dir, r: 16, fill: color });
+      s += tag('text', {
+        x: xCenter, y: zy + 28 * dir + 1,
+        fill: '#fff', 'font-size': 14, 'font-weight': 700,
+        'text-anchor': 'middle', 'dominant-baseline': 'middle',
+        'font-family': 'system-ui,sans-serif',
+      }, letter);
+
+      // Cards beside the map align on y: give every zone the full lane height
+      zone._xMin = xMin;
+      zone._xMax = xMax;
+      zone._xCenter = xCenter;
+      zone._yMin = layout.lanesTop;
+      zone._yMax = layout.lanesBottom;
+      zone._yCenter = layout.lanesTop;
     });
 
     return s;
   }
 
+  // ── Accessibility ─────────────────────────────────────────────
+  // Each phase is a region landmark holding a list of its steps. A step with
+  // hidden content is a button (Tab to it, Enter or Space toggles it) whose
+  // aria-expanded follows the map; once expanded, its performer, sub-actions
+  // and error loop are read as a list right after it. Lanes, bands, arrows
+  // and zone brackets are decoration, hidden from screen readers.
+
+  function phaseRegionOpen(phase) {
+    const desc = phase.description ? `<desc>${E.t(phase.description)}</desc>` : '';
+    return `<g role="region" aria-label="${E.a(`Phase ${phase.icon}: ${phase.name}`)}">${desc}`
+      + `<g role="list" aria-label="${E.a(`Steps of ${phase.name}`)}">`;
+  }
+
+  function stepLabel(step, phase) {
+    const parts = [`Step ${step.id}: ${step.name}`];
+    if (showsActionTypes() && step.actionTypes.length) {
+      parts.push(step.actionTypes.map(t => t.split(': ')[1] || t).join(', '));
+    }
+    if (isExpandable(step)) {
+      const n = step.hiddenActions.length;
+      const more = [];
+      if (n) more.push(`${n} hidden sub-action${n === 1 ? '' : 's'}`);
+      if (step.errorLoop) more.push('an error loop');
+      if (more.length) parts.push('Has ' + more.join(' and '));
+    }
+    return parts.join('. ');
+  }
+
+  function decisionLabel(step) {
+    const parts = [`Decision ${step.id}: ${step.name}`];
+    const branches = branchesOf(step);
+    const parallel = gatewayKind(step) === 'parallel';
+    if (branches.length) {
+      const routes = branches.map(b => {
+        let text = b.label;
+        if (!parallel && typeof b.probability === 'number') text += `, ${Math.round(b.probability * 100)}% of cases`;
+        text += b.stepIds && b.stepIds.length ? `, steps ${b.stepIds.join(', ')}` : ', no extra steps';
+        if (b.end) text += `, then ${b.endLabel || 'the procedure ends'}`;
+        return text;
+      });
+      parts.push((parallel ? 'All of these routes are taken: ' : 'One of these routes is taken: ') + routes.join('; '));
+    } else if (step.decisionOptions && step.decisionOptions.length) {
+      parts.push('Options: ' + step.decisionOptions.join(', '));
+    }
+    if (step.decisionOutcome && !(parallel && branches.length)) {
+      parts.push(`Participants selected: ${step.decisionOutcome}`);
+    }
+    return parts.join('. ');
+  }
+
+  // Click, Enter or Space on an expandable step toggles it; keyboard focus
+  // stays on the same step across the re-render
+  function wireStepToggles(container, findStep, rerender) {
+    container.querySelectorAll('.pm-task').forEach(g => {
+      const sid = g.dataset.stepId;
+      const stepData = findStep(sid);
+      if (!stepData || !isExpandable(stepData)) {
+        g.style.cursor = 'default';
+        return;
+      }
+      const toggle = () => {
+        if (currentOptions.expandAs === 'sheet') {
+          showSheet(stepData, g);
+          return;
+        }
+        const hadFocus = g.contains(document.activeElement);
+        const wasExpanded = expandedSteps.has(sid);
+        if (wasExpanded) expandedSteps.delete(sid);
+        else expandedSteps.add(sid);
+        if (currentOptions.onStepToggle) {
+          currentOptions.onStepToggle(sid, wasExpanded ? 'collapse' : 'expand');
+        }
+        rerender();
+        if (!hadFocus) return;
+        const again = [...container.querySelectorAll('.pm-task')].find(t => t.dataset.stepId === sid);
+        const btn = again && again.querySelector('.pm-step-btn');
+        if (btn) btn.focus({ preventScroll: true });
+      };
+      g.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        toggle();
+      });
+      const btn = g.querySelector('.pm-step-btn');
+      if (btn) {
+        btn.addEventListener('keydown', (ev) => {
+          if (ev.key !== 'Enter' && ev.key !== ' ' && ev.key !== 'Spacebar') return;
+          ev.preventDefault();
+          ev.stopPropagation();
+          toggle();
+        });
+      }
+    });
+  }
+
+  // ── Action-type legend (legend: true) ─────────────────────────
+  // Above the map: a chip per action type on the map, in ACTION_TYPE_COLORS
+  // order, with its number of steps, and a table of the counts per phase.
+  // Pressing chips highlights the steps that have any chosen type (their
+  // badges are outlined) and dims the others; "Show all" clears the choice.
+  // The choice is kept across re-renders and reported through onLegendToggle.
+
+  function typeColors(type) {
+    return (typeof ACTION_TYPE_COLORS !== 'undefined' ? ACTION_TYPE_COLORS[type] : null)
+      || { bg: '#f5f5f5', text: '#666' };
+  }
+
+  function typeLabel(type) {
+    return type.split(': ')[1] || type;
+  }
+
+  function legendActive() {
+    return !!currentOptions.legend && !exporting && activeTypes.size > 0;
+  }
+
+  function dimAttr(step) {
+    return legendActive() && !step.actionTypes.some(t => activeTypes.has(t)) ? ' opacity="0.25"' : '';
+  }
+
+  // [{ type, total, byPhase: { phaseId: n } }] for the types used on the map
+  function actionTypeCounts() {
+    const known = typeof ACTION_TYPE_COLORS !== 'undefined' ? Object.keys(ACTION_TYPE_COLORS) : [];
+    const counts = new Map(known.map(t => [t, { type: t, total: 0, byPhase: {} }]));
+    for (const phase of PROCESS_MAP.phases) {
+      for (const step of phase.steps) {
+        for (const t of step.actionTypes) {
+          if (!counts.has(t)) counts.set(t, { type: t, total: 0, byPhase: {} });
+          const c = counts.get(t);
+          c.total++;
+          c.byPhase[phase.id] = (c.byPhase[phase.id] || 0) + 1;
+        }
+      }
+    }
+    return [...counts.values()].filter(c => c.total > 0);
+  }
+
+  function legendHtml() {
+    const counts = actionTypeCounts();
+    if (!counts.length) return '';
+    const steps = PROCESS_MAP.phases.flatMap(p => p.steps);
+    const shown = steps.filter(st => st.actionTypes.some(t => activeTypes.has(t))).length;
+    const chip = c => {
+      const colors = typeColors(c.type);
+      const on = activeTypes.has(c.type);
+      return `<button type="button" class="pm-legend__chip" data-legend-type="${E.a(c.type)}" aria-pressed="${on}"`
+        + ` title="${E.a(c.type)}" style="font:inherit;font-size:12px;font-weight:600;padding:3px 10px;border-radius:12px;cursor:pointer;`
+        + `background:${colors.bg};color:${colors.text};border:1.5px solid ${on ? colors.text : 'transparent'};`
+        + `opacity:${activeTypes.size && !on ? 0.55 : 1}">${E.t(typeLabel(c.type))} <span style="font-weight:400">${c.total}</span></button>`;
+    };
+    const phases = PROCESS_MAP.phases;
+    const cell = 'padding:2px 8px;text-align:right;border-bottom:1px solid #f1f3f5';
+    const table = `<table style="border-collapse:collapse;font-size:12px;margin-top:6px">
+      <thead><tr><th scope="col" style="text-align:left;padding:2px 8px">Action type</th>
+        ${phases.map(p => `<th scope="col" style="${cell};color:${E.a(p.color)}" title="${E.a(p.name)}">${E.t(p.shortName || p.name)}</th>`).join('')}
+        <th scope="col" style="${cell}">All</th></tr></thead>
+      <tbody>${counts.map(c => `<tr${activeTypes.size && !activeTypes.has(c.type) ? ' style="opacity:0.55"' : ''}>
+        <th scope="row" style="text-align:left;padding:2px 8px;font-weight:600;color:${E.a(typeColors(c.type).text)}">${E.t(c.type)}</th>
+        ${phases.map(p => `<td style="${cell}">${c.byPhase[p.id] || '\u2013'}</td>`).join('')}
+        <td style="${cell};font-weight:600">${c.total}</td></tr>`).join('')}</tbody>
+    </table>`;
+    return `<div class="pm-legend" role="group" aria-label="Action types: press to highlight their steps" style="margin-bottom:10px">
+      <div style="display:flex;flex-wrap:wrap;gap:6px;align-items:center">
+        ${counts.map(chip).join('')}
+        <button type="button" class="pm-legend__clear" style="font:inherit;font-size:12px;padding:3px 10px;border:1px solid #ced4da;border-radius:12px;background:#fff;cursor:pointer"${activeTypes.size ? '' : ' disabled'}>Show all</button>
+      </div>
+      <p class="pm-legend__status" aria-live="polite" style="font-size:12px;color:#6c757d;margin:4px 0 0">
+        ${activeTypes.size ? `Highlighting ${shown} of ${steps.length} steps` : `${steps.length} steps \u00B7 press a type to highlight its steps`}
+      </p>
+      <details style="font-size:12px;margin-top:2px"><summary style="cursor:pointer;color:#495057">Steps per phase</summary>${table}</details>
+    </div>`;
+  }
+
+  function wireLegend(container, rerender) {
+    const legend = container.querySelector('.pm-legend');
+    if (!legend) return;
+    const details = legend.querySelector('details');
+    const report = (action, type) => {
+      if (currentOptions.onLegendToggle) currentOptions.onLegendToggle({ action, type, active: [...activeTypes] });
+    };
+    // Re-render, keeping the table open and focus on the same chip
+    const again = (type, open) => {
+      rerender();
+      const next = container.querySelector('.pm-legend');
+      if (!next) return;
+      if (open) next.querySelector('details').open = true;
+      const chips = [...next.querySelectorAll('.pm-legend__chip')];
+      const el = chips.find(b => b.dataset.legendType === type) || chips[0];
+      if (el) el.focus({ preventScroll: true });
+    };
+    legend.querySelectorAll('.pm-legend__chip').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const type = btn.dataset.legendType;
+        const open = details.open;
+        if (activeTypes.has(type)) activeTypes.delete(type);
+        else activeTypes.add(type);
+        report(activeTypes.has(type) ? 'select' : 'deselect', type);
+        again(type, open);
+      });
+    });
+    legend.querySelector('.pm-legend__clear').addEventListener('click', () => {
+      const open = details.open;
+      activeTypes.clear();
+      report('clear', null);
+      again(null, open);
+    });
+  }
+
+  // ── Bottom sheet (expandAs: 'sheet') ──────────────────────────
+  // On a phone the step's details slide up over the page rather than grow the
+  // map: the same performer, sub-actions and error loop, in a dialog. One
+  // sheet at a time; closing it (×, the backdrop or Escape) collapses the step
+  // and gives focus back to it. Both are logged through onStepToggle.
+
+  let closeOpenSheet = null;
+
+  function showSheet(step, g) {
+    if (closeOpenSheet) closeOpenSheet();
+    const phase = PROCESS_MAP.phases.find(p => p.steps.includes(step));
+    const btn = g.querySelector('.pm-step-btn');
+    const who = stakeholderInfo(stakeholderOf(step, phase));
+
+    let body = '';
+    if (step.hiddenActions.length > 0) {
+      body += '<div class="pm-overlay__label">Hidden sub-actions</div><ul role="list" style="list-style:none">';
+      body += step.hiddenActions.map(a => '<li class="pm-overlay__row"><span class="pm-overlay__dot" aria-hidden="true"></span>'
+        + `<span class="pm-overlay__desc">${E.t(a.description)}</span></li>`).join('');
+      body += '</ul>';
+    } else {
+      body += '<p class="pm-overlay__empty">No hidden sub-actions.</p>';
+    }
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'pm-sheet-backdrop';
+    backdrop.innerHTML = `<div class="pm-overlay pm-sheet" role="dialog" aria-modal="true" aria-labelledby="pm-sheet-title">
+      <div class="pm-overlay__head" style="border-left-color:${E.a(phase.color)}">
+        <span class="pm-overlay__id" style="color:${E.a(phase.color)}">${E.t(step.id)}</span>
+        <span class="pm-overlay__name" id="pm-sheet-title">${E.t(step.name)}</span>
+        <button type="button" class="pm-overlay__x" aria-label="Close">\u00D7</button>
+      </div>
+      <div class="pm-overlay__body">${body}</div>
+      ${step.errorLoop ? `<div class="pm-overlay__err">${E.t('\u21BB Error loop: ' + errorLoopText(step))}</div>` : ''}
+      ${showsPerformer() ? `<div class="pm-overlay__stakeholder">Performed by <span class="pm-overlay__sh-label" style="color:${E.a(who.color)}">${E.t(who.icon ? `${who.icon} ${who.label}` : who.label)}</span></div>` : ''}
+    </div>`;
+
+    const onKey = ev => {
+      if (ev.key === 'Escape') close();
+    };
+    const close = () => {
+      closeOpenSheet = null;
+      backdrop.remove();
+      document.removeEventListener('keydown', onKey);
+      if (btn) btn.setAttribute('aria-expanded', 'false');
+      if (currentOptions.onStepToggle) currentOptions.onStepToggle(step.id, 'collapse');
+      if (btn && btn.isConnected) btn.focus({ preventScroll: true });
+    };
+    backdrop.addEventListener('click', ev => {
+      if (ev.target === backdrop) close();
+    });
+    backdrop.querySelector('.pm-overlay__x').addEventListener('click', close);
+    document.addEventListener('keydown', onKey);
+    closeOpenSheet = close;
+
+    document.body.appendChild(backdrop);
+    if (btn) btn.setAttribute('aria-expanded', 'true');
+    if (currentOptions.onStepToggle) currentOptions.onStepToggle(step.id, 'expand');
+    backdrop.querySelector('.pm-overlay__x').focus();
+  }
+
   // ── Draw helpers ──────────────────────────────────────────────
 
   function drawCircle(e, color, label, filled) {
-    let s = '';
+    let s = e.type === 'end' && e.label
+      ? '<g aria-hidden="true">'
+      : `<g role="img" aria-label="${E.a(e.type === 'start' ? 'Start of the procedure' : 'End of the procedure')}">`;
     s += tag('circle', {
       cx: e.x, cy: e.y, r: e.r,
       fill: filled ? color : '#fff', stroke: color, 'stroke-width': 2.5,
@@ -409,7 +1524,7 @@ const ProcessMapSVG = (() => {
       fill: '#9e9e9e', 'font-size': 10,
       'text-anchor': 'middle', 'font-family': 'system-ui,sans-serif',
     }, label);
-    return s;
+    return s + '</g>';
   }
 
   function drawBand(b) {
@@ -435,9 +1550,17 @@ const ProcessMapSVG = (() => {
 
   function drawTask(e) {
     const { step, phase, dims, isExpanded } = e;
-    const hasExpandable = step.hiddenActions.length > 0 || step.errorLoop;
-
-    let s = `<g class="pm-task" data-step-id="${step.id}" data-phase-id="${phase.id}">`;
+    const hasExpandable = isExpandable(step);
+
+    const expId = `${idPrefix}-exp-${step.id}`;
+    let s = `<g class="pm-task" data-step-id="${step.id}" data-phase-id="${phase.id}" role="listitem"${dimAttr(step)}>`;
+    // The box: a toggle button when there is something to reveal
+    s += hasExpandable && !exporting
+      ? `<g class="pm-step-btn" role="button" tabindex="0" aria-expanded="${isExpanded}"`
+        + (currentOptions.expandAs === 'sheet' ? ' aria-haspopup="dialog"' : '')
+        + (isExpanded ? ` aria-controls="${E.a(expId)}"` : '')
+        + ` aria-label="${E.a(stepLabel(step, phase))}">`
+      : `<g role="img" aria-label="${E.a(stepLabel(step, phase))}">`;
 
     // Main box
     s += tag('rect', {
@@ -471,12 +1594,15 @@ const ProcessMapSVG = (() => {
     // Action type badges
     const by = e.y + CFG.stepPadTop + dims.nameH + CFG.stepNameBadgeGap;
     let bx = e.x + 10;
-    for (const type of step.actionTypes) {
-      const colors = (typeof ACTION_TYPE_COLORS !== 'undefined'
-        ? ACTION_TYPE_COLORS[type] : null) || { bg: '#f5f5f5', text: '#666' };
-      const label = type.split(': ')[1] || type;
+    for (const type of showsActionTypes() ? step.actionTypes : []) {
+      const colors = typeColors(type);
+      const label = typeLabel(type);
       const bw = approxW(label, CFG.badgeFontSz) + CFG.badgePadX * 2;
-      s += tag('rect', { x: bx, y: by, width: bw, height: CFG.badgeH, rx: CFG.badgeR, fill: colors.bg });
+      const chosen = legendActive() && activeTypes.has(type);
+      s += tag('rect', {
+        x: bx, y: by, width: bw, height: CFG.badgeH, rx: CFG.badgeR, fill: colors.bg,
+        ...(chosen ? { stroke: colors.text, 'stroke-width': 1.5 } : {}),
+      });
       s += tag('text', {
         x: bx + bw / 2, y: by + CFG.badgeH / 2 + 1,
         fill: colors.text, 'font-size': CFG.badgeFontSz, 'font-weight': 600,
@@ -506,48 +1632,74 @@ const ProcessMapSVG = (() => {
       }, E.t(indicator));
     }
 
+    s += '</g>';
+
     // Error loop arrow
-    if (step.errorLoop) s += drawErrorLoop(e);
+    if (step.errorLoop && isRetry(step)) s += `<g aria-hidden="true">${drawErrorLoop(e)}</g>`;
 
-    // Expansion area (inline, pushes content down)
+    // Expansion area (inline, pushes content down, or right when left to right)
     if (isExpanded) {
+      s += `<g id="${E.a(expId)}" role="list" aria-label="${E.a(`Details of step ${step.id}`)}">`;
       s += drawExpansion(e);
+      s += '</g>';
     }
 
     s += '</g>';
     return s;
   }
 
+  // Below the step box, or beside it when the map runs left to right
   function drawExpansion(e) {
     const { step, phase } = e;
-    const ey = e.y + e.h; // expansion starts at bottom of step box
+    const ex = e.expSide ? e.x + e.w - 1 : e.x;
+    const ey = e.expSide ? e.y : e.y + e.h;
+    const ew = e.expSide ? e.expW + 1 : e.w;
     let s = '';
 
     // Background — connected to step box
+    s += '<g aria-hidden="true">';
     s += tag('rect', {
-      x: e.x + 1, y: ey - 1,
-      width: e.w - 2, height: e.expH + 1,
+      x: ex + 1, y: ey - 1,
+      width: ew - 2, height: e.expH + 1,
       fill: CFG.expBg, stroke: CFG.expBorder, 'stroke-width': 1,
     });
-    // Round bottom corners
-    s += tag('rect', {
-      x: e.x + 1, y: ey + e.expH - 9,
-      width: e.w - 2, height: 10, rx: 8,
-      fill: CFG.expBg,
-    });
+    // Round outer corners
+    s += e.expSide
+      ? tag('rect', { x: ex + ew - 11, y: ey, width: 11, height: e.expH, rx: 8, fill: CFG.expBg })
+      : tag('rect', { x: ex + 1, y: ey + e.expH - 9, width: ew - 2, height: 10, rx: 8, fill: CFG.expBg });
     // Left accent
     s += tag('rect', {
-      x: e.x + 1, y: ey,
+      x: ex + 1, y: ey,
       width: 3, height: e.expH - 1,
       fill: phase.color + '60',
     });
+    s += '</g>';
 
     let cy = ey + CFG.expPadTop;
 
+    // Performed by (maps with more than one stakeholder)
+    if (showsPerformer()) {
+      const who = stakeholderInfo(stakeholderOf(step, phase));
+      s += `<g role="listitem" aria-label="${E.a('Performed by ' + who.label)}">`;
+      s += tag('text', {
+        x: ex + 16, y: cy + 10,
+        fill: '#495057', 'font-size': 10, 'font-weight': 700,
+        'font-family': 'system-ui,sans-serif',
+        'letter-spacing': '0.3',
+      }, E.t('PERFORMED BY'));
+      s += tag('text', {
+        x: ex + 104, y: cy + 10,
+        fill: who.color, 'font-size': 11, 'font-weight': 600,
+        'font-family': 'system-ui,sans-serif',
+      }, E.t(who.icon ? `${who.icon} ${who.label}` : who.label));
+      s += '</g>';
+      cy += CFG.expLabelH + CFG.expLabelGap;
+    }
+
     // Label
     if (step.hiddenActions.length > 0) {
       s += tag('text', {
-        x: e.x + 16, y: cy + 10,
+        x: ex + 16, y: cy + 10, 'aria-hidden': 'true',
         fill: '#E67700', 'font-size': 10, 'font-weight': 700,
         'font-family': 'system-ui,sans-serif',
         'letter-spacing': '0.3',
@@ -556,19 +1708,20 @@ const ProcessMapSVG = (() => {
 
       for (const action of step.hiddenActions) {
         // Bullet
+        s += `<g role="listitem" aria-label="${E.a('Hidden sub-action: ' + action.description)}">`;
         s += tag('circle', {
-          cx: e.x + 22, cy: cy + 6, r: CFG.expBulletR,
+          cx: ex + 22, cy: cy + 6, r: CFG.expBulletR,
           fill: '#E67700',
         });
 
         // Description text (wrapped)
-        const descLines = wrap(action.description, e.w - 52, CFG.expActionFontSz);
+        const descLines = wrap(action.description, ew - 52, CFG.expActionFontSz);
         let textEl = `<text fill="#495057" font-size="${CFG.expActionFontSz}" font-family="system-ui,sans-serif">`;
         descLines.forEach((line, i) => {
-          textEl += `<tspan x="${e.x + 32}" y="${cy + 10 + i * CFG.expActionLineH}">${E.t(line)}</tspan>`;
+          textEl += `<tspan x="${ex + 32}" y="${cy + 10 + i * CFG.expActionLineH}">${E.t(line)}</tspan>`;
         });
         textEl += '</text>';
-        s += textEl;
+        s += textEl + '</g>';
 
         cy += descLines.length * CFG.expActionLineH + CFG.expActionGap;
       }
@@ -578,10 +1731,10 @@ const ProcessMapSVG = (() => {
     if (step.errorLoop) {
       cy += 4;
       s += tag('text', {
-        x: e.x + 16, y: cy + 10,
+        x: ex + 16, y: cy + 10, role: 'listitem',
         fill: CFG.errCol, 'font-size': 11, 'font-weight': 500,
         'font-family': 'system-ui,sans-serif',
-      }, E.t('\u21BB Error loop: ' + step.errorLoop.condition));
+      }, E.t('\u21BB Error loop: ' + errorLoopText(step)));
     }
 
     return s;
@@ -590,11 +1743,13 @@ const ProcessMapSVG = (() => {
   function drawDecision(e) {
     const { step, phase, lblLines } = e;
     const cx = e.x, cy = e.y, half = e.size / 2;
-    const resolved = !!step.decisionOutcome;
+    const parallel = gatewayKind(step) === 'parallel' && branchesOf(step).length > 0;
+    const resolved = !!step.decisionOutcome && !parallel;
     const strokeCol = resolved ? '#2B8A3E' : phase.color;
     const iconCol = resolved ? '#2B8A3E' : phase.color;
 
-    let s = `<g class="pm-decision" data-step-id="${step.id}" data-phase-id="${phase.id}">`;
+    let s = `<g class="pm-decision" data-step-id="${step.id}" data-phase-id="${phase.id}" role="listitem"${dimAttr(step)}>`;
+    s += `<g role="img" aria-label="${E.a(decisionLabel(step))}">`;
     s += tag('polygon', {
       points: `${cx},${cy - half} ${cx + half},${cy} ${cx},${cy + half} ${cx - half},${cy}`,
       fill: resolved ? '#ebfbee' : '#fff', stroke: strokeCol,
@@ -605,7 +1760,7 @@ const ProcessMapSVG = (() => {
       fill: iconCol, 'font-size': resolved ? 20 : 18, 'font-weight': 700,
       'text-anchor': 'middle', 'dominant-baseline': 'middle',
       'font-family': 'system-ui,sans-serif',
-    }, resolved ? '\u2713' : '?');
+    }, resolved ? '\u2713' : parallel ? '+' : '?');
 
     if (resolved) {
       // Show resolved outcome label
@@ -632,11 +1787,44 @@ const ProcessMapSVG = (() => {
       s += labelEl;
     }
 
+    s += '</g></g>';
+    return s;
+  }
+
+  // Where the routes of a branching gateway rejoin
+  function drawMerge(e) {
+    const cx = e.x, cy = e.y, half = e.size / 2;
+    let s = `<g class="pm-merge" data-gateway-id="${E.a(e.step.id)}" aria-hidden="true">`;
+    s += tag('polygon', {
+      points: `${cx},${cy - half} ${cx + half},${cy} ${cx},${cy + half} ${cx - half},${cy}`,
+      fill: '#fff', stroke: e.phase.color, 'stroke-width': 2,
+    });
+    if (e.kind === 'parallel') {
+      s += tag('text', {
+        x: cx, y: cy + 1,
+        fill: e.phase.color, 'font-size': 16, 'font-weight': 700,
+        'text-anchor': 'middle', 'dominant-baseline': 'middle',
+        'font-family': 'system-ui,sans-serif',
+      }, '+');
+    }
     s += '</g>';
     return s;
   }
 
+  // Condition, where the loop goes back to, and its frequency and rework cost
+  function errorLoopText(step) {
+    const loop = step.errorLoop;
+    let text = loop.condition;
+    if (!isRetry(step)) {
+      const phase = PROCESS_MAP.phases.find(p => p.id === loop.target && !p.steps.some(st => st.id === loop.target));
+      text += ' \u2192 back to ' + (phase ? 'phase ' + phase.name : 'step ' + loop.target);
+    }
+    const stats = loopStats(loop);
+    return stats ? `${text} (${stats})` : text;
+  }
+
   function drawErrorLoop(e) {
+    if (e.loopAbove) return drawErrorLoopAbove(e);
     let s = '';
     const rx = e.x + e.w;
     const yMid = e.y + e.h / 2;
@@ -657,16 +1845,347 @@ const ProcessMapSVG = (() => {
       'stroke-dasharray': '4,3', 'marker-end': `url(#${idPrefix}-arr-err)`,
     });
 
+    const stats = loopStats(e.step.errorLoop);
     s += tag('text', {
       x: lx + 6, y: topLoop + 4,
       fill: CFG.errCol, 'font-size': 9, 'font-weight': 600,
       'font-family': 'system-ui,sans-serif',
       'dominant-baseline': 'middle',
-    }, E.t('\u21BB Retry'));
+    }, E.t('\u21BB Retry') + (stats ? `<tspan x="${lx + 6}" dy="11">${E.t(stats)}</tspan>` : ''));
+
+    return s;
+  }
+
+  // Horizontal lanes: the loop arcs over the top of the box, clear of the flow
+  function drawErrorLoopAbove(e) {
+    let s = '';
+    const x1 = e.x + e.w - 24;
+    const x2 = e.x + 24;
+    const top = e.y - 14;
+
+    s += tag('path', {
+      d: `M${x1} ${e.y} L${x1} ${top} L${x2} ${top} L${x2} ${e.y}`,
+      fill: 'none', stroke: CFG.errCol, 'stroke-width': 1.5,
+      'stroke-dasharray': '4,3', 'marker-end': `url(#${idPrefix}-arr-err)`,
+    });
+    const stats = loopStats(e.step.errorLoop);
+    s += tag('text', {
+      x: e.x + e.w / 2, y: top - 4,
+      fill: CFG.errCol, 'font-size': 9, 'font-weight': 600,
+      'text-anchor': 'middle', 'font-family': 'system-ui,sans-serif',
+    }, E.t('\u21BB Retry' + (stats ? ' \u00B7 ' + stats : '')));
+
+    return s;
+  }
+
+  // Back to an earlier step or phase: out of the step's side (vertical) or
+  // bottom (horizontal), along the loop's channel, and into the target
+  function reworkLoopPoints(r, layout) {
+    const { from: a, to: b } = r;
+    if (layout.orientation === 'horizontal') {
+      const cy = layout.loopBase + r.channel * CFG.loopChannelGap;
+      const x1 = centerX(a) + 12, x2 = centerX(b) - 12;
+      const boxBottom = e => (e.expSide ? e.y + e.h : bottomY(e));
+      return [[x1, boxBottom(a)], [x1, cy], [x2, cy], [x2, boxBottom(b)]];
+    }
+    const cx = layout.loopBase + r.channel * CFG.loopChannelGap;
+    const y1 = a.type === 'task' ? a.y + a.h - 14 : a.y;
+    const y2 = b.type === 'task' ? b.y + 14 : b.y;
+    return [[rightX(a), y1], [cx, y1], [cx, y2], [rightX(b), y2]];
+  }
+
+  function drawReworkLoop(r, layout) {
+    const { from: a, to: b, loop } = r;
+    const stats = loopStats(loop);
+    const text = '\u21A9 Rework' + (stats ? ' \u00B7 ' + stats : '');
+    const style = {
+      fill: 'none', stroke: CFG.errCol, 'stroke-width': 1.5,
+      'stroke-dasharray': '4,3', 'marker-end': `url(#${idPrefix}-arr-err)`,
+    };
+    const font = { fill: CFG.errCol, 'font-size': 9, 'font-weight': 600, 'font-family': 'system-ui,sans-serif' };
+    let s = `<g class="pm-loop" data-from="${E.a(a.step.id)}" data-to="${E.a(loop.target)}">`;
+    const pts = reworkLoopPoints(r, layout);
+    s += tag('path', { d: 'M' + pts.map(p => p.join(' ')).join(' L'), ...style });
+
+    if (layout.orientation === 'horizontal') {
+      const cy = pts[1][1];
+      s += tag('text', { x: (pts[1][0] + pts[2][0]) / 2, y: cy - 4, 'text-anchor': 'middle', ...font }, E.t(text));
+    } else {
+      const cx = pts[1][0];
+      const my = (pts[1][1] + pts[2][1]) / 2;
+      // Reads upwards along the channel, on its right
+      s += tag('text', {
+        x: cx + 3, y: my, transform: `rotate(-90 ${cx + 3} ${my})`,
+        'text-anchor': 'middle', 'dominant-baseline': 'hanging', ...font,
+      }, E.t(text));
+    }
+    return s + '</g>';
+  }
+
+  // ── Navigation (zoom, pan, minimap) ───────────────────────────
+  // The map sits in a scrolling viewport: zooming resizes the SVG, panning
+  // scrolls the viewport. One onNavigate event is reported per gesture:
+  //   action  'zoom-in' | 'zoom-out' | 'zoom-reset' | 'fit' | 'fit-phase' | 'pan'
+  //   via     'button' | 'wheel' | 'keyboard' | 'drag' | 'scroll' | 'minimap'
+  //   zoom, x, y  zoom factor and top-left of the viewport in map units
+
+  function navigationEnabled() {
+    const nav = currentOptions.navigation === undefined ? 'auto' : currentOptions.navigation;
+    if (nav === 'auto') return PROCESS_MAP.phases.reduce((n, p) => n + p.steps.length, 0) >= CFG.navAutoSteps;
+    return nav === true;
+  }
+
+  function minimapSize(w, h) {
+    const k = Math.min(CFG.minimapW / w, CFG.minimapMaxH / h);
+    return { w: Math.round(w * k), h: Math.round(h * k) };
+  }
 
+  function navHtml(content, w, h, layout) {
+    if (!navViews.has(currentContainerId)) navViews.set(currentContainerId, { zoom: 1, left: 0, top: 0 });
+    const view = navViews.get(currentContainerId);
+    const mm = minimapSize(w, h);
+    const phases = layout.elems.filter(e => e.type === 'band').map(b => b.phase);
+    return `<div class="pm-nav" style="max-width:${w + mm.w + 14}px">
+      <div class="pm-nav__toolbar" style="display:flex;flex-wrap:wrap;gap:6px;align-items:center;margin-bottom:8px">
+        <button type="button" data-nav="zoom-out" title="Zoom out (−)" aria-label="Zoom out">\u2212</button>
+        <button type="button" data-nav="zoom-reset" class="pm-nav__zoom" title="Actual size (0)" aria-label="Actual size">${Math.round(view.zoom * 100)}%</button>
+        <button type="button" data-nav="zoom-in" title="Zoom in (+)" aria-label="Zoom in">+</button>
+        <button type="button" data-nav="fit" title="Fit the whole map (F)">Fit</button>
+        <select data-nav="fit-phase" aria-label="Jump to a phase">
+          <option value="">Jump to phase\u2026</option>
+          ${phases.map(p => `<option value="${E.a(p.id)}">${E.t(p.name)}</option>`).join('')}
+        </select>
+      </div>
+      <div style="display:flex;gap:14px;align-items:flex-start">
+        <div class="pm-nav__viewport" tabindex="0"
+          aria-label="Process map: drag or use the arrow keys to move, + and \u2212 to zoom"
+          style="flex:1 1 auto;min-width:0;max-width:${w}px;max-height:70vh;overflow:auto;cursor:grab">
+          ${wrapSvg(content, w, h, view.zoom)}
+        </div>
+        <svg class="pm-nav__minimap" viewBox="0 0 ${w} ${h}" width="${mm.w}" height="${mm.h}"
+          style="flex:none;cursor:pointer;border:1px solid #dee2e6;background:#fff" aria-hidden="true">
+          ${drawMinimap(layout, w, h)}
+        </svg>
+      </div>
+    </div>`;
+  }
+
+  // Bands and steps as plain shapes, and a frame for the visible area
+  function drawMinimap(layout, w, h) {
+    let s = '';
+    layout.elems.forEach(e => {
+      if (e.type === 'band') {
+        s += tag('rect', { x: e.x, y: e.y, width: e.w, height: e.h, fill: e.phase.color, opacity: 0.2 });
+      } else if (e.type === 'task') {
+        s += e.expSide
+          ? tag('rect', { x: e.x, y: e.y, width: e.w + e.expW, height: e.expH, fill: '#adb5bd' })
+          : tag('rect', { x: e.x, y: e.y, width: e.w, height: e.h + (e.expH || 0), fill: '#adb5bd' });
+      } else if (isGateway(e)) {
+        s += tag('rect', {
+          x: e.x - e.size / 2, y: e.y - e.size / 2, width: e.size, height: e.size,
+          fill: '#868e96', transform: `rotate(45 ${e.x} ${e.y})`,
+        });
+      }
+    });
+    s += tag('rect', {
+      class: 'pm-nav__frame', x: 0, y: 0, width: w, height: h,
+      fill: '#1864ab', 'fill-opacity': 0.08, stroke: '#1864ab', 'stroke-width': Math.max(w, h) / 160,
+    });
     return s;
   }
 
+  function wireNavigation(container, w, h, layout) {
+    const options = currentOptions;
+    const view = navViews.get(currentContainerId);
+    const viewport = container.querySelector('.pm-nav__viewport');
+    const svg = viewport.querySelector('svg');
+    const minimap = container.querySelector('.pm-nav__minimap');
+    const frame = minimap.querySelector('.pm-nav__frame');
+    const zoomLabel = container.querySelector('.pm-nav__zoom');
+    let quietUntil = Date.now() + 150;   // scroll events we caused are not pans
+    let settleTimer = null;
+    let pending = null;
+    let drag = null;
+    let dragged = false;
+
+    const emit = (action, via, extra = {}) => {
+      if (!options.onNavigate) return;
+      options.onNavigate({
+        action, via,
+        zoom: Math.round(view.zoom * 100) / 100,
+        x: Math.round(view.left / view.zoom),
+        y: Math.round(view.top / view.zoom),
+        ...extra,
+      });
+    };
+    // Wheel, scroll and arrow-key gestures fire many events: report once they
+    // stop, or as soon as a different gesture starts
+    const flush = () => {
+      clearTimeout(settleTimer);
+      if (pending) emit(pending.action, pending.via);
+      pending = null;
+    };
+    const report = (action, via, extra) => {
+      flush();
+      emit(action, via, extra);
+    };
+    const settle = (action, via) => {
+      if (pending && (pending.action !== action || pending.via !== via)) flush();
+      pending = { action, via };
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(flush, 300);
+    };
+    // Estimation cards beside the map follow their zones
+    const follow = () => {
+      if (options.onRerender) requestAnimationFrame(() => options.onRerender());
+    };
+    const viewHeight = () => Math.round(window.innerHeight * 0.7);
+
+    const update = () => {
+      view.left = viewport.scrollLeft;
+      view.top = viewport.scrollTop;
+      frame.setAttribute('x', view.left / view.zoom);
+      frame.setAttribute('y', view.top / view.zoom);
+      frame.setAttribute('width', Math.min(w, (viewport.clientWidth || w * view.zoom) / view.zoom));
+      frame.setAttribute('height', Math.min(h, (viewport.clientHeight || viewHeight()) / view.zoom));
+    };
+    const scrollTo = (left, top) => {
+      quietUntil = Date.now() + 150;
+      viewport.scrollLeft = Math.max(0, left);
+      viewport.scrollTop = Math.max(0, top);
+      update();
+      follow();
+    };
+    // Zoom keeping the map point at (fx, fy) of the viewport in place
+    const setZoom = (zoom, fx = viewport.clientWidth / 2, fy = viewport.clientHeight / 2) => {
+      zoom = Math.min(CFG.zoomMax, Math.max(CFG.zoomMin, zoom));
+      const px = (viewport.scrollLeft + fx) / view.zoom;
+      const py = (viewport.scrollTop + fy) / view.zoom;
+      view.zoom = zoom;
+      svg.setAttribute('width', w * zoom);
+      svg.setAttribute('height', h * zoom);
+      zoomLabel.textContent = Math.round(zoom * 100) + '%';
+      scrollTo(px * zoom - fx, py * zoom - fy);
+    };
+    // Fit a map area into the viewport, top-left aligned
+    const showArea = (x, y, aw, ah, maxZoom = CFG.zoomMax) => {
+      setZoom(Math.min(maxZoom, (viewport.clientWidth || w) / aw, viewHeight() / ah));
+      scrollTo(x * view.zoom, y * view.zoom);
+    };
+    const fitPhase = phaseId => {
+      const band = layout.elems.find(e => e.type === 'band' && e.phase.id === phaseId);
+      if (!band) return;
+      // The phase fills the view along the flow; across it, the whole map stays visible
+      if (layout.orientation === 'horizontal') showArea(band.x, 0, band.w, h, CFG.maxPhaseZoom);
+      else showArea(0, band.y, w, band.h, CFG.maxPhaseZoom);
+      report('fit-phase', 'button', { phaseId });
+    };
+
+    const commands = {
+      'zoom-in': via => { setZoom(view.zoom * CFG.zoomStep); report('zoom-in', via); },
+      'zoom-out': via => { setZoom(view.zoom / CFG.zoomStep); report('zoom-out', via); },
+      'zoom-reset': via => { setZoom(1); report('zoom-reset', via); },
+      fit: via => { showArea(0, 0, w, h, 1); report('fit', via); },
+    };
+    container.querySelectorAll('button[data-nav]').forEach(btn => {
+      btn.addEventListener('click', () => commands[btn.dataset.nav]('button'));
+    });
+    const phaseSelect = container.querySelector('select[data-nav="fit-phase"]');
+    phaseSelect.addEventListener('change', () => {
+      if (phaseSelect.value) fitPhase(phaseSelect.value);
+      phaseSelect.value = '';
+    });
+
+    // Ctrl / ⌘ + wheel (and trackpad pinch) zooms at the pointer; the plain wheel scrolls
+    viewport.addEventListener('wheel', ev => {
+      if (!ev.ctrlKey && !ev.metaKey) return;
+      ev.preventDefault();
+      const r = viewport.getBoundingClientRect();
+      const steps = Math.max(-1, Math.min(1, -ev.deltaY / 100));
+      settle(ev.deltaY < 0 ? 'zoom-in' : 'zoom-out', 'wheel');
+      setZoom(view.zoom * Math.pow(CFG.zoomStep, steps), ev.clientX - r.left, ev.clientY - r.top);
+    }, { passive: false });
+
+    viewport.addEventListener('scroll', () => {
+      update();
+      follow();
+      if (!drag && Date.now() > quietUntil) settle('pan', 'scroll');
+    });
+
+    viewport.addEventListener('keydown', ev => {
+      const pan = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[ev.key];
+      if (pan) {
+        settle('pan', 'keyboard');
+        scrollTo(viewport.scrollLeft + pan[0] * CFG.panStep, viewport.scrollTop + pan[1] * CFG.panStep);
+      } else if (ev.key === '+' || ev.key === '=') commands['zoom-in']('keyboard');
+      else if (ev.key === '-' || ev.key === '_') commands['zoom-out']('keyboard');
+      else if (ev.key === '0') commands['zoom-reset']('keyboard');
+      else if (ev.key === 'f' || ev.key === 'F') commands.fit('keyboard');
+      else return;
+      ev.preventDefault();
+    });
+
+    // Drag to pan; a drag that ends on a step does not toggle it
+    viewport.addEventListener('pointerdown', ev => {
+      if (ev.button !== 0) return;
+      drag = { x: ev.clientX, y: ev.clientY, left: viewport.scrollLeft, top: viewport.scrollTop, moved: false };
+    });
+    viewport.addEventListener('pointermove', ev => {
+      if (!drag) return;
+      const dx = ev.clientX - drag.x, dy = ev.clientY - drag.y;
+      if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 5) return;
+      if (!drag.moved && viewport.setPointerCapture) viewport.setPointerCapture(ev.pointerId);
+      drag.moved = true;
+      viewport.style.cursor = 'grabbing';
+      viewport.scrollLeft = drag.left - dx;
+      viewport.scrollTop = drag.top - dy;
+    });
+    const endDrag = () => {
+      if (drag && drag.moved) {
+        dragged = true;
+        quietUntil = Date.now() + 150;
+        viewport.style.cursor = 'grab';
+        report('pan', 'drag');
+      }
+      drag = null;
+    };
+    viewport.addEventListener('pointerup', endDrag);
+    viewport.addEventListener('pointercancel', endDrag);
+    viewport.addEventListener('click', ev => {
+      if (!dragged) return;
+      dragged = false;
+      ev.stopPropagation();
+      ev.preventDefault();
+    }, true);
+
+    // Minimap: press or drag to centre the view there
+    let minimapDown = false;
+    const centreOn = ev => {
+      const r = minimap.getBoundingClientRect();
+      if (!r.width) return;
+      const mx = (ev.clientX - r.left) / r.width * w;
+      const my = (ev.clientY - r.top) / r.height * h;
+      scrollTo(mx * view.zoom - viewport.clientWidth / 2, my * view.zoom - viewport.clientHeight / 2);
+    };
+    minimap.addEventListener('pointerdown', ev => {
+      minimapDown = true;
+      if (minimap.setPointerCapture) minimap.setPointerCapture(ev.pointerId);
+      centreOn(ev);
+    });
+    minimap.addEventListener('pointermove', ev => { if (minimapDown) centreOn(ev); });
+    const endMinimap = () => {
+      if (minimapDown) report('pan', 'minimap');
+      minimapDown = false;
+    };
+    minimap.addEventListener('pointerup', endMinimap);
+    minimap.addEventListener('pointercancel', endMinimap);
+
+    // Back where the participant was before the re-render
+    viewport.scrollLeft = view.left;
+    viewport.scrollTop = view.top;
+    update();
+  }
+
   // ── Render + interactivity ────────────────────────────────────
 
   function internalRender() {
@@ -683,57 +2202,42 @@ const ProcessMapSVG = (() => {
     if (currentOptions.zoneMinHeights && currentOptions.estimationZones) {
       adjustLayoutForZoneMinHeights(layout, currentOptions.estimationZones, currentOptions.zoneMinHeights);
     }
+    // The same for single steps (one zone each)
+    if (currentOptions.stepMinHeights) {
+      const ids = Object.keys(currentOptions.stepMinHeights);
+      adjustLayoutForZoneMinHeights(layout, ids.map(id => ({ stepIds: [id] })), ids.map(id => currentOptions.stepMinHeights[id]));
+    }
 
     lastLayout = layout;
 
     let svgContent = drawContent(layout);
     let totalW = layout.w;
+    let totalH = layout.h;
 
     if (currentOptions.estimationZones) {
-      svgContent += drawZones(layout, currentOptions.estimationZones);
-      totalW += ZONE_W;
+      svgContent += `<g aria-hidden="true">${drawZones(layout, currentOptions.estimationZones)}</g>`;
+      if (layout.orientation === 'vertical') totalW += ZONE_W;
+      else if (!zonesOnTop()) totalH += CFG.hZoneH;
     }
 
-    container.innerHTML = wrapSvg(svgContent, totalW, layout.h);
+    const nav = navigationEnabled();
+    container.innerHTML = (currentOptions.legend ? legendHtml() : '')
+      + (nav ? navHtml(svgContent, totalW, totalH, layout) : wrapSvg(svgContent, totalW, totalH));
+    if (nav) wireNavigation(container, totalW, totalH, layout);
+    wireLegend(container, internalRender);
 
     // Restore scroll
     scrollParent.scrollTop = scrollTop;
 
-    // Wire step clicks → toggle expansion
-    container.querySelectorAll('.pm-task').forEach(g => {
-      const sid = g.dataset.stepId;
-      const pid = g.dataset.phaseId;
-
-      // Find step data to check if expandable
-      let stepData = null;
+    // Wire step clicks and keys → toggle expansion
+    const findStep = sid => {
       for (const p of PROCESS_MAP.phases) {
-        for (const st of p.steps) {
-          if (st.id === sid) { stepData = st; break; }
-        }
-        if (stepData) break;
-      }
-
-      const hasExpandable = stepData &&
-        (stepData.hiddenActions.length > 0 || stepData.errorLoop);
-
-      if (hasExpandable) {
-        g.addEventListener('click', (ev) => {
-          ev.stopPropagation();
-          const wasExpanded = expandedSteps.has(sid);
-          if (wasExpanded) {
-            expandedSteps.delete(sid);
-          } else {
-            expandedSteps.add(sid);
-          }
-          if (currentOptions.onStepToggle) {
-            currentOptions.onStepToggle(sid, wasExpanded ? 'collapse' : 'expand');
-          }
-          internalRender();
-        });
-      } else {
-        g.style.cursor = 'default';
+        const st = p.steps.find(x => x.id === sid);
+        if (st) return st;
       }
-    });
+      return null;
+    };
+    wireStepToggles(container, findStep, internalRender);
 
     // Phase click callback
     if (currentOptions.onPhaseClick) {
@@ -762,7 +2266,8 @@ const ProcessMapSVG = (() => {
 
   // ── Block renderer (mini SVG for a subset of steps) ─────────
 
-  function renderBlock(containerId, stepIds, phaseData) {
+  function renderBlock(containerId, stepIds, phaseData, options = currentOptions) {
+    currentOptions = options;
     const bid = 'blk' + (blockCounter++);
     const savedPrefix = idPrefix;
     idPrefix = bid;
@@ -776,13 +2281,14 @@ const ProcessMapSVG = (() => {
     // Compact layout — no start/end circles, no phase bands
     const PAD = 14;
     const leftPad = PAD + 8;
+    const stepW = options.expandAs === 'sheet' ? CFG.touchStepW : CFG.stepW;
     let y = PAD;
-    const cx = leftPad + CFG.stepW / 2;
+    const cx = leftPad + stepW / 2;
     const elems = [];
 
     for (const step of steps) {
       if (step.isDecisionPoint) {
-        const lblLines = wrap(step.name, CFG.stepW * 0.65, 10);
+        const lblLines = wrap(step.name, stepW * 0.65, 10);
         const lblH = lblLines.length * 13 + 4;
         elems.push({
           type: 'decision', step, phase: phaseData,
@@ -791,13 +2297,13 @@ const ProcessMapSVG = (() => {
         });
         y += CFG.decisionSize + lblH + 10;
       } else {
-        const dims = stepDims(step);
-        const isExp = expandedSteps.has(step.id);
-        const expH = isExp ? expansionH(step) : 0;
+        const dims = stepDims(step, stepW);
+        const isExp = expandedSteps.has(step.id) && options.expandAs !== 'sheet';
+        const expH = isExp ? expansionH(step, stepW) : 0;
         elems.push({
           type: 'task', step, phase: phaseData, dims,
-          x: cx - CFG.stepW / 2, y,
-          w: CFG.stepW, h: dims.h,
+          x: cx - stepW / 2, y,
+          w: stepW, h: dims.h,
           isExpanded: isExp, expH,
         });
         y += dims.h + expH + CFG.stepGap;
@@ -805,7 +2311,7 @@ const ProcessMapSVG = (() => {
     }
     y += PAD;
 
-    const totalW = CFG.stepW + leftPad * 2 + CFG.loopOffX + 30;
+    const totalW = stepW + leftPad * 2 + CFG.loopOffX + 30;
 
     // Build SVG content
     let svg = '';
@@ -834,17 +2340,21 @@ const ProcessMapSVG = (() => {
     }
 
     // Draw elements
+    svg += `<g role="list" aria-label="${E.a(`Steps ${steps[0].id} to ${steps[steps.length - 1].id} of ${phaseData.name}`)}">`;
     for (const e of elems) {
       if (e.type === 'task')          svg += drawTask(e);
       else if (e.type === 'decision') svg += drawDecision(e);
     }
+    svg += '</g>';
 
     container.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg"
       viewBox="0 0 ${totalW} ${y}"
-      width="100%" style="max-width:${totalW}px;display:block;margin:0 auto">
+      width="100%" style="max-width:${totalW}px;display:block;margin:0 auto" role="group"
+      aria-label="${E.a(`Steps of phase ${phaseData.icon}: ${phaseData.name}`)}">
       <style>
         .pm-task{cursor:pointer}
-        .pm-task:hover>rect:first-child{filter:brightness(.96)}
+        .pm-task:hover>g>rect:first-child{filter:brightness(.96)}
+        ${FOCUS_STYLE}
       </style>
       ${svg}
     </svg>`;
@@ -852,28 +2362,111 @@ const ProcessMapSVG = (() => {
     // Restore prefix before wiring (drawTask already used the bid prefix)
     idPrefix = savedPrefix;
 
-    // Wire step click → expand/collapse
-    container.querySelectorAll('.pm-task').forEach(g => {
-      const sid = g.dataset.stepId;
-      const stepData = steps.find(s => s.id === sid);
-      const hasExpandable = stepData &&
-        (stepData.hiddenActions.length > 0 || stepData.errorLoop);
-      if (hasExpandable) {
-        g.addEventListener('click', (ev) => {
-          ev.stopPropagation();
-          const wasExpanded = expandedSteps.has(sid);
-          if (wasExpanded) expandedSteps.delete(sid);
-          else expandedSteps.add(sid);
-          if (currentOptions.onStepToggle) {
-            currentOptions.onStepToggle(sid, wasExpanded ? 'collapse' : 'expand');
-          }
-          renderBlock(containerId, stepIds, phaseData);
-        });
-      } else {
-        g.style.cursor = 'default';
+    // Wire step click and keys → expand/collapse
+    wireStepToggles(container, sid => steps.find(s => s.id === sid),
+      () => renderBlock(containerId, stepIds, phaseData, options));
+  }
+
+  // ── Standalone export (no DOM — also runs on the server) ─────
+
+  /**
+   * The whole map as a standalone SVG document, for src/map-export.js.
+   * `expand` is 'none', 'all' or a list of step ids; `options` as for render()
+   * (navigation and estimation zones do not apply). Returns { svg, width,
+   * height, orientation, phases }: phases are the bands in map units, where a
+   * printed map may be cut between pages. The page's own map is untouched.
+   */
+  function exportSVG(options = {}, expand = 'none') {
+    const saved = { options: currentOptions, prefix: idPrefix, expanded: [...expandedSteps] };
+    currentOptions = options;
+    idPrefix = 'pm';
+    exporting = true;
+    expandedSteps.clear();
+    for (const p of PROCESS_MAP.phases) {
+      for (const st of p.steps) {
+        if (isExpandable(st) && (expand === 'all' || (Array.isArray(expand) && expand.includes(st.id)))) {
+          expandedSteps.add(st.id);
+        }
       }
-    });
+    }
+    try {
+      const layout = computeLayout();
+      const { w, h } = layout;
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}"`
+        + ` role="img" aria-label="${E.a(mapLabel())}">`
+        + `<title>${E.t(mapLabel())}</title>`
+        + tag('rect', { x: 0, y: 0, width: w, height: h, fill: '#fff' })
+        + drawContent(layout)
+        + '</svg>';
+      const phases = layout.elems.filter(e => e.type === 'band').map(b => ({
+        id: b.phase.id, name: b.phase.name, x: b.x, y: b.y, w: b.w, h: b.h,
+      }));
+      return { svg, width: w, height: h, orientation: layout.orientation, phases };
+    } finally {
+      currentOptions = saved.options;
+      idPrefix = saved.prefix;
+      exporting = false;
+      expandedSteps.clear();
+      saved.expanded.forEach(id => expandedSteps.add(id));
+    }
+  }
+
+  /**
+   * The collapsed map's flow as plain data, for src/bpmn.js (diagram
+   * interchange): nodes { type, stepId, kind, label, lane, x, y, w, h } (box,
+   * top-left), flows { from, to, branch, points } (node indexes, the drawn
+   * route), error loops { from, to, points }, lanes and phase bands, all in
+   * map units.
+   */
+  function exportLayout(options = {}) {
+    const saved = { options: currentOptions, expanded: [...expandedSteps] };
+    currentOptions = options;
+    expandedSteps.clear();
+    try {
+      const layout = computeLayout();
+      const flow = layout.elems.filter(isFlowElem);
+      const nodes = flow.map(e => {
+        const box = e.type === 'task'
+          ? { x: e.x, y: e.y, w: e.w, h: e.h }
+          : { x: leftX(e), y: topY(e), w: rightX(e) - leftX(e), h: bottomY(e) - topY(e) };
+        return {
+          type: e.type,
+          stepId: e.step ? e.step.id : null,
+          kind: e.type === 'merge' ? e.kind : e.step ? gatewayKind(e.step) : null,
+          label: e.label || null,
+          lane: e.lane || null,
+          ...box,
+        };
+      });
+      const flows = layout.edges.map(edge => ({
+        from: flow.indexOf(edge.from),
+        to: flow.indexOf(edge.to),
+        branch: edge.branch || null,
+        points: routeEdge(edge, layout).points,
+      }));
+      // Error loops: rework loops along their channels, retries round the step's right edge
+      const loops = flow.filter(e => e.step && e.step.errorLoop).map(e => {
+        const rework = layout.loops.find(l => l.from === e);
+        if (rework) return { from: flow.indexOf(e), to: flow.indexOf(rework.to), points: reworkLoopPoints(rework, layout) };
+        if (!isRetry(e.step)) return null;
+        const x = rightX(e), y = (topY(e) + bottomY(e)) / 2;
+        return { from: flow.indexOf(e), to: flow.indexOf(e), points: [[x, y - 8], [x + 16, y - 8], [x + 16, y + 8], [x, y + 8]] };
+      }).filter(Boolean);
+      const lanes = (layout.lanes || []).map(l => ({ id: l.id, label: l.label, x: l.x, y: l.y || 0, w: l.w, h: l.h || layout.h }));
+      const bands = layout.elems.filter(e => e.type === 'band').map(b => ({ phaseId: b.phase.id, x: b.x, y: b.y, w: b.w, h: b.h }));
+      return { nodes, flows, loops, lanes, bands, width: layout.w, height: layout.h, orientation: layout.orientation };
+    } finally {
+      currentOptions = saved.options;
+      expandedSteps.clear();
+      saved.expanded.forEach(id => expandedSteps.add(id));
+    }
+  }
+
+  // Which way the current map would run with these options, so the page can
+  // place the estimation cards before rendering it
+  function orientationFor(options = {}) {
+    return orientationOf(options);
   }
 
-  return { render, renderBlock, getLastLayout: function() { return lastLayout; } };
+  return { render, renderBlock, exportSVG, exportLayout, orientationFor, getLastLayout: function() { return lastLayout; } };
 })();
@@ -0,0 +1,618 @@
+/**
+ * BPMN 2.0 — export a procedure as BPMN XML, import BPMN into a procedure
+ *
+ * Export (toBpmn): one process with a start event, a task per step, a
+ * gateway per decision point (exclusive, or parallel for a parallel branching
+ * gateway) and a merge gateway where routes rejoin, end events (including
+ * routes that end the procedure), sequence flows named after their branch,
+ * error loops as flows back to their target, and a lane per stakeholder when
+ * there is more than one. Phases are BPMN groups. The diagram interchange
+ * (BPMNDI) is the collapsed map's own left-to-right layout, lanes as rows
+ * (public/js/process-map-svg.js → exportLayout), so Camunda Modeler and
+ * similar tools open the file looking like the map.
+ *
+ * What BPMN has no element for travels in extension elements (namespace
+ * PM_NS, prefix pm:):
+ *   process        <pm:procedure>  stakeholders, phases with their estimation
+ *                                  blocks, participant-facing copy (JSON)
+ *   task, gateway  <pm:step>       step id and phase, action types, hidden
+ *                                  actions, external dependencies, decision
+ *                                  options and outcome, error loop
+ *   sequence flow  <pm:branch>     route steps, probability, end of procedure
+ *                  <pm:loop/>      marks an error loop flow
+ * Study settings (`study`) are never exported. Exporting and importing again
+ * gives the same procedure version.
+ *
+ * Import (fromBpmn) follows the sequence flows from the start event. A model
+ * drawn in another tool (no pm: extensions) is mapped as follows:
+ *   tasks, sub-processes, intermediate events → steps (ids 1.1, 1.2, …)
+ *   a gateway that splits → decision point, a branch per outgoing flow (flow
+ *     name, else target name); parallel stays parallel, other kinds become
+ *     exclusive; routes that never rejoin end the procedure
+ *   a flow back to an element already passed → error loop of the step it
+ *     leaves, the flow (or gateway) name as its condition
+ *   lanes → stakeholders; groups → phases (else one phase), each with one
+ *     estimation block covering all its steps
+ * Everything approximated is reported in `warnings`; a route that branches
+ * again cannot be represented and is refused.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { mapLayout } = require('./map-export');
+
+const PM_NS = 'urn:process-map:bpmn-extensions:1';
+const NS = {
+  bpmn: 'http://www.omg.org/spec/BPMN/20100524/MODEL',
+  bpmndi: 'http://www.omg.org/spec/BPMN/20100524/DI',
+  dc: 'http://www.omg.org/spec/DD/20100524/DC',
+  di: 'http://www.omg.org/spec/DD/20100524/DI',
+  pm: PM_NS,
+};
+
+// Fields carried as elements or attributes; any others travel as <pm:data> JSON
+const MAP_FIELDS = ['id', 'phases', 'stakeholders', 'defaultStakeholder', 'study'];
+const STAKEHOLDER_FIELDS = ['id', 'label', 'description', 'color', 'icon'];
+const PHASE_FIELDS = ['id', 'name', 'shortName', 'color', 'icon', 'stakeholder', 'description', 'richDescription',
+  'estimationBlocks', 'steps'];
+const BLOCK_FIELDS = ['id', 'label', 'prompt', 'stepsIncluded', 'groundTruthPages'];
+const STEP_FIELDS = ['id', 'name', 'stakeholder', 'visibility', 'actionTypes', 'hiddenActions', 'externalDeps',
+  'isDecisionPoint', 'decisionOptions', 'gateway', 'branches'];
+const LOOP_FIELDS = ['condition', 'target', 'frequency', 'reworkMinutes'];
+const BRANCH_FIELDS = ['label', 'stepIds', 'probability', 'end', 'endLabel'];
+
+const LANE_COLORS = ['#1864AB', '#2B8A3E', '#862E9C', '#E67700', '#C92A2A', '#0B7285'];
+const PHASE_COLORS = ['#1864AB', '#E67700', '#862E9C', '#C92A2A', '#2B8A3E', '#0B7285'];
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+const esc = v => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+
+function el(name, attributes = {}, inner = '') {
+  const attrs = Object.entries(attributes)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => ` ${k}="${esc(v)}"`).join('');
+  return inner === '' ? `<${name}${attrs}/>` : `<${name}${attrs}>${inner}</${name}>`;
+}
+
+const text = (name, value) => (value === undefined ? '' : el(name, {}, esc(value)));
+const flag = value => (value === undefined ? undefined : String(value));
+
+// Fields not in `known`, as <pm:data> JSON (nothing when there are none)
+function leftovers(obj, known) {
+  const rest = Object.fromEntries(Object.entries(obj).filter(([k]) => !known.includes(k)));
+  return Object.keys(rest).length ? text('pm:data', JSON.stringify(rest)) : '';
+}
+
+// A list field: the container is written whenever the field is there, even empty
+function list(container, item, values) {
+  if (!Array.isArray(values)) return '';
+  return `<${container}>${values.map(v => (typeof v === 'string'
+    ? text(item, v)
+    : el(item, { format: 'json' }, esc(JSON.stringify(v))))).join('')}</${container}>`;
+}
+
+function stepExtension(step, phase) {
+  let inner = list('pm:actionTypes', 'pm:actionType', step.actionTypes);
+  if (Array.isArray(step.hiddenActions)) {
+    inner += `<pm:hiddenActions>${step.hiddenActions.map(a => el('pm:hiddenAction', {}, esc(a.description) + leftovers(a, ['description']))).join('')}</pm:hiddenActions>`;
+  }
+  inner += list('pm:externalDeps', 'pm:externalDep', step.externalDeps);
+  if (Array.isArray(step.decisionOptions)) {
+    inner += `<pm:decisionOptions${step.decisionOutcome === undefined ? '' : ` outcome="${esc(step.decisionOutcome)}"`}>`
+      + step.decisionOptions.map(o => text('pm:option', o)).join('') + '</pm:decisionOptions>';
+  }
+  const known = [...STEP_FIELDS];
+  if (step.errorLoop) {
+    const { condition, target, frequency, reworkMinutes } = step.errorLoop;
+    inner += el('pm:errorLoop', { condition, target, frequency, reworkMinutes }, leftovers(step.errorLoop, LOOP_FIELDS));
+    known.push('errorLoop');
+  }
+  // `errorLoop: null`, or an outcome without options, travel as data
+  if (Array.isArray(step.decisionOptions)) known.push('decisionOutcome');
+  inner += leftovers(step, known);
+  return el('bpmn:extensionElements', {}, el('pm:step', {
+    id: step.id, phase: phase.id, stakeholder: step.stakeholder, visibility: step.visibility,
+    decisionPoint: flag(step.isDecisionPoint), gateway: step.gateway,
+  }, inner));
+}
+
+function procedureExtension(definition) {
+  let inner = '';
+  Object.entries(definition.stakeholders || {}).forEach(([key, s]) => {
+    inner += el('pm:stakeholder', { key, id: s.id, label: s.label, color: s.color, icon: s.icon },
+      text('pm:description', s.description) + leftovers(s, STAKEHOLDER_FIELDS));
+  });
+  definition.phases.forEach(phase => {
+    const blocks = (phase.estimationBlocks || []).map(block => el('pm:estimationBlock', {
+      id: block.id, label: block.label,
+      groundTruthPages: Array.isArray(block.groundTruthPages) ? block.groundTruthPages.join(' ') : undefined,
+    }, text('pm:prompt', block.prompt)
+      + (block.stepsIncluded || []).map(id => el('pm:stepRef', { id })).join('')
+      + leftovers(block, BLOCK_FIELDS)));
+    inner += el('pm:phase', {
+      id: phase.id, name: phase.name, shortName: phase.shortName, color: phase.color, icon: phase.icon,
+      stakeholder: phase.stakeholder,
+    }, text('pm:description', phase.description) + text('pm:richDescription', phase.richDescription)
+      + blocks.join('') + leftovers(phase, PHASE_FIELDS));
+  });
+  inner += leftovers(definition, MAP_FIELDS);
+  return el('bpmn:extensionElements', {}, el('pm:procedure', {
+    defaultStakeholder: definition.defaultStakeholder,
+    stakeholders: definition.stakeholders === undefined ? undefined : 'declared',
+  }, inner));
+}
+
+/** BPMN 2.0 XML for a procedure definition, with diagram interchange. */
+function toBpmn(definition) {
+  const layout = mapLayout(definition, { orientation: 'horizontal' });
+  const steps = new Map();
+  definition.phases.forEach(phase => phase.steps.forEach(step => steps.set(step.id, { step, phase })));
+
+  // Element ids: NCNames, unique across the file
+  const used = new Set();
+  const ncname = (prefix, raw) => {
+    const base = `${prefix}_${String(raw).replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+    used.add(id);
+    return id;
+  };
+  let ends = 0;
+  const nodeIds = layout.nodes.map(n => {
+    if (n.type === 'start') return ncname('StartEvent', 1);
+    if (n.type === 'end') return ncname('EndEvent', ++ends);
+    if (n.type === 'task') return ncname('Activity', n.stepId);
+    return ncname('Gateway', n.type === 'merge' ? `${n.stepId}_merge` : n.stepId);
+  });
+
+  // Sequence flows (a gateway's in the order of its branches), then error loops
+  const branchRank = f => (f.branch ? steps.get(layout.nodes[f.from].stepId).step.branches.findIndex(b => b.label === f.branch.label) : 0);
+  const flows = [
+    ...[...layout.flows].sort((a, b) => a.from - b.from || branchRank(a) - branchRank(b)).map((f, i) => ({ ...f, id: ncname('Flow', i + 1) })),
+    ...layout.loops.map((f, i) => ({ ...f, id: ncname('Flow_loop', i + 1), loop: steps.get(layout.nodes[f.from].stepId).step.errorLoop })),
+  ];
+  const incoming = layout.nodes.map(() => []);
+  const outgoing = layout.nodes.map(() => []);
+  flows.forEach(f => { outgoing[f.from].push(f.id); incoming[f.to].push(f.id); });
+  const refs = i => incoming[i].map(id => el('bpmn:incoming', {}, id)).join('')
+    + outgoing[i].map(id => el('bpmn:outgoing', {}, id)).join('');
+
+  const nodesXml = layout.nodes.map((n, i) => {
+    const id = nodeIds[i];
+    if (n.type === 'start') return el('bpmn:startEvent', { id, name: 'Start' }, refs(i));
+    if (n.type === 'end') return el('bpmn:endEvent', { id, name: n.label || 'End' }, refs(i));
+    if (n.type === 'merge') return el(n.kind === 'parallel' ? 'bpmn:parallelGateway' : 'bpmn:exclusiveGateway', { id }, refs(i));
+    const { step, phase } = steps.get(n.stepId);
+    const inner = stepExtension(step, phase) + refs(i);
+    if (n.type === 'task') return el('bpmn:task', { id, name: step.name }, inner);
+    const parallel = step.gateway === 'parallel' && Array.isArray(step.branches);
+    return el(parallel ? 'bpmn:parallelGateway' : 'bpmn:exclusiveGateway', { id, name: step.name }, inner);
+  });
+
+  const flowsXml = flows.map(f => {
+    let ext = '';
+    if (f.loop) ext = el('pm:loop');
+    else if (f.branch) {
+      const b = f.branch;
+      ext = el('pm:branch', {
+        stepIds: Array.isArray(b.stepIds) ? b.stepIds.join(' ') : undefined,
+        probability: b.probability, end: flag(b.end), endLabel: b.endLabel,
+      }, leftovers(b, BRANCH_FIELDS));
+    }
+    return el('bpmn:sequenceFlow', {
+      id: f.id, name: f.loop ? f.loop.condition : f.branch ? f.branch.label : undefined,
+      sourceRef: nodeIds[f.from], targetRef: nodeIds[f.to],
+    }, ext && el('bpmn:extensionElements', {}, ext));
+  });
+
+  // A lane per stakeholder (more than one), in a pool
+  const lanes = layout.lanes.length > 1 ? layout.lanes : [];
+  const laneIds = lanes.map(l => ncname('Lane', l.id));
+  const laneSet = lanes.length
+    ? el('bpmn:laneSet', { id: 'LaneSet_1' }, lanes.map((lane, li) => el('bpmn:lane', { id: laneIds[li], name: lane.label },
+      layout.nodes.map((n, i) => (n.lane === lane.id ? el('bpmn:flowNodeRef', {}, nodeIds[i]) : '')).join(''))).join(''))
+    : '';
+
+  // Phases as groups
+  const categoryIds = definition.phases.map(p => ncname('CategoryValue', p.id));
+  const groupIds = definition.phases.map(p => ncname('Group', p.id));
+  const category = el('bpmn:category', { id: 'Category_phases' }, definition.phases.map((p, i) =>
+    el('bpmn:categoryValue', { id: categoryIds[i], value: `Phase ${p.icon || i + 1}: ${p.name}` })).join(''));
+  const groups = definition.phases.map((p, i) => el('bpmn:group', { id: groupIds[i], categoryValueRef: categoryIds[i] }));
+
+  const name = definition.title || definition.id;
+  const collaboration = lanes.length
+    ? el('bpmn:collaboration', { id: 'Collaboration_1' }, el('bpmn:participant', { id: 'Participant_1', name, processRef: 'Process_1' }))
+    : '';
+  const process = el('bpmn:process', { id: 'Process_1', name, isExecutable: 'false' },
+    ['', procedureExtension(definition), laneSet, ...nodesXml, ...flowsXml, ...groups].filter((x, i) => x || !i).join('\n    ') + '\n  ');
+
+  // Diagram interchange
+  const r = v => Math.round(v * 10) / 10;
+  const bounds = b => el('dc:Bounds', { x: r(b.x), y: r(b.y), width: r(b.w), height: r(b.h) });
+  const shapes = [];
+  if (lanes.length) {
+    const x = Math.min(...lanes.map(l => l.x)) - 30;
+    const y = Math.min(...lanes.map(l => l.y));
+    const w = Math.max(...lanes.map(l => l.x + l.w)) - x;
+    const h = Math.max(...lanes.map(l => l.y + l.h)) - y;
+    shapes.push(el('bpmndi:BPMNShape', { id: 'Participant_1_di', bpmnElement: 'Participant_1', isHorizontal: 'true' }, bounds({ x, y, w, h })));
+    lanes.forEach((lane, i) => shapes.push(el('bpmndi:BPMNShape', { id: `${laneIds[i]}_di`, bpmnElement: laneIds[i], isHorizontal: 'true' }, bounds(lane))));
+  }
+  layout.bands.forEach(b => {
+    const id = groupIds[definition.phases.findIndex(p => p.id === b.phaseId)];
+    shapes.push(el('bpmndi:BPMNShape', { id: `${id}_di`, bpmnElement: id }, bounds(b)));
+  });
+  layout.nodes.forEach((n, i) => shapes.push(el('bpmndi:BPMNShape', {
+    id: `${nodeIds[i]}_di`, bpmnElement: nodeIds[i], isMarkerVisible: n.type === 'decision' || n.type === 'merge' ? 'true' : undefined,
+  }, bounds(n))));
+  const edges = flows.map(f => el('bpmndi:BPMNEdge', { id: `${f.id}_di`, bpmnElement: f.id },
+    f.points.map(([x, y]) => el('di:waypoint', { x: r(x), y: r(y) })).join('')));
+  const diagram = el('bpmndi:BPMNDiagram', { id: 'BPMNDiagram_1' },
+    el('bpmndi:BPMNPlane', { id: 'BPMNPlane_1', bpmnElement: lanes.length ? 'Collaboration_1' : 'Process_1' },
+      ['', ...shapes, ...edges].join('\n      ') + '\n    '));
+
+  const xmlns = Object.entries(NS).map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`).join('');
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<bpmn:definitions${xmlns} id="Definitions_1" targetNamespace="urn:process-map:${esc(definition.id)}" exporter="process-map">\n`
+    + [collaboration, category, process, diagram].filter(Boolean).map(x => `  ${x}\n`).join('')
+    + '</bpmn:definitions>\n';
+}
+
+// ============================================================
+// IMPORT
+// ============================================================
+
+// Every element is an array; namespace prefixes are dropped, so bpmn:task
+// and a default-namespace <task> read the same
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: false,
+  isArray: (name, jpath, isLeaf, isAttribute) => !isAttribute,
+});
+
+const TASKS = ['task', 'userTask', 'manualTask', 'serviceTask', 'scriptTask', 'sendTask', 'receiveTask',
+  'businessRuleTask', 'callActivity', 'subProcess', 'intermediateCatchEvent', 'intermediateThrowEvent'];
+const GATEWAYS = ['exclusiveGateway', 'parallelGateway', 'inclusiveGateway', 'eventBasedGateway', 'complexGateway'];
+
+const first = arr => (Array.isArray(arr) ? arr[0] : undefined);
+const textOf = node => (node === undefined ? undefined : typeof node === 'string' ? node : node['#text'] || '');
+const childText = (node, name) => (node && node[name] ? textOf(node[name][0]) : undefined);
+const num = v => (v === undefined ? undefined : Number(v));
+const bool = v => (v === undefined ? undefined : v === 'true');
+const words = v => (v === undefined ? undefined : v.split(' ').filter(Boolean));
+const data = node => (node && node.data ? JSON.parse(textOf(node.data[0])) : {});
+const defined = obj => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+// A pm: extension element of a BPMN element ('' when empty, undefined when absent)
+const pmOf = (node, name) => first((first(node.extensionElements) || {})[name]);
+
+function listOf(container, item) {
+  if (container === undefined) return undefined;
+  return ((first(container) || {})[item] || []).map(v => (v['@format'] === 'json' ? JSON.parse(textOf(v)) : textOf(v)));
+}
+
+function slug(s, taken) {
+  const base = String(s).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'item';
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+  taken.add(id);
+  return id;
+}
+
+/**
+ * A procedure definition from BPMN 2.0 XML: { definition, warnings }. The
+ * definition has no id and no study settings; the caller supplies both.
+ * Throws when there is no usable process.
+ */
+function fromBpmn(xml) {
+  let doc;
+  try {
+    doc = parser.parse(xml, true);
+  } catch (err) {
+    throw new Error(`Not a valid XML file: ${err.message}`);
+  }
+  const defs = first(doc.definitions);
+  if (!defs || !defs.process) throw new Error('No BPMN process in the file (expected <bpmn:definitions> with a <bpmn:process>)');
+  const warnings = [];
+  const warn = msg => { if (!warnings.includes(msg)) warnings.push(msg); };
+  const label = n => `"${n.name || n.id}"`;
+
+  // The first pool's process, else the first process
+  const participant = first((first(defs.collaboration) || {}).participant);
+  const process = (participant && defs.process.find(p => p['@id'] === participant['@processRef'])) || defs.process[0];
+  if (defs.process.length > 1) warn(`Only the process ${label({ name: process['@name'], id: process['@id'] })} was imported`);
+  if (process.subProcess) warn('Sub-processes were imported as single steps');
+  if (process.boundaryEvent) warn('Boundary events were left out');
+
+  // ── Flow graph ──
+  const nodes = new Map();
+  const add = (tag, kind) => (process[tag] || []).forEach(raw => {
+    nodes.set(raw['@id'], { id: raw['@id'], tag, kind, name: (raw['@name'] || '').trim(), raw, out: [], in: [] });
+  });
+  TASKS.forEach(tag => add(tag, 'task'));
+  GATEWAYS.forEach(tag => add(tag, 'gateway'));
+  add('startEvent', 'start');
+  add('endEvent', 'end');
+  // Exported error loops (pm:loop) are already in their steps' extensions
+  (process.sequenceFlow || []).forEach(raw => {
+    const f = { id: raw['@id'], name: (raw['@name'] || '').trim(), raw, from: nodes.get(raw['@sourceRef']), to: nodes.get(raw['@targetRef']) };
+    if (!f.from || !f.to || pmOf(raw, 'loop') !== undefined) return;
+    f.from.out.push(f);
+    f.to.in.push(f);
+  });
+  const start = [...nodes.values()].find(n => n.kind === 'start');
+  if (!start) throw new Error('The process has no start event');
+  if ([...nodes.values()].filter(n => n.kind === 'start').length > 1) warn('The process has several start events; the first was followed');
+
+  // Flows back to an element on the current path are loops; without them the graph is acyclic
+  const back = new Set();
+  const state = new Map();
+  const visit = node => {
+    state.set(node.id, 'open');
+    node.out.forEach(f => {
+      if (state.get(f.to.id) === 'open') back.add(f);
+      else if (!state.has(f.to.id)) visit(f.to);
+    });
+    state.set(node.id, 'done');
+  };
+  visit(start);
+  const outs = n => n.out.filter(f => !back.has(f));
+  const isJoin = n => n.in.filter(f => !back.has(f)).length > 1;
+  const isStep = n => n.kind === 'task' || pmOf(n.raw, 'step') !== undefined;
+  const next = n => {
+    const out = outs(n);
+    if (out.length > 1) warn(`${label(n)} has ${out.length} outgoing flows but is not a gateway; only the first was followed`);
+    return out.length ? out[0].to : null;
+  };
+
+  // A gateway's route: elements up to the join (or end event) it leads to
+  const routeOf = (gateway, flow) => {
+    const ext = pmOf(flow.raw, 'branch');
+    const length = ext && ext['@stepIds'] !== undefined ? words(ext['@stepIds']).length : Infinity;
+    const route = { flow, ext, nodes: [], next: flow.to };
+    while (route.next && route.next.kind !== 'end' && !isJoin(route.next) && route.nodes.length < length) {
+      const n = route.next;
+      if (n.kind === 'gateway' && outs(n).length > 1) {
+        route.branchesAgain = n;
+        break;
+      }
+      if (isStep(n)) route.nodes.push(n);
+      route.next = next(n);
+    }
+    route.ends = ext ? ext['@end'] === 'true' : !route.branchesAgain && Boolean(route.next && route.next.kind === 'end');
+    return route;
+  };
+
+  // ── Walk from the start event ──
+  const items = [];
+  const routesOf = new Map();
+  let node = next(start);
+  while (node && node.kind !== 'end') {
+    if (node.kind === 'gateway' && outs(node).length > 1) {
+      items.push(node);
+      const routes = outs(node).map(f => routeOf(node, f));
+      // A route that branches again can only be the way on, with every other route ending
+      const again = routes.filter(r => r.branchesAgain);
+      let open = routes.filter(r => !r.ends && !r.branchesAgain);
+      if (again.length > 1 || (again.length && open.length)) {
+        throw new Error(`Gateway ${label(node)}: its route branches again at ${label(again[0].branchesAgain)}, which a process map cannot show`);
+      }
+      if (!open.length) {
+        // No route rejoins: the one that branches again, else the longest, is the way on
+        const main = again[0] || routes.reduce((a, b) => (b.nodes.length > a.nodes.length ? b : a));
+        if (!again.length) warn(`The routes of ${label(node)} never rejoin; ${label({ name: main.flow.name, id: main.flow.id })} was taken as the main flow`);
+        Object.assign(main, { next: main.nodes[0] || main.branchesAgain || main.next, nodes: [], ends: false });
+        open = [main];
+      }
+      if (new Set(open.map(r => r.next && r.next.id)).size > 1) {
+        warn(`The routes of ${label(node)} do not rejoin at one element; the flow continues after the first`);
+      }
+      routes.forEach(r => items.push(...r.nodes));
+      routesOf.set(node, routes);
+      node = open[0].next;
+      continue;
+    }
+    if (isStep(node)) items.push(node);
+    node = next(node);
+  }
+  const left = [...nodes.values()].filter(n => n.kind === 'task' && !items.includes(n)).length;
+  if (left) warn(`${left} step${left === 1 ? ' is' : 's are'} not on the flow from the start event and ${left === 1 ? 'was' : 'were'} left out`);
+
+  // ── Stakeholders and phases: pm:procedure, else lanes and groups ──
+  const taken = new Set();
+  const procExt = pmOf(process, 'procedure');
+  let stakeholders;
+  let defaultStakeholder;
+  let phases = [];
+  let extra = {};
+  if (procExt !== undefined) {
+    extra = data(procExt);
+    defaultStakeholder = procExt['@defaultStakeholder'];
+    if (procExt['@stakeholders']) {
+      stakeholders = Object.fromEntries((procExt.stakeholder || []).map(s => [s['@key'], defined({
+        id: s['@id'], label: s['@label'], description: childText(s, 'description'), color: s['@color'], icon: s['@icon'], ...data(s),
+      })]));
+    }
+    phases = (procExt.phase || []).map(p => defined({
+      id: p['@id'], name: p['@name'], shortName: p['@shortName'], color: p['@color'], icon: p['@icon'],
+      stakeholder: p['@stakeholder'],
+      description: childText(p, 'description'),
+      richDescription: childText(p, 'richDescription'),
+      estimationBlocks: (p.estimationBlock || []).map(b => defined({
+        id: b['@id'], label: b['@label'], prompt: childText(b, 'prompt'),
+        stepsIncluded: (b.stepRef || []).map(s => s['@id']),
+        groundTruthPages: words(b['@groundTruthPages']),
+        ...data(b),
+      })),
+      steps: [],
+      ...data(p),
+    }));
+  }
+  const declared = new Set(phases);
+
+  const laneOf = new Map();
+  const lanes = (first(process.laneSet) || {}).lane || [];
+  if (lanes.some(l => l.childLaneSet)) warn('Nested lanes were not imported');
+  if (lanes.length && !stakeholders) {
+    stakeholders = {};
+    lanes.forEach((lane, i) => {
+      const id = slug(lane['@name'] || lane['@id'], taken);
+      stakeholders[id] = { id, label: (lane['@name'] || id).trim(), color: LANE_COLORS[i % LANE_COLORS.length], icon: '' };
+      (lane.flowNodeRef || []).forEach(ref => laneOf.set(textOf(ref).trim(), id));
+    });
+  }
+
+  // Groups contain the elements whose shape centre lies inside them
+  const shapes = new Map();
+  (defs.BPMNDiagram || []).forEach(d => (d.BPMNPlane || []).forEach(p => (p.BPMNShape || []).forEach(s => {
+    const b = first(s.Bounds);
+    if (b) shapes.set(s['@bpmnElement'], { x: +b['@x'], y: +b['@y'], w: +b['@width'], h: +b['@height'] });
+  })));
+  const categoryValues = new Map();
+  (defs.category || []).forEach(c => (c.categoryValue || []).forEach(v => categoryValues.set(v['@id'], v['@value'])));
+  const groups = (process.group || []).filter(g => shapes.has(g['@id'])).map(g => ({
+    id: g['@id'], name: (categoryValues.get(g['@categoryValueRef']) || '').replace(/^Phase [^:]+:\s*/, ''), box: shapes.get(g['@id']),
+  }));
+  const groupOf = n => {
+    const b = shapes.get(n.id);
+    if (!b) return null;
+    const cx = b.x + b.w / 2, cy = b.y + b.h / 2;
+    return groups.find(({ box }) => cx >= box.x && cx <= box.x + box.w && cy >= box.y && cy <= box.y + box.h) || null;
+  };
+  if (!phases.length && !groups.length) warn('The file has no groups: all steps are in one phase');
+  const groupPhases = new Map();
+  const phaseFor = (n, ext) => {
+    const declaredPhase = ext && phases.find(p => declared.has(p) && p.id === ext['@phase']);
+    if (declaredPhase) return declaredPhase;
+    const group = groupOf(n);
+    const key = group ? group.id : null;
+    if (!groupPhases.has(key)) {
+      const name = (group && group.name) || (group ? `Phase ${groupPhases.size + 1}` : 'Process');
+      const phase = {
+        id: slug(name, taken), name, shortName: name, color: PHASE_COLORS[phases.length % PHASE_COLORS.length],
+        icon: String(phases.length + 1), description: '', estimationBlocks: [], steps: [],
+      };
+      phases.push(phase);
+      groupPhases.set(key, phase);
+    }
+    return groupPhases.get(key);
+  };
+
+  // ── Steps ──
+  const stepOf = new Map();
+  items.forEach(n => {
+    const ext = pmOf(n.raw, 'step');
+    let step;
+    if (ext !== undefined) {
+      step = {
+        id: ext['@id'],
+        name: n.raw['@name'],
+        ...defined({
+          stakeholder: ext['@stakeholder'],
+          visibility: ext['@visibility'],
+          actionTypes: listOf(ext.actionTypes, 'actionType'),
+          hiddenActions: ext.hiddenActions && ((first(ext.hiddenActions) || {}).hiddenAction || []).map(a => ({ description: textOf(a), ...data(a) })),
+          externalDeps: listOf(ext.externalDeps, 'externalDep'),
+          isDecisionPoint: bool(ext['@decisionPoint']),
+          decisionOptions: listOf(ext.decisionOptions, 'option'),
+          decisionOutcome: ext.decisionOptions && first(ext.decisionOptions)['@outcome'],
+          gateway: ext['@gateway'],
+        }),
+        ...data(ext),
+      };
+      const loop = first(ext.errorLoop);
+      if (loop !== undefined) {
+        step.errorLoop = defined({
+          condition: loop['@condition'], target: loop['@target'],
+          frequency: num(loop['@frequency']), reworkMinutes: num(loop['@reworkMinutes']), ...data(loop),
+        });
+      }
+    } else {
+      if (!n.name) warn(`Element "${n.id}" has no name`);
+      step = {
+        id: null, name: n.name || (n.kind === 'gateway' ? 'Decision' : 'Untitled step'),
+        actionTypes: [], visibility: 'documented', errorLoop: null, externalDeps: [], hiddenActions: [],
+      };
+      if (laneOf.has(n.id)) step.stakeholder = laneOf.get(n.id);
+    }
+    phaseFor(n, ext).steps.push(step);
+    stepOf.set(n, step);
+  });
+
+  // Generated step ids: <phase>.<step>, kept clear of the imported ones
+  const stepIds = new Set([...stepOf.values()].map(s => s.id).filter(Boolean));
+  phases.forEach((phase, pi) => phase.steps.forEach((step, si) => {
+    if (step.id) return;
+    let id = `${pi + 1}.${si + 1}`;
+    for (let k = 2; stepIds.has(id); k++) id = `${pi + 1}.${si + 1}.${k}`;
+    stepIds.add(id);
+    step.id = id;
+  }));
+
+  // Split gateways: decision points with their branches
+  routesOf.forEach((routes, gateway) => {
+    const step = stepOf.get(gateway);
+    const branches = routes.map((r, i) => {
+      const stepIdsOf = r.nodes.map(n => stepOf.get(n).id);
+      if (r.ext !== undefined) {
+        return {
+          label: r.flow.raw['@name'],
+          ...defined({
+            stepIds: r.ext['@stepIds'] !== undefined ? stepIdsOf : undefined,
+            probability: num(r.ext['@probability']), end: bool(r.ext['@end']), endLabel: r.ext['@endLabel'],
+          }),
+          ...data(r.ext),
+        };
+      }
+      const branch = { label: r.flow.name || r.flow.to.name || `Option ${i + 1}`, stepIds: stepIdsOf };
+      return r.ends ? { ...branch, end: true, endLabel: r.next.name || 'End' } : branch;
+    });
+    if (pmOf(gateway.raw, 'step') !== undefined) {
+      step.branches = branches;
+      return;
+    }
+    const parallel = gateway.tag === 'parallelGateway';
+    if (!parallel && gateway.tag !== 'exclusiveGateway') warn(`${label(gateway)} (${gateway.tag}) was imported as an exclusive gateway`);
+    step.isDecisionPoint = true;
+    if (!parallel) step.decisionOptions = branches.map(b => b.label);
+    if (parallel || branches.some(b => b.stepIds.length || b.end)) {
+      step.gateway = parallel ? 'parallel' : 'exclusive';
+      step.branches = branches;
+    }
+  });
+
+  // Loops: an error loop on the step the flow leaves (or the step before its gateway)
+  back.forEach(f => {
+    let from = f.from;
+    while (from && !stepOf.has(from)) from = from.in.length ? from.in[0].from : null;
+    let to = f.to;
+    while (to && !stepOf.has(to)) to = to.out.length ? to.out[0].to : null;
+    const step = from && stepOf.get(from);
+    if (!step || !to) return warn(`The loop ${label(f)} could not be attached to a step`);
+    if (step.errorLoop) return warn(`Step "${step.name}" has more than one loop back; only the first was kept`);
+    const target = stepOf.get(to);
+    step.errorLoop = { condition: f.name || f.from.name || 'Error', target: target === step ? 'self' : target.id };
+  });
+
+  // One estimation block per new phase
+  phases.filter(p => !declared.has(p)).forEach(phase => {
+    phase.estimationBlocks.push({ id: slug(`${phase.id}_block`, taken), label: phase.name, prompt: '', stepsIncluded: phase.steps.map(s => s.id) });
+  });
+
+  if (procExt === undefined) {
+    extra.title = ((participant && participant['@name']) || process['@name'] || 'Imported process').trim();
+    if (stakeholders) {
+      defaultStakeholder = laneOf.get(items[0] && items[0].id) || Object.keys(stakeholders)[0];
+      phases.forEach(p => p.steps.forEach(s => { if (s.stakeholder === defaultStakeholder) delete s.stakeholder; }));
+    }
+  }
+  return { definition: { ...extra, ...defined({ stakeholders, defaultStakeholder }), phases }, warnings };
+}
+
+module.exports = { toBpmn, fromBpmn, PM_NS };
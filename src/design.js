@@ -0,0 +1,472 @@
+/**
+ * EXPERIMENTAL DESIGN — conditions (arms), page flows and renderer options
+ *
+ * Every condition a participant can be assigned to is declared here. Only the
+ * conditions listed in `arms` take part in randomization; the others can still
+ * be previewed with ?CONDITION=<id> (forced conditions are never counted).
+ *
+ * Per condition:
+ *   label       Display name (dashboard / export only — participants never see it)
+ *   color       Dashboard colour (one per condition, so arms can be told apart)
+ *   estimation  'blocks'  → one estimate per PROCESS_MAP estimation block (side-by-side cards)
+ *               'overall' → one overall estimate
+ *               'steps'   → one estimate per step (cards beside each step), rolled up
+ *                           into block and total sums for the summary, export and stats
+ *   elicitation 'point' (default)  → one time per estimate (minutes + seconds)
+ *               'three-point'      → optimistic, most likely and pessimistic time per
+ *                                    estimate; the most likely time is the estimate, the
+ *                                    other two give its PERT mean and variance
+ *               'distribution'     → the time, plus a histogram: the participant spreads
+ *                                    `distribution.balls` chances over the time bins
+ *   errorEstimation  What the error-estimation page asks, besides the overall error rate:
+ *               'overall' (default) → nothing more
+ *               'blocks'            → an error likelihood per estimation block
+ *               'loops'             → an error likelihood per step with an error loop
+ *               (see ERROR-RATE ITEMS)
+ *   response    How the answers are given (optional; see RESPONSE FORMATS):
+ *                 time        'numeric' (default) | 'slider' | 'bins'
+ *                 errorRate   'numeric' (default) | 'vas'
+ *               A list instead of one format, e.g. time: ['numeric', 'slider'], gives
+ *               each session one of them (balanced within the condition)
+ *   flow        Page sequence after session creation. Available pages:
+ *               consent, intro, estimation, error-estimation, summary,
+ *               demographics, feedback, complete
+ *   renderer    How the procedure is shown on the estimation page:
+ *                 map               true → interactive SVG process map, false → text description
+ *                 showHiddenActions steps can be expanded to reveal hidden sub-actions
+ *                 showActionTypes   action type badges on each step
+ *                 orientation       'vertical' (default) | 'horizontal' — phases stacked top to
+ *                                   bottom, or side by side with the flow left to right
+ *                 swimLanes         'vertical' (default) | 'horizontal' | 'off' — lanes per
+ *                                   stakeholder when the procedure has more than one
+ *                 zonePosition      'bottom' (default) | 'top' — where a left-to-right map's
+ *                                   estimation zones and cards go
+ *                 navigation        'auto' (default: on from 30 steps) | true | false —
+ *                                   zoom, pan, minimap and phase jumps on the map
+ *                 legend            true → action-type legend above the map, with counts,
+ *                                   that highlights the steps of the chosen types
+ *
+ * Changing `arms`, `blockSize` or the stratification variable mid-study starts
+ * a new randomization segment (see src/randomization.js); allocations already
+ * made are kept.
+ *
+ * STRATIFICATION (optional) — separate permuted blocks per stratum of one
+ * participant covariate, read either from
+ *   source: 'screener'  a single question asked after consent, before allocation
+ *   source: 'url'       a URL parameter (`param`), e.g. a Prolific custom field
+ * `strata` maps each stratum to the covariate values it contains; a value that
+ * is missing or unmapped falls into the 'unspecified' stratum.
+ *
+ * DISTRIBUTION — for 'distribution' conditions, `bins` are the upper edges (seconds)
+ * of the time bins, so [30, 60] gives under 30 s, 30 s – 1 min and 1 min or
+ * more; `balls` is how many equal chances are spread over them per estimate.
+ *
+ * RESPONSE FORMATS — how time estimates and the error rate are answered:
+ *   time 'numeric'   minutes and seconds fields
+ *        'slider'    a log-scaled slider from `responseFormats.slider.minSec` to `maxSec`
+ *        'bins'      a dropdown of the `distribution.bins` time ranges; the answer is
+ *                    stored as its range (`bin`) and a representative time (binTime)
+ *   errorRate 'numeric' a percentage field
+ *             'vas'     a visual-analogue scale: an unmarked line from 0 % to 100 %
+ * Sliders and the scale start without a marker, so they have no default answer.
+ * A session's formats are fixed when it is allocated and stored with it.
+ *
+ * ERROR-RATE ITEMS — in 'blocks' and 'loops' conditions each item asks for the
+ * percentage of applications with a rejection-worthy error in that block, or
+ * that hit that step's validation error, with a confidence rating. Items are
+ * answered in the session's errorRate format and benchmarked against the
+ * per-page error rates of the procedure task (see fetchProcedureGroundTruth).
+ *
+ * DEVICE CLASS — every session's device is classed from the screen width the
+ * client reports at session start (`device.screenWidth`, CSS px): up to
+ * `deviceClasses.mobile` is 'mobile', up to `deviceClasses.tablet` 'tablet',
+ * wider 'desktop', and no width 'unknown'. It is a covariate in the exports
+ * and the dashboard, not an allocation factor. The same `deviceClasses.tablet`
+ * width is where the estimation page switches to its stacked layout
+ * (`stackedMaxWidth` in the client config), so phones and tablets get it.
+ */
+
+const UNSPECIFIED_STRATUM = 'unspecified';
+const DEVICE_CLASSES = ['mobile', 'tablet', 'desktop', 'unknown'];
+
+const ELICITATIONS = ['point', 'three-point', 'distribution'];
+const ERROR_ESTIMATIONS = ['overall', 'blocks', 'loops'];
+
+const TIME_FORMATS = ['numeric', 'slider', 'bins'];
+const ERROR_RATE_FORMATS = ['numeric', 'vas'];
+
+const PAGES = ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'];
+
+const DESIGN = {
+  arms: ['detailed', 'simple'],
+  blockSize: 4, // must be a multiple of arms.length
+
+  deviceClasses: { mobile: 767, tablet: 1199 }, // widest screen (CSS px) of each class
+
+  distribution: {
+    bins: [30, 60, 120, 180, 300, 450, 600, 900, 1200, 1800], // upper bin edges, seconds
+    balls: 20, // 5 % each
+  },
+
+  responseFormats: {
+    slider: { minSec: 5, maxSec: 7200 }, // log scale, 5 s – 2 h
+  },
+
+  stratification: {
+    enabled: false,
+    variable: 'admin_experience',
+    source: 'screener',           // 'screener' | 'url'
+    param: 'ADMIN_EXPERIENCE',    // URL parameter name when source is 'url'
+    question: 'Have you ever completed a government administrative procedure online (e.g., permit application, registration, benefits claim)?',
+    options: {
+      never: 'Never',
+      once_twice: 'Once or twice',
+      several: 'Several times',
+      many: 'Many times',
+    },
+    strata: {
+      inexperienced: ['never', 'once_twice'],
+      experienced: ['several', 'many'],
+    },
+  },
+
+  conditions: {
+    detailed: {
+      label: 'Detailed',
+      color: '#1864ab',
+      estimation: 'blocks',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    simple: {
+      label: 'Simple',
+      color: '#862e9c',
+      estimation: 'overall',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    // Additional arms — add the id to `arms` to randomize into them
+    detailed_no_subactions: {
+      label: 'Detailed (no sub-actions)',
+      color: '#2b8a3e',
+      estimation: 'blocks',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: false, showActionTypes: true },
+    },
+    simple_text: {
+      label: 'Simple (text only)',
+      color: '#e67700',
+      estimation: 'overall',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'demographics', 'feedback', 'complete'],
+      renderer: { map: false, showHiddenActions: false, showActionTypes: false },
+    },
+    detailed_horizontal: {
+      label: 'Detailed (left to right)',
+      color: '#0b7285',
+      estimation: 'blocks',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true, orientation: 'horizontal' },
+    },
+    detailed_legend: {
+      label: 'Detailed (action-type legend)',
+      color: '#5f3dc4',
+      estimation: 'blocks',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true, legend: true },
+    },
+    detailed_three_point: {
+      label: 'Detailed (three-point)',
+      color: '#c2255c',
+      estimation: 'blocks',
+      elicitation: 'three-point',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    detailed_distribution: {
+      label: 'Detailed (distribution)',
+      color: '#5c940d',
+      estimation: 'blocks',
+      elicitation: 'distribution',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    detailed_steps: {
+      label: 'Detailed (per step)',
+      color: '#a61e4d',
+      estimation: 'steps',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    detailed_formats: {
+      label: 'Detailed (response formats)',
+      color: '#364fc7',
+      estimation: 'blocks',
+      response: { time: ['numeric', 'slider', 'bins'], errorRate: ['numeric', 'vas'] },
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    simple_formats: {
+      label: 'Simple (response formats)',
+      color: '#087f5b',
+      estimation: 'overall',
+      response: { time: ['numeric', 'slider', 'bins'], errorRate: ['numeric', 'vas'] },
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    simple_distribution: {
+      label: 'Simple (distribution)',
+      color: '#d9480f',
+      estimation: 'overall',
+      elicitation: 'distribution',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    detailed_error_blocks: {
+      label: 'Detailed (error rate per block)',
+      color: '#343a40',
+      estimation: 'blocks',
+      errorEstimation: 'blocks',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+    detailed_error_loops: {
+      label: 'Detailed (error rate per loop)',
+      color: '#c92a2a',
+      estimation: 'blocks',
+      errorEstimation: 'loops',
+      flow: ['consent', 'intro', 'estimation', 'error-estimation', 'summary', 'demographics', 'feedback', 'complete'],
+      renderer: { map: true, showHiddenActions: true, showActionTypes: true },
+    },
+  },
+};
+
+// Fail fast on a malformed design rather than mid-study
+function validateDesign(design) {
+  const errors = [];
+  if (!Array.isArray(design.arms) || design.arms.length < 2) errors.push('arms must list at least 2 conditions');
+  (design.arms || []).forEach(id => {
+    if (!design.conditions[id]) errors.push(`arm "${id}" is not declared in conditions`);
+  });
+  if (design.blockSize % (design.arms || []).length !== 0) {
+    errors.push(`blockSize ${design.blockSize} must be a multiple of the number of arms (${design.arms.length})`);
+  }
+  // Arms are told apart by colour on the dashboard
+  const colors = Object.entries(design.conditions).filter(([, c]) => c.color).map(([id, c]) => [id, c.color.toLowerCase()]);
+  colors.forEach(([id, color], i) => {
+    const other = colors.slice(0, i).find(([, earlier]) => earlier === color);
+    if (other) errors.push(`${id}: color ${color} is already used by ${other[0]}`);
+  });
+  Object.entries(design.conditions).forEach(([id, c]) => {
+    if (!['blocks', 'overall', 'steps'].includes(c.estimation)) errors.push(`${id}: estimation must be 'blocks', 'overall' or 'steps'`);
+    if (c.elicitation !== undefined && !ELICITATIONS.includes(c.elicitation)) {
+      errors.push(`${id}: elicitation must be ${ELICITATIONS.map(e => `'${e}'`).join(' or ')}`);
+    }
+    if (c.errorEstimation !== undefined && !ERROR_ESTIMATIONS.includes(c.errorEstimation)) {
+      errors.push(`${id}: errorEstimation must be ${ERROR_ESTIMATIONS.map(e => `'${e}'`).join(', ')}`);
+    }
+    if (errorEstimationOf(id, design) !== 'overall' && !(c.flow || []).includes('error-estimation')) {
+      errors.push(`${id}: errorEstimation '${c.errorEstimation}' needs the 'error-estimation' page in the flow`);
+    }
+    (c.flow || []).forEach(p => {
+      if (!PAGES.includes(p)) errors.push(`${id}: unknown page "${p}" in flow`);
+    });
+    [['time', TIME_FORMATS], ['errorRate', ERROR_RATE_FORMATS]].forEach(([answer, formats]) => {
+      const f = c.response && c.response[answer];
+      if (f === undefined) return;
+      const list = Array.isArray(f) ? f : [f];
+      if (!list.length || list.some(x => !formats.includes(x)) || new Set(list).size !== list.length) {
+        errors.push(`${id}: response.${answer} must be ${formats.map(x => `'${x}'`).join(', ')} or a list of them`);
+      }
+    });
+    const lanes = c.renderer && c.renderer.swimLanes;
+    if (lanes && !['vertical', 'horizontal', 'off'].includes(lanes)) {
+      errors.push(`${id}: renderer.swimLanes must be 'vertical', 'horizontal' or 'off'`);
+    }
+    const orientation = c.renderer && c.renderer.orientation;
+    if (orientation && !['vertical', 'horizontal'].includes(orientation)) {
+      errors.push(`${id}: renderer.orientation must be 'vertical' or 'horizontal'`);
+    }
+    const zonePosition = c.renderer && c.renderer.zonePosition;
+    if (zonePosition && !['top', 'bottom'].includes(zonePosition)) {
+      errors.push(`${id}: renderer.zonePosition must be 'top' or 'bottom'`);
+    }
+    const nav = c.renderer && c.renderer.navigation;
+    if (nav !== undefined && !['auto', true, false].includes(nav)) {
+      errors.push(`${id}: renderer.navigation must be 'auto', true or false`);
+    }
+    if (c.estimation === 'steps' && !(c.renderer && c.renderer.map && orientation !== 'horizontal' && lanes !== 'horizontal')) {
+      errors.push(`${id}: estimation 'steps' needs a top-to-bottom map (renderer.map, vertical orientation and swim lanes)`);
+    }
+    const legend = c.renderer && c.renderer.legend;
+    if (legend !== undefined && typeof legend !== 'boolean') errors.push(`${id}: renderer.legend must be true or false`);
+    if (!c.flow || !c.flow.includes('estimation') || c.flow[c.flow.length - 1] !== 'complete') {
+      errors.push(`${id}: flow must include 'estimation' and end with 'complete'`);
+    }
+  });
+  const dist = design.distribution || {};
+  if (!Array.isArray(dist.bins) || !dist.bins.length ||
+      dist.bins.some((edge, i) => !Number.isInteger(edge) || edge <= (i ? dist.bins[i - 1] : 0))) {
+    errors.push('distribution: bins must be increasing whole numbers of seconds');
+  }
+  if (!Number.isInteger(dist.balls) || dist.balls < 2 || dist.balls > 100) errors.push('distribution: balls must be a whole number 2–100');
+  const slider = (design.responseFormats || {}).slider || {};
+  if (!(slider.minSec > 0 && slider.maxSec > slider.minSec)) {
+    errors.push('responseFormats.slider: minSec and maxSec must be seconds with 0 < minSec < maxSec');
+  }
+  const widths = design.deviceClasses || {};
+  if (!(widths.mobile > 0 && widths.tablet > widths.mobile)) {
+    errors.push('deviceClasses: mobile and tablet must be widths with mobile < tablet');
+  }
+  const strat = design.stratification;
+  if (strat && strat.enabled) {
+    if (!strat.variable) errors.push('stratification: variable is required');
+    if (!['screener', 'url'].includes(strat.source)) errors.push("stratification: source must be 'screener' or 'url'");
+    if (strat.source === 'url' && !strat.param) errors.push("stratification: param is required when source is 'url'");
+    if (strat.source === 'screener' && (!strat.question || !strat.options || !Object.keys(strat.options).length)) {
+      errors.push('stratification: a screener needs a question and options');
+    }
+    const seen = new Set();
+    Object.entries(strat.strata || {}).forEach(([id, values]) => {
+      if (id === UNSPECIFIED_STRATUM) errors.push(`stratification: "${UNSPECIFIED_STRATUM}" is reserved`);
+      if (!Array.isArray(values) || !values.length) errors.push(`stratification: stratum "${id}" must list at least one value`);
+      (values || []).forEach(v => {
+        if (seen.has(v)) errors.push(`stratification: value "${v}" is mapped to more than one stratum`);
+        seen.add(v);
+        if (strat.source === 'screener' && strat.options && !(v in strat.options)) {
+          errors.push(`stratification: stratum "${id}" lists "${v}", which is not a screener option`);
+        }
+      });
+    });
+    if (!seen.size) errors.push('stratification: at least one stratum is required');
+  }
+  if (errors.length) throw new Error('Invalid design config:\n  ' + errors.join('\n  '));
+}
+
+validateDesign(DESIGN);
+
+/** Active stratification config, or null when allocation is not stratified. */
+function stratification() {
+  const s = DESIGN.stratification;
+  return s && s.enabled ? s : null;
+}
+
+/** Stratum for a covariate value (unmapped or missing → 'unspecified'). */
+function stratumFor(value) {
+  const s = stratification();
+  if (!s || value === null || value === undefined || value === '') return UNSPECIFIED_STRATUM;
+  const hit = Object.entries(s.strata).find(([, values]) => values.includes(String(value)));
+  return hit ? hit[0] : UNSPECIFIED_STRATUM;
+}
+
+/** Device class of a session's `device` record ('mobile' | 'tablet' | 'desktop' | 'unknown'). */
+function deviceClassOf(device) {
+  const width = Number(device && device.screenWidth);
+  if (!(width > 0)) return 'unknown';
+  if (width <= DESIGN.deviceClasses.mobile) return 'mobile';
+  return width <= DESIGN.deviceClasses.tablet ? 'tablet' : 'desktop';
+}
+
+/** How a condition asks for each time estimate ('point' | 'three-point' | 'distribution'). */
+function elicitationOf(id) {
+  return (DESIGN.conditions[id] && DESIGN.conditions[id].elicitation) || 'point';
+}
+
+function errorEstimationOf(id, design = DESIGN) {
+  return (design.conditions[id] && design.conditions[id].errorEstimation) || 'overall';
+}
+
+const timeLabel = sec => {
+  if (sec < 60) return `${sec} s`;
+  const m = Math.floor(sec / 60), s = sec % 60;
+  return s ? `${m} min ${s} s` : `${m} min`;
+};
+
+/** Display labels of the distribution bins: ['Under 30 s', '30 s – 1 min', …, '30 min or more']. */
+function distributionLabels(bins = DESIGN.distribution.bins) {
+  return [
+    `Under ${timeLabel(bins[0])}`,
+    ...bins.slice(1).map((edge, i) => `${timeLabel(bins[i])} – ${timeLabel(edge)}`),
+    `${timeLabel(bins[bins.length - 1])} or more`,
+  ];
+}
+
+/** Index of the distribution bin that holds `sec`. */
+function distributionBin(sec, bins = DESIGN.distribution.bins) {
+  const i = bins.findIndex(edge => sec < edge);
+  return i === -1 ? bins.length : i;
+}
+
+/**
+ * Representative time (seconds) of dropdown range `i`: its midpoint; the open
+ * top range counts as 1.5 × its lower edge.
+ */
+function binTime(i, bins = DESIGN.distribution.bins) {
+  if (i >= bins.length) return Math.round(bins[bins.length - 1] * 1.5);
+  return Math.round(((i ? bins[i - 1] : 0) + bins[i]) / 2);
+}
+
+// The formats a condition allows for one answer ('time' | 'errorRate')
+function formatsOf(id, answer) {
+  const f = DESIGN.conditions[id] && DESIGN.conditions[id].response && DESIGN.conditions[id].response[answer];
+  if (!f) return ['numeric'];
+  return Array.isArray(f) ? f : [f];
+}
+
+/**
+ * Response formats for a new session in condition `id`: fixed ones as
+ * declared; from a list, one of the formats used least so far in the
+ * condition (`earlier`: the response_format records of its earlier
+ * sessions), ties broken at random.
+ */
+function assignResponseFormat(id, earlier = []) {
+  const pick = answer => {
+    const formats = formatsOf(id, answer);
+    const used = formats.map(f => earlier.filter(r => r && r[answer] === f).length);
+    const least = formats.filter((f, i) => used[i] === Math.min(...used));
+    return least[Math.floor(Math.random() * least.length)];
+  };
+  return { time: pick('time'), errorRate: pick('errorRate') };
+}
+
+/** A session's response formats: as stored, else the condition's first choice. */
+function responseFormatOf(id, stored) {
+  return {
+    time: (stored && stored.time) || formatsOf(id, 'time')[0],
+    errorRate: (stored && stored.errorRate) || formatsOf(id, 'errorRate')[0],
+  };
+}
+
+/** Client-facing screener question (what app.js shows before allocation). */
+function screenerConfig() {
+  const s = stratification();
+  if (!s || s.source !== 'screener') return null;
+  return { variable: s.variable, question: s.question, options: s.options };
+}
+
+/**
+ * Client-facing config for one condition (what app.js needs to run the arm),
+ * with the session's response formats (`responseFormat`, see responseFormatOf).
+ */
+function conditionConfig(id, responseFormat) {
+  const c = DESIGN.conditions[id];
+  if (!c) return null;
+  const config = {
+    id, estimation: c.estimation, elicitation: elicitationOf(id), errorEstimation: errorEstimationOf(id),
+    response: responseFormatOf(id, responseFormat),
+    flow: c.flow, renderer: c.renderer, stackedMaxWidth: DESIGN.deviceClasses.tablet,
+  };
+  if (config.elicitation === 'distribution') {
+    config.distribution = { bins: DESIGN.distribution.bins, balls: DESIGN.distribution.balls, labels: distributionLabels() };
+  }
+  if (config.response.time === 'slider') config.slider = DESIGN.responseFormats.slider;
+  if (config.response.time === 'bins') {
+    config.timeBins = distributionLabels().map((label, i) => ({ label, seconds: binTime(i) }));
+  }
+  return config;
+}
+
+module.exports = {
+  DESIGN, PAGES, UNSPECIFIED_STRATUM, DEVICE_CLASSES, ELICITATIONS, ERROR_ESTIMATIONS, TIME_FORMATS, ERROR_RATE_FORMATS,
+  conditionConfig, validateDesign, stratification, stratumFor, screenerConfig, deviceClassOf, elicitationOf, errorEstimationOf,
+  distributionLabels, distributionBin, binTime, assignResponseFormat, responseFormatOf,
+};
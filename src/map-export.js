@@ -0,0 +1,314 @@
+/**
+ * MAP EXPORT — the process map as standalone SVG, PNG or print PDF
+ *
+ * The participant-facing renderer (public/js/process-map-svg.js) builds the
+ * map as a string, so the server runs that same file in a vm context with the
+ * procedure as PROCESS_MAP. No browser is involved, and the export is exactly
+ * the map participants see, in any expansion state:
+ *
+ *   svg  self-contained: the font is embedded, arrow markers and the shadow
+ *        filter are inline, and colours are plain #rrggbb (+ opacity) so
+ *        editors that predate 8-digit hex read them
+ *   png  the SVG rasterized by resvg at `dpi` (96 dpi = one pixel per map unit)
+ *   pdf  vector pages, cut between phases: consecutive phases share a page
+ *        while they fit, and a phase longer than a page runs over several
+ *
+ * Text is set in DejaVu Sans Condensed (the dejavu-fonts-ttf package) in all
+ * three formats, so exports look the same on every machine. It is close to
+ * the widths the renderer wraps text for. Emoji stakeholder icons need an
+ * emoji font in whatever opens the SVG; PNG and PDF leave them out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Resvg } = require('@resvg/resvg-js');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+
+const FORMATS = ['svg', 'png', 'pdf'];
+const FONT_FAMILY = 'DejaVu Sans Condensed';
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONTS = {
+  regular: path.join(FONT_DIR, 'DejaVuSansCondensed.ttf'),
+  bold: path.join(FONT_DIR, 'DejaVuSansCondensed-Bold.ttf'),
+};
+const PNG_DPI = { min: 72, max: 600, default: 192 };
+const MAX_PNG_PIXELS = 50e6; // ~200 MB of RGBA while rasterizing
+// Paper in PDF points (1/72 in), portrait; horizontal maps are printed landscape
+const PAPER = { a4: [595.28, 841.89], letter: [612, 792] };
+const MARGIN = 36;
+const HEADER_H = 18;
+const MAP_UNIT_PT = 0.75; // a map unit is a CSS pixel: 96 per inch
+
+// ============================================================
+// RENDERER (public/js/process-map-svg.js in a vm context)
+// ============================================================
+
+const CLIENT_DIR = path.join(__dirname, '..', 'public', 'js');
+let rendererScript = null;
+
+// A fresh context per export: the renderer keeps module state (expanded steps)
+function loadRenderer(definition) {
+  if (!rendererScript) {
+    const source = ['process-data.js', 'process-map-svg.js']
+      .map(f => fs.readFileSync(path.join(CLIENT_DIR, f), 'utf8'))
+      .join('\n');
+    rendererScript = new vm.Script(`${source}\nPROCESS_MAP = __definition;\nProcessMapSVG;`, { filename: 'process-map-svg.js' });
+  }
+  return rendererScript.runInNewContext({ __definition: definition, console });
+}
+
+function stepIds(definition) {
+  return definition.phases.flatMap(p => p.steps.map(s => s.id));
+}
+
+/**
+ * Parse and check export options (query-string values are accepted as is).
+ * Throws with a message fit for the researcher on a bad value.
+ */
+function exportOptions(definition, query = {}) {
+  const format = String(query.format || 'svg').toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+
+  let expand = query.expand || 'none';
+  if (expand !== 'all' && expand !== 'none') {
+    expand = (Array.isArray(expand) ? expand : String(expand).split(',')).map(s => s.trim()).filter(Boolean);
+    const known = new Set(stepIds(definition));
+    const unknown = expand.filter(id => !known.has(id));
+    if (unknown.length) throw new Error(`Unknown step id${unknown.length > 1 ? 's' : ''} in expand: ${unknown.join(', ')}`);
+  }
+
+  const dpi = query.dpi === undefined || query.dpi === '' ? PNG_DPI.default : Number(query.dpi);
+  if (!Number.isFinite(dpi) || dpi < PNG_DPI.min || dpi > PNG_DPI.max) {
+    throw new Error(`dpi must be between ${PNG_DPI.min} and ${PNG_DPI.max}`);
+  }
+
+  const paper = String(query.paper || 'a4').toLowerCase();
+  if (!PAPER[paper]) throw new Error(`paper must be one of ${Object.keys(PAPER).join(', ')}`);
+
+  return { format, expand, dpi, paper };
+}
+
+// ============================================================
+// SVG
+// ============================================================
+
+// #rrggbbaa → #rrggbb plus fill-/stroke-opacity
+function plainColours(svg) {
+  return svg.replace(/\b(fill|stroke|flood-color)="#([0-9a-f]{6})([0-9a-f]{2})"/gi, (m, attr, rgb, alpha) => {
+    const opacity = +(parseInt(alpha, 16) / 255).toFixed(3);
+    const opacityAttr = attr === 'flood-color' ? 'flood-opacity' : `${attr}-opacity`;
+    return `${attr}="#${rgb}" ${opacityAttr}="${opacity}"`;
+  });
+}
+
+function withFont(svg) {
+  return svg.replace(/font-family="[^"]*"/g, `font-family="${FONT_FAMILY}"`);
+}
+
+function fontFaces() {
+  const face = (file, weight) => `@font-face{font-family:'${FONT_FAMILY}';font-weight:${weight};`
+    + `src:url(data:font/ttf;base64,${fs.readFileSync(file).toString('base64')}) format('truetype')}`;
+  return `<defs><style>${face(FONTS.regular, 'normal')}${face(FONTS.bold, 'bold')}</style></defs>`;
+}
+
+/**
+ * The map drawn by the renderer: { svg, width, height, orientation, phases }.
+ * `renderer` holds the condition's renderer options (orientation, swimLanes, …).
+ */
+function drawMap(definition, { expand = 'none', renderer = {} } = {}) {
+  const { map, navigation, ...options } = renderer;
+  const drawn = loadRenderer(definition).exportSVG(options, expand);
+  return { ...drawn, svg: withFont(plainColours(drawn.svg)) };
+}
+
+// The font has no emoji (stakeholder icons): PNG and PDF leave them out
+// rather than print empty boxes
+function withoutEmoji(svg) {
+  return svg.replace(/[\u{1F000}-\u{1FAFF}]\uFE0F?\s?/gu, '');
+}
+
+/** The collapsed map as nodes, flows, loops, lanes and bands (exportLayout in the renderer). */
+function mapLayout(definition, renderer = {}) {
+  const { map, navigation, ...options } = renderer;
+  return loadRenderer(definition).exportLayout(options);
+}
+
+// Embedding the font makes the file stand alone (about 1 MB more)
+function standaloneSvg(drawn) {
+  return drawn.svg.replace(/(<svg[^>]*>)/, `$1${fontFaces()}`);
+}
+
+// ============================================================
+// PNG
+// ============================================================
+
+function renderPng(drawn, dpi) {
+  const zoom = dpi / 96;
+  const pixels = Math.round(drawn.width * zoom) * Math.round(drawn.height * zoom);
+  if (pixels > MAX_PNG_PIXELS) {
+    const fit = Math.floor(96 * Math.sqrt(MAX_PNG_PIXELS / (drawn.width * drawn.height)));
+    const err = new Error(`At ${dpi} dpi this map is ${Math.round(pixels / 1e6)} megapixels; use ${fit} dpi or less`);
+    err.status = 400;
+    throw err;
+  }
+  const resvg = new Resvg(withoutEmoji(drawn.svg), {
+    fitTo: { mode: 'zoom', value: zoom },
+    background: '#fff',
+    font: { fontFiles: [FONTS.regular, FONTS.bold], loadSystemFonts: false, defaultFontFamily: FONT_FAMILY },
+  });
+  const png = resvg.render().asPng();
+  return setPngDpi(png, dpi);
+}
+
+// A pHYs chunk so image editors and word processors size the PNG by its dpi
+function setPngDpi(png, dpi) {
+  const ppm = Math.round(dpi / 0.0254);
+  const data = Buffer.alloc(9);
+  data.writeUInt32BE(ppm, 0);
+  data.writeUInt32BE(ppm, 4);
+  data[8] = 1; // unit: metre
+  const type = Buffer.from('pHYs');
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  type.copy(chunk, 4);
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(Buffer.concat([type, data])), 8 + data.length);
+  const afterHeader = 8 + 25; // signature + IHDR
+  return Buffer.concat([png.subarray(0, afterHeader), chunk, png.subarray(afterHeader)]);
+}
+
+let crcTable = null;
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256).map((_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      return c;
+    });
+  }
+  let crc = 0xFFFFFFFF;
+  for (const b of buf) crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ============================================================
+// PDF
+// ============================================================
+
+/**
+ * Cut the map along its flow into page slices [from, to] (map units).
+ * Cuts fall halfway between phase bands; a phase longer than `room` is
+ * sliced at page length.
+ */
+function pageSlices(drawn, room) {
+  const along = drawn.orientation === 'horizontal'
+    ? { start: b => b.x, size: b => b.w, total: drawn.width }
+    : { start: b => b.y, size: b => b.h, total: drawn.height };
+  const bands = drawn.phases;
+  const cuts = [0];
+  for (let i = 0; i < bands.length - 1; i++) {
+    cuts.push((along.start(bands[i]) + along.size(bands[i]) + along.start(bands[i + 1])) / 2);
+  }
+  cuts.push(along.total);
+
+  const segments = [];
+  for (let i = 0; i < cuts.length - 1; i++) {
+    segments.push({ from: cuts[i], to: cuts[i + 1], phases: bands[i] ? [bands[i].name] : [] });
+  }
+
+  const slices = [];
+  for (const seg of segments) {
+    const last = slices[slices.length - 1];
+    if (last && !last.sliced && seg.to - last.from <= room) {
+      last.to = seg.to;
+      last.phases.push(...seg.phases);
+    } else if (seg.to - seg.from <= room) {
+      slices.push({ ...seg, phases: [...seg.phases] });
+    } else {
+      const parts = Math.ceil((seg.to - seg.from) / room);
+      const len = (seg.to - seg.from) / parts;
+      for (let k = 0; k < parts; k++) {
+        slices.push({
+          from: seg.from + k * len, to: seg.from + (k + 1) * len, sliced: true,
+          phases: seg.phases.map(n => `${n} (${k + 1}/${parts})`),
+        });
+      }
+    }
+  }
+  return slices;
+}
+
+function renderPdf(drawn, { paper, title, version }) {
+  const horizontal = drawn.orientation === 'horizontal';
+  const [pw, ph] = horizontal ? [...PAPER[paper]].reverse() : PAPER[paper];
+  const boxW = pw - MARGIN * 2;
+  const boxH = ph - MARGIN * 2 - HEADER_H * 2;
+  // Full width (vertical) or height (horizontal) of the map on the page, never enlarged
+  const across = horizontal ? drawn.height : drawn.width;
+  const scale = Math.min(MAP_UNIT_PT, (horizontal ? boxH : boxW) / across);
+  const slices = pageSlices(drawn, (horizontal ? boxW : boxH) / scale);
+
+  const doc = new PDFDocument({ size: [pw, ph], margin: 0, autoFirstPage: false, info: { Title: title } });
+  doc.registerFont(FONT_FAMILY, FONTS.regular);
+  doc.registerFont(`${FONT_FAMILY} Bold`, FONTS.bold);
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  const done = new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+
+  slices.forEach((slice, i) => {
+    doc.addPage();
+    doc.font(`${FONT_FAMILY} Bold`).fontSize(10).fillColor('#212529')
+      .text(title, MARGIN, MARGIN, { width: boxW, height: HEADER_H, lineBreak: false, ellipsis: true });
+    doc.font(FONT_FAMILY).fontSize(8).fillColor('#868e96')
+      .text(slice.phases.join(' · '), MARGIN, MARGIN + 12, { width: boxW, lineBreak: false, ellipsis: true })
+      .text(`Version ${version} · page ${i + 1} of ${slices.length}`, MARGIN, ph - MARGIN - 8, { width: boxW, align: 'right' });
+
+    // The slice as its own viewBox, clipped to the page box
+    const len = slice.to - slice.from;
+    const viewBox = horizontal
+      ? `${slice.from} 0 ${len} ${drawn.height}`
+      : `0 ${slice.from} ${drawn.width} ${len}`;
+    const w = (horizontal ? len : drawn.width) * scale;
+    const h = (horizontal ? drawn.height : len) * scale;
+    const x = MARGIN + (boxW - w) / 2;
+    const y = MARGIN + HEADER_H * 2;
+    const svg = withoutEmoji(drawn.svg).replace(/(<svg[^>]*?) width="[^"]*" height="[^"]*" viewBox="[^"]*"/,
+      `$1 width="${w}" height="${h}" viewBox="${viewBox}"`);
+    doc.save().rect(x, y, w, h).clip();
+    SVGtoPDF(doc, svg, x, y, {
+      width: w, height: h,
+      fontCallback: (family, bold) => (bold ? `${FONT_FAMILY} Bold` : FONT_FAMILY),
+    });
+    doc.restore();
+  });
+  doc.end();
+  return done;
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+
+const CONTENT_TYPES = { svg: 'image/svg+xml', png: 'image/png', pdf: 'application/pdf' };
+
+/**
+ * Export a procedure's map. `procedure` is a loaded procedure (src/procedure.js),
+ * `options` as parsed by exportOptions(), `renderer` the condition's renderer
+ * options. Resolves to { body, contentType, filename }.
+ */
+async function exportMap(procedure, options, renderer = {}) {
+  const { format, expand, dpi, paper } = options;
+  const drawn = drawMap(procedure.definition, { expand, renderer });
+  const suffix = expand === 'all' ? 'expanded' : expand === 'none' ? 'collapsed' : 'selected';
+  const filename = `${procedure.id}-${procedure.version}-${suffix}.${format}`;
+
+  let body;
+  if (format === 'svg') body = standaloneSvg(drawn);
+  else if (format === 'png') body = renderPng(drawn, dpi);
+  else body = await renderPdf(drawn, { paper, title: procedure.title || procedure.id, version: procedure.version });
+  return { body, contentType: CONTENT_TYPES[format], filename };
+}
+
+module.exports = { exportMap, exportOptions, drawMap, mapLayout, pageSlices, FORMATS };
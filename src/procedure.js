@@ -0,0 +1,386 @@
+/**
+ * PROCEDURE — the process map definition, loaded from procedures/<id>.json
+ *
+ * The JSON file is the single source of truth for phases, steps, hidden
+ * actions, error loops and estimation blocks. The server serves it to the
+ * client (/api/procedure) and derives everything else from it: block ids and
+ * dashboard names for stats, expected blocks for validation, CSV columns, and
+ * the procedure-task pages each block is benchmarked against.
+ *
+ * Participant-facing copy: title, taskName (the procedure as named to
+ * participants), taskScope (where the timed procedure starts and ends),
+ * introduction[] (HTML paragraphs for the intro page), experimentContext.
+ *
+ * Data model (per phase):
+ *   id, name, shortName, color, icon, stakeholder, description, richDescription
+ *   estimationBlocks[]  id, label, prompt, stepsIncluded[] (step ids),
+ *                       groundTruthPages[] (procedure-task page ids summed for ground truth)
+ *   steps[]             id, name, actionTypes[], visibility, externalDeps[],
+ *                       stakeholder (optional; defaults to the phase's),
+ *                       hiddenActions[] ({ description }),
+ *                       errorLoop ({ condition, target, frequency, reworkMinutes,
+ *                                    groundTruthPage } or null),
+ *                       isDecisionPoint, decisionOptions[], decisionOutcome,
+ *                       gateway ('exclusive' | 'parallel'), branches[]
+ *
+ * Branching gateways: a decision point with `branches` splits the flow.
+ *   exclusive  one route is taken; branch labels are the decision options and
+ *              `probability` (0–1, optional) is shown on the edge
+ *   parallel   every route is taken (no options or probabilities)
+ * Each branch is { label, probability, stepIds[], end }: its route's steps,
+ * listed in the phase right after the gateway, in branch order (a route may
+ * be empty). Routes rejoin at a merge gateway of the same kind; a branch with
+ * `end: true` (exclusive only) finishes the procedure there, with an optional
+ * `endLabel`. Routes cannot branch again. Estimation blocks may cover a
+ * single route.
+ *
+ * Error loops: `target` is 'self' (retry the step), an earlier step id, or a
+ * phase id (back to the start of that phase, which cannot come later). The
+ * optional `frequency` (0–1, share of applications that loop) and
+ * `reworkMinutes` (expected extra time per loop) are shown on the map.
+ * `groundTruthPage` (optional) is the procedure-task page whose error rate
+ * the loop is benchmarked against; without it, the loop's block pages are used.
+ *
+ * Stakeholders: `stakeholders` maps ids to { label, description, color, icon };
+ * a step is performed by its own stakeholder, else its phase's, else
+ * `defaultStakeholder`. With more than one, the map is drawn in swim lanes.
+ *
+ * Integrity rules (procedureErrors): every phase, step and block is an object,
+ * unique ids, every step in exactly one estimation block of its own phase,
+ * error loops go back to a step or phase that exists, decision points have at
+ * least two options, branch routes are well formed, stakeholders are declared
+ * and their ids are letters, digits, dashes and underscores (the editor binds
+ * fields by dotted paths, so an id cannot contain a dot).
+ *
+ * Study settings (`study`, not shown to participants):
+ *   prolificStudyId  Prolific STUDY_ID that selects this procedure
+ *   completionCode   Prolific completion code for the final redirect
+ *   groundTruthUrl   stats endpoint of the procedure task (ground truth)
+ *
+ * The VERSION is a hash of the file's content except `study`, so any edit to
+ * what participants see produces a new version. Sessions, allocations and
+ * submissions record the version the participant saw; every version ever
+ * served is archived in the store.
+ *
+ * Every file in procedures/ is a separate study — see src/studies.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROCEDURES_DIR = path.join(__dirname, '..', 'procedures');
+
+// Canonical JSON (sorted keys) so formatting changes don't change the version
+function canonical(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + canonical(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function versionOf(definition) {
+  const { study, ...shown } = definition;
+  return crypto.createHash('sha256').update(canonical(shown)).digest('hex').slice(0, 12);
+}
+
+function computeStats(definition) {
+  let totalSteps = 0;
+  let totalHiddenActions = 0;
+  let totalEstimationBlocks = 0;
+  let stepsWithErrorLoops = 0;
+  let decisionPoints = 0;
+
+  definition.phases.forEach(phase => {
+    totalSteps += phase.steps.length;
+    totalEstimationBlocks += phase.estimationBlocks.length;
+    phase.steps.forEach(step => {
+      totalHiddenActions += (step.hiddenActions || []).length;
+      if (step.errorLoop) stepsWithErrorLoops++;
+      if (step.isDecisionPoint) decisionPoints++;
+    });
+  });
+
+  return {
+    totalPhases: definition.phases.length,
+    totalSteps,
+    totalHiddenActions,
+    totalEstimationBlocks,
+    stepsWithErrorLoops,
+    decisionPoints,
+  };
+}
+
+const isText = v => typeof v === 'string' && v.trim() !== '';
+const isEntry = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const STAKEHOLDER_ID = /^[a-z0-9_-]+$/i; // the editor's rule for new ids
+// experimentContext rows, in the order the intro page lists them
+const CONTEXT_FIELDS = ['setting', 'rolePlay', 'documents', 'interaction', 'validation', 'completion'];
+
+const GATEWAYS = ['exclusive', 'parallel'];
+
+// Branching gateway: branch labels and probabilities, and routes made of the
+// steps right after the gateway, in branch order
+function branchErrors(step, phase, errors) {
+  const where = `gateway "${step.id}"`;
+  const branches = step.branches;
+  if (!step.isDecisionPoint) return errors.push(`step "${step.id}": only a decision point can have branches`);
+  if (!Array.isArray(branches) || branches.length < 2 || branches.some(b => !b || typeof b !== 'object')) {
+    return errors.push(`${where} needs at least 2 branches`);
+  }
+  if (step.gateway !== undefined && !GATEWAYS.includes(step.gateway)) {
+    errors.push(`${where}: gateway must be 'exclusive' or 'parallel'`);
+  }
+  const parallel = step.gateway === 'parallel';
+
+  const labels = branches.map(b => b.label);
+  if (labels.some(l => !isText(l))) errors.push(`${where}: every branch needs a label`);
+  else if (new Set(labels).size !== labels.length) errors.push(`${where}: branch labels must be unique`);
+  const options = step.decisionOptions;
+  if (!parallel && Array.isArray(options) && (options.length !== labels.length || options.some((o, i) => o !== labels[i]))) {
+    errors.push(`${where}: branch labels must match the decision options`);
+  }
+
+  const probabilities = branches.map(b => b.probability).filter(p => p !== null && p !== undefined);
+  if (parallel && probabilities.length) errors.push(`${where}: a parallel gateway takes every branch, so branches have no probability`);
+  else if (probabilities.some(p => typeof p !== 'number' || p < 0 || p > 1)) errors.push(`${where}: branch probabilities must be between 0 and 1`);
+  else if (probabilities.length === branches.length && Math.abs(probabilities.reduce((a, b) => a + b, 0) - 1) > 0.01) {
+    errors.push(`${where}: branch probabilities must add up to 1`);
+  }
+  if (parallel && branches.some(b => b.end)) errors.push(`${where}: a parallel branch cannot end the procedure`);
+  if (branches.every(b => b.end)) errors.push(`${where}: at least one branch must continue`);
+
+  if (branches.some(b => b.stepIds !== undefined && !Array.isArray(b.stepIds))) {
+    return errors.push(`${where}: branch stepIds must be a list of step ids`);
+  }
+  const ids = phase.steps.map(s => s.id);
+  const following = ids.slice(ids.indexOf(step.id) + 1);
+  branches.flatMap(b => b.stepIds || []).forEach((id, i) => {
+    const routeStep = phase.steps.find(s => s.id === id);
+    if (!routeStep) errors.push(`${where}: branch step "${id}" is not in phase "${phase.id}"`);
+    else if (following[i] !== id) errors.push(`${where}: branch steps must follow the gateway in branch order ("${id}" is out of place)`);
+    else if (routeStep.branches) errors.push(`${where}: branch step "${id}" cannot branch again`);
+  });
+}
+
+// Error loop: a condition, a target at or before the step (itself, an earlier
+// step or the start of a phase) and optional frequency and rework cost
+function loopErrors(step, phases, errors) {
+  const where = `step "${step.id}"`;
+  const { condition, target, frequency, reworkMinutes, groundTruthPage } = step.errorLoop;
+  if (!isText(condition)) errors.push(`${where}: the error loop needs a condition`);
+  if (target !== 'self') {
+    const order = phases.flatMap(p => (p.steps || []).map(s => ({ step: s.id, phase: p.id })));
+    const stepAt = order.findIndex(o => o.step === target);
+    const to = stepAt >= 0 ? stepAt : order.findIndex(o => o.phase === target);
+    if (to < 0) errors.push(`${where}: error loop target "${target}" does not exist`);
+    else if (to > order.findIndex(o => o.step === step.id)) errors.push(`${where}: error loop target "${target}" comes after the step (a loop goes back)`);
+  }
+  if (frequency !== null && frequency !== undefined && !(typeof frequency === 'number' && frequency > 0 && frequency <= 1)) {
+    errors.push(`${where}: the error loop frequency must be between 0 and 1`);
+  }
+  if (reworkMinutes !== null && reworkMinutes !== undefined && !(typeof reworkMinutes === 'number' && reworkMinutes >= 0)) {
+    errors.push(`${where}: the error loop rework cost must be a number of minutes`);
+  }
+  if (groundTruthPage !== null && groundTruthPage !== undefined && groundTruthPage !== '' && !isText(groundTruthPage)) {
+    errors.push(`${where}: the error loop ground-truth page must be a page id`);
+  }
+}
+
+// Structural and integrity checks. Run at startup (fail fast on a broken file
+// rather than mid-study) and by the procedure editor before every save.
+function procedureErrors(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') return ['definition must be an object'];
+  if (!definition.id) errors.push('id is required');
+  else if (!/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) errors.push('id must be lowercase letters, digits and dashes');
+  if (!Array.isArray(definition.phases) || !definition.phases.length) errors.push('phases must be a non-empty array');
+  const phases = Array.isArray(definition.phases) ? definition.phases : [];
+
+  // Participant-facing copy: the intro and estimation pages render it as is
+  if (!isText(definition.taskName)) errors.push('taskName is required');
+  if (!isText(definition.taskScope)) errors.push('taskScope is required');
+  if (!Array.isArray(definition.introduction) || !definition.introduction.length || !definition.introduction.every(isText)) {
+    errors.push('introduction must be a non-empty array of paragraphs');
+  }
+  if (!isEntry(definition.experimentContext)) errors.push('experimentContext is required');
+  else {
+    CONTEXT_FIELDS.filter(field => !isText(definition.experimentContext[field]))
+      .forEach(field => errors.push(`experimentContext.${field} is required`));
+  }
+
+  // Shape first: every later check reads ids and fields off the entries
+  phases.forEach((phase, pi) => {
+    if (!isEntry(phase)) return errors.push(`phases[${pi}] must be an object`);
+    ['steps', 'estimationBlocks'].forEach(list => {
+      const entries = phase[list];
+      if (entries === undefined || entries === null) return;
+      if (!Array.isArray(entries)) errors.push(`phase "${phase.id}": ${list} must be an array`);
+      else entries.forEach((entry, i) => { if (!isEntry(entry)) errors.push(`phase "${phase.id}": ${list}[${i}] must be an object`); });
+    });
+  });
+  if (errors.length) return errors;
+
+  if (definition.stakeholders !== undefined && definition.stakeholders !== null && !isEntry(definition.stakeholders)) {
+    errors.push('stakeholders must map ids to stakeholders');
+  }
+  const stakeholders = isEntry(definition.stakeholders) ? definition.stakeholders : {};
+  Object.keys(stakeholders).forEach(id => {
+    if (!STAKEHOLDER_ID.test(id)) errors.push(`stakeholder id "${id}" must be letters, digits, dashes and underscores`);
+  });
+  const checkStakeholder = (id, where) => {
+    if (id && !(id in stakeholders)) errors.push(`${where}: stakeholder "${id}" is not declared`);
+  };
+  checkStakeholder(definition.defaultStakeholder, 'defaultStakeholder');
+
+  const phaseIds = new Set();
+  const stepIds = new Set();
+  const blockIds = new Set();
+  phases.forEach(phase => {
+    if (!isText(phase.id)) errors.push('every phase needs an id');
+    if (phaseIds.has(phase.id)) errors.push(`duplicate phase id "${phase.id}"`);
+    phaseIds.add(phase.id);
+    if (!isText(phase.name)) errors.push(`phase "${phase.id}" needs a name`);
+    checkStakeholder(phase.stakeholder, `phase "${phase.id}"`);
+    if (!Array.isArray(phase.steps) || !phase.steps.length) errors.push(`phase "${phase.id}" has no steps`);
+    (phase.steps || []).forEach(step => {
+      if (!isText(step.id)) errors.push(`phase "${phase.id}": every step needs an id`);
+      if (stepIds.has(step.id)) errors.push(`duplicate step id "${step.id}"`);
+      stepIds.add(step.id);
+    });
+    (phase.estimationBlocks || []).forEach(block => {
+      if (!isText(block.id)) errors.push(`phase "${phase.id}": every estimation block needs an id`);
+      if (blockIds.has(block.id) || block.id === 'overall') errors.push(`duplicate or reserved block id "${block.id}"`);
+      blockIds.add(block.id);
+    });
+  });
+
+  // Steps: names, action types, hidden actions, decision points, error loops
+  phases.forEach(phase => {
+    (phase.steps || []).forEach(step => {
+      const where = `step "${step.id}"`;
+      if (!isText(step.name)) errors.push(`${where} needs a name`);
+      checkStakeholder(step.stakeholder, where);
+      if (!Array.isArray(step.actionTypes) || step.actionTypes.some(t => !isText(t))) {
+        errors.push(`${where}: actionTypes must be a list of action types`);
+      }
+      if (!Array.isArray(step.hiddenActions) || step.hiddenActions.some(a => !a || !isText(a.description))) {
+        errors.push(`${where}: every hidden action needs a description`);
+      }
+      if (step.branches !== undefined) branchErrors(step, phase, errors);
+      if (step.isDecisionPoint && !(step.gateway === 'parallel' && step.branches)) {
+        const options = step.decisionOptions;
+        if (!Array.isArray(options) || options.length < 2 || options.some(o => !isText(o))) {
+          errors.push(`${where}: a decision point needs at least 2 options`);
+        } else if (step.decisionOutcome && !options.includes(step.decisionOutcome)) {
+          errors.push(`${where}: decision outcome "${step.decisionOutcome}" is not one of its options`);
+        }
+      }
+      if (step.errorLoop) loopErrors(step, phases, errors);
+    });
+  });
+
+  // Estimation blocks: each covers steps of its own phase; each step is in exactly one block
+  const blockOf = {};
+  phases.forEach(phase => {
+    const own = new Set((phase.steps || []).map(st => st.id));
+    (phase.estimationBlocks || []).forEach(block => {
+      if (!isText(block.label)) errors.push(`block "${block.id}" needs a label`);
+      if (!Array.isArray(block.stepsIncluded) || !block.stepsIncluded.length) {
+        errors.push(`block "${block.id}" includes no steps`);
+      }
+      (Array.isArray(block.stepsIncluded) ? block.stepsIncluded : []).forEach(sid => {
+        if (!stepIds.has(sid)) errors.push(`block "${block.id}" includes unknown step "${sid}"`);
+        else if (!own.has(sid)) errors.push(`block "${block.id}" includes step "${sid}" from another phase`);
+        (blockOf[sid] = blockOf[sid] || []).push(block.id);
+      });
+    });
+  });
+  stepIds.forEach(sid => {
+    const blocks = blockOf[sid] || [];
+    if (!blocks.length) errors.push(`step "${sid}" is not in any estimation block`);
+    else if (blocks.length > 1) errors.push(`step "${sid}" is in more than one estimation block (${blocks.join(', ')})`);
+  });
+  return errors;
+}
+
+function validateProcedure(definition) {
+  const errors = procedureErrors(definition);
+  if (errors.length) throw new Error(`Invalid procedure ${definition.id || ''}:\n  ` + errors.join('\n  '));
+}
+
+/**
+ * Build the procedure object used across the server from a definition.
+ * Blocks are lettered A, B, C… in map order (the same letters the zones show).
+ */
+function createProcedure(definition) {
+  validateProcedure(definition);
+  const phases = definition.phases;
+  const blocks = phases.flatMap(p => p.estimationBlocks.map(b => ({ ...b, phaseId: p.id })))
+    .map((b, i) => ({ ...b, name: `${String.fromCharCode(65 + i)} — ${b.label}` }));
+  const names = Object.fromEntries(blocks.map(b => [b.id, b.name]));
+  const stepNames = Object.fromEntries(phases.flatMap(p => p.steps.map(s => [s.id, `${s.id} ${s.name}`])));
+  const loopSteps = phases.flatMap(p => p.steps.filter(s => s.errorLoop));
+  const blockOf = id => blocks.find(b => b.stepsIncluded.includes(id));
+
+  return {
+    id: definition.id,
+    title: definition.title,
+    version: versionOf(definition),
+    definition,
+    study: definition.study || {},
+    stats: computeStats(definition),
+    blocks,
+    blockIds: blocks.map(b => b.id),
+    phaseIds: phases.map(p => p.id),
+    stepIds: phases.flatMap(p => p.steps.map(s => s.id)),
+    actionTypes: [...new Set(phases.flatMap(p => p.steps.flatMap(s => s.actionTypes || [])))],
+    blockName: id => (id === 'overall' ? 'Overall estimate' : names[id] || id.replace(/_/g, ' ')),
+    stepName: id => stepNames[id] || id,
+    // blockId → procedure-task page ids (ground truth)
+    groundTruthPages: Object.fromEntries(blocks.filter(b => b.groundTruthPages).map(b => [b.id, b.groundTruthPages])),
+    // Steps with an error loop, in map order, and the pages each is benchmarked against
+    loopStepIds: loopSteps.map(s => s.id),
+    loopGroundTruthPages: Object.fromEntries(loopSteps
+      .map(s => [s.id, s.errorLoop.groundTruthPage ? [s.errorLoop.groundTruthPage] : blockOf(s.id).groundTruthPages])
+      .filter(([, pages]) => pages && pages.length)),
+  };
+}
+
+function loadProcedure(file) {
+  const filepath = path.isAbsolute(file) ? file : path.join(PROCEDURES_DIR, file);
+  return { ...createProcedure(JSON.parse(fs.readFileSync(filepath, 'utf8'))), file: filepath };
+}
+
+/**
+ * Write a (validated) definition over its procedure file: temp file, fsync,
+ * rename — the file on disk is always either the old or the new version.
+ */
+function saveProcedure(definition, file) {
+  const procedure = createProcedure(definition);
+  const tmp = file + '.tmp';
+  const fd = fs.openSync(tmp, 'w');
+  fs.writeSync(fd, JSON.stringify(definition, null, 2) + '\n');
+  fs.fsyncSync(fd);
+  fs.closeSync(fd);
+  fs.renameSync(tmp, file);
+  return { ...procedure, file };
+}
+
+/** Every procedures/*.json file in `dir`, in file name order. Ids must be unique. */
+function loadProcedures(dir = PROCEDURES_DIR) {
+  const procedures = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()
+    .map(f => loadProcedure(path.resolve(dir, f))); // absolute, so a relative dir isn't re-rooted
+  const seen = new Set();
+  procedures.forEach(p => {
+    if (seen.has(p.id)) throw new Error(`Duplicate procedure id "${p.id}" in ${dir}`);
+    seen.add(p.id);
+  });
+  if (!procedures.length) throw new Error(`No procedure files in ${dir}`);
+  return procedures;
+}
+
+module.exports = {
+  loadProcedure, loadProcedures, saveProcedure, createProcedure, procedureErrors, validateProcedure, versionOf, PROCEDURES_DIR,
+};
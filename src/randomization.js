@@ -0,0 +1,281 @@
+/**
+ * BLOCK RANDOMIZATION (CONSORT-compliant, persisted)
+ *
+ * Permuted blocks of BLOCK_SIZE (equal numbers of each condition, shuffled).
+ * Guarantees perfect balance at the end of every block; within a block the
+ * order is random, so the next assignment is unpredictable.
+ *
+ * Everything needed to report and reproduce the allocation is on disk:
+ * - `randomization` collection: one record holding the seed, the current
+ *   block sequence and the position within it
+ * - `allocations` collection: one record per allocated session (who got what,
+ *   from which block and slot, at what time)
+ *
+ * Block k is shuffled with a PRNG seeded from (seed, k), so the whole
+ * allocation sequence can be regenerated from the seed alone.
+ * The allocation log is the source of truth for the position: a crash between
+ * logging an allocation and saving the state cannot reuse or skip a slot.
+ *
+ * Works for any number of arms. If the configured arms, block size or
+ * stratification variable change, a new SEGMENT starts at the next allocation
+ * (the unfinished blocks of the old design are abandoned and reported);
+ * earlier allocations are untouched.
+ *
+ * STRATIFIED mode (`stratifyBy` set): every stratum gets its own sequence of
+ * permuted blocks, so arms are balanced within each stratum. The caller passes
+ * the participant's stratum to allocate(); each stratum's position is
+ * reconciled from the allocation log independently.
+ */
+
+const crypto = require('crypto');
+
+const STATE_KEY = 'current';
+const ALL = '_all'; // cursor key when allocation is not stratified
+
+// ── Seeded PRNG ──────────────────────────────────────────────
+
+function mulberry32(a) {
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function blockRng(seed, segment, blockIndex, stratum) {
+  let label = segment === 0 ? `${seed}:${blockIndex}` : `${seed}:s${segment}:${blockIndex}`;
+  if (stratum) label = `${seed}:${stratum}:s${segment}:${blockIndex}`;
+  const digest = crypto.createHash('sha256').update(label).digest();
+  return mulberry32(digest.readUInt32LE(0));
+}
+
+/**
+ * Deterministically generate permuted block `blockIndex` of `segment` for `seed`
+ * (and `stratum`, in stratified mode).
+ */
+function generateBlock(seed, segment, blockIndex, conditions, blockSize, stratum = null) {
+  const rng = blockRng(seed, segment, blockIndex, stratum);
+  const block = [];
+  for (const c of conditions) {
+    for (let i = 0; i < blockSize / conditions.length; i++) block.push(c);
+  }
+  // Fisher-Yates shuffle
+  for (let i = block.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [block[i], block[j]] = [block[j], block[i]];
+  }
+  return block;
+}
+
+// ── Randomizer ───────────────────────────────────────────────
+
+function createRandomizer(store, { conditions, blockSize, seed: configuredSeed, stratifyBy = null }) {
+  if (blockSize % conditions.length !== 0) {
+    throw new Error(`Block size ${blockSize} must be a multiple of the number of conditions (${conditions.length})`);
+  }
+
+  const stateDb = store.collection('randomization', { key: 'id' });
+  const allocationsDb = store.collection('allocations', { key: 'session_id' });
+
+  const sameDesign = seg => seg.block_size === blockSize &&
+    (seg.stratified_by || null) === stratifyBy &&
+    seg.conditions.length === conditions.length &&
+    seg.conditions.every((c, i) => c === conditions[i]);
+
+  const cursorKey = stratum => (stratifyBy ? stratum : ALL);
+
+  // Allocations already made in `segIndex` (for `stratum`, if stratified)
+  function countAllocated(segIndex, stratum) {
+    return allocationsDb.all().filter(a =>
+      (a.segment || 0) === segIndex && (!stratifyBy || a.stratum === stratum)
+    ).length;
+  }
+
+  /**
+   * Load the persisted state, starting a new segment if the design changed,
+   * and reconcile the cursor of `stratum` (null when not stratified) with the
+   * allocation log.
+   */
+  function loadState(stratum = null) {
+    let state = stateDb.get(STATE_KEY);
+    if (!state) {
+      state = {
+        id: STATE_KEY,
+        seed: configuredSeed || crypto.randomBytes(8).toString('hex'),
+        segments: [],
+        created_at: new Date().toISOString(),
+      };
+    }
+
+    // Start a new segment on first run or when the design changed
+    let segments = state.segments || [];
+    const current = segments[segments.length - 1];
+    const newSegment = !current || !sameDesign(current);
+    if (newSegment) {
+      segments = [...segments, {
+        conditions,
+        block_size: blockSize,
+        stratified_by: stratifyBy,
+        start_allocation: allocationsDb.all().length,
+        started_at: new Date().toISOString(),
+      }];
+    }
+
+    // Reconcile position with the allocation log (authoritative slot count).
+    // In stratified mode only the requested stratum's cursor is touched.
+    const segIndex = segments.length - 1;
+    const seg = segments[segIndex];
+    const cursors = newSegment ? {} : { ...(state.cursors || {}) };
+    let changed = newSegment || !state.cursors;
+    if (!stratifyBy || stratum) {
+      const key = cursorKey(stratum);
+      const m = countAllocated(segIndex, stratum);
+      const blockIndex = Math.floor(m / seg.block_size);
+      const position = m % seg.block_size;
+      const prev = cursors[key];
+      if (!prev || prev.block_index !== blockIndex || prev.position !== position) {
+        cursors[key] = {
+          block_index: blockIndex,
+          block: generateBlock(state.seed, segIndex, blockIndex, seg.conditions, seg.block_size, stratifyBy ? stratum : null),
+          position,
+        };
+        changed = true;
+      }
+    }
+    if (changed) {
+      // (block_index/block/position at the top level are the pre-cursor format)
+      const { block_index, block, position, ...rest } = state;
+      state = stateDb.put({ ...rest, segments, segment: segIndex, cursors });
+    }
+    return state;
+  }
+
+  /**
+   * Allocate the next slot to a session. Returns the assigned condition.
+   * In stratified mode `stratum` selects the block sequence to draw from.
+   * Synchronous, so concurrent requests are allocated strictly in sequence.
+   */
+  function allocate(session, { stratum = null } = {}) {
+    if (stratifyBy && !stratum) throw new Error(`Stratified allocation (by ${stratifyBy}) requires a stratum`);
+    const state = loadState(stratum);
+    const cursor = state.cursors[cursorKey(stratum)];
+    const condition = cursor.block[cursor.position];
+
+    allocationsDb.insert({
+      session_id: session.session_id,
+      prolific_pid: session.prolific_pid || null,
+      condition,
+      segment: state.segment,
+      stratum: stratifyBy ? stratum : null,
+      procedure_version: session.procedure_version || null,
+      block_index: cursor.block_index,
+      position_in_block: cursor.position,
+      seed: state.seed,
+      allocated_at: new Date().toISOString(),
+    });
+
+    // Advance (loadState reconciles from the log, so this is just a cache)
+    loadState(stratum);
+    return condition;
+  }
+
+  function getAllocation(sessionId) {
+    return allocationsDb.get(sessionId);
+  }
+
+  /**
+   * Full report for the methods section: seed, current block(s), allocation
+   * log, per-stratum balance, and the sequence regenerated from the seed
+   * alongside a consistency check.
+   */
+  function report() {
+    const state = loadState(null);
+    const allocations = allocationsDb.all();
+
+    // Regenerate every block that has received at least one allocation
+    const segments = state.segments.map((seg, si) => {
+      const next = state.segments[si + 1];
+      const inSeg = allocations.filter(a => (a.segment || 0) === si);
+      const byStratum = {};
+      inSeg.forEach(a => {
+        const key = seg.stratified_by ? a.stratum : ALL;
+        (byStratum[key] = byStratum[key] || []).push(a);
+      });
+      if (!seg.stratified_by && !byStratum[ALL]) byStratum[ALL] = [];
+
+      const strata = Object.fromEntries(Object.entries(byStratum).map(([key, list]) => {
+        const nBlocks = Math.max(1, Math.ceil(list.length / seg.block_size));
+        const sequence = [];
+        for (let k = 0; k < nBlocks; k++) {
+          sequence.push(generateBlock(state.seed, si, k, seg.conditions, seg.block_size, seg.stratified_by ? key : null));
+        }
+        const counts = Object.fromEntries(seg.conditions.map(c => [c, list.filter(a => a.condition === c).length]));
+        return [key, {
+          allocations: list.length,
+          counts,
+          imbalance: Math.max(...Object.values(counts)) - Math.min(...Object.values(counts)),
+          incomplete_final_block: !!next && list.length % seg.block_size !== 0,
+          regenerated_sequence: sequence,
+        }];
+      }));
+
+      const out = { ...seg, allocations: inSeg.length };
+      if (seg.stratified_by) {
+        out.strata = strata;
+      } else {
+        out.incomplete_final_block = strata[ALL].incomplete_final_block;
+        out.regenerated_sequence = strata[ALL].regenerated_sequence;
+      }
+      return out;
+    });
+
+    const sequenceFor = a => {
+      const seg = segments[a.segment || 0];
+      return seg?.stratified_by ? seg.strata[a.stratum]?.regenerated_sequence : seg?.regenerated_sequence;
+    };
+    const mismatches = allocations.filter(a =>
+      sequenceFor(a)?.[a.block_index]?.[a.position_in_block] !== a.condition
+    ).map(a => a.session_id);
+
+    const currentSeg = segments[state.segment];
+    const cursor = (state.cursors || {})[ALL];
+    return {
+      seed: state.seed,
+      created_at: state.created_at,
+      conditions: currentSeg.conditions,
+      block_size: currentSeg.block_size,
+      stratified_by: currentSeg.stratified_by || null,
+      current_segment: state.segment,
+      // Unstratified: the single open block. Stratified: one cursor per stratum.
+      current_block_index: cursor ? cursor.block_index : null,
+      current_block: cursor ? cursor.block : null,
+      position_in_block: cursor ? cursor.position : null,
+      current_strata: currentSeg.stratified_by ? state.cursors || {} : undefined,
+      total_allocated: allocations.length,
+      segments,
+      sequence_consistent: mismatches.length === 0,
+      inconsistent_sessions: mismatches,
+      allocations,
+    };
+  }
+
+  /** The raw records, for the JSON export. */
+  function exportState() {
+    return { randomization: stateDb.all(), allocations: allocationsDb.all() };
+  }
+
+  /**
+   * Restore exported records (data import). Each given list replaces its
+   * collection, so importing the same file twice is harmless; the cursors are
+   * reconciled with the restored log at the next allocation.
+   */
+  function importState({ randomization, allocations }) {
+    if (Array.isArray(randomization)) stateDb.replaceAll(randomization);
+    return Array.isArray(allocations) ? allocationsDb.replaceAll(allocations) : 0;
+  }
+
+  return { allocate, getAllocation, report, exportState, importState };
+}
+
+module.exports = { createRandomizer, generateBlock };
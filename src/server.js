@@ -3,6 +3,13 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
+const { openStudies } = require('./studies');
+const { validateSubmission, blockEstimates, pert, pertTotal } = require('./validation');
+const { PROCEDURES_DIR, procedureErrors, versionOf } = require('./procedure');
+const { DESIGN, PAGES, DEVICE_CLASSES, conditionConfig, stratification, stratumFor, screenerConfig, deviceClassOf, elicitationOf, errorEstimationOf,
+  distributionLabels, distributionBin, TIME_FORMATS, ERROR_RATE_FORMATS, assignResponseFormat, responseFormatOf } = require('./design');
+const { exportMap, exportOptions } = require('./map-export');
+const { toBpmn, fromBpmn } = require('./bpmn');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -13,157 +20,282 @@ app.use(express.json({ limit: '5mb' }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-function appendJsonl(filename, data) {
-  const filepath = path.join(DATA_DIR, filename);
-  const line = JSON.stringify({ ...data, _written_at: new Date().toISOString() }) + '\n';
-  fs.appendFileSync(filepath, line, 'utf8');
-}
+// ============================================================
+// STUDIES (one per procedure file — see src/studies.js)
+// ============================================================
+// Each procedures/<id>.json is served as its own study with its own data
+// partition in data/<id>/ (sessions, estimations, autosaved progress,
+// allocations and archived procedure versions — src/storage.js collections).
+// Prolific links pick the study with ?PROCEDURE=<id> (or by STUDY_ID); the
+// researcher endpoints below take &procedure=<id> (default study otherwise).
+
+const studies = openStudies({
+  dataDir: DATA_DIR,
+  proceduresDir: process.env.PROCEDURES_DIR || PROCEDURES_DIR,
+  defaultId: process.env.DEFAULT_PROCEDURE || null,
+  seed: process.env.RANDOMIZATION_SEED || null,
+});
 
-function readJsonl(filename) {
-  const filepath = path.join(DATA_DIR, filename);
-  if (!fs.existsSync(filepath)) return [];
-  const content = fs.readFileSync(filepath, 'utf8').trim();
-  if (!content) return [];
-  return content.split('\n').map(line => {
-    try { return JSON.parse(line); } catch { return null; }
-  }).filter(Boolean);
+// Study settings (completion code, …) never reach participants
+function procedurePayload(p) {
+  const { study, ...definition } = p.definition;
+  return { id: p.id, version: p.version, procedure: definition, stats: p.stats };
 }
 
-// ============================================================
-// BLOCK RANDOMIZATION (CONSORT-compliant)
-// ============================================================
-// Uses permuted blocks of size 4 (2 detailed + 2 simple, shuffled).
-// Guarantees perfect balance at every 4th participant.
-// Within each block, order is random → unpredictable.
-// Falls back to balanced coin-flip when between blocks.
-
-const BLOCK_SIZE = 4; // must be even
-const CONDITIONS = ['detailed', 'simple'];
-
-function blockRandomize(existingSessions) {
-  // Only count non-forced assignments (researcher previews don't affect balancing)
-  const assigned = existingSessions
-    .filter(s => !s.condition_forced && s.condition)
-    .map(s => s.condition);
-
-  const total = assigned.length;
-  const posInBlock = total % BLOCK_SIZE;
-
-  if (posInBlock === 0) {
-    // Starting a new block — generate a fresh permuted block and return first element
-    // Block = [BLOCK_SIZE/2 of each condition], shuffled
-    const block = [];
-    for (const c of CONDITIONS) {
-      for (let i = 0; i < BLOCK_SIZE / 2; i++) block.push(c);
-    }
-    // Fisher-Yates shuffle
-    for (let i = block.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [block[i], block[j]] = [block[j], block[i]];
-    }
-    // Store the block for subsequent assignments within this block
-    blockRandomize._currentBlock = block;
-    return block[0];
-  }
+app.get('/api/procedure', (req, res) => {
+  const study = studies.get(req.query.procedure || studies.default.id);
+  if (!study) return res.status(404).json({ error: 'Unknown procedure' });
+  res.json(procedurePayload(study.procedure));
+});
 
-  // Mid-block: use the stored block if available and consistent
-  if (blockRandomize._currentBlock && blockRandomize._currentBlock.length === BLOCK_SIZE) {
-    const expected = blockRandomize._currentBlock.slice(0, posInBlock);
-    const actual = assigned.slice(-posInBlock);
-    // Verify the block is still consistent with what was assigned
-    const consistent = expected.every((c, i) => c === actual[i]);
-    if (consistent) {
-      return blockRandomize._currentBlock[posInBlock];
-    }
-  }
+// Any archived version, whichever study served it (the map a participant saw)
+app.get('/api/procedure/:version', (req, res) => {
+  const found = studies.findVersion(req.params.version);
+  if (!found) return res.status(404).json({ error: 'Unknown procedure version' });
+  res.json(procedurePayload(found.procedure));
+});
 
-  // Fallback: server restarted mid-block or block got out of sync.
-  // Use balanced assignment (assign to smaller group, random tie-break).
-  const detailedCount = assigned.filter(c => c === 'detailed').length;
-  const simpleCount = assigned.filter(c => c === 'simple').length;
-  if (detailedCount < simpleCount) return 'detailed';
-  if (simpleCount < detailedCount) return 'simple';
-  return Math.random() < 0.5 ? 'detailed' : 'simple';
+// ============================================================
+// BLOCK RANDOMIZATION (CONSORT-compliant — see src/randomization.js)
+// ============================================================
+// Permuted blocks over the arms declared in src/design.js (default: blocks of
+// 4 = 2 detailed + 2 simple, shuffled). The seed, current block, position and
+// allocation log are persisted, so restarts never break a block. Each study
+// has its own sequence. Set RANDOMIZATION_SEED to fix the seeds up front (it is
+// combined with the procedure id).
+// With stratification enabled, each stratum has its own block sequence; the
+// covariate comes from a screener answer or a URL parameter.
+
+const CONDITIONS = DESIGN.arms;                     // randomized arms
+const KNOWN_CONDITIONS = Object.keys(DESIGN.conditions); // incl. preview-only arms
+const STRATIFICATION = stratification();            // null when not stratified
+
+// Device class covariate (src/design.js); sessions from before it was recorded
+// are classed from their stored device
+const deviceClassOfSession = s => s.device_class || deviceClassOf(s.device);
+
+const PROLIFIC_COMPLETE_URL = 'https://app.prolific.com/submissions/complete?cc=';
+
+// Session payload for the client. A session still waiting for its screener
+// answer has no condition yet — the client shows the screener instead.
+function sessionPayload(study, s, extra = {}) {
+  const payload = {
+    success: true,
+    session_id: s.session_id,
+    procedure_id: study.id,
+    condition: s.condition,
+    design: conditionConfig(s.condition, s.response_format),
+    procedure_version: s.procedure_version || study.procedure.version,
+    completion_url: PROLIFIC_COMPLETE_URL + (study.procedure.study.completionCode || ''),
+    ...extra,
+  };
+  if (!s.condition) payload.screener = screenerConfig();
+  if (payload.resumed) payload.progress = study.progressDb.get(s.session_id);
+  return payload;
 }
-blockRandomize._currentBlock = null;
 
 // ============================================================
 // SESSION MANAGEMENT
 // ============================================================
 
+// Response formats for a session newly allocated to `condition`, balanced
+// against the condition's earlier (non-preview) sessions
+function responseFormatFor(sessionsDb, condition) {
+  if (!condition) return null;
+  const earlier = sessionsDb.all().filter(s => s.condition === condition && !s.condition_forced).map(s => s.response_format);
+  return assignResponseFormat(condition, earlier);
+}
+
 app.post('/api/session/create', (req, res) => {
   const { prolific_pid, study_id, session_id: prolific_session_id } = req.body;
   let { condition } = req.body;
 
-  // Check for duplicate
-  const existing = readJsonl('sessions.jsonl');
-  const dup = existing.find(s => s.prolific_pid && s.prolific_pid === prolific_pid && s.completed);
+  const study = studies.select({ procedure: req.body.procedure, studyId: study_id });
+  if (!study) return res.status(404).json({ error: `Unknown procedure: ${req.body.procedure}` });
+  const { sessionsDb, procedure } = study;
+
+  // Check for duplicate (within this study — the same person may take part in several)
+  const samePid = prolific_pid ? sessionsDb.findBy('prolific_pid', prolific_pid) : [];
+  const dup = samePid.find(s => s.completed);
   if (dup) {
-    return res.json({ success: true, session_id: dup.session_id, condition: dup.condition, already_complete: true });
+    return res.json(sessionPayload(study, dup, { already_complete: true }));
   }
 
   // Resume existing incomplete session (preserve their assigned condition)
-  const incomplete = existing.find(s => s.prolific_pid && s.prolific_pid === prolific_pid && !s.completed);
+  const incomplete = samePid.find(s => !s.completed);
   if (incomplete) {
-    return res.json({ success: true, session_id: incomplete.session_id, condition: incomplete.condition, resumed: true });
+    return res.json(sessionPayload(study, incomplete, { resumed: true }));
   }
 
   // Randomize condition if not forced via URL param
-  // condition will be null/undefined when no ?CONDITION= was set
-  if (!condition || !['detailed', 'simple'].includes(condition)) {
-    condition = blockRandomize(existing);
+  // condition will be null/undefined when no ?CONDITION= was set.
+  // Forced conditions (researcher previews) don't consume a randomization slot.
+  // A screener-stratified design allocates later, in /api/session/screener.
+  const session_id = uuidv4();
+  let stratum = null;
+  let stratumValue = null;
+  if (!condition || !KNOWN_CONDITIONS.includes(condition)) {
+    if (STRATIFICATION && STRATIFICATION.source === 'screener') {
+      condition = null;
+    } else {
+      if (STRATIFICATION) {
+        stratumValue = (req.body.url_params || {})[STRATIFICATION.param] || null;
+        stratum = stratumFor(stratumValue);
+      }
+      condition = study.randomizer.allocate({ session_id, prolific_pid, procedure_version: procedure.version }, { stratum });
+    }
   }
 
-  const session_id = uuidv4();
-  appendJsonl('sessions.jsonl', {
+  sessionsDb.insert({
     session_id,
     prolific_pid: prolific_pid || null,
     study_id: study_id || null,
     prolific_session_id: prolific_session_id || null,
     condition,
-    condition_forced: req.body.condition === condition, // true if researcher forced it via URL
+    condition_forced: !!condition && req.body.condition === condition, // true if researcher forced it via URL
+    response_format: responseFormatFor(sessionsDb, condition),
+    stratum,
+    stratum_value: stratumValue,
+    procedure_id: procedure.id,
+    procedure_version: procedure.version,
     started_at: new Date().toISOString(),
     completed: false,
     device: req.body.device || null,
+    device_class: deviceClassOf(req.body.device),
   });
 
-  res.json({ success: true, session_id, condition });
+  res.json(sessionPayload(study, sessionsDb.get(session_id)));
+});
+
+// Screener answer → stratum → allocation (screener-stratified designs only).
+// Idempotent: a session that already has a condition keeps it.
+app.post('/api/session/screener', (req, res) => {
+  const { session_id, value } = req.body;
+  const found = studies.findSession(session_id);
+  if (!found) return res.status(404).json({ error: 'Unknown session' });
+  const { study, session } = found;
+  if (session.condition) return res.json(sessionPayload(study, session));
+
+  const screener = screenerConfig();
+  if (!screener) return res.status(409).json({ error: 'This study has no screener' });
+  if (!Object.prototype.hasOwnProperty.call(screener.options, value)) {
+    return res.status(400).json({ error: `Invalid answer for ${screener.variable}` });
+  }
+
+  const stratum = stratumFor(value);
+  const condition = study.randomizer.allocate(session, { stratum });
+  const responseFormat = responseFormatFor(study.sessionsDb, condition);
+  const updated = study.sessionsDb.update(session_id, s => ({
+    ...s,
+    condition,
+    response_format: responseFormat,
+    stratum,
+    stratum_value: value,
+    allocated_at: new Date().toISOString(),
+  }));
+  res.json(sessionPayload(study, updated));
+});
+
+// ============================================================
+// AUTOSAVE PROGRESS
+// ============================================================
+// The client posts a snapshot on every page change and (debounced) on every
+// edit. Only the latest snapshot is kept; a returning participant gets it back
+// from /api/session/create (resumed: true) and continues where they left off.
+// For dropouts, `page` is where they abandoned the task.
+
+const PROGRESS_PAGES = ['screener', ...PAGES];
+
+app.post('/api/session/progress', (req, res) => {
+  const { session_id, page, estimates, errorRateEstimate, interactions, demographics, elapsed_ms } = req.body;
+  const found = studies.findSession(session_id);
+  if (!found) return res.status(404).json({ error: 'Unknown session' });
+  const { study: { progressDb }, session } = found;
+  if (session.completed) return res.status(409).json({ error: 'Session already completed' });
+  if (!PROGRESS_PAGES.includes(page)) return res.status(400).json({ error: `Unknown page: ${page}` });
+  // Snapshots go straight back into client state on resume, so each part must
+  // have the shape the client keeps it in (all optional)
+  const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const badShape = Object.entries({ estimates, errorRateEstimate, interactions, demographics })
+    .filter(([, v]) => v !== undefined && v !== null && !isPlainObject(v)).map(([k]) => `${k} must be an object`);
+  if (badShape.length) return res.status(400).json({ error: 'Invalid progress', details: badShape });
+
+  const prev = progressDb.get(session_id);
+  progressDb.put({
+    session_id,
+    page,
+    estimates: estimates || {},
+    errorRateEstimate: errorRateEstimate || null,
+    interactions: interactions || null,
+    demographics: demographics || {},
+    elapsed_ms: Number.isFinite(elapsed_ms) ? elapsed_ms : null,
+    saves: (prev?.saves || 0) + 1,
+    updated_at: new Date().toISOString(),
+  });
+  res.json({ success: true });
 });
 
 // ============================================================
 // SUBMIT ESTIMATIONS
 // ============================================================
 
+// Validated against the session's assigned condition and procedure (see
+// src/validation.js). Totals are recomputed server-side; inconsistencies that
+// don't invalidate the data (e.g. condition mismatch) are stored as flags.
 app.post('/api/estimation/submit', (req, res) => {
-  const { session_id, condition, estimates, errorRateEstimate, interactions,
-          totalEstimateSeconds, totalEstimateMinutes, demographics } = req.body;
+  const { submission_id, session_id, condition, estimates, errorRateEstimate, interactions,
+          totalEstimateSeconds, demographics } = req.body;
 
   if (!session_id) return res.status(400).json({ error: 'session_id required' });
+  const found = studies.findSession(session_id);
+  if (!found) return res.status(404).json({ error: 'Unknown session' });
+  const { study, session } = found;
+  const { sessionsDb, estimationsDb } = study;
+
+  // Idempotent retries: the client resends the same submission_id until it
+  // sees an acknowledgement, so a repeat is acknowledged without rewriting.
+  const existing = estimationsDb.get(session_id);
+  if (existing && submission_id && existing.submission_id === submission_id) {
+    return res.json({ success: true, duplicate: true });
+  }
+  // A different submission for a session that already has data (e.g. a second tab)
+  if (existing && session.completed) {
+    return res.status(409).json({ error: 'Session already submitted', already_completed: true });
+  }
 
-  appendJsonl('estimations.jsonl', {
+  // Validated against the map this participant was shown
+  const { errors, flags, totals } = validateSubmission(req.body, session, study.procedureFor(session.procedure_version));
+  if (errors.length) {
+    console.warn(`  [SUBMIT] Rejected ${session_id}: ${errors.join('; ')}`);
+    return res.status(400).json({ error: 'Invalid submission', details: errors });
+  }
+
+  estimationsDb.put({
     session_id,
-    condition: condition || null,
+    submission_id: submission_id || null,
+    condition: session.condition,
+    response_format: responseFormatOf(session.condition, session.response_format),
     estimates,
     errorRateEstimate: errorRateEstimate || null,
-    totalEstimateSeconds: totalEstimateSeconds || null,
-    totalEstimateMinutes: totalEstimateMinutes || null,
+    totalEstimateSeconds: totals.totalEstimateSeconds,
+    totalEstimateMinutes: totals.totalEstimateMinutes,
     interactions,
     demographics,
+    flags,
+    procedure_id: study.id,
+    // Pinned to the session: the client's claim is only kept when it differs (flagged)
+    procedure_version: session.procedure_version || null,
+    submitted_procedure_version: flags.includes('procedure_version_mismatch') ? (req.body.procedure_version || null) : undefined,
+    submitted_condition: flags.includes('condition_mismatch') ? (condition || null) : undefined,
+    client_total_estimate_seconds: flags.includes('total_mismatch') ? totalEstimateSeconds : undefined,
     submitted_at: new Date().toISOString(),
   });
 
-  // Mark session as completed
-  const sessions = readJsonl('sessions.jsonl');
-  const updated = sessions.map(s => {
-    if (s.session_id === session_id) return { ...s, completed: true, completed_at: new Date().toISOString() };
-    return s;
-  });
-  const filepath = path.join(DATA_DIR, 'sessions.jsonl');
-  fs.writeFileSync(filepath, updated.map(s => JSON.stringify(s)).join('\n') + '\n', 'utf8');
+  // Mark session as completed (atomic — only this record is touched)
+  sessionsDb.update(session_id, s => ({ ...s, completed: true, completed_at: new Date().toISOString() }));
 
-  res.json({ success: true });
+  res.json({ success: true, flags });
 });
 
 // ============================================================
@@ -175,36 +307,106 @@ function requireKey(req, res, next) {
   next();
 }
 
-app.get('/api/export/csv', requireKey, (req, res) => {
-  const sessions = readJsonl('sessions.jsonl');
-  const estimations = readJsonl('estimations.jsonl');
+// Researcher endpoints are scoped to one study: &procedure=<id> (default study otherwise)
+function requireStudy(req, res, next) {
+  req.study = req.query.procedure ? studies.get(req.query.procedure) : studies.default;
+  if (!req.study) return res.status(404).json({ error: `Unknown procedure: ${req.query.procedure}` });
+  next();
+}
+
+// Studies hosted by this deployment (dashboard selector)
+app.get('/api/procedures', requireKey, (req, res) => {
+  res.json({
+    default: studies.default.id,
+    procedures: studies.list.map(s => ({
+      id: s.id,
+      title: s.procedure.title,
+      version: s.procedure.version,
+      prolific_study_id: s.procedure.study.prolificStudyId || null,
+      sessions: s.sessionsDb.all().length,
+      completed: s.sessionsDb.all().filter(x => x.completed).length,
+    })),
+  });
+});
+
+// Column stem of a step estimate in the CSV: step 1.2 → est_step_1_2_…
+const stepColumn = id => `step_${String(id).replace(/\W/g, '_')}`;
 
-  // Merge sessions with estimations
-  const estMap = {};
-  estimations.forEach(e => { estMap[e.session_id] = e; });
+app.get('/api/export/csv', requireKey, requireStudy, (req, res) => {
+  const { sessionsDb, estimationsDb, progressDb, randomizer, procedure } = req.study;
+  const sessions = sessionsDb.all();
 
   const rows = sessions.map(s => {
-    const est = estMap[s.session_id] || {};
+    const est = estimationsDb.get(s.session_id) || {};
+    const alloc = randomizer.getAllocation(s.session_id);
     const row = {
       session_id: s.session_id,
       prolific_pid: s.prolific_pid || '',
       study_id: s.study_id || '',
+      procedure_id: procedure.id,
       condition: s.condition || est.condition || '',
+      condition_forced: s.condition_forced ? 'true' : 'false',
+      estimation_mode: DESIGN.conditions[s.condition]?.estimation || '',
+      elicitation: s.condition ? elicitationOf(s.condition) : '',
+      time_format: s.condition ? responseFormatOf(s.condition, s.response_format).time : '',
+      error_rate_format: s.condition ? responseFormatOf(s.condition, s.response_format).errorRate : '',
       started_at: s.started_at || '',
       completed: s.completed ? 'true' : 'false',
       completed_at: s.completed_at || '',
+      last_page: s.completed ? 'complete' : (progressDb.get(s.session_id)?.page || 'consent'),
+      stratum: s.stratum || '',
+      stratum_value: s.stratum_value || '',
+      device_class: deviceClassOfSession(s),
+      screen_width: s.device?.screenWidth || '',
+      alloc_block: alloc ? alloc.block_index : '',
+      alloc_position: alloc ? alloc.position_in_block : '',
       total_estimate_seconds: est.totalEstimateSeconds || '',
       total_estimate_minutes: est.totalEstimateMinutes || '',
+      procedure_version: est.procedure_version || s.procedure_version || '',
+      submission_flags: (est.flags || []).join('; '),
     };
 
-    // Add individual estimates (minutes, seconds, confidence per block)
+    // Add individual estimates (minutes, seconds, confidence per block), in map order.
+    // Step-level sessions have a set of est_step_<step id>_… columns per step, then
+    // their steps rolled up into the usual block columns (confidence: the steps' mean)
     if (est.estimates) {
-      Object.entries(est.estimates).forEach(([blockId, data]) => {
+      const order = [...procedure.blockIds, 'overall'];
+      const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+      let columns = Object.entries(est.estimates).sort((a, b) => rank(a[0]) - rank(b[0]))
+        .map(([blockId, data]) => [blockId, data, pert(data)]);
+      if (DESIGN.conditions[s.condition]?.estimation === 'steps') {
+        const stepProcedure = req.study.procedureFor(est.procedure_version);
+        const stepOrder = stepProcedure.stepIds.filter(id => est.estimates[id]);
+        columns = [
+          ...stepOrder.map(id => [stepColumn(id), est.estimates[id], pert(est.estimates[id])]),
+          ...Object.entries(blockEstimates(est.estimates, stepProcedure)).map(([blockId, data]) => {
+            const block = stepProcedure.blocks.find(b => b.id === blockId);
+            return [blockId, data, pertTotal(Object.fromEntries(block.stepsIncluded.map(id => [id, est.estimates[id]]).filter(([, e]) => e)))];
+          }),
+        ];
+      }
+      columns.forEach(([blockId, data, three]) => {
         row[`est_${blockId}_minutes`] = data.minutes !== undefined && data.minutes !== null ? data.minutes : '';
         row[`est_${blockId}_seconds`] = data.seconds !== undefined && data.seconds !== null ? data.seconds : '';
         row[`est_${blockId}_total_sec`] = (data.minutes || 0) * 60 + (data.seconds || 0);
         row[`est_${blockId}_confidence`] = data.confidence || '';
+        if (Number.isInteger(data.bin)) row[`est_${blockId}_bin`] = data.bin;
+        if (three) {
+          row[`est_${blockId}_optimistic_sec`] = three.optimistic;
+          row[`est_${blockId}_pessimistic_sec`] = three.pessimistic;
+          row[`est_${blockId}_pert_mean_sec`] = round2(three.mean);
+          row[`est_${blockId}_pert_variance`] = round2(three.variance);
+        }
+        if (data.distribution) {
+          row[`est_${blockId}_distribution_bins`] = data.distribution.bins.join('; ');
+          row[`est_${blockId}_distribution`] = data.distribution.counts.join('; ');
+        }
       });
+      const total = pertTotal(est.estimates);
+      if (total) {
+        row['total_pert_mean_seconds'] = round2(total.mean);
+        row['total_pert_sd_seconds'] = round2(Math.sqrt(total.variance));
+      }
     }
 
     // Add demographics
@@ -218,6 +420,12 @@ app.get('/api/export/csv', requireKey, (req, res) => {
     if (est.errorRateEstimate) {
       row['error_rate_percentage'] = est.errorRateEstimate.percentage !== null && est.errorRateEstimate.percentage !== undefined ? est.errorRateEstimate.percentage : '';
       row['error_rate_confidence'] = est.errorRateEstimate.confidence || '';
+      // Per-block or per-error-loop items: err_<block id>_… or err_step_<step id>_…
+      Object.entries(est.errorRateEstimate.items || {}).forEach(([id, item]) => {
+        const stem = procedure.blockIds.includes(id) ? id : stepColumn(id);
+        row[`err_${stem}_percentage`] = item.percentage;
+        row[`err_${stem}_confidence`] = item.confidence;
+      });
     }
 
     // Add interactions
@@ -228,7 +436,15 @@ app.get('/api/export/csv', requireKey, (req, res) => {
       row['step_toggle_count'] = (est.interactions.stepToggleLog || []).length;
       row['step_expand_count'] = (est.interactions.stepToggleLog || []).filter(e => e.action === 'expand').length;
       row['step_collapse_count'] = (est.interactions.stepToggleLog || []).filter(e => e.action === 'collapse').length;
+      const navigation = est.interactions.navigationLog || [];
+      row['zoom_count'] = navigation.filter(e => e.action.startsWith('zoom') || e.action === 'fit').length;
+      row['pan_count'] = navigation.filter(e => e.action === 'pan').length;
+      row['phase_jump_count'] = navigation.filter(e => e.action === 'fit-phase').length;
+      const legend = est.interactions.legendLog || [];
+      row['legend_toggle_count'] = legend.length;
+      row['legend_types_used'] = [...new Set(legend.filter(e => e.action === 'select').map(e => e.type))].join('; ');
       row['time_on_task_ms'] = est.interactions.timeOnTaskMs || '';
+      row['stacked_layout'] = est.interactions.stackedLayout ? 'true' : 'false';
     }
 
     return row;
@@ -249,57 +465,86 @@ app.get('/api/export/csv', requireKey, (req, res) => {
   });
 
   res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', 'attachment; filename=estimation_data.csv');
+  res.setHeader('Content-Disposition', `attachment; filename=estimation_data_${procedure.id}.csv`);
   res.send(csvLines.join('\n'));
 });
 
-app.get('/api/export/json', requireKey, (req, res) => {
+app.get('/api/export/json', requireKey, requireStudy, (req, res) => {
+  const { sessionsDb, estimationsDb, progressDb, randomizer } = req.study;
   res.json({
-    sessions: readJsonl('sessions.jsonl'),
-    estimations: readJsonl('estimations.jsonl'),
+    procedure_id: req.study.id,
+    sessions: sessionsDb.all(),
+    estimations: estimationsDb.all(),
+    progress: progressDb.all(),
+    ...randomizer.exportState(),
   });
 });
 
+// The process map as SVG, PNG or print PDF (src/map-export.js), drawn on the
+// server: &format=svg|png|pdf, &expand=all|none|<step ids>, &condition=<arm>
+// for that arm's renderer options, &dpi= (PNG), &paper=a4|letter (PDF),
+// &version=<hash> for an archived version
+app.get('/api/export/map', requireKey, requireStudy, async (req, res) => {
+  const { version, condition } = req.query;
+  if (version && !req.study.procedureVersionsDb.get(version)) {
+    return res.status(404).json({ error: `Unknown procedure version: ${version}` });
+  }
+  if (condition && !DESIGN.conditions[condition]) {
+    return res.status(400).json({ error: `Unknown condition: ${condition}` });
+  }
+  const procedure = req.study.procedureFor(version);
+  let options;
+  try {
+    options = exportOptions(procedure.definition, req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const renderer = condition ? DESIGN.conditions[condition].renderer : {};
+    const { body, contentType, filename } = await exportMap(procedure, options, renderer);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Allocation concealment report: seed, current block, full allocation log,
+// and the sequence regenerated from the seed (for the methods section)
+app.get('/api/randomization', requireKey, requireStudy, (req, res) => {
+  res.json({ procedure_id: req.study.id, ...req.study.randomizer.report() });
+});
+
 // ============================================================
 // STATS API — comprehensive analysis endpoint
 // ============================================================
 
-// Estimation block names for display
-const BLOCK_NAMES = {
-  entering_personal_details: 'A — Entering personal details',
-  reading_eligibility: 'B — Reading eligibility rules',
-  selecting_documents: 'C — Selecting documents',
-  entering_vehicle_info: 'D — Entering vehicle info',
-  declaration_submit: 'E — Declaration & submit',
-  overall: 'Overall estimate',
-};
-const blockName = id => BLOCK_NAMES[id] || id.replace(/_/g, ' ');
-
-// Map estimation blocks to procedure task page groups (for ground truth matching)
-const BLOCK_TO_PROCEDURE_PAGES = {
-  entering_personal_details: ['applicant_details'],
-  reading_eligibility: ['eligibility_rules'],
-  selecting_documents: ['doc_upload_eligibility', 'doc_upload_residence'],
-  entering_vehicle_info: ['vehicle_info', 'vehicle_category', 'vehicle_fuel', 'vehicle_env_class'],
-  declaration_submit: ['application_review'],
-};
-
-// Procedure task ground truth — configurable
-// Set PROCEDURE_STATS_URL env var to auto-fetch, or edit these defaults after collecting data
-let PROCEDURE_GROUND_TRUTH = {
+// Procedure task ground truth — one source per study
+// Each procedure file sets study.groundTruthUrl (the procedure task's stats
+// endpoint); PROCEDURE_STATS_URL overrides it for the default study.
+const UNCONFIGURED_GROUND_TRUTH = {
   configured: false,
   totalMeanSec: null,
   totalMedianSec: null,
   actualRejectionRate: null,
   byBlock: {},  // { blockId: { meanSec, medianSec } }
+  errorRates: { blocks: {}, loops: {} }, // { blockId | stepId: % of applications }
 };
+const groundTruth = new Map(); // procedure id → last ground truth fetched
 
-// Try to fetch procedure task ground truth
-const PROCEDURE_STATS_URL = process.env.PROCEDURE_STATS_URL || 'http://localhost:3001/api/stats?key=research2025';
+function groundTruthUrl(study) {
+  if (study === studies.default && process.env.PROCEDURE_STATS_URL) return process.env.PROCEDURE_STATS_URL;
+  return study.procedure.study.groundTruthUrl || null;
+}
 
-async function fetchProcedureGroundTruth() {
+// Try to fetch procedure task ground truth
+async function fetchProcedureGroundTruth(study) {
+  const url = groundTruthUrl(study);
+  const procedure = study.procedure;
+  if (!url) return;
   try {
-    const resp = await fetch(PROCEDURE_STATS_URL);
+    const resp = await fetch(url);
     if (!resp.ok) return;
     const stats = await resp.json();
     if (!stats.page_stats || stats.page_stats.length === 0) return;
@@ -308,9 +553,21 @@ async function fetchProcedureGroundTruth() {
     const pageMap = {};
     stats.page_stats.forEach(p => { pageMap[p.pageId] = p.avgTimeMs; });
 
+    // Per-page error rates (% of sessions with a rejection-worthy error on the page),
+    // when the procedure task reports them. A block or loop errs when any of its
+    // pages does; pages are taken as independent: 1 − Π(1 − rate)
+    const pageErrors = {};
+    stats.page_stats.forEach(p => { if (typeof p.errorRate === 'number') pageErrors[p.pageId] = p.errorRate; });
+    const errorRateOf = pages => {
+      const rates = pages.filter(pid => pid in pageErrors).map(pid => pageErrors[pid] / 100);
+      return rates.length ? Math.round((1 - rates.reduce((ok, r) => ok * (1 - r), 1)) * 1000) / 10 : null;
+    };
+    const errorRatesOf = pagesById => Object.fromEntries(Object.entries(pagesById)
+      .map(([id, pages]) => [id, errorRateOf(pages)]).filter(([, rate]) => rate !== null));
+
     // Compute per-block ground truth (sum of page times)
     const byBlock = {};
-    for (const [blockId, pages] of Object.entries(BLOCK_TO_PROCEDURE_PAGES)) {
+    for (const [blockId, pages] of Object.entries(procedure.groundTruthPages)) {
       const totalMs = pages.reduce((sum, pid) => sum + (pageMap[pid] || 0), 0);
       if (totalMs > 0) {
         byBlock[blockId] = { meanSec: Math.round(totalMs / 1000) };
@@ -318,17 +575,18 @@ async function fetchProcedureGroundTruth() {
     }
 
     // Total procedure time (application pages only)
-    const appPages = Object.values(BLOCK_TO_PROCEDURE_PAGES).flat();
+    const appPages = Object.values(procedure.groundTruthPages).flat();
     const totalAppMs = appPages.reduce((sum, pid) => sum + (pageMap[pid] || 0), 0);
 
-    PROCEDURE_GROUND_TRUTH = {
+    groundTruth.set(study.id, {
       configured: true,
       totalMeanSec: totalAppMs > 0 ? Math.round(totalAppMs / 1000) : null,
       totalMedianSec: null, // median not available from stats endpoint — mean only
       actualRejectionRate: stats.quality_rejection_rate || null,
       byBlock,
-    };
-    console.log('  Ground truth loaded from procedure task');
+      errorRates: { blocks: errorRatesOf(procedure.groundTruthPages), loops: errorRatesOf(procedure.loopGroundTruthPages) },
+    });
+    console.log(`  Ground truth loaded from procedure task (${study.id})`);
   } catch (e) {
     // Procedure task not running — ground truth will show as unconfigured
   }
@@ -361,6 +619,10 @@ function cohenD(arr1, arr2) {
   return pooledSd > 0 ? (m1 - m2) / pooledSd : null;
 }
 
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
 function fmtSec(sec) {
   if (!sec && sec !== 0) return '—';
   const m = Math.floor(sec / 60);
@@ -369,32 +631,49 @@ function fmtSec(sec) {
   return s > 0 ? `${m}m ${s}s` : `${m}m`;
 }
 
-app.get('/api/stats', requireKey, async (req, res) => {
+app.get('/api/stats', requireKey, requireStudy, async (req, res) => {
   try {
+    const study = req.study;
+    const { sessionsDb, estimationsDb, progressDb, procedure } = study;
+
     // Refresh ground truth on each stats call
-    await fetchProcedureGroundTruth();
+    await fetchProcedureGroundTruth(study);
+    const PROCEDURE_GROUND_TRUTH = groundTruth.get(study.id) || UNCONFIGURED_GROUND_TRUTH;
 
-    const sessions = readJsonl('sessions.jsonl');
-    const estimations = readJsonl('estimations.jsonl');
-    const estMap = {};
-    estimations.forEach(e => { estMap[e.session_id] = e; });
+    const sessions = sessionsDb.all();
 
     // Parse exclusion list (comma-separated Prolific PIDs)
     const excludeParam = (req.query.exclude || '').trim();
     const excludePids = excludeParam ? excludeParam.split(',').map(p => p.trim()).filter(Boolean) : [];
 
     // Merge sessions with their estimation data, then apply exclusions
-    const mergedAll = sessions.map(s => ({ ...s, estimation: estMap[s.session_id] || null }));
+    const mergedAll = sessions.map(s => ({ ...s, estimation: estimationsDb.get(s.session_id), progress: progressDb.get(s.session_id) }));
     const merged = mergedAll.filter(s => !excludePids.includes(s.prolific_pid));
     const excludedCount = mergedAll.length - merged.length;
 
     const total = merged.length;
     const completed = merged.filter(s => s.completed);
     const dropped = merged.filter(s => !s.completed);
-    const completedDetailed = completed.filter(s => s.condition === 'detailed');
-    const completedSimple = completed.filter(s => s.condition === 'simple');
-    const detailedAll = merged.filter(s => s.condition === 'detailed');
-    const simpleAll = merged.filter(s => s.condition === 'simple');
+
+    // Arms to report: randomized arms first, then any other condition present in the data
+    const armIds = [...new Set([...CONDITIONS, ...merged.map(s => s.condition).filter(Boolean)])];
+    const armMeta = id => ({
+      label: DESIGN.conditions[id]?.label || id,
+      color: DESIGN.conditions[id]?.color || '#666666',
+      estimation: DESIGN.conditions[id]?.estimation || null,
+      elicitation: DESIGN.conditions[id] ? elicitationOf(id) : null,
+      errorEstimation: DESIGN.conditions[id] ? errorEstimationOf(id) : null,
+      legend: !!DESIGN.conditions[id]?.renderer?.legend,
+      randomized: CONDITIONS.includes(id),
+    });
+
+    // Where dropouts abandoned the task (last autosaved page; no save → consent)
+    const dropoutPages = Object.fromEntries(PROGRESS_PAGES.map(p => [p, 0]));
+    dropped.forEach(s => {
+      const page = s.progress?.page || 'consent';
+      dropoutPages[page] = (dropoutPages[page] || 0) + 1;
+    });
+    Object.keys(dropoutPages).forEach(p => { if (!dropoutPages[p]) delete dropoutPages[p]; });
 
     // Time on task (estimation task completion time)
     const taskTimes = completed.map(s => s.estimation?.interactions?.timeOnTaskMs || 0).filter(t => t > 0);
@@ -404,22 +683,130 @@ app.get('/api/stats', requireKey, async (req, res) => {
     function getTotalEstSec(s) {
       return s.estimation?.totalEstimateSeconds || 0;
     }
-    const detailedEstimates = completedDetailed.map(getTotalEstSec).filter(v => v > 0);
-    const simpleEstimates = completedSimple.map(getTotalEstSec).filter(v => v > 0);
-    const allEstimates = [...detailedEstimates, ...simpleEstimates];
 
-    // Per-block estimates (detailed condition only has individual blocks)
-    const blockIds = ['entering_personal_details', 'reading_eligibility', 'selecting_documents', 'entering_vehicle_info', 'declaration_submit'];
+    // A session's estimates per block: step-level sessions have their steps
+    // rolled up into the blocks of the procedure version they saw
+    const stepLevel = s => DESIGN.conditions[s.condition]?.estimation === 'steps';
+    function blockLevelEstimates(s) {
+      const estimates = s.estimation?.estimates || {};
+      return stepLevel(s) ? blockEstimates(estimates, study.procedureFor(s.estimation?.procedure_version)) : estimates;
+    }
+
+    // Three-point arms: PERT totals, and how often the participant's
+    // optimistic–pessimistic interval contains the actual time. The total
+    // interval runs from the sum of optimistic to the sum of pessimistic times.
+    const covers = (t, actualSec) => t.optimistic <= actualSec && actualSec <= t.pessimistic;
+    function threePointStats(done) {
+      const totals = done.map(s => pertTotal(s.estimation?.estimates)).filter(Boolean);
+      const actualTotal = PROCEDURE_GROUND_TRUTH.totalMeanSec;
+      const blockHits = [];
+      done.forEach(s => Object.entries(blockLevelEstimates(s)).forEach(([bid, e]) => {
+        const t = pert(e);
+        const actual = PROCEDURE_GROUND_TRUTH.byBlock[bid]?.meanSec;
+        if (t && actual) blockHits.push(covers(t, actual));
+      }));
+      return {
+        n: totals.length,
+        mean_pert_sec: mean(totals.map(t => t.mean)),
+        mean_pert_sd_sec: mean(totals.map(t => Math.sqrt(t.variance))),
+        mean_interval_width_sec: mean(totals.map(t => t.pessimistic - t.optimistic)),
+        total_coverage: actualTotal && totals.length ? totals.filter(t => covers(t, actualTotal)).length / totals.length * 100 : null,
+        block_coverage: blockHits.length ? blockHits.filter(Boolean).length / blockHits.length * 100 : null,
+        block_intervals: blockHits.length,
+      };
+    }
+
+    const byCondition = {};
+    const estimatesByArm = {};
+    armIds.forEach(id => {
+      const all = merged.filter(s => s.condition === id);
+      const done = completed.filter(s => s.condition === id);
+      const ests = done.map(getTotalEstSec).filter(v => v > 0);
+      const errRates = done.map(s => s.estimation?.errorRateEstimate?.percentage).filter(v => v !== null && v !== undefined);
+      const confs = [];
+      done.forEach(s => {
+        Object.values(s.estimation?.estimates || {}).forEach(e => { if (e.confidence) confs.push(e.confidence); });
+      });
+      const times = done.map(s => s.estimation?.interactions?.timeOnTaskMs || 0).filter(t => t > 0);
+      estimatesByArm[id] = ests;
+      byCondition[id] = {
+        ...armMeta(id),
+        total: all.length,
+        completed: done.length,
+        mean_estimate_sec: mean(ests),
+        median_estimate_sec: median(ests),
+        sd_sec: stdDev(ests),
+        estimates_sec: ests,
+        error_rate_mean: mean(errRates),
+        error_rate_n: errRates.length,
+        mean_confidence: mean(confs),
+        mean_phases: mean(done.map(s => (s.estimation?.interactions?.phasesExpanded || []).length)),
+        mean_steps: mean(done.map(s => (s.estimation?.interactions?.stepsExpanded || []).length)),
+        mean_legend_toggles: mean(done.map(s => (s.estimation?.interactions?.legendLog || []).length)),
+        mean_task_time_ms: mean(times),
+        three_point: elicitationOf(id) === 'three-point' ? threePointStats(done) : null,
+      };
+    });
+    const allEstimates = Object.values(estimatesByArm).flat();
+
+    // Per-stratum balance (randomized sessions only — forced previews have no stratum)
+    let strataBalance = null;
+    if (STRATIFICATION || merged.some(s => s.stratum)) {
+      const stratified = merged.filter(s => s.stratum && !s.condition_forced);
+      const strataIds = [...new Set([...Object.keys(STRATIFICATION?.strata || {}), ...stratified.map(s => s.stratum)])];
+      strataBalance = {
+        variable: STRATIFICATION?.variable || null,
+        source: STRATIFICATION?.source || null,
+        awaiting_screener: merged.filter(s => !s.condition).length,
+        strata: Object.fromEntries(strataIds.map(id => {
+          const inStratum = stratified.filter(s => s.stratum === id);
+          const counts = Object.fromEntries(CONDITIONS.map(c => [c, {
+            allocated: inStratum.filter(s => s.condition === c).length,
+            completed: inStratum.filter(s => s.condition === c && s.completed).length,
+          }]));
+          const allocated = Object.values(counts).map(c => c.allocated);
+          return [id, {
+            values: STRATIFICATION?.strata?.[id] || [],
+            total: inStratum.length,
+            by_condition: counts,
+            imbalance: allocated.length ? Math.max(...allocated) - Math.min(...allocated) : 0,
+          }];
+        })),
+      };
+    }
+
+    // Device class as a covariate: sessions, dropout and total estimates per arm
+    const deviceClasses = DEVICE_CLASSES.filter(c => merged.some(s => deviceClassOfSession(s) === c));
+    const byDevice = Object.fromEntries(deviceClasses.map(c => {
+      const all = merged.filter(s => deviceClassOfSession(s) === c);
+      const done = all.filter(s => s.completed);
+      return [c, {
+        total: all.length,
+        completed: done.length,
+        dropout_rate: Math.round((all.length - done.length) / all.length * 100),
+        by_condition: Object.fromEntries(armIds.map(id => {
+          const ests = done.filter(s => s.condition === id).map(getTotalEstSec).filter(v => v > 0);
+          return [id, { completed: ests.length, mean_estimate_sec: mean(ests) }];
+        })),
+      }];
+    }));
+
+    // Per-block estimates (arms that estimate per block, and step-level arms rolled up)
+    const blockArmSessions = completed.filter(s => ['blocks', 'steps'].includes(DESIGN.conditions[s.condition]?.estimation))
+      .map(s => ({ ...s, blockEstimates: blockLevelEstimates(s) }));
+    const blockIds = procedure.blockIds;
     const blockStats = {};
     blockIds.forEach(bid => {
       const vals = [];
       const confs = [];
-      completedDetailed.forEach(s => {
-        const est = s.estimation?.estimates?.[bid];
+      const intervals = [];
+      blockArmSessions.forEach(s => {
+        const est = s.blockEstimates[bid];
         if (est) {
           const sec = (est.minutes || 0) * 60 + (est.seconds || 0);
           if (sec > 0) vals.push(sec);
           if (est.confidence) confs.push(est.confidence);
+          if (pert(est)) intervals.push(pert(est));
         }
       });
       const gt = PROCEDURE_GROUND_TRUTH.byBlock[bid];
@@ -433,37 +820,156 @@ app.get('/api/stats', requireKey, async (req, res) => {
         meanConf: mean(confs),
         groundTruthSec: gt?.meanSec || null,
         biasPercent: bias,
+        intervalN: intervals.length,
+        meanPertSec: intervals.length ? mean(intervals.map(t => t.mean)) : null,
+        intervalCoverage: gt?.meanSec && intervals.length ? intervals.filter(t => covers(t, gt.meanSec)).length / intervals.length * 100 : null,
       };
     });
 
-    // Overall estimate block (simple condition)
-    const overallConfs = [];
-    completedSimple.forEach(s => {
-      const est = s.estimation?.estimates?.overall;
-      if (est?.confidence) overallConfs.push(est.confidence);
-    });
+    // Step-level arms: every step's estimates, with its share of its block's
+    // estimate (mean over participants of step time / block sum)
+    const stepArms = armIds.filter(id => DESIGN.conditions[id]?.estimation === 'steps');
+    let stepStats = null;
+    if (stepArms.length) {
+      const stepSessions = completed.filter(stepLevel);
+      stepStats = procedure.blocks.flatMap(block => block.stepsIncluded.map(stepId => {
+        const vals = [];
+        const confs = [];
+        const shares = [];
+        stepSessions.forEach(s => {
+          const est = s.estimation?.estimates?.[stepId];
+          if (!est) return;
+          const sec = (est.minutes || 0) * 60 + (est.seconds || 0);
+          const blockSec = block.stepsIncluded.reduce((sum, id) => {
+            const e = s.estimation.estimates[id];
+            return sum + (e ? (e.minutes || 0) * 60 + (e.seconds || 0) : 0);
+          }, 0);
+          vals.push(sec);
+          if (est.confidence) confs.push(est.confidence);
+          if (blockSec > 0) shares.push(sec / blockSec * 100);
+        });
+        return {
+          id: stepId,
+          name: procedure.stepName(stepId),
+          block: block.id,
+          n: vals.length,
+          meanSec: mean(vals),
+          medianSec: median(vals),
+          sdSec: stdDev(vals),
+          meanConf: mean(confs),
+          meanSharePercent: mean(shares),
+        };
+      }));
+    }
 
-    // Error rate estimates
-    const detailedErrRates = completedDetailed.map(s => s.estimation?.errorRateEstimate?.percentage).filter(v => v !== null && v !== undefined);
-    const simpleErrRates = completedSimple.map(s => s.estimation?.errorRateEstimate?.percentage).filter(v => v !== null && v !== undefined);
-    const allErrRates = [...detailedErrRates, ...simpleErrRates];
-    const errRateConfs = completed.map(s => s.estimation?.errorRateEstimate?.confidence).filter(v => v);
+    // Distribution arms: the crowd distribution of each estimate (every participant's
+    // chances as probabilities, averaged) against the bin that holds the actual time.
+    // Distributions elicited with other bins (design changed mid-study) are left out.
+    const distributionArms = armIds.filter(id => DESIGN.conditions[id] && elicitationOf(id) === 'distribution');
+    let distributionStats = null;
+    if (distributionArms.length) {
+      const { bins } = DESIGN.distribution;
+      const sameBins = d => d && Array.isArray(d.bins) && d.bins.join() === bins.join();
+      const round4 = p => Math.round(p * 10000) / 10000;
+      const estimates = [...blockIds, 'overall'].map(eid => {
+        const actualSec = eid === 'overall' ? PROCEDURE_GROUND_TRUTH.totalMeanSec : PROCEDURE_GROUND_TRUTH.byBlock[eid]?.meanSec;
+        const truthBin = actualSec ? distributionBin(actualSec) : null;
+        const byArm = {};
+        distributionArms.forEach(id => {
+          const dists = completed.filter(s => s.condition === id).map(s => s.estimation?.estimates?.[eid]?.distribution).filter(sameBins);
+          if (!dists.length) return;
+          const crowd = [...bins, null].map(() => 0);
+          dists.forEach(d => {
+            const placed = d.counts.reduce((a, b) => a + b, 0);
+            d.counts.forEach((n, i) => { crowd[i] += n / placed / dists.length; });
+          });
+          let cumulative = 0;
+          byArm[id] = {
+            n: dists.length,
+            crowd: crowd.map(round4),
+            median_bin: crowd.findIndex(p => (cumulative += p) >= 0.5 - 1e-9),
+            p_truth_bin: truthBin !== null ? round4(crowd[truthBin]) : null,
+            p_below_truth: truthBin !== null ? round4(crowd.slice(0, truthBin).reduce((a, b) => a + b, 0)) : null,
+          };
+        });
+        return { id: eid, name: procedure.blockName(eid), actual_sec: actualSec || null, truth_bin: truthBin, by_condition: byArm };
+      }).filter(e => Object.keys(e.by_condition).length);
+      distributionStats = { bins, labels: distributionLabels(), arms: distributionArms, estimates };
+    }
 
-    // Confidence analysis
-    const detailedConfs = [];
-    completedDetailed.forEach(s => {
-      if (s.estimation?.estimates) {
-        Object.values(s.estimation.estimates).forEach(e => { if (e.confidence) detailedConfs.push(e.confidence); });
-      }
-    });
+    // Response formats as a factor: total estimates per format within each arm
+    // (totals only compare within one estimation mode), and error-rate answers
+    // per format against the actual rejection rate
+    const formatOf = s => responseFormatOf(s.condition, s.response_format);
+    const actualRate = PROCEDURE_GROUND_TRUTH.actualRejectionRate;
+    const responseFormats = {
+      time: Object.fromEntries(TIME_FORMATS.map(f => {
+        const done = completed.filter(s => s.condition && formatOf(s).time === f);
+        return [f, {
+          n: done.length,
+          by_condition: Object.fromEntries(armIds.map(id => {
+            const ests = done.filter(s => s.condition === id).map(getTotalEstSec).filter(v => v > 0);
+            const m = mean(ests);
+            const truth = PROCEDURE_GROUND_TRUTH.totalMeanSec;
+            return [id, {
+              n: ests.length,
+              mean_estimate_sec: m,
+              median_estimate_sec: median(ests),
+              sd_sec: stdDev(ests),
+              bias_percent: truth && ests.length ? (m - truth) / truth * 100 : null,
+            }];
+          }).filter(([, v]) => v.n)),
+        }];
+      }).filter(([, v]) => v.n)),
+      error_rate: Object.fromEntries(ERROR_RATE_FORMATS.map(f => {
+        const rates = completed.filter(s => s.condition && formatOf(s).errorRate === f)
+          .map(s => s.estimation?.errorRateEstimate?.percentage).filter(v => v !== null && v !== undefined);
+        return [f, {
+          n: rates.length,
+          mean: mean(rates),
+          sd: stdDev(rates),
+          mean_abs_error: actualRate !== null && actualRate !== undefined && rates.length
+            ? mean(rates.map(r => Math.abs(r - actualRate))) : null,
+        }];
+      }).filter(([, v]) => v.n)),
+    };
 
-    // Behavioral engagement
-    const detailedPhases = completedDetailed.map(s => (s.estimation?.interactions?.phasesExpanded || []).length);
-    const simplePhases = completedSimple.map(s => (s.estimation?.interactions?.phasesExpanded || []).length);
-    const detailedSteps = completedDetailed.map(s => (s.estimation?.interactions?.stepsExpanded || []).length);
-    const simpleSteps = completedSimple.map(s => (s.estimation?.interactions?.stepsExpanded || []).length);
-    const detailedTaskTimes = completedDetailed.map(s => s.estimation?.interactions?.timeOnTaskMs || 0).filter(t => t > 0);
-    const simpleTaskTimes = completedSimple.map(s => s.estimation?.interactions?.timeOnTaskMs || 0).filter(t => t > 0);
+    // Error-rate items: each block's or error loop's estimates per arm, against the
+    // error rate the procedure task reports for its pages (bias in percentage points)
+    const errorItemStats = mode => {
+      const arms = armIds.filter(id => DESIGN.conditions[id] && errorEstimationOf(id) === mode);
+      if (!arms.length) return null;
+      const ids = mode === 'blocks' ? blockIds : procedure.loopStepIds;
+      return ids.map(itemId => {
+        const actual = PROCEDURE_GROUND_TRUTH.errorRates[mode][itemId];
+        const byArm = Object.fromEntries(arms.map(id => {
+          const items = completed.filter(s => s.condition === id)
+            .map(s => s.estimation?.errorRateEstimate?.items?.[itemId]).filter(Boolean);
+          const rates = items.map(i => i.percentage);
+          const m = mean(rates);
+          return [id, {
+            n: rates.length,
+            mean: m,
+            median: median(rates),
+            sd: stdDev(rates),
+            mean_confidence: mean(items.map(i => i.confidence)),
+            bias_points: actual !== undefined && rates.length ? m - actual : null,
+            mean_abs_error: actual !== undefined && rates.length ? mean(rates.map(r => Math.abs(r - actual))) : null,
+          }];
+        }).filter(([, v]) => v.n));
+        return {
+          id: itemId,
+          name: mode === 'blocks' ? procedure.blockName(itemId) : procedure.stepName(itemId),
+          actual: actual !== undefined ? actual : null,
+          by_condition: byArm,
+        };
+      });
+    };
+    const errorRateItems = { blocks: errorItemStats('blocks'), loops: errorItemStats('loops') };
+
+    // Error rate estimates
+    const allErrRates = completed.map(s => s.estimation?.errorRateEstimate?.percentage).filter(v => v !== null && v !== undefined);
+    const errRateConfs = completed.map(s => s.estimation?.errorRateEstimate?.confidence).filter(v => v);
 
     // Demographics breakdown
     const demoBreakdown = {};
@@ -476,8 +982,13 @@ app.get('/api/stats', requireKey, async (req, res) => {
       demoBreakdown[field] = counts;
     });
 
-    // Condition comparison — effect size
-    const conditionD = cohenD(detailedEstimates, simpleEstimates);
+    // Condition comparison — pairwise effect sizes
+    const conditionEffects = [];
+    armIds.forEach((a, i) => {
+      armIds.slice(i + 1).forEach(b => {
+        conditionEffects.push({ a, b, cohen_d: cohenD(estimatesByArm[a], estimatesByArm[b]) });
+      });
+    });
 
     // Overall estimation bias
     const overallMeanEst = mean(allEstimates);
@@ -491,56 +1002,47 @@ app.get('/api/stats', requireKey, async (req, res) => {
       completed_sessions: completed.length,
       dropped_sessions: dropped.length,
       dropout_rate: total > 0 ? Math.round(dropped.length / total * 100) : 0,
-      detailed_completed: completedDetailed.length,
-      simple_completed: completedSimple.length,
-      detailed_total: detailedAll.length,
-      simple_total: simpleAll.length,
       median_task_time_ms: medianTaskTimeMs,
       median_task_time_formatted: fmtSec(medianTaskTimeMs / 1000),
+      dropout_pages: dropoutPages,
+
+      // Per-arm results (estimates, error rate, confidence, engagement)
+      conditions: armIds,
+      by_condition: byCondition,
+      condition_effects: conditionEffects,
+      stratification: strataBalance,
+
+      // Procedure shown to participants (block ids and display names in map order)
+      procedure: { id: procedure.id, title: procedure.title, version: procedure.version },
+      blocks: [...procedure.blocks.map(b => ({ id: b.id, name: b.name })), { id: 'overall', name: procedure.blockName('overall') }],
 
       // Section 2: Ground truth
       ground_truth: PROCEDURE_GROUND_TRUTH,
+      ground_truth_url: (groundTruthUrl(study) || '').replace(/key=.*/, 'key=***') || null,
 
       // Section 3: Estimation accuracy
       overall_mean_estimate_sec: mean(allEstimates),
       overall_median_estimate_sec: median(allEstimates),
-      detailed_mean_estimate_sec: mean(detailedEstimates),
-      detailed_median_estimate_sec: median(detailedEstimates),
-      simple_mean_estimate_sec: mean(simpleEstimates),
-      simple_median_estimate_sec: median(simpleEstimates),
-      detailed_sd_sec: stdDev(detailedEstimates),
-      simple_sd_sec: stdDev(simpleEstimates),
-      condition_cohen_d: conditionD,
       overall_bias_percent: overallBias,
       block_stats: blockStats,
-
-      // Raw estimate distributions (for charts)
-      detailed_estimates_sec: detailedEstimates,
-      simple_estimates_sec: simpleEstimates,
+      step_stats: stepStats,
+      distribution: distributionStats,
 
       // Error rate estimates
       error_rate_mean_all: mean(allErrRates),
-      error_rate_mean_detailed: mean(detailedErrRates),
-      error_rate_mean_simple: mean(simpleErrRates),
       error_rate_n_all: allErrRates.length,
       actual_rejection_rate: PROCEDURE_GROUND_TRUTH.actualRejectionRate,
       error_rate_mean_confidence: mean(errRateConfs),
+      error_rate_items: errorRateItems,
+      response_formats: responseFormats,
 
       // Section 4: Confidence
-      detailed_mean_confidence: mean(detailedConfs),
-      simple_mean_confidence: mean(overallConfs),
       block_confidence: Object.fromEntries(blockIds.map(bid => [bid, blockStats[bid].meanConf])),
 
-      // Section 5: Engagement
-      detailed_mean_phases: mean(detailedPhases),
-      simple_mean_phases: mean(simplePhases),
-      detailed_mean_steps: mean(detailedSteps),
-      simple_mean_steps: mean(simpleSteps),
-      detailed_mean_task_time_ms: mean(detailedTaskTimes),
-      simple_mean_task_time_ms: mean(simpleTaskTimes),
-
       // Section 6: Demographics
       demographics: demoBreakdown,
+      device_classes: deviceClasses,
+      by_device: byDevice,
 
       // Participant-level rows for interactive table (uses mergedAll so excluded ones are still visible)
       excluded_count: excludedCount,
@@ -554,7 +1056,9 @@ app.get('/api/stats', requireKey, async (req, res) => {
           prolific_pid: s.prolific_pid || '—',
           session_id: s.session_id,
           condition: s.condition || '—',
+          device_class: deviceClassOfSession(s),
           completed: !!s.completed,
+          last_page: s.completed ? 'complete' : (s.progress?.page || 'consent'),
           total_estimate_sec: totalEstSec,
           error_rate_pct: errRate !== undefined ? errRate : null,
           task_time_sec: taskTimeMs ? Math.round(taskTimeMs / 1000) : null,
@@ -570,44 +1074,44 @@ app.get('/api/stats', requireKey, async (req, res) => {
   }
 });
 
-// --- Import sessions + estimations (restore after redeploy) ---
-app.post('/api/import-data', requireKey, (req, res) => {
+// --- Import sessions, estimations and randomization (restore after redeploy) ---
+app.post('/api/import-data', requireKey, requireStudy, (req, res) => {
   try {
-    const { sessions, estimations } = req.body;
+    const { sessionsDb, estimationsDb, progressDb, randomizer } = req.study;
+    const { sessions, estimations, progress, randomization, allocations } = req.body;
     if (!Array.isArray(sessions) || sessions.length === 0)
       return res.status(400).json({ error: 'sessions array required' });
 
-    const sessionsPath = path.join(DATA_DIR, 'sessions.jsonl');
-    fs.writeFileSync(sessionsPath, sessions.map(s => JSON.stringify(s)).join('\n') + '\n', 'utf8');
+    const importedSessions = sessionsDb.replaceAll(sessions);
 
     let importedEstimations = 0;
     if (Array.isArray(estimations) && estimations.length > 0) {
-      const estimationsPath = path.join(DATA_DIR, 'estimations.jsonl');
-      fs.writeFileSync(estimationsPath, estimations.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
-      importedEstimations = estimations.length;
+      importedEstimations = estimationsDb.replaceAll(estimations);
     }
+    if (Array.isArray(progress)) progressDb.replaceAll(progress);
+    // Seed, segments and allocation log, so new participants continue the sequence
+    const importedAllocations = randomizer.importState({ randomization, allocations });
 
-    console.log(`  [IMPORT] ${sessions.length} sessions, ${importedEstimations} estimations restored`);
-    res.json({ success: true, importedSessions: sessions.length, importedEstimations });
+    console.log(`  [IMPORT] ${importedSessions} sessions, ${importedEstimations} estimations, ${importedAllocations} allocations restored into ${req.study.id}`);
+    res.json({ success: true, importedSessions, importedEstimations, importedAllocations });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// --- Delete all data (piloting) ---
-app.post('/api/delete-all-data', requireKey, (req, res) => {
+// --- Delete all data of one study (piloting) ---
+app.post('/api/delete-all-data', requireKey, requireStudy, (req, res) => {
   try {
     const { confirmation } = req.body;
     if (confirmation !== 'i want to delete the data') {
       return res.status(400).json({ error: 'Invalid confirmation text. You must type exactly: i want to delete the data' });
     }
-    const files = fs.readdirSync(DATA_DIR);
-    let deleted = 0;
-    files.forEach(f => {
-      if (f.endsWith('.jsonl') || f.endsWith('.json')) {
-        fs.unlinkSync(path.join(DATA_DIR, f));
-        deleted++;
-      }
-    });
-    console.log(`  [DELETE] All data erased (${deleted} files) by researcher`);
+    const { dataDir, store } = req.study;
+    const isDataFile = f => f.endsWith('.jsonl') || f.endsWith('.json');
+    const deleted = fs.readdirSync(dataDir).filter(isDataFile).length;
+    // Collections also drop their in-memory indexes; anything else is unlinked directly
+    store.clearAll();
+    fs.readdirSync(dataDir).filter(isDataFile).forEach(f => fs.unlinkSync(path.join(dataDir, f)));
+    req.study.archiveProcedure(); // the map currently being served stays recoverable
+    console.log(`  [DELETE] All ${req.study.id} data erased (${deleted} files) by researcher`);
     res.json({ success: true, filesDeleted: deleted });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -616,7 +1120,12 @@ app.post('/api/delete-all-data', requireKey, (req, res) => {
 // DASHBOARD — Full analysis (client-side rendered from /api/stats)
 // ============================================================
 
-app.get('/dashboard', requireKey, (req, res) => {
+app.get('/dashboard', requireKey, requireStudy, (req, res) => {
+  const study = req.study;
+  const scope = `key=${EXPORT_KEY}&procedure=${study.id}`;
+  const procedureOptions = studies.list.map(s =>
+    `<option value="${s.id}"${s === study ? ' selected' : ''}>${s.procedure.title || s.id}</option>`
+  ).join('');
   res.send(`<!DOCTYPE html><html><head><title>Estimation Task — Analysis Dashboard</title>
 <style>
 body{font-family:system-ui,-apple-system,sans-serif;max-width:1100px;margin:40px auto;padding:0 20px;color:#333;background:#fafafa}
@@ -651,20 +1160,26 @@ a{color:#1864ab}
 .bias-neutral{color:#666}
 .dual-col{display:grid;grid-template-columns:1fr 1fr;gap:16px}
 @media(max-width:700px){.dual-col{grid-template-columns:1fr}}
+.procedure-bar{background:white;border:1px solid #e0e0e0;border-radius:6px;padding:10px 16px;margin:0 0 20px;font-size:14px}
+.procedure-bar select{font-size:14px;padding:4px 8px;margin-left:6px}
 .cond-tag{display:inline-block;padding:2px 8px;border-radius:10px;font-size:11px;font-weight:600;letter-spacing:0.3px}
-.cond-tag--detailed{background:#e8f4f8;color:#1864ab}
-.cond-tag--simple{background:#f3e5f5;color:#862e9c}
 </style></head>
 <body>
 <h1>Estimation Task — Analysis Dashboard</h1>
 <p class="subtitle">Descriptive statistics and analysis overview. Inferential tests should be run in R/Python.</p>
+<div class="procedure-bar"><label for="procedure-select"><strong>Procedure:</strong></label><select id="procedure-select">${procedureOptions}</select>
+<span class="help">&nbsp; Everything below — statistics, exports and deletion — covers this procedure only. Version <code>${study.procedure.version}</code> · <a href="/editor?${scope}">Edit procedure</a></span></div>
 
 <h2>1. Data Quality &amp; Collection Status</h2>
 <div id="s1-cards" class="stats-grid"></div>
 <div id="s1-balance" class="legend"></div>
+<div id="s1-strata"></div>
+<h3>Where dropouts abandoned the task</h3>
+<p class="help">Last page reached by sessions that did not complete (from autosaved progress).</p>
+<table id="s1-dropout"><thead><tr><th>Page</th><th>Dropouts</th><th></th></tr></thead><tbody></tbody></table>
 
 <h2>2. Ground Truth from Procedure Task</h2>
-<p class="help">Actual completion times from the procedure task, used as benchmark for estimation accuracy. Fetched live from <code>${PROCEDURE_STATS_URL.replace(/key=.*/, 'key=***')}</code>.</p>
+<p class="help">Actual completion times from the procedure task, used as benchmark for estimation accuracy. Fetched live from <code>${(groundTruthUrl(study) || 'not configured').replace(/key=.*/, 'key=***')}</code>.</p>
 <div id="s2-status"></div>
 <div id="s2-cards" class="stats-grid"></div>
 <table id="s2-table"><thead><tr><th>Block</th><th>Actual Mean</th></tr></thead><tbody></tbody></table>
@@ -681,27 +1196,52 @@ a{color:#1864ab}
 <div id="s3-dist-legend" style="font-size:12px;color:#666;margin:6px 0 16px;display:flex;gap:20px;align-items:center;"></div>
 
 <h3>3b. Condition comparison (main hypothesis)</h3>
-<p class="help">Do detailed (summed per-block) estimates differ from simple (single overall) estimates?</p>
+<p class="help">Do total estimates differ between arms? Arms that estimate per block or per step are compared on the sum of their estimates.</p>
 <div id="s3-condition" class="stats-grid"></div>
 <div id="s3-effect" class="legend"></div>
 
-<h3>3c. Per-block accuracy (detailed condition)</h3>
+<h3>3c. Per-block accuracy (block-estimation arms)</h3>
+<p class="help">Step-level arms count here too, with each participant's step estimates summed per block.</p>
 <table id="s3-block-table"><thead><tr><th>Block</th><th>Mean Estimate</th><th>Actual</th><th>Bias</th><th>SD</th><th>N</th><th></th></tr></thead><tbody></tbody></table>
 
+<h3>3c-bis. Three-point intervals (three-point arms)</h3>
+<p class="help">PERT mean = (optimistic + 4 × most likely + pessimistic) / 6 per estimate, summed over blocks; SD from the summed PERT variances. Coverage = share of optimistic–pessimistic intervals that contain the actual time: the total interval (sum of optimistic to sum of pessimistic times) against the actual total, and each block interval against its actual block time.</p>
+<table id="s3-three-point"><thead><tr><th>Condition</th><th>N</th><th>PERT Mean</th><th>PERT SD</th><th>Interval Width</th><th>Total Coverage</th><th>Block Coverage</th></tr></thead><tbody></tbody></table>
+
+<h3>3c-ter. Elicited distributions (distribution arms)</h3>
+<p class="help">The crowd distribution: each participant's chances as probabilities, averaged per arm. The highlighted row is the time range that holds the actual mean time. Below each table: the crowd's chance of that range, and of anything faster.</p>
+<div id="s3-distribution-arms"></div>
+
+<h3>3c-quater. Per-step estimates (step-level arms)</h3>
+<p class="help">Every step estimated on its own. Share = the step's part of its block's summed estimate, averaged over participants; it shows where the time was expected to go within a block.</p>
+<table id="s3-step-table"><thead><tr><th>Step</th><th>Block</th><th>Mean Estimate</th><th>Median</th><th>SD</th><th>Share of Block</th><th>Confidence</th><th>N</th></tr></thead><tbody></tbody></table>
+
 <h3>3d. Error rate estimation</h3>
 <p class="help">Participants estimated what % of applications would be rejected due to substantive errors.</p>
 <div id="s3-error" class="stats-grid"></div>
 
+<h3>3d-bis. Error rates per block and error loop</h3>
+<p class="help">Arms that also asked for the % of applications with a rejection-worthy error in each estimation block, or hitting each step's error loop. Actual = the procedure task's per-page error rates, combined over the block's (or loop's) pages as independent; bias in percentage points.</p>
+<table id="s3-error-items"><thead><tr><th>Block / Loop</th><th>Condition</th><th>N</th><th>Mean</th><th>Median</th><th>SD</th><th>Actual</th><th>Bias</th><th>Mean Abs. Error</th><th>Confidence</th></tr></thead><tbody></tbody></table>
+
+<h3>3e. Response formats</h3>
+<p class="help">How answers were given: time as minutes and seconds (numeric), on a log-scaled slider, or as a range from a dropdown (counted at its middle); the error rate as a number or on a visual-analogue scale (VAS). Formats are compared within each arm, as totals only compare within one estimation mode.</p>
+<table id="s3-time-formats"><thead><tr><th>Time Format</th><th>Condition</th><th>N</th><th>Mean Estimate</th><th>Median</th><th>SD</th><th>Bias</th></tr></thead><tbody></tbody></table>
+<table id="s3-error-formats" style="margin-top:12px"><thead><tr><th>Error-Rate Format</th><th>N</th><th>Mean</th><th>SD</th><th>Mean Abs. Error</th></tr></thead><tbody></tbody></table>
+
 <h2>4. Confidence Analysis</h2>
 <div id="s4-overview" class="stats-grid"></div>
 <table id="s4-block-table"><thead><tr><th>Block</th><th>Mean Confidence</th><th></th></tr></thead><tbody></tbody></table>
 
 <h2>5. Behavioral Engagement</h2>
 <p class="help">How participants interacted with the process map during the estimation task.</p>
-<table id="s5-table"><thead><tr><th>Metric</th><th><span class="cond-tag cond-tag--detailed">Detailed</span></th><th><span class="cond-tag cond-tag--simple">Simple</span></th></tr></thead><tbody></tbody></table>
+<table id="s5-table"><thead></thead><tbody></tbody></table>
 
 <h2>6. Demographics</h2>
 <div id="s6-tables" class="dual-col"></div>
+<h3>Device class</h3>
+<p class="help">From the screen width at session start (mobile, tablet or desktop). Narrow screens get the stacked estimation layout, so compare arms within each class. Completed sessions and mean total estimate per arm.</p>
+<table id="s6-devices"><thead></thead><tbody></tbody></table>
 
 <h2>7. Participant Data</h2>
 <p class="help">Interactive table showing all sessions. Tick rows to exclude participants from all calculations above. You can also type Prolific PIDs directly.</p>
@@ -715,7 +1255,7 @@ a{color:#1864ab}
 <table id="participant-table" style="font-size:12px;margin:0;">
   <thead style="position:sticky;top:0;background:white;z-index:1;"><tr>
     <th style="width:30px"><input type="checkbox" id="select-all-chk" title="Select/deselect all"></th>
-    <th>Prolific PID</th><th>Condition</th><th>Status</th><th>Estimate</th><th>Error Rate Est.</th><th>Task Time</th><th>Steps Expanded</th>
+    <th>Prolific PID</th><th>Condition</th><th>Device</th><th>Status</th><th>Estimate</th><th>Error Rate Est.</th><th>Task Time</th><th>Steps Expanded</th>
   </tr></thead>
   <tbody></tbody>
 </table>
@@ -723,13 +1263,24 @@ a{color:#1864ab}
 
 <div class="export">
 <h2 style="border:none;margin-top:0">Export Data</h2>
-<p><a href="/api/export/csv?key=${EXPORT_KEY}"><strong>Download CSV</strong></a> — one row per participant, includes per-block estimates, confidence, error rate, demographics, interactions</p>
-<p><a href="/api/export/json?key=${EXPORT_KEY}"><strong>All data (JSON)</strong></a> &nbsp;|&nbsp; <a href="/api/stats?key=${EXPORT_KEY}"><strong>Stats API (JSON)</strong></a></p>
+<p><a href="/api/export/csv?${scope}"><strong>Download CSV</strong></a> — one row per participant, includes per-block estimates, confidence, error rate, demographics, interactions</p>
+<p><a href="/api/export/json?${scope}"><strong>All data (JSON)</strong></a> &nbsp;|&nbsp; <a href="/api/stats?${scope}"><strong>Stats API (JSON)</strong></a> &nbsp;|&nbsp; <a href="/api/randomization?${scope}"><strong>Randomization log (JSON)</strong></a></p>
+<form action="/api/export/map" method="get" style="margin-top:14px;font-size:13px">
+  <input type="hidden" name="key" value="${EXPORT_KEY}"><input type="hidden" name="procedure" value="${study.id}">
+  <strong>Process map</strong> &nbsp;
+  <select name="format"><option value="svg">SVG</option><option value="png">PNG</option><option value="pdf">PDF (print)</option></select>
+  <select name="expand" title="Which steps show their hidden sub-actions"><option value="all">All steps expanded</option><option value="none">All collapsed</option></select>
+  <select name="condition" title="Draw the map as this condition sees it"><option value="">Default renderer</option>${Object.entries(DESIGN.conditions).filter(([, c]) => c.renderer.map).map(([id, c]) => `<option value="${id}">${c.label}</option>`).join('')}</select>
+  PNG <input name="dpi" type="number" min="72" max="600" value="192" style="width:60px"> dpi
+  <select name="paper" title="PDF paper size"><option value="a4">A4</option><option value="letter">Letter</option></select>
+  <button type="submit">Download</button>
+  <span class="help">&nbsp; To expand only some steps: <code>&amp;expand=1.3,2.2</code></span>
+</form>
 </div>
 
 <div class="export" style="border:2px solid #c92a2a;background:#fff5f5">
 <h2 style="border:none;margin-top:0;color:#c92a2a">Erase All Data</h2>
-<p style="color:#666;font-size:13px">Delete all collected session data. Use this during piloting to start fresh. <strong>This cannot be undone.</strong></p>
+<p style="color:#666;font-size:13px">Delete all collected session data for this procedure (other procedures are not affected). Use this during piloting to start fresh. <strong>This cannot be undone.</strong></p>
 <div id="delete-section">
   <button id="delete-btn-1" style="background:#c92a2a;color:white;border:none;padding:10px 24px;border-radius:5px;cursor:pointer;font-size:14px;font-weight:600">Delete all data</button>
 </div>
@@ -744,38 +1295,30 @@ a{color:#1864ab}
 </div>
 
 <h3>Import into R</h3>
-<pre>df &lt;- read.csv("http://YOUR_SERVER:3002/api/export/csv?key=${EXPORT_KEY}")
-completed &lt;- df[df$$completed == "true", ]
-detailed &lt;- completed[completed$$condition == "detailed", ]
-simple   &lt;- completed[completed$$condition == "simple", ]
+<pre>df &lt;- read.csv("http://YOUR_SERVER:3002/api/export/csv?${scope}")
+completed &lt;- df[df$$completed == "true" &amp; df$$condition_forced == "false", ]
 
-# Main hypothesis test:
-t.test(detailed$$total_estimate_seconds, simple$$total_estimate_seconds)
-wilcox.test(detailed$$total_estimate_seconds, simple$$total_estimate_seconds)</pre>
+# Main hypothesis test (any number of arms):
+summary(aov(total_estimate_seconds ~ condition, data = completed))
+kruskal.test(total_estimate_seconds ~ condition, data = completed)
+pairwise.wilcox.test(completed$$total_estimate_seconds, completed$$condition)</pre>
 
 <h3>Import into Python</h3>
 <pre>import pandas as pd
 from scipy import stats
 
-df = pd.read_csv("http://YOUR_SERVER:3002/api/export/csv?key=${EXPORT_KEY}")
-completed = df[df.completed == "true"]
-detailed = completed[completed.condition == "detailed"]
-simple   = completed[completed.condition == "simple"]
+df = pd.read_csv("http://YOUR_SERVER:3002/api/export/csv?${scope}")
+completed = df[(df.completed == "true") &amp; (df.condition_forced == "false")]
+groups = [g.total_estimate_seconds for _, g in completed.groupby("condition")]
 
-# Main hypothesis test:
-stats.ttest_ind(detailed.total_estimate_seconds, simple.total_estimate_seconds)
-stats.mannwhitneyu(detailed.total_estimate_seconds, simple.total_estimate_seconds)</pre>
+# Main hypothesis test (any number of arms):
+stats.f_oneway(*groups)
+stats.kruskal(*groups)</pre>
 
 <script>
 const K = '${EXPORT_KEY}';
-const BLOCK_NAMES = {
-  entering_personal_details: 'A — Entering personal details',
-  reading_eligibility: 'B — Reading eligibility rules',
-  selecting_documents: 'C — Selecting documents',
-  entering_vehicle_info: 'D — Entering vehicle info',
-  declaration_submit: 'E — Declaration & submit',
-  overall: 'Overall estimate',
-};
+const P = '${study.id}'; // procedure this dashboard is scoped to
+let BLOCK_NAMES = {}; // from /api/stats (procedure file)
 const blockName = id => BLOCK_NAMES[id] || id.replace(/_/g, ' ');
 const fmt = sec => {
   if (!sec && sec !== 0) return '—';
@@ -784,6 +1327,12 @@ const fmt = sec => {
   return s > 0 ? m + 'm ' + s + 's' : m + 'm';
 };
 const pct = v => v !== null && v !== undefined ? v.toFixed(1) + '%' : '—';
+let ARMS = {};   // by_condition from the last stats response
+const condTag = id => {
+  const a = ARMS[id];
+  if (!a) return id;
+  return '<span class="cond-tag" style="background:' + a.color + '1a;color:' + a.color + '">' + a.label + '</span>';
+};
 const dec = (v, d) => v !== null && v !== undefined ? v.toFixed(d) : '—';
 const card = (label, val, color) => '<div class="stat' + (color ? ' stat--' + color : '') + '"><div class="stat-value">' + val + '</div><div class="stat-label">' + label + '</div></div>';
 const biasHtml = b => {
@@ -793,6 +1342,14 @@ const biasHtml = b => {
   return '<span class="' + cls + '">' + sign + b.toFixed(1) + '%</span>';
 };
 
+// Switching procedure reloads the dashboard scoped to it (exclusions are per procedure)
+document.getElementById('procedure-select').onchange = function() {
+  const url = new URL(window.location);
+  url.searchParams.set('procedure', this.value);
+  url.searchParams.delete('exclude');
+  window.location = url;
+};
+
 // Exclusion management
 const urlParams = new URLSearchParams(window.location.search);
 const excludeInput = document.getElementById('exclude-input');
@@ -821,7 +1378,7 @@ document.getElementById('exclude-clear').onclick = function() { excludeInput.val
 excludeInput.addEventListener('keydown', function(e) { if (e.key === 'Enter') loadDashboard(); });
 
 function fetchStats(excludeQ) {
-fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
+fetch('/api/stats?key=' + K + '&procedure=' + P + (excludeQ||'')).then(r => r.json()).then(s => {
   // ── Section 1: Data Quality ──
   const dropRate = s.dropout_rate || 0;
   document.getElementById('s1-cards').innerHTML = [
@@ -832,15 +1389,42 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
     card('Median Task Time', s.median_task_time_formatted, ''),
   ].join('');
 
-  const dComp = s.detailed_completed || 0;
-  const sComp = s.simple_completed || 0;
-  const dTot = s.detailed_total || 0;
-  const sTot = s.simple_total || 0;
+  ARMS = s.by_condition || {};
+  BLOCK_NAMES = Object.fromEntries((s.blocks || []).map(b => [b.id, b.name]));
+  const arms = s.conditions || [];
+  const randomizedComp = arms.filter(id => ARMS[id].randomized).map(id => ARMS[id].completed);
+  const imbalance = randomizedComp.length ? Math.max(...randomizedComp) - Math.min(...randomizedComp) : 0;
   document.getElementById('s1-balance').innerHTML =
     '<strong>Condition balance:</strong> ' +
-    '<span class="cond-tag cond-tag--detailed">Detailed</span> ' + dComp + ' completed / ' + dTot + ' total &nbsp;&nbsp; ' +
-    '<span class="cond-tag cond-tag--simple">Simple</span> ' + sComp + ' completed / ' + sTot + ' total' +
-    (Math.abs(dComp - sComp) > 2 ? ' &nbsp;<span style="color:#e67700">⚠ Imbalanced</span>' : ' &nbsp;<span style="color:#2b8a3e">✓ Balanced</span>');
+    arms.map(id => condTag(id) + ' ' + ARMS[id].completed + ' completed / ' + ARMS[id].total + ' total' +
+      (ARMS[id].randomized ? '' : ' <span style="color:#666">(preview only)</span>')).join(' &nbsp;&nbsp; ') +
+    (imbalance > 2 ? ' &nbsp;<span style="color:#e67700">⚠ Imbalanced</span>' : ' &nbsp;<span style="color:#2b8a3e">✓ Balanced</span>');
+
+  const dropPages = Object.entries(s.dropout_pages || {});
+  const maxDrop = Math.max(...dropPages.map(e => e[1]), 1);
+  document.querySelector('#s1-dropout tbody').innerHTML = dropPages.length
+    ? dropPages.map(([page, n]) => '<tr><td>' + page + '</td><td class="num">' + n + '</td><td><span class="bar bar--amber" style="width:' + Math.round(n / maxDrop * 100) + '%">&nbsp;</span></td></tr>').join('')
+    : '<tr><td colspan="3">No dropouts</td></tr>';
+
+  // Per-stratum balance (stratified randomization only)
+  const strat = s.stratification;
+  if (strat) {
+    const randArms = arms.filter(id => ARMS[id].randomized);
+    const ids = Object.keys(strat.strata);
+    document.getElementById('s1-strata').innerHTML =
+      '<p class="help">Stratified by <strong>' + (strat.variable || '—') + '</strong> (' + (strat.source || '—') + '). Allocated (completed) per arm within each stratum; blocks are balanced within strata.' +
+      (strat.awaiting_screener ? ' ' + strat.awaiting_screener + ' session(s) have not answered the screener yet.' : '') + '</p>' +
+      '<table><tr><th>Stratum</th><th>Values</th>' + randArms.map(id => '<th>' + condTag(id) + '</th>').join('') + '<th>Total</th><th>Balance</th></tr>' +
+      ids.map(id => {
+        const st = strat.strata[id];
+        return '<tr><td><strong>' + id + '</strong></td><td>' + (st.values.join(', ') || '—') + '</td>' +
+          randArms.map(a => { const c = st.by_condition[a] || { allocated: 0, completed: 0 }; return '<td>' + c.allocated + ' (' + c.completed + ')</td>'; }).join('') +
+          '<td>' + st.total + '</td>' +
+          '<td>' + (st.imbalance > 2 ? '<span style="color:#e67700">⚠ ' + st.imbalance + '</span>' : '<span style="color:#2b8a3e">✓</span>') + '</td></tr>';
+      }).join('') + '</table>';
+  } else {
+    document.getElementById('s1-strata').innerHTML = '';
+  }
 
   // ── Section 2: Ground Truth ──
   const gt = s.ground_truth || {};
@@ -868,19 +1452,19 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
     card('Overall Bias', biasHtml(overallBias), ''),
   ].join('');
 
-  // Distribution chart (strip/dot plot with both conditions)
+  // Distribution chart (strip/dot plot, one row per arm)
   (function() {
     const container = document.getElementById('s3-distribution');
-    const detailed = (s.detailed_estimates_sec || []).slice();
-    const simple = (s.simple_estimates_sec || []).slice();
-    const allPts = [...detailed, ...simple];
+    const series = arms.map(id => ({ vals: (ARMS[id].estimates_sec || []).slice(), color: ARMS[id].color, label: ARMS[id].label }));
+    const allPts = [].concat.apply([], series.map(x => x.vals));
     const gtSec = gt.configured ? gt.totalMeanSec : null;
     if (allPts.length === 0) {
       container.innerHTML = '<p style="padding:20px;color:#666">No estimates yet.</p>';
     } else {
-      const PAD_L = 50, PAD_R = 30, PAD_T = 30, PAD_B = 50;
+      const PAD_L = 140, PAD_R = 30, PAD_T = 30, PAD_B = 50;
       const W = container.offsetWidth || 800;
-      const H = 280;
+      const H = Math.max(280, PAD_T + PAD_B + series.length * 60);
+      container.style.height = H + 'px';
       const maxSec = Math.max(...allPts, gtSec || 0) * 1.1;
       const minSec = 0;
       const xScale = sec => PAD_L + (sec - minSec) / (maxSec - minSec) * (W - PAD_L - PAD_R);
@@ -898,11 +1482,6 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
         svg += '<line x1="'+gx+'" y1="'+(PAD_T-5)+'" x2="'+gx+'" y2="'+(H-PAD_B)+'" stroke="#2b8a3e" stroke-width="2" stroke-dasharray="6,4"/>';
         svg += '<text x="'+gx+'" y="'+(PAD_T-10)+'" text-anchor="middle" font-size="11" fill="#2b8a3e" font-weight="600">Actual: '+fmt(gtSec)+'</text>';
       }
-      // Detailed dots (row 1)
-      const yDetailed = PAD_T + (H - PAD_T - PAD_B) * 0.35;
-      const ySimple = PAD_T + (H - PAD_T - PAD_B) * 0.65;
-      svg += '<text x="'+(PAD_L-8)+'" y="'+(yDetailed+4)+'" text-anchor="end" font-size="11" fill="#1864ab" font-weight="600">Detailed</text>';
-      svg += '<text x="'+(PAD_L-8)+'" y="'+(ySimple+4)+'" text-anchor="end" font-size="11" fill="#862e9c" font-weight="600">Simple</text>';
       // Jitter helper
       function jitter(vals, baseY) {
         var dots = '';
@@ -914,45 +1493,45 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
         });
         return dots;
       }
-      svg += '<g fill="#1864ab">'+jitter(detailed, yDetailed)+'</g>';
-      svg += '<g fill="#862e9c">'+jitter(simple, ySimple)+'</g>';
-      // Means as diamonds
-      if (detailed.length > 0) {
-        var dm = detailed.reduce(function(a,b){return a+b;},0)/detailed.length;
-        var dx = xScale(dm);
-        svg += '<polygon points="'+(dx)+','+(yDetailed-9)+' '+(dx+6)+','+(yDetailed)+' '+(dx)+','+(yDetailed+9)+' '+(dx-6)+','+(yDetailed)+'" fill="#1864ab" stroke="white" stroke-width="1.5"><title>Detailed mean: '+fmt(dm)+'</title></polygon>';
-      }
-      if (simple.length > 0) {
-        var sm = simple.reduce(function(a,b){return a+b;},0)/simple.length;
-        var sx = xScale(sm);
-        svg += '<polygon points="'+(sx)+','+(ySimple-9)+' '+(sx+6)+','+(ySimple)+' '+(sx)+','+(ySimple+9)+' '+(sx-6)+','+(ySimple)+'" fill="#862e9c" stroke="white" stroke-width="1.5"><title>Simple mean: '+fmt(sm)+'</title></polygon>';
-      }
+      // One row per arm: dots + mean diamond
+      series.forEach(function(ser, i) {
+        var y = PAD_T + (H - PAD_T - PAD_B) * (i + 1) / (series.length + 1);
+        svg += '<text x="'+(PAD_L-8)+'" y="'+(y+4)+'" text-anchor="end" font-size="11" fill="'+ser.color+'" font-weight="600">'+ser.label+'</text>';
+        svg += '<g fill="'+ser.color+'">'+jitter(ser.vals, y)+'</g>';
+        if (ser.vals.length > 0) {
+          var m = ser.vals.reduce(function(a,b){return a+b;},0)/ser.vals.length;
+          var mx = xScale(m);
+          svg += '<polygon points="'+(mx)+','+(y-9)+' '+(mx+6)+','+(y)+' '+(mx)+','+(y+9)+' '+(mx-6)+','+(y)+'" fill="'+ser.color+'" stroke="white" stroke-width="1.5"><title>'+ser.label+' mean: '+fmt(m)+'</title></polygon>';
+        }
+      });
       svg += '</svg>';
       container.innerHTML = svg;
     }
     document.getElementById('s3-dist-legend').innerHTML =
-      '<span><svg width="14" height="14"><circle cx="7" cy="7" r="5" fill="#1864ab" opacity="0.7"/></svg> Detailed (n='+detailed.length+')</span>'+
-      '<span><svg width="14" height="14"><circle cx="7" cy="7" r="5" fill="#862e9c" opacity="0.7"/></svg> Simple (n='+simple.length+')</span>'+
-      '<span><svg width="14" height="14"><polygon points="7,1 13,7 7,13 1,7" fill="#1864ab"/></svg> / <svg width="14" height="14"><polygon points="7,1 13,7 7,13 1,7" fill="#862e9c"/></svg> Condition means</span>'+
+      series.map(function(ser) {
+        return '<span><svg width="14" height="14"><circle cx="7" cy="7" r="5" fill="'+ser.color+'" opacity="0.7"/></svg> '+ser.label+' (n='+ser.vals.length+')</span>';
+      }).join('')+
+      '<span><svg width="14" height="14"><polygon points="7,1 13,7 7,13 1,7" fill="#666"/></svg> Condition means</span>'+
       (gtSec ? '<span><svg width="20" height="14"><line x1="2" y1="7" x2="18" y2="7" stroke="#2b8a3e" stroke-width="2" stroke-dasharray="4,3"/></svg> Ground truth</span>' : '');
   })();
 
   // Condition comparison
-  document.getElementById('s3-condition').innerHTML = [
-    card('Detailed Mean', fmt(s.detailed_mean_estimate_sec), 'blue'),
-    card('Detailed SD', fmt(s.detailed_sd_sec), ''),
-    card('Simple Mean', fmt(s.simple_mean_estimate_sec), 'purple'),
-    card('Simple SD', fmt(s.simple_sd_sec), ''),
-  ].join('');
+  const armColor = id => ARMS[id].color === '#1864ab' ? 'blue' : ARMS[id].color === '#862e9c' ? 'purple' : '';
+  document.getElementById('s3-condition').innerHTML = arms.map(id => [
+    card(ARMS[id].label + ' Mean', fmt(ARMS[id].mean_estimate_sec), armColor(id)),
+    card(ARMS[id].label + ' SD', fmt(ARMS[id].sd_sec), ''),
+  ].join('')).join('');
 
-  const dVal = s.condition_cohen_d;
+  const effectLabel = d => Math.abs(d) < 0.2 ? 'negligible' : Math.abs(d) < 0.5 ? 'small' : Math.abs(d) < 0.8 ? 'medium' : 'large';
   document.getElementById('s3-effect').innerHTML =
-    "<strong>Cohen's d:</strong> " + (dVal !== null ? dVal.toFixed(3) : '—') + ' (detailed − simple)' +
-    (dVal !== null ? ' &mdash; ' + (Math.abs(dVal) < 0.2 ? 'negligible' : Math.abs(dVal) < 0.5 ? 'small' : Math.abs(dVal) < 0.8 ? 'medium' : 'large') + ' effect' : '') +
-    '<br><span style="font-size:12px;color:#666">Run t-test / Mann-Whitney in R or Python for p-values and confidence intervals.</span>';
+    "<strong>Cohen's d</strong> (pairwise):<br>" +
+    (s.condition_effects || []).map(e =>
+      condTag(e.a) + ' − ' + condTag(e.b) + ': ' + (e.cohen_d !== null ? e.cohen_d.toFixed(3) + ' &mdash; ' + effectLabel(e.cohen_d) + ' effect' : '—')
+    ).join('<br>') +
+    '<br><span style="font-size:12px;color:#666">Run ANOVA / Kruskal-Wallis in R or Python for p-values and confidence intervals.</span>';
 
   // Per-block table
-  const blockIds = ['entering_personal_details', 'reading_eligibility', 'selecting_documents', 'entering_vehicle_info', 'declaration_submit'];
+  const blockIds = (s.blocks || []).map(b => b.id).filter(id => id !== 'overall');
   const bs = s.block_stats || {};
   const maxBlockSec = Math.max(...blockIds.map(bid => bs[bid]?.meanSec || 0), 1);
   document.querySelector('#s3-block-table tbody').innerHTML = blockIds.map(bid => {
@@ -967,20 +1546,93 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
       '<td><span class="bar bar--blue" style="width:' + barW + '%">&nbsp;</span></td></tr>';
   }).join('') || '<tr><td colspan="7">No data</td></tr>';
 
+  // Three-point intervals
+  document.querySelector('#s3-three-point tbody').innerHTML = arms.filter(id => ARMS[id].three_point).map(id => {
+    const t = ARMS[id].three_point;
+    return '<tr><td>' + condTag(id) + '</td>' +
+      '<td class="num">' + t.n + '</td>' +
+      '<td class="num">' + fmt(t.mean_pert_sec) + '</td>' +
+      '<td class="num">' + fmt(t.mean_pert_sd_sec) + '</td>' +
+      '<td class="num">' + fmt(t.mean_interval_width_sec) + '</td>' +
+      '<td class="num">' + pct(t.total_coverage) + '</td>' +
+      '<td class="num">' + pct(t.block_coverage) + (t.block_intervals ? ' <span class="help">(' + t.block_intervals + ')</span>' : '') + '</td></tr>';
+  }).join('') || '<tr><td colspan="7">No three-point condition in the data</td></tr>';
+
+  // Per-step estimates
+  document.querySelector('#s3-step-table tbody').innerHTML = !s.step_stats
+    ? '<tr><td colspan="8">No step-level condition in the data</td></tr>'
+    : s.step_stats.map(st => '<tr><td>' + st.name + '</td><td>' + blockName(st.block) + '</td>' +
+      '<td class="num">' + fmt(st.meanSec) + '</td>' +
+      '<td class="num">' + fmt(st.medianSec) + '</td>' +
+      '<td class="num">' + fmt(st.sdSec) + '</td>' +
+      '<td class="num">' + pct(st.meanSharePercent) + '</td>' +
+      '<td class="num">' + dec(st.meanConf, 2) + '</td>' +
+      '<td class="num">' + st.n + '</td></tr>').join('');
+
+  // Elicited distributions
+  const dist = s.distribution;
+  document.getElementById('s3-distribution-arms').innerHTML = !dist || !dist.estimates.length
+    ? '<p class="help">No distribution condition in the data.</p>'
+    : dist.estimates.map(e => {
+      const armsWith = dist.arms.filter(id => e.by_condition[id]);
+      const maxP = Math.max(...armsWith.flatMap(id => e.by_condition[id].crowd), 0.01);
+      const head = '<tr><th>' + e.name + (e.actual_sec ? ' <span class="help">(actual ' + fmt(e.actual_sec) + ')</span>' : '') + '</th>' +
+        armsWith.map(id => '<th>' + condTag(id) + ' <span class="help">n=' + e.by_condition[id].n + '</span></th>').join('') + '</tr>';
+      const rows = dist.labels.map((label, i) => '<tr' + (i === e.truth_bin ? ' style="background:#ebfbee;font-weight:600"' : '') + '><td>' + label + (i === e.truth_bin ? ' ◀ actual' : '') + '</td>' +
+        armsWith.map(id => {
+          const p = e.by_condition[id].crowd[i];
+          return '<td><span class="bar" style="background:' + ARMS[id].color + ';width:' + Math.round(p / maxP * 120) + 'px">&nbsp;</span> ' + pct(p * 100) + '</td>';
+        }).join('') + '</tr>').join('');
+      const foot = e.truth_bin === null ? '' : '<tr><td>Chance of the actual range</td>' + armsWith.map(id => '<td class="num">' + pct(e.by_condition[id].p_truth_bin * 100) + '</td>').join('') + '</tr>' +
+        '<tr><td>Chance of faster</td>' + armsWith.map(id => '<td class="num">' + pct(e.by_condition[id].p_below_truth * 100) + '</td>').join('') + '</tr>';
+      return '<table style="margin-bottom:16px"><thead>' + head + '</thead><tbody>' + rows + foot + '</tbody></table>';
+    }).join('');
+
   // Error rate
   document.getElementById('s3-error').innerHTML = [
     card('Mean Est. (all)', pct(s.error_rate_mean_all), ''),
-    card('Detailed', pct(s.error_rate_mean_detailed), 'blue'),
-    card('Simple', pct(s.error_rate_mean_simple), 'purple'),
+    ...arms.map(id => card(ARMS[id].label, pct(ARMS[id].error_rate_mean), armColor(id))),
     card('Actual Rejection', s.actual_rejection_rate !== null ? s.actual_rejection_rate + '%' : '—', 'green'),
     card('Mean Confidence', dec(s.error_rate_mean_confidence, 1), ''),
   ].join('');
 
+  // Error rates per block and error loop
+  const pts = v => (v === null || v === undefined ? '—' : (v > 0 ? '+' : '') + dec(v, 1) + ' pts');
+  const errItems = s.error_rate_items || {};
+  const errRows = [].concat(errItems.blocks || [], errItems.loops || []).flatMap(item =>
+    Object.entries(item.by_condition).map(([id, c]) => '<tr><td>' + item.name + '</td><td>' + condTag(id) + '</td>' +
+      '<td class="num">' + c.n + '</td>' +
+      '<td class="num">' + pct(c.mean) + '</td>' +
+      '<td class="num">' + pct(c.median) + '</td>' +
+      '<td class="num">' + dec(c.sd, 1) + '</td>' +
+      '<td class="num">' + (item.actual !== null ? pct(item.actual) : '—') + '</td>' +
+      '<td class="num"><span class="' + (c.bias_points > 5 ? 'bias-pos' : c.bias_points < -5 ? 'bias-neg' : 'bias-neutral') + '">' + pts(c.bias_points) + '</span></td>' +
+      '<td class="num">' + (c.mean_abs_error !== null ? dec(c.mean_abs_error, 1) + ' pts' : '—') + '</td>' +
+      '<td class="num">' + dec(c.mean_confidence, 2) + '</td></tr>'));
+  document.querySelector('#s3-error-items tbody').innerHTML = errRows.join('') ||
+    '<tr><td colspan="10">No per-block or per-loop error-rate condition in the data</td></tr>';
+
+  // Response formats
+  const rf = s.response_formats || { time: {}, error_rate: {} };
+  document.querySelector('#s3-time-formats tbody').innerHTML = Object.entries(rf.time).flatMap(([f, t]) =>
+    Object.entries(t.by_condition).map(([id, c]) => '<tr><td>' + f + '</td><td>' + condTag(id) + '</td>' +
+      '<td class="num">' + c.n + '</td>' +
+      '<td class="num">' + fmt(c.mean_estimate_sec) + '</td>' +
+      '<td class="num">' + fmt(c.median_estimate_sec) + '</td>' +
+      '<td class="num">' + fmt(c.sd_sec) + '</td>' +
+      '<td class="num">' + biasHtml(c.bias_percent) + '</td></tr>')
+  ).join('') || '<tr><td colspan="7">No data</td></tr>';
+  document.querySelector('#s3-error-formats tbody').innerHTML = Object.entries(rf.error_rate).map(([f, e]) =>
+    '<tr><td>' + (f === 'vas' ? 'VAS' : f) + '</td><td class="num">' + e.n + '</td>' +
+    '<td class="num">' + pct(e.mean) + '</td>' +
+    '<td class="num">' + dec(e.sd, 1) + '</td>' +
+    '<td class="num">' + (e.mean_abs_error !== null ? dec(e.mean_abs_error, 1) + ' pts' : '—') + '</td></tr>'
+  ).join('') || '<tr><td colspan="5">No data</td></tr>';
+
   // ── Section 4: Confidence ──
-  document.getElementById('s4-overview').innerHTML = [
-    card('Detailed Avg Conf.', dec(s.detailed_mean_confidence, 2), 'blue'),
-    card('Simple Avg Conf.', dec(s.simple_mean_confidence, 2), 'purple'),
-  ].join('');
+  document.getElementById('s4-overview').innerHTML = arms.map(id =>
+    card(ARMS[id].label + ' Avg Conf.', dec(ARMS[id].mean_confidence, 2), armColor(id))
+  ).join('');
 
   const blockConf = s.block_confidence || {};
   const maxConf = 5;
@@ -992,11 +1644,14 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
   }).join('') || '<tr><td colspan="3">No data</td></tr>';
 
   // ── Section 5: Engagement ──
+  document.querySelector('#s5-table thead').innerHTML =
+    '<tr><th>Metric</th>' + arms.map(id => '<th>' + condTag(id) + '</th>').join('') + '</tr>';
   document.querySelector('#s5-table tbody').innerHTML = [
-    ['Phases explored (mean)', dec(s.detailed_mean_phases, 1), dec(s.simple_mean_phases, 1)],
-    ['Steps expanded (mean)', dec(s.detailed_mean_steps, 1), dec(s.simple_mean_steps, 1)],
-    ['Time on task (mean)', fmt(s.detailed_mean_task_time_ms / 1000), fmt(s.simple_mean_task_time_ms / 1000)],
-  ].map(([m, d, si]) => '<tr><td>' + m + '</td><td class="num">' + d + '</td><td class="num">' + si + '</td></tr>').join('');
+    ['Phases explored (mean)', id => dec(ARMS[id].mean_phases, 1)],
+    ['Steps expanded (mean)', id => dec(ARMS[id].mean_steps, 1)],
+    ['Legend toggles (mean)', id => (ARMS[id].legend ? dec(ARMS[id].mean_legend_toggles, 1) : '—')],
+    ['Time on task (mean)', id => fmt(ARMS[id].mean_task_time_ms / 1000)],
+  ].map(([m, val]) => '<tr><td>' + m + '</td>' + arms.map(id => '<td class="num">' + val(id) + '</td>').join('') + '</tr>').join('');
 
   // ── Section 6: Demographics ──
   const demos = s.demographics || {};
@@ -1018,21 +1673,30 @@ fetch('/api/stats?key=' + K + (excludeQ||'')).then(r => r.json()).then(s => {
   });
   document.getElementById('s6-tables').innerHTML = demoHtml;
 
+  const devices = s.device_classes || [];
+  document.querySelector('#s6-devices thead').innerHTML =
+    '<tr><th>Device</th><th>Sessions</th><th>Dropout</th>' + arms.map(id => '<th>' + condTag(id) + '</th>').join('') + '</tr>';
+  document.querySelector('#s6-devices tbody').innerHTML = devices.map(c => {
+    const d = s.by_device[c];
+    return '<tr><td><strong>' + c + '</strong></td><td class="num">' + d.total + '</td><td class="num">' + d.dropout_rate + '%</td>' +
+      arms.map(id => { const a = d.by_condition[id] || { completed: 0 }; return '<td class="num">' + (a.completed ? fmt(a.mean_estimate_sec) + ' (n=' + a.completed + ')' : '—') + '</td>'; }).join('') + '</tr>';
+  }).join('') || '<tr><td colspan="' + (3 + arms.length) + '">No data</td></tr>';
+
   // ── Participant data table ──
   var participants = s.participants || [];
   var excludedPids = new Set((getExcludeParam() || '').split(',').map(function(p){return p.trim()}).filter(Boolean));
   var ptbody = document.querySelector('#participant-table tbody');
   ptbody.innerHTML = participants.map(function(p) {
     var isExcl = excludedPids.has(p.prolific_pid);
-    var statusLabel = p.completed ? '<span style="color:#2b8a3e;font-weight:600">completed</span>' : '<span style="color:#e67700;font-weight:600">dropped</span>';
+    var statusLabel = p.completed ? '<span style="color:#2b8a3e;font-weight:600">completed</span>' : '<span style="color:#e67700;font-weight:600">dropped</span> <span style="color:#666">at ' + p.last_page + '</span>';
     var estLabel = p.total_estimate_sec ? fmt(p.total_estimate_sec) : '—';
     var errLabel = p.error_rate_pct !== null ? p.error_rate_pct + '%' : '—';
     var taskLabel = p.task_time_sec ? fmt(p.task_time_sec) : '—';
-    var condTag = p.condition === 'detailed' ? '<span class="cond-tag cond-tag--detailed">Detailed</span>' : p.condition === 'simple' ? '<span class="cond-tag cond-tag--simple">Simple</span>' : p.condition;
     return '<tr style="'+(isExcl?'background:#fff3cd;opacity:0.7;':'')+'cursor:pointer" data-pid="'+p.prolific_pid+'">' +
       '<td><input type="checkbox" class="excl-chk" data-pid="'+p.prolific_pid+'"'+(isExcl?' checked':'')+'></td>' +
       '<td><code style="font-size:11px">'+p.prolific_pid+'</code></td>' +
-      '<td>'+condTag+'</td>' +
+      '<td>'+condTag(p.condition)+'</td>' +
+      '<td>'+p.device_class+'</td>' +
       '<td>'+statusLabel+'</td>' +
       '<td class="num">'+estLabel+'</td>' +
       '<td class="num">'+errLabel+'</td>' +
@@ -1088,7 +1752,7 @@ document.getElementById('delete-btn-2').onclick = function() {
     return;
   }
   errEl.style.display = 'none';
-  fetch('/api/delete-all-data?key='+K, {
+  fetch('/api/delete-all-data?key='+K+'&procedure='+P, {
     method: 'POST',
     headers: {'Content-Type':'application/json'},
     body: JSON.stringify({ confirmation: val })
@@ -1107,17 +1771,209 @@ document.getElementById('delete-btn-2').onclick = function() {
 </body></html>`);
 });
 
+// ============================================================
+// PROCEDURE EDITOR (key-protected — public/js/procedure-editor.js)
+// ============================================================
+// Researchers edit phases, steps and estimation blocks in the browser with a
+// live map preview. Drafts are checked with procedureErrors() (the same rules
+// as at startup); saving writes procedures/<id>.json as a new version, which
+// new sessions get from then on. Running sessions keep their version.
+
+function requireEditedStudy(req, res, next) {
+  req.study = studies.get(req.params.id);
+  if (!req.study) return res.status(404).json({ error: `Unknown procedure: ${req.params.id}` });
+  next();
+}
+
+// Full definition, including study settings
+app.get('/api/procedures/:id', requireKey, requireEditedStudy, (req, res) => {
+  const p = req.study.procedure;
+  res.json({ id: p.id, version: p.version, definition: p.definition });
+});
+
+app.post('/api/procedures/:id/validate', requireKey, requireEditedStudy, (req, res) => {
+  const { definition } = req.body;
+  const errors = procedureErrors(definition);
+  if (definition && definition.id !== req.study.id) errors.push(`id must stay "${req.study.id}" (it names the data partition)`);
+  res.json({
+    errors,
+    version: errors.length ? null : versionOf(definition),
+    current_version: req.study.procedure.version,
+  });
+});
+
+// Save as a new version. `base_version` is the version the edit started from;
+// if someone saved in the meantime the request is refused rather than merged.
+app.put('/api/procedures/:id', requireKey, requireEditedStudy, (req, res) => {
+  const { definition, base_version } = req.body;
+  const study = req.study;
+  if (base_version && base_version !== study.procedure.version) {
+    return res.status(409).json({ error: 'The procedure was changed since you started editing — reload it first', current_version: study.procedure.version });
+  }
+  const errors = procedureErrors(definition);
+  if (definition && definition.id !== study.id) errors.push(`id must stay "${study.id}" (it names the data partition)`);
+  if (errors.length) return res.status(400).json({ error: 'Invalid procedure', details: errors });
+  if (versionOf(definition) === study.procedure.version) {
+    return res.json({ success: true, unchanged: true, version: study.procedure.version });
+  }
+  try {
+    const { previous, current } = study.publishProcedure(definition);
+    console.log(`  [PROCEDURE] ${study.id} saved as version ${current.version} (was ${previous.version})`);
+    res.json({ success: true, version: current.version, previous_version: previous.version });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// BPMN 2.0 (src/bpmn.js): download the saved version (or &version=<hash>)
+// for Camunda Modeler and other tools…
+app.get('/api/procedures/:id/bpmn', requireKey, requireEditedStudy, (req, res) => {
+  const { version } = req.query;
+  if (version && !req.study.procedureVersionsDb.get(version)) {
+    return res.status(404).json({ error: `Unknown procedure version: ${version}` });
+  }
+  const procedure = req.study.procedureFor(version);
+  try {
+    const xml = toBpmn(procedure.definition);
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${procedure.id}-${procedure.version}.bpmn"`);
+    res.send(xml);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// …and turn an uploaded model back into a draft. Nothing is saved: the
+// editor loads the draft, and PUT above publishes it. The id and the study
+// settings stay those of the procedure being edited, and so does any
+// participant-facing copy the model does not carry (a model drawn elsewhere
+// has none).
+const PARTICIPANT_COPY = ['introduction', 'experimentContext', 'taskScope', 'taskName'];
+
+app.post('/api/procedures/:id/bpmn', requireKey, requireEditedStudy, (req, res) => {
+  const { xml } = req.body;
+  if (typeof xml !== 'string' || !xml.trim()) return res.status(400).json({ error: 'xml is required' });
+  let imported;
+  try {
+    imported = fromBpmn(xml);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const current = req.study.procedure.definition;
+  const copy = {};
+  PARTICIPANT_COPY.forEach(key => {
+    if (imported.definition[key] === undefined && current[key] !== undefined) copy[key] = current[key];
+  });
+  const { study } = current;
+  const definition = { ...copy, ...imported.definition, id: req.study.id, ...(study ? { study } : {}) };
+  res.json({ definition, warnings: imported.warnings, errors: procedureErrors(definition) });
+});
+
+app.get('/editor', requireKey, requireStudy, (req, res) => {
+  const study = req.study;
+  const scope = `key=${EXPORT_KEY}&procedure=${study.id}`;
+  const procedureOptions = studies.list.map(s =>
+    `<option value="${s.id}"${s === study ? ' selected' : ''}>${s.procedure.title || s.id}</option>`
+  ).join('');
+  res.send(`<!DOCTYPE html><html><head><title>Procedure Editor — ${study.procedure.title || study.id}</title>
+<style>
+body{font-family:system-ui,-apple-system,sans-serif;margin:0;color:#333;background:#fafafa;font-size:14px}
+header{background:white;border-bottom:1px solid #e0e0e0;padding:12px 24px;display:flex;align-items:center;gap:16px;flex-wrap:wrap;position:sticky;top:0;z-index:5}
+header h1{color:#1864ab;font-size:18px;margin:0}
+header select{font-size:14px;padding:4px 8px}
+.ed-layout{display:grid;grid-template-columns:minmax(460px,1fr) minmax(400px,1fr);gap:20px;padding:20px 24px}
+@media(max-width:1000px){.ed-layout{grid-template-columns:1fr}}
+.ed-side{position:sticky;top:70px;align-self:start;max-height:calc(100vh - 90px);overflow:auto}
+.ed-panel{background:white;border:1px solid #e0e0e0;border-radius:8px;padding:14px 16px;margin-bottom:14px}
+.ed-panel h2{font-size:15px;color:#1864ab;margin:0 0 10px}
+.ed-phase{background:white;border:1px solid #e0e0e0;border-left:4px solid #1864ab;border-radius:8px;margin-bottom:14px;padding:0 14px 12px}
+.ed-phase>summary{cursor:pointer;padding:12px 0;font-weight:600;display:flex;align-items:center;gap:8px}
+.ed-phase h4{margin:14px 0 6px;font-size:12px;text-transform:uppercase;letter-spacing:.4px;color:#666}
+.ed-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(180px,1fr));gap:8px}
+.ed-field{display:flex;flex-direction:column;gap:3px;font-size:12px;color:#666}
+.ed-field input,.ed-field textarea,.ed-field select{font:inherit;font-size:13px;color:#333;padding:5px 7px;border:1px solid #ccc;border-radius:4px}
+.ed-field--wide{grid-column:1/-1}
+.ed-step,.ed-block{border:1px solid #e8e8e8;border-radius:6px;padding:10px;margin-bottom:8px;background:#fcfcfc}
+.ed-row{display:flex;gap:6px;align-items:center}
+.ed-row input[type=text]{flex:1}
+.ed-checks{display:flex;flex-wrap:wrap;gap:4px 12px;font-size:12px;margin:4px 0}
+.ed-tools{margin-left:auto;display:flex;gap:4px}
+.ed-btn{font:inherit;font-size:12px;padding:4px 10px;border:1px solid #ccc;background:white;border-radius:4px;cursor:pointer}
+.ed-btn:hover{background:#f1f3f5}
+.ed-btn--primary{background:#1864ab;border-color:#1864ab;color:white;font-size:14px;padding:8px 18px}
+.ed-btn--primary:disabled{background:#a5b4c4;border-color:#a5b4c4;cursor:default}
+.ed-btn--danger{color:#c92a2a}
+.ed-errors{margin:0;padding-left:18px;color:#c92a2a;font-size:13px}
+.ed-warnings{margin:0 0 8px;padding-left:18px;color:#e67700;font-size:13px}
+a.ed-btn{color:inherit;text-decoration:none}
+.ed-ok{color:#2b8a3e;font-weight:600}
+.ed-muted{color:#888;font-size:12px}
+.ed-swatch{display:inline-block;width:12px;height:12px;border-radius:3px}
+#editor-preview{overflow:auto}
+a{color:#1864ab}
+</style></head>
+<body>
+<header>
+  <h1>Procedure Editor</h1>
+  <label><strong>Procedure:</strong> <select id="procedure-select">${procedureOptions}</select></label>
+  <span class="ed-muted">Current version <code id="current-version">${study.procedure.version}</code></span>
+  <a href="/dashboard?${scope}">Dashboard</a>
+</header>
+<div class="ed-layout">
+  <main id="editor-form"></main>
+  <aside class="ed-side">
+    <div class="ed-panel">
+      <h2>Save</h2>
+      <div id="editor-status" class="ed-muted">Loading…</div>
+      <ul id="editor-errors" class="ed-errors"></ul>
+      <p style="margin:12px 0 0;display:flex;gap:8px;align-items:center">
+        <button id="editor-save" class="ed-btn ed-btn--primary" disabled>Save as new version</button>
+        <button id="editor-revert" class="ed-btn">Discard changes</button>
+      </p>
+      <p class="ed-muted">Saving writes <code>procedures/${study.id}.json</code>. New sessions get the new version; participants already started keep theirs.</p>
+    </div>
+    <div class="ed-panel">
+      <h2>BPMN 2.0</h2>
+      <p style="margin:0 0 8px;display:flex;gap:8px;align-items:center">
+        <a class="ed-btn" href="/api/procedures/${study.id}/bpmn?key=${EXPORT_KEY}" download>Export saved version</a>
+        <label class="ed-btn">Import .bpmn file… <input type="file" id="editor-bpmn-file" accept=".bpmn,.xml" hidden></label>
+      </p>
+      <ul id="editor-bpmn-warnings" class="ed-warnings"></ul>
+      <p class="ed-muted">Opens in Camunda Modeler and other BPMN tools. Importing replaces the draft; nothing is saved until you save.</p>
+    </div>
+    <div class="ed-panel">
+      <h2>Live preview</h2>
+      <div id="editor-preview"></div>
+    </div>
+  </aside>
+</div>
+<script>const EDITOR_CONFIG = { key: '${EXPORT_KEY}', procedure: '${study.id}' };</script>
+<script src="/js/process-data.js"></script>
+<script src="/js/process-map-svg.js"></script>
+<script src="/js/procedure-editor.js"></script>
+</body></html>`);
+});
+
 // ============================================================
 // START SERVER
 // ============================================================
 
 app.listen(PORT, () => {
   console.log(`\nEstimation task running on http://localhost:${PORT}\n`);
-  console.log(`  Researcher preview (forced condition):`);
-  console.log(`    Detailed:  http://localhost:${PORT}/?CONDITION=detailed`);
-  console.log(`    Simple:    http://localhost:${PORT}/?CONDITION=simple\n`);
-  console.log(`  Participant URL (block-randomized, balanced):`);
-  console.log(`    http://localhost:${PORT}/?PROLIFIC_PID={{%PROLIFIC_PID%}}&STUDY_ID={{%STUDY_ID%}}&SESSION_ID={{%SESSION_ID%}}\n`);
-  console.log(`  Dashboard:   http://localhost:${PORT}/dashboard?key=${EXPORT_KEY}`);
-  console.log(`  CSV Export:  http://localhost:${PORT}/api/export/csv?key=${EXPORT_KEY}\n`);
+  console.log(`  Researcher preview (forced condition, default procedure):`);
+  KNOWN_CONDITIONS.forEach(id => {
+    const tag = CONDITIONS.includes(id) ? '' : '  (not randomized)';
+    console.log(`    ${(DESIGN.conditions[id].label + ':').padEnd(28)} http://localhost:${PORT}/?CONDITION=${id}${tag}`);
+  });
+  console.log('');
+  console.log(`  Participant URLs (block-randomized, balanced — one study per procedure):`);
+  const stratParam = STRATIFICATION && STRATIFICATION.source === 'url' ? `&${STRATIFICATION.param}=<value>` : '';
+  studies.list.forEach(study => {
+    const tag = study === studies.default ? '  (default)' : '';
+    console.log(`    ${study.id}${tag} → data/${study.id}/, version ${study.procedure.version}`);
+    console.log(`      http://localhost:${PORT}/?PROCEDURE=${study.id}&PROLIFIC_PID={{%PROLIFIC_PID%}}&STUDY_ID={{%STUDY_ID%}}&SESSION_ID={{%SESSION_ID%}}${stratParam}`);
+  });
+  if (STRATIFICATION) {
+    console.log(`    Stratified by ${STRATIFICATION.variable} (${STRATIFICATION.source === 'url' ? 'URL parameter ' + STRATIFICATION.param : 'screener'}): ${Object.keys(STRATIFICATION.strata).join(', ')}`);
+  }
+  console.log('');
+  console.log(`  Dashboard:   http://localhost:${PORT}/dashboard?key=${EXPORT_KEY}&procedure=<id>`);
+  console.log(`  CSV Export:  http://localhost:${PORT}/api/export/csv?key=${EXPORT_KEY}&procedure=<id>`);
+  console.log(`  Editor:      http://localhost:${PORT}/editor?key=${EXPORT_KEY}&procedure=<id>\n`);
 });
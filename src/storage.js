@@ -0,0 +1,297 @@
+/**
+ * STORAGE — transactional record store for the estimation task
+ *
+ * Each collection (sessions, estimations, …) is kept in memory, indexed by its
+ * primary key and any secondary fields, and persisted through a pluggable
+ * backend. The default backend is an append-only JSONL log per collection:
+ *
+ * - Every write appends the FULL record and fsyncs before returning, so an
+ *   acknowledged write survives a crash.
+ * - On load the last line for a key wins. A torn final line (crash mid-write,
+ *   so no newline after it) is dropped and the log is compacted. Any other line
+ *   that does not parse means the file was damaged some other way: the store
+ *   refuses to open rather than compact it away.
+ * - Compaction writes to a temp file, fsyncs and renames over the log, so the
+ *   file on disk is always either the old or the new version.
+ *
+ * update() is a synchronous read-modify-write: the mutator runs and the new
+ * record is persisted before any other request handler can run, so concurrent
+ * submissions cannot overwrite each other's changes. This relies on ONE server
+ * process owning the data directory, which openStore() enforces with a lock file.
+ *
+ * Usage:
+ *   const store = openStore(DATA_DIR);
+ *   const sessions = store.collection('sessions', { key: 'session_id', indexes: ['prolific_pid'] });
+ *   sessions.insert({ session_id, prolific_pid, ... });
+ *   sessions.findBy('prolific_pid', pid);
+ *   sessions.update(session_id, s => ({ ...s, completed: true }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================
+// JSONL BACKEND
+// ============================================================
+// Backend interface: load(name) → { records, clean }, append(name, record),
+// rewrite(name, records), remove(name). Other backends (e.g. SQLite) only need
+// to implement these four functions.
+
+function jsonlBackend(dir) {
+  const fileFor = name => path.join(dir, name + '.jsonl');
+
+  function writeDurable(filepath, content, flag) {
+    const fd = fs.openSync(filepath, flag);
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return {
+    load(name) {
+      const filepath = fileFor(name);
+      if (!fs.existsSync(filepath)) return { records: [], clean: true };
+      const content = fs.readFileSync(filepath, 'utf8');
+      if (!content.trim()) return { records: [], clean: true };
+      let clean = content.endsWith('\n');
+      const lines = content.split('\n');
+      const records = [];
+      lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          if (i < lines.length - 1) {
+            throw new Error(`${filepath}: line ${i + 1} is not valid JSON — the log is damaged; repair or remove the line before starting`);
+          }
+          console.warn(`  [STORAGE] ${name}: dropping a torn final line (${line.length} bytes)`);
+          clean = false;
+        }
+      });
+      return { records, clean };
+    },
+
+    append(name, record) {
+      writeDurable(fileFor(name), JSON.stringify(record) + '\n', 'a');
+    },
+
+    rewrite(name, records) {
+      const filepath = fileFor(name);
+      const tmp = filepath + '.tmp';
+      const content = records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+      writeDurable(tmp, content, 'w');
+      fs.renameSync(tmp, filepath);
+    },
+
+    remove(name) {
+      const filepath = fileFor(name);
+      if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+    },
+  };
+}
+
+const BACKENDS = { jsonl: jsonlBackend };
+
+// ============================================================
+// COLLECTIONS
+// ============================================================
+
+function createCollection(backend, name, { key, indexes = [] }) {
+  const byKey = new Map();                                   // key → record
+  const secondary = Object.fromEntries(indexes.map(f => [f, new Map()])); // field → value → Set(key)
+  let superseded = 0;                                        // log lines shadowed by a later write
+
+  function indexAdd(record) {
+    for (const field of indexes) {
+      const val = record[field];
+      if (val === null || val === undefined) continue;
+      if (!secondary[field].has(val)) secondary[field].set(val, new Set());
+      secondary[field].get(val).add(record[key]);
+    }
+  }
+
+  function indexRemove(record) {
+    for (const field of indexes) {
+      const keys = secondary[field].get(record[field]);
+      if (keys) {
+        keys.delete(record[key]);
+        if (keys.size === 0) secondary[field].delete(record[field]);
+      }
+    }
+  }
+
+  function setInMemory(record) {
+    const prev = byKey.get(record[key]);
+    if (prev) { indexRemove(prev); superseded++; }
+    byKey.set(record[key], record);
+    indexAdd(record);
+  }
+
+  function compact() {
+    backend.rewrite(name, [...byKey.values()]);
+    superseded = 0;
+  }
+
+  function write(record) {
+    if (record[key] === null || record[key] === undefined) {
+      throw new Error(`${name}: record is missing its key field "${key}"`);
+    }
+    const stamped = { ...record, _written_at: new Date().toISOString() };
+    backend.append(name, stamped);
+    setInMemory(stamped);
+    // Keep the log from growing unboundedly with shadowed versions
+    if (superseded > 100 && superseded > byKey.size) compact();
+    return stamped;
+  }
+
+  // Initial load
+  const { records, clean } = backend.load(name);
+  records.forEach(r => {
+    if (r && r[key] !== null && r[key] !== undefined) setInMemory(r);
+  });
+  if (!clean || superseded > 0) compact();
+
+  return {
+    name,
+
+    all() {
+      return [...byKey.values()];
+    },
+
+    get(id) {
+      return byKey.get(id) || null;
+    },
+
+    findBy(field, value) {
+      if (!secondary[field]) throw new Error(`${name}: no index on "${field}"`);
+      const keys = secondary[field].get(value);
+      return keys ? [...keys].map(k => byKey.get(k)) : [];
+    },
+
+    insert(record) {
+      if (byKey.has(record[key])) throw new Error(`${name}: duplicate key ${record[key]}`);
+      return write(record);
+    },
+
+    /** Insert or replace a record by key. */
+    put(record) {
+      return write(record);
+    },
+
+    /**
+     * Atomic read-modify-write. `mutate` receives the current record and
+     * returns the new one (or null/undefined to leave it unchanged).
+     * Returns the stored record, or null if the key does not exist.
+     */
+    update(id, mutate) {
+      const current = byKey.get(id);
+      if (!current) return null;
+      const next = mutate({ ...current });
+      if (!next) return current;
+      return write({ ...next, [key]: id });
+    },
+
+    /** Replace the whole collection (used by data import). */
+    replaceAll(newRecords) {
+      byKey.clear();
+      Object.values(secondary).forEach(m => m.clear());
+      newRecords.forEach(r => {
+        if (r && r[key] !== null && r[key] !== undefined) setInMemory(r);
+      });
+      compact();
+      return byKey.size;
+    },
+
+    clear() {
+      byKey.clear();
+      Object.values(secondary).forEach(m => m.clear());
+      superseded = 0;
+      backend.remove(name);
+    },
+  };
+}
+
+// ============================================================
+// STORE
+// ============================================================
+
+// Lock files held by this process. 'exit' removes them, and Ctrl-C or a
+// container stop (SIGINT / SIGTERM, which skip 'exit' by default) exits
+// through it. Writes are synchronous, so there is never one to wait for.
+const heldLocks = new Set();
+let exitHooked = false;
+
+function releaseLocksOnExit() {
+  if (exitHooked) return;
+  exitHooked = true;
+  process.on('exit', () => {
+    heldLocks.forEach(lockPath => {
+      try { fs.unlinkSync(lockPath); } catch { /* already gone */ }
+    });
+  });
+  [['SIGINT', 130], ['SIGTERM', 143]].forEach(([signal, code]) => process.on(signal, () => process.exit(code)));
+}
+
+// Created with 'wx' (fails if the file exists), so of two servers starting
+// together only one gets the lock. An existing lock whose process is gone is
+// removed and creation retried. An empty one is still being written, so wait;
+// if it stays empty, its writer died and it is removed too.
+const LOCK_ATTEMPTS = 5;
+const LOCK_RETRY_MS = 50;
+
+function acquireLock(dir) {
+  const lockPath = path.join(dir, '.lock');
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      try { fs.writeSync(fd, String(process.pid)); } finally { fs.closeSync(fd); }
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    let pid = null;
+    try { pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10); } catch { /* removed meanwhile */ }
+    if (pid === process.pid) break; // this process opened the store before
+    let alive = false;
+    if (pid) {
+      try { process.kill(pid, 0); alive = true; } catch (err) { alive = err.code === 'EPERM'; }
+    }
+    if (alive) {
+      throw new Error(`Data directory ${dir} is in use by another server process (pid ${pid})`);
+    }
+    if (attempt === LOCK_ATTEMPTS) {
+      throw new Error(`Could not lock data directory ${dir}; remove ${lockPath} if no server is using it`);
+    }
+    if (pid || attempt === LOCK_ATTEMPTS - 1) {
+      try { fs.unlinkSync(lockPath); } catch { /* removed meanwhile */ }
+    } else {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+    }
+  }
+  heldLocks.add(lockPath);
+  releaseLocksOnExit();
+}
+
+function openStore(dir, { backend = process.env.STORAGE_BACKEND || 'jsonl' } = {}) {
+  if (!BACKENDS[backend]) throw new Error(`Unknown storage backend: ${backend}`);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  acquireLock(dir);
+
+  const impl = BACKENDS[backend](dir);
+  const collections = {};
+
+  return {
+    collection(name, options) {
+      if (!collections[name]) collections[name] = createCollection(impl, name, options);
+      return collections[name];
+    },
+    clearAll() {
+      Object.values(collections).forEach(c => c.clear());
+    },
+  };
+}
+
+module.exports = { openStore, BACKENDS };
@@ -0,0 +1,166 @@
+/**
+ * STUDIES — one deployment, several procedures
+ *
+ * Every procedures/*.json file is a separate study with its own data
+ * partition: data/<procedure id>/ holds that study's sessions, submissions,
+ * autosaves, allocation log and archived procedure versions, so studies never
+ * share a randomization sequence or a participant record.
+ *
+ * A participant's study is chosen when their session is created:
+ *   1. ?PROCEDURE=<id> in the Prolific link, else
+ *   2. the procedure whose `study.prolificStudyId` matches STUDY_ID, else
+ *   3. the default procedure (DEFAULT_PROCEDURE, or the first file).
+ * Later requests only carry the session id; findSession() locates the study.
+ *
+ * Data written before multi-procedure support (collections directly in data/)
+ * is moved into the default procedure's partition on first start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { openStore } = require('./storage');
+const { createRandomizer } = require('./randomization');
+const { loadProcedures, saveProcedure, createProcedure } = require('./procedure');
+const { DESIGN, stratification } = require('./design');
+
+/** Open the data partition of one procedure. */
+function openStudy(procedure, { dataDir, seed }) {
+  const dir = path.join(dataDir, procedure.id);
+  const store = openStore(dir);
+  const sessionsDb = store.collection('sessions', { key: 'session_id', indexes: ['prolific_pid'] });
+  const estimationsDb = store.collection('estimations', { key: 'session_id' });
+  // Autosaved partial progress (latest snapshot per session)
+  const progressDb = store.collection('progress', { key: 'session_id' });
+  const procedureVersionsDb = store.collection('procedure_versions', { key: 'version' });
+
+  const strat = stratification();
+  const randomizer = createRandomizer(store, {
+    conditions: DESIGN.arms,
+    blockSize: DESIGN.blockSize,
+    // One seed per study, so two studies never follow the same sequence
+    seed: seed ? `${seed}:${procedure.id}` : null,
+    stratifyBy: strat ? strat.variable : null,
+  });
+
+  const procedureCache = new Map([[procedure.version, procedure]]);
+
+  const study = {
+    id: procedure.id,
+    procedure, // current version — replaced by publishProcedure()
+    dataDir: dir,
+    store,
+    sessionsDb,
+    estimationsDb,
+    progressDb,
+    procedureVersionsDb,
+    randomizer,
+    archiveProcedure,
+    procedureFor,
+    publishProcedure,
+  };
+
+  // Every version ever served stays recoverable from a session's procedure_version
+  function archiveProcedure(p = study.procedure) {
+    if (procedureVersionsDb.get(p.version)) return;
+    procedureVersionsDb.insert({
+      version: p.version,
+      procedure_id: p.id,
+      definition: p.definition,
+      first_served_at: new Date().toISOString(),
+    });
+  }
+
+  /** Procedure object for an archived version (current one if unknown). */
+  function procedureFor(version) {
+    if (!version) return study.procedure;
+    if (!procedureCache.has(version)) {
+      const archived = procedureVersionsDb.get(version);
+      if (!archived) return study.procedure;
+      procedureCache.set(version, createProcedure(archived.definition));
+    }
+    return procedureCache.get(version);
+  }
+
+  /**
+   * Save an edited definition as the new current version: written over the
+   * procedure file, archived, and served to every session created from now on.
+   * Sessions already started keep the version they recorded.
+   */
+  function publishProcedure(definition) {
+    if (definition.id !== study.id) throw new Error(`Procedure id cannot change (${study.id} → ${definition.id})`);
+    const previous = study.procedure;
+    const next = saveProcedure(definition, previous.file);
+    procedureCache.set(next.version, next);
+    study.procedure = next;
+    archiveProcedure(next);
+    return { previous, current: next };
+  }
+
+  archiveProcedure();
+  return study;
+}
+
+// Collections written to data/ itself before studies were partitioned
+function migrateLegacyData(dataDir, defaultId) {
+  if (!fs.existsSync(dataDir)) return 0;
+  const legacy = fs.readdirSync(dataDir).filter(f => f.endsWith('.jsonl'));
+  const target = path.join(dataDir, defaultId);
+  if (!legacy.length || fs.existsSync(target)) return 0;
+  fs.mkdirSync(target, { recursive: true });
+  legacy.forEach(f => fs.renameSync(path.join(dataDir, f), path.join(target, f)));
+  console.log(`  [MIGRATE] Moved ${legacy.length} data files into data/${defaultId}/`);
+  return legacy.length;
+}
+
+/**
+ * Load every procedure in `proceduresDir` and open its study.
+ * `defaultId` falls back to the first procedure (file name order).
+ */
+function openStudies({ dataDir, proceduresDir, defaultId, seed = null }) {
+  const procedures = loadProcedures(proceduresDir);
+  const fallback = defaultId || procedures[0].id;
+  if (!procedures.some(p => p.id === fallback)) throw new Error(`Default procedure "${fallback}" not found`);
+
+  migrateLegacyData(dataDir, fallback);
+  const list = procedures.map(p => openStudy(p, { dataDir, seed }));
+  const byId = new Map(list.map(s => [s.id, s]));
+  const defaultStudy = byId.get(fallback);
+
+  return {
+    list,
+    default: defaultStudy,
+
+    /** Study by procedure id (null if unknown). */
+    get(id) {
+      return byId.get(id) || null;
+    },
+
+    /**
+     * Study for a new session. Returns null when an explicit procedure id is
+     * unknown (a broken link should fail loudly, not fall back silently).
+     */
+    select({ procedure, studyId }) {
+      if (procedure) return byId.get(procedure) || null;
+      const match = studyId && list.find(s => s.procedure.study.prolificStudyId === studyId);
+      return match || defaultStudy;
+    },
+
+    /** { study, session } for a session id, or null. */
+    findSession(sessionId) {
+      if (!sessionId) return null;
+      for (const study of list) {
+        const session = study.sessionsDb.get(sessionId);
+        if (session) return { study, session };
+      }
+      return null;
+    },
+
+    /** { study, procedure } for an archived procedure version, or null. */
+    findVersion(version) {
+      const study = list.find(s => s.procedureVersionsDb.get(version));
+      return study ? { study, procedure: study.procedureFor(version) } : null;
+    },
+  };
+}
+
+module.exports = { openStudies };
@@ -0,0 +1,339 @@
+/**
+ * SUBMISSION VALIDATION — schema checks for /api/estimation/submit
+ *
+ * A submission is checked against the session's ASSIGNED condition (from the
+ * session record, never from the payload) and the procedure (src/procedure.js):
+ *
+ * - estimates: exactly the expected blocks — every procedure estimation block
+ *   for 'blocks' conditions, every procedure step for 'steps' conditions, only
+ *   'overall' for 'overall' conditions. Minutes
+ *   0–999, seconds 0–59 (integers, at least one given), confidence 1–5.
+ *   Three-point conditions also need `optimistic` and `pessimistic` times in
+ *   the same form, with optimistic ≤ most likely (minutes/seconds) ≤ pessimistic;
+ *   point conditions must not send them. Distribution conditions also need a
+ *   `distribution` { bins, counts }: the bin edges the participant was shown and
+ *   the chances placed in each bin. Bins or a number of chances that differ from
+ *   the current design are flagged, not rejected (the design changed mid-session).
+ *   Sessions answering times from a dropdown also send each time's range (`bin`);
+ *   other response formats must not.
+ * - errorRateEstimate: percentage 0–100, confidence 1–5 (required when the
+ *   condition's flow has the error-estimation page). Conditions asking per
+ *   block or per error loop also need `items`: exactly the expected ids, each
+ *   with a percentage and confidence; other conditions must not send them.
+ * - interactions: known phase and step ids, expand/collapse toggle log,
+ *   zoom/pan navigation log, action-type legend log, whether the estimation
+ *   page was stacked.
+ * - demographics: known fields with their allowed answers (required when the
+ *   flow has the demographics page).
+ *
+ * Totals are recomputed here; the client's figure is only kept for comparison.
+ * A submission made against an older procedure version is flagged.
+ * Problems that make the data unusable are ERRORS (submission rejected);
+ * inconsistencies worth a look at analysis time are FLAGS (stored with it).
+ */
+
+const { DESIGN, elicitationOf, errorEstimationOf, responseFormatOf } = require('./design');
+
+// Demographics form (public/index.html): allowed answers, or null for free text
+const DEMOGRAPHIC_FIELDS = {
+  admin_experience: ['never', 'once_twice', 'several', 'many'],
+  vehicle_permit_exp: ['yes', 'no'],
+  overall_confidence: ['not_at_all', 'slightly', 'moderately', 'very', 'extremely'],
+  pilot_feedback: null,
+};
+const REQUIRED_DEMOGRAPHICS = ['admin_experience', 'vehicle_permit_exp', 'overall_confidence'];
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_LOG_ENTRIES = 10000;
+const NAVIGATION_ACTIONS = ['zoom-in', 'zoom-out', 'zoom-reset', 'fit', 'fit-phase', 'pan'];
+const LEGEND_ACTIONS = ['select', 'deselect', 'clear'];
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+const isBlank = v => v === null || v === undefined;
+
+/** Estimate ids a condition must submit (block ids, step ids or 'overall'). */
+function expectedBlocks(condition, procedure) {
+  const estimation = DESIGN.conditions[condition]?.estimation;
+  if (estimation === 'blocks') return procedure.blockIds;
+  return estimation === 'steps' ? procedure.stepIds : ['overall'];
+}
+
+/** Error-rate item ids a condition must submit (block ids, error-loop step ids or none). */
+function expectedErrorItems(condition, procedure) {
+  const mode = errorEstimationOf(condition);
+  if (mode === 'blocks') return procedure.blockIds;
+  return mode === 'loops' ? procedure.loopStepIds : [];
+}
+
+const THREE_POINTS = ['optimistic', 'pessimistic'];
+
+const secondsOf = t => (t.minutes || 0) * 60 + (t.seconds || 0);
+
+// Minutes 0–999 and seconds 0–59, at least one of them given
+function validateTime(t, path, errors) {
+  if (!isBlank(t.minutes) && !isInt(t.minutes, 0, 999)) errors.push(`${path}.minutes must be an integer 0–999`);
+  if (!isBlank(t.seconds) && !isInt(t.seconds, 0, 59)) errors.push(`${path}.seconds must be an integer 0–59`);
+  if (isBlank(t.minutes) && isBlank(t.seconds)) errors.push(`${path} has no time`);
+}
+
+// Dropdown answers carry their time range; no other format does
+function validateBin(t, path, timeFormat, errors) {
+  if (timeFormat !== 'bins') {
+    if (!isBlank(t.bin)) errors.push(`${path}.bin is only asked with dropdown time ranges`);
+    return;
+  }
+  const last = DESIGN.distribution.bins.length;
+  if (!isInt(t.bin, 0, last)) errors.push(`${path}.bin must be a time range 0–${last}`);
+}
+
+const MAX_BINS = 50;
+
+function validateDistribution(d, path, errors, flags) {
+  if (!isObject(d)) {
+    errors.push(`${path} is missing`);
+    return;
+  }
+  const { bins, counts } = d;
+  if (!Array.isArray(bins) || !bins.length || bins.length > MAX_BINS ||
+      bins.some((edge, i) => !Number.isInteger(edge) || edge <= (i ? bins[i - 1] : 0))) {
+    errors.push(`${path}.bins must be increasing whole numbers of seconds`);
+    return;
+  }
+  if (!Array.isArray(counts) || counts.length !== bins.length + 1 || counts.some(n => !isInt(n, 0, 100))) {
+    errors.push(`${path}.counts must give 0–100 chances for each of the ${bins.length + 1} bins`);
+    return;
+  }
+  if (!counts.some(n => n > 0)) errors.push(`${path} has no chances placed`);
+  const { distribution } = DESIGN;
+  const sameDesign = bins.join() === distribution.bins.join() && counts.reduce((a, b) => a + b, 0) === distribution.balls;
+  if (!sameDesign && !flags.includes('distribution_design_changed')) flags.push('distribution_design_changed');
+}
+
+function validateEstimates(estimates, condition, timeFormat, procedure, errors, flags) {
+  if (!isObject(estimates)) {
+    errors.push('estimates must be an object');
+    return;
+  }
+  const expected = expectedBlocks(condition, procedure);
+  Object.keys(estimates).forEach(id => {
+    if (!expected.includes(id)) errors.push(`estimates: unexpected block "${id}" for condition ${condition}`);
+  });
+  expected.forEach(id => {
+    const e = estimates[id];
+    if (!isObject(e)) {
+      errors.push(`estimates.${id} is missing`);
+      return;
+    }
+    validateTime(e, `estimates.${id}`, errors);
+    validateBin(e, `estimates.${id}`, timeFormat, errors);
+    if (!isInt(e.confidence, 1, 5)) errors.push(`estimates.${id}.confidence must be an integer 1–5`);
+    const elicitation = elicitationOf(condition);
+    if (elicitation === 'distribution') validateDistribution(e.distribution, `estimates.${id}.distribution`, errors, flags);
+    else if (!isBlank(e.distribution)) errors.push(`estimates.${id}.distribution is only asked in distribution conditions`);
+    if (elicitation !== 'three-point') {
+      THREE_POINTS.forEach(p => { if (!isBlank(e[p])) errors.push(`estimates.${id}.${p} is only asked in three-point conditions`); });
+      return;
+    }
+    const before = errors.length;
+    THREE_POINTS.forEach(p => {
+      if (!isObject(e[p])) errors.push(`estimates.${id}.${p} is missing`);
+      else {
+        validateTime(e[p], `estimates.${id}.${p}`, errors);
+        validateBin(e[p], `estimates.${id}.${p}`, timeFormat, errors);
+      }
+    });
+    if (errors.length === before && !(secondsOf(e.optimistic) <= secondsOf(e) && secondsOf(e) <= secondsOf(e.pessimistic))) {
+      errors.push(`estimates.${id} must have optimistic ≤ most likely ≤ pessimistic`);
+    }
+  });
+}
+
+function validateErrorRate(errorRate, required, itemIds, errors) {
+  if (isBlank(errorRate) || (isObject(errorRate) && !Object.keys(errorRate).length)) {
+    if (required) errors.push('errorRateEstimate is required');
+    return;
+  }
+  if (!isObject(errorRate)) {
+    errors.push('errorRateEstimate must be an object');
+    return;
+  }
+  if (!isInt(errorRate.percentage, 0, 100)) errors.push('errorRateEstimate.percentage must be an integer 0–100');
+  if (!isInt(errorRate.confidence, 1, 5)) errors.push('errorRateEstimate.confidence must be an integer 1–5');
+
+  const { items } = errorRate;
+  if (!itemIds.length) {
+    if (!isBlank(items)) errors.push('errorRateEstimate.items is only allowed in conditions asking per block or error loop');
+    return;
+  }
+  if (!isObject(items)) {
+    errors.push('errorRateEstimate.items must be an object');
+    return;
+  }
+  const missing = itemIds.filter(id => !(id in items));
+  const unknown = Object.keys(items).filter(id => !itemIds.includes(id));
+  if (missing.length) errors.push(`errorRateEstimate.items is missing: ${missing.join(', ')}`);
+  if (unknown.length) errors.push(`errorRateEstimate.items has unknown ids: ${unknown.join(', ')}`);
+  itemIds.filter(id => id in items).forEach(id => {
+    const item = items[id];
+    if (!isObject(item) || !isInt(item.percentage, 0, 100) || !isInt(item.confidence, 1, 5)) {
+      errors.push(`errorRateEstimate.items.${id} needs a percentage 0–100 and a confidence 1–5`);
+    }
+  });
+}
+
+function validateInteractions(interactions, procedure, errors) {
+  if (isBlank(interactions)) return;
+  if (!isObject(interactions)) {
+    errors.push('interactions must be an object');
+    return;
+  }
+  const {
+    phasesExpanded = [], stepsExpanded = [], stepToggleLog = [], navigationLog = [], legendLog = [], timeOnTaskMs, stackedLayout,
+  } = interactions;
+  if (!Array.isArray(phasesExpanded) || phasesExpanded.some(id => !procedure.phaseIds.includes(id))) {
+    errors.push('interactions.phasesExpanded must list known phase ids');
+  }
+  if (!Array.isArray(stepsExpanded) || stepsExpanded.some(id => !procedure.stepIds.includes(id))) {
+    errors.push('interactions.stepsExpanded must list known step ids');
+  }
+  if (!Array.isArray(stepToggleLog) || stepToggleLog.length > MAX_LOG_ENTRIES) {
+    errors.push(`interactions.stepToggleLog must be an array of at most ${MAX_LOG_ENTRIES} entries`);
+  } else if (stepToggleLog.some(t => !isObject(t) || !procedure.stepIds.includes(t.stepId) ||
+      !['expand', 'collapse'].includes(t.action) || !Number.isFinite(t.timestamp))) {
+    errors.push('interactions.stepToggleLog entries need a known stepId, action expand|collapse and a timestamp');
+  }
+  if (!Array.isArray(navigationLog) || navigationLog.length > MAX_LOG_ENTRIES) {
+    errors.push(`interactions.navigationLog must be an array of at most ${MAX_LOG_ENTRIES} entries`);
+  } else if (navigationLog.some(n => !isObject(n) || !NAVIGATION_ACTIONS.includes(n.action) ||
+      !Number.isFinite(n.zoom) || !Number.isFinite(n.timestamp) ||
+      (n.action === 'fit-phase' && !procedure.phaseIds.includes(n.phaseId)))) {
+    errors.push(`interactions.navigationLog entries need an action ${NAVIGATION_ACTIONS.join('|')}, a zoom and a timestamp`);
+  }
+  if (!Array.isArray(legendLog) || legendLog.length > MAX_LOG_ENTRIES) {
+    errors.push(`interactions.legendLog must be an array of at most ${MAX_LOG_ENTRIES} entries`);
+  } else if (legendLog.some(l => !isObject(l) || !LEGEND_ACTIONS.includes(l.action) || !Number.isFinite(l.timestamp) ||
+      (l.action === 'clear' ? l.type !== null : !procedure.actionTypes.includes(l.type)))) {
+    errors.push(`interactions.legendLog entries need an action ${LEGEND_ACTIONS.join('|')}, an action type on the map (null to clear) and a timestamp`);
+  }
+  if (!isBlank(timeOnTaskMs) && !(Number.isFinite(timeOnTaskMs) && timeOnTaskMs >= 0)) {
+    errors.push('interactions.timeOnTaskMs must be a non-negative number');
+  }
+  if (!isBlank(stackedLayout) && typeof stackedLayout !== 'boolean') {
+    errors.push('interactions.stackedLayout must be true or false');
+  }
+}
+
+function validateDemographics(demographics, required, errors) {
+  if (isBlank(demographics)) {
+    if (required) errors.push('demographics are required');
+    return;
+  }
+  if (!isObject(demographics)) {
+    errors.push('demographics must be an object');
+    return;
+  }
+  Object.entries(demographics).forEach(([field, value]) => {
+    if (!(field in DEMOGRAPHIC_FIELDS)) {
+      errors.push(`demographics: unknown field "${field}"`);
+    } else if (DEMOGRAPHIC_FIELDS[field]) {
+      if (!DEMOGRAPHIC_FIELDS[field].includes(value)) errors.push(`demographics.${field}: invalid answer "${value}"`);
+    } else if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+      errors.push(`demographics.${field} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  });
+  if (required) {
+    REQUIRED_DEMOGRAPHICS.forEach(field => {
+      if (isBlank(demographics[field])) errors.push(`demographics.${field} is required`);
+    });
+  }
+}
+
+/** Total estimated time in seconds, recomputed from the block estimates. */
+function totalSeconds(estimates) {
+  return Object.values(estimates).reduce((sum, e) => sum + secondsOf(e), 0);
+}
+
+/**
+ * Three-point summary of one estimate, in seconds, or null for a point estimate:
+ *   { optimistic, likely, pessimistic, mean: (o + 4m + p) / 6, variance: ((p − o) / 6)² }
+ */
+function pert(e) {
+  if (!isObject(e) || !isObject(e.optimistic) || !isObject(e.pessimistic)) return null;
+  const o = secondsOf(e.optimistic), m = secondsOf(e), p = secondsOf(e.pessimistic);
+  return { optimistic: o, likely: m, pessimistic: p, mean: (o + 4 * m + p) / 6, variance: ((p - o) / 6) ** 2 };
+}
+
+/**
+ * Three-point summary of a whole submission: every field summed over its
+ * estimates (variances add, as the blocks are treated as independent), or
+ * null unless every estimate is three-point.
+ */
+function pertTotal(estimates) {
+  const all = Object.values(estimates || {}).map(pert);
+  if (!all.length || all.includes(null)) return null;
+  return all.reduce((sum, t) => Object.fromEntries(Object.keys(sum).map(k => [k, sum[k] + t[k]])));
+}
+
+/**
+ * Step estimates rolled up into their estimation blocks:
+ *   { blockId: { minutes, seconds, confidence, steps, optimistic?, pessimistic? } }
+ * Times (and three-point bounds) are summed over the block's steps, confidence
+ * is their mean. Distributions stay per step. Steps missing from `estimates`
+ * are skipped; a block with none of its steps is left out.
+ */
+function blockEstimates(estimates, procedure) {
+  const toTime = sec => ({ minutes: Math.floor(sec / 60), seconds: sec % 60 });
+  const out = {};
+  procedure.blocks.forEach(block => {
+    const steps = block.stepsIncluded.map(id => estimates[id]).filter(isObject);
+    if (!steps.length) return;
+    const sum = f => steps.reduce((total, e) => total + f(e), 0);
+    const rolled = {
+      ...toTime(sum(secondsOf)),
+      confidence: Math.round(sum(e => e.confidence || 0) / steps.length * 100) / 100,
+      steps: steps.length,
+    };
+    if (steps.every(e => pert(e))) {
+      THREE_POINTS.forEach(p => { rolled[p] = toTime(sum(e => secondsOf(e[p]))); });
+    }
+    out[block.id] = rolled;
+  });
+  return out;
+}
+
+/**
+ * Validate a submission for `session` against `procedure`. Returns
+ *   { errors: [...], flags: [...], totals: { totalEstimateSeconds, totalEstimateMinutes } }
+ * `totals` is only set when there are no errors.
+ */
+function validateSubmission(body, session, procedure) {
+  const errors = [];
+  const flags = [];
+  const condition = session.condition;
+  const flow = DESIGN.conditions[condition]?.flow || [];
+
+  if (!condition) errors.push('session has no assigned condition');
+  if (body.condition !== condition) flags.push('condition_mismatch');
+  if (body.procedure_version !== procedure.version) flags.push('procedure_version_mismatch');
+
+  validateEstimates(body.estimates, condition, responseFormatOf(condition, session.response_format).time, procedure, errors, flags);
+  validateErrorRate(body.errorRateEstimate, flow.includes('error-estimation'), expectedErrorItems(condition, procedure), errors);
+  validateInteractions(body.interactions, procedure, errors);
+  validateDemographics(body.demographics, flow.includes('demographics'), errors);
+
+  if (errors.length) return { errors, flags, totals: null };
+
+  const total = totalSeconds(body.estimates);
+  if (!isBlank(body.totalEstimateSeconds) && body.totalEstimateSeconds !== total) flags.push('total_mismatch');
+  return {
+    errors,
+    flags,
+    totals: {
+      totalEstimateSeconds: total,
+      totalEstimateMinutes: Math.round(total / 60 * 100) / 100,
+    },
+  };
+}
+
+module.exports = { validateSubmission, expectedBlocks, expectedErrorItems, blockEstimates, pert, pertTotal };